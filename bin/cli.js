@@ -5,13 +5,18 @@
  * Usage:
  *   a2a create [options]     Create an A2A token
  *   a2a list                 List active tokens
- *   a2a revoke <id>          Revoke a token
+ *   a2a revoke <id>          Revoke a token or an unredeemed one-time invite (invc_...)
+ *   a2a rotate <id>          Issue a successor token (old one valid for a grace window)
  *   a2a add <url> [name]     Add a contact (alias of "contacts add")
  *   a2a remotes              List contacts (alias of "contacts")
  *   a2a call <url> <msg>     Call a contact (or invite URL)
+ *   a2a reciprocate <name>   Send a contact a return invite
+ *   a2a job <id>             Show an async call job
+ *   a2a queue [list]         Show messages waiting for unreachable contacts
  *   a2a ping <url>           Ping an invite URL
  *   a2a gui                  Open the local dashboard GUI in a browser
  *   a2a setup                Auto setup (gateway-aware dashboard install)
+ *   a2a db status|migrate    Inspect or apply local database schema migrations
  *   a2a uninstall            Stop server and remove local A2A config
  */
 
@@ -22,6 +27,7 @@ const crypto = require('crypto');
 const { spawn } = require('child_process');
 const { TokenStore } = require('../src/lib/tokens');
 const { A2AClient } = require('../src/lib/client');
+const { OutboundQueue, isRetryableError } = require('../src/lib/outbound-queue');
 
 const CONFIG_DIR = process.env.A2A_CONFIG_DIR || process.env.OPENCLAW_CONFIG_DIR || path.join(os.homedir(), '.config', 'openclaw');
 const CONFIG_PATH = path.join(CONFIG_DIR, 'a2a-config.json');
@@ -36,7 +42,8 @@ const ONBOARDING_EXEMPT = new Set([
   'dashboard',
   'server',
   'setup',
-  'install'
+  'install',
+  'db'
 ]);
 
 function isOnboarded() {
@@ -71,6 +78,25 @@ function getConvStore() {
 
 const store = new TokenStore();
 
+// Outbound queue over the local conversation store; null without SQLite.
+function getOutboundQueue(caller, signingIdentity) {
+  const cs = getConvStore();
+  if (!cs) return null;
+  let agent = {};
+  try {
+    const { A2AConfig } = require('../src/lib/config');
+    agent = new A2AConfig().getAgent() || {};
+  } catch (err) {
+    // Best effort
+  }
+  return new OutboundQueue({
+    convStore: cs,
+    tokenStore: store,
+    caller: caller || { name: agent.name || 'CLI User', owner: agent.owner || null },
+    signingIdentity
+  });
+}
+
 // ── enforceOnboarding ────────────────────────────────────────────────────
 // If onboarding is incomplete or the config is missing/invalid, run the
 // full quickstart flow inline — verbose, with direct stdio. The agent sees
@@ -602,6 +628,156 @@ async function resolveInviteHostname() {
   }
 }
 
+/**
+ * Trade a one-time invite (a2a://host/inv_...) for a token invite URL.
+ * Regular invites pass through unchanged.
+ */
+async function redeemIfOneTime(url) {
+  if (!A2AClient.isOneTimeInvite(url)) return url;
+  const { A2AConfig } = require('../src/lib/config');
+  const agent = new A2AConfig().getAgent() || {};
+  const client = new A2AClient({
+    caller: { name: agent.name || null, owner: agent.owner || null }
+  });
+  let redeemed;
+  try {
+    redeemed = await client.redeem(url);
+  } catch (err) {
+    const reasons = {
+      code_already_used: 'This one-time invite was already redeemed. Ask for a new invite.',
+      code_expired: 'This one-time invite has expired. Ask for a new invite.',
+      invalid_code: 'The remote agent does not recognize this invite code.'
+    };
+    throw new Error(reasons[err.code] || `Could not redeem invite: ${err.message}`);
+  }
+  console.log(`🔑 Redeemed one-time invite (tier: ${redeemed.tier})`);
+  return redeemed.invite_url;
+}
+
+const ATTACHMENT_TEXT_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.ics': 'text/calendar',
+  '.html': 'text/html'
+};
+const ATTACHMENT_BINARY_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Turn a file path into an invoke attachment, picking the type from the extension.
+ */
+function readAttachmentFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const name = path.basename(filePath);
+  if (ext === '.json') {
+    return { type: 'json', name, data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  }
+  if (ATTACHMENT_TEXT_TYPES[ext]) {
+    return { type: 'text', name, mime_type: ATTACHMENT_TEXT_TYPES[ext], data: fs.readFileSync(filePath, 'utf8') };
+  }
+  return {
+    type: 'binary',
+    name,
+    mime_type: ATTACHMENT_BINARY_TYPES[ext] || 'application/octet-stream',
+    data: fs.readFileSync(filePath).toString('base64')
+  };
+}
+
+/**
+ * Fetch a contact's public agent card and cache it on the contact. Best effort:
+ * an unreachable host or one without a card leaves the contact as it was.
+ */
+async function cacheAgentCard(contact) {
+  try {
+    const card = await new A2AClient({ timeout: 5000 }).fetchAgentCard({ host: contact.host });
+    if (!card) return null;
+    store.updateContact(contact.id, { agent_card: card });
+    return card;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Mint a token for a contact we are calling so they can call us back, link it
+ * to the contact, and return its invite URL.
+ */
+async function createReturnInvite(contactName, tier = 'public') {
+  const { A2AConfig } = require('../src/lib/config');
+  const agent = new A2AConfig().getAgent() || {};
+  const contact = contactName ? store.getContact(contactName) : null;
+  if (contact && contact.linked_token_id) {
+    const linked = store.findById(contact.linked_token_id);
+    if (linked && !linked.revoked) {
+      throw new Error(`${contact.name} already holds token ${linked.id}; revoke it first to send a new one.`);
+    }
+  }
+  const { token, record } = store.create({
+    name: contactName || 'return invite',
+    owner: agent.owner || agent.name || null,
+    permissions: tier
+  });
+  if (contactName) {
+    store.linkTokenToContact(contactName, record.id);
+  }
+  const { host } = await resolveInviteHostname();
+  return { inviteUrl: `a2a://${host}/${token}`, record };
+}
+
+/**
+ * Remember an async job whose result will be POSTed to our /callback, so the
+ * server can match it (and the signing key) when it arrives.
+ */
+function recordCallbackJob(response, { url, message, contactName }) {
+  const { host } = A2AClient.parseInvite(url);
+  const signer = response.callback && response.callback.signer;
+  const cs = getConvStore();
+  if (!cs) {
+    throw new Error('--callback needs conversation storage to match the result; use --async to poll instead.');
+  }
+  if (!signer || !signer.fingerprint) {
+    throw new Error('Remote did not advertise a signing key for the callback; use --async to poll instead.');
+  }
+  cs.startConversation({
+    id: response.conversation_id,
+    contactId: contactName || null,
+    contactName: contactName || null,
+    direction: 'outbound'
+  });
+  cs.addMessage(response.conversation_id, { direction: 'outbound', role: 'user', content: message });
+  cs.createJob({
+    id: response.job_id,
+    direction: 'outbound',
+    conversationId: response.conversation_id,
+    remoteHost: host,
+    signerFingerprint: signer.fingerprint
+  });
+  if (contactName) {
+    store.updateContactStatus(contactName, 'online');
+  }
+  console.log(`⏳ Job ${response.job_id} queued; the result will be delivered to ${response.callback.host}.`);
+  console.log(`   Check it with: a2a job ${response.job_id}`);
+  console.log(`\n📝 Conversation ID: ${response.conversation_id}`);
+}
+
+function printReciprocalStatus(reciprocal, contactName) {
+  if (!reciprocal) return;
+  if (reciprocal.status === 'pending_approval') {
+    console.log(`\n🤝 Return invite delivered; waiting for their owner to approve.`);
+  } else if (reciprocal.status === 'rejected') {
+    console.log(`\n⚠️  Return invite was not accepted: ${reciprocal.error}`);
+  } else if (reciprocal.requested) {
+    console.log(`\n🤝 They asked for a way to call back: a2a reciprocate "${contactName || '<contact>'}"`);
+  }
+}
+
 // Commands
 const commands = {
   create: async (args) => {
@@ -642,17 +818,38 @@ const commands = {
     // Get objectives from disclosure
     const objectives = tierTopics.objectives || [];
 
-    const { token, record } = store.create({
-      name: args.flags.name || args.flags.n || 'unnamed',
-      owner: ownerName,
-      expires: args.flags.expires || args.flags.e || 'never',
-      permissions: tier,
-      disclosure: args.flags.disclosure || args.flags.d || 'minimal',
-      notify: args.flags.notify || 'all',
-      maxCalls,
-      allowedTopics,
-      allowedGoals: objectives.map(o => o.objective || o)
-    });
+    // --one-time shares a short-lived code instead of the token; the token is minted on redemption.
+    const oneTime = Boolean(args.flags['one-time']);
+    const linkContact = args.flags.link || args.flags.l;
+    if (oneTime && linkContact) {
+      console.error('❌ --link needs a token ID, and one-time invites create the token at redemption.');
+      process.exit(1);
+    }
+
+    let created;
+    try {
+      const tokenOptions = {
+        name: args.flags.name || args.flags.n || 'unnamed',
+        owner: ownerName,
+        expires: args.flags.expires || args.flags.e || 'never',
+        permissions: tier,
+        disclosure: args.flags.disclosure || args.flags.d || 'minimal',
+        notify: args.flags.notify || 'all',
+        maxCalls,
+        allowedTopics,
+        allowedGoals: objectives.map(o => o.objective || o),
+        allowedCidrs: args.flags['allow-cidr'] ? String(args.flags['allow-cidr']) : null,
+        pinnedInstance: args.flags['pin-instance'] ? String(args.flags['pin-instance']) : null
+      };
+      created = oneTime
+        ? store.createInviteCode({ ...tokenOptions, codeTtl: args.flags['code-ttl'] || '1d' })
+        : store.create(tokenOptions);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+    const token = oneTime ? created.code : created.token;
+    const record = oneTime ? created.preview : created.record;
 
     const resolvedHost = await resolveInviteHostname();
     const hostname = resolvedHost.host;
@@ -670,8 +867,9 @@ const commands = {
     }
 
     // Auto-link to contact if specified
-    const linkContact = args.flags.link || args.flags.l;
-    if (linkContact) {
+    if (oneTime) {
+      console.log(`✅ One-time A2A invite created\n`);
+    } else if (linkContact) {
       const linkResult = store.linkTokenToContact(linkContact, record.id);
       if (linkResult.success) {
         console.log(`✅ Token created & linked to ${linkContact}\n`);
@@ -690,8 +888,16 @@ const commands = {
     console.log(`Disclosure: ${record.disclosure}`);
     console.log(`Notify: ${record.notify}`);
     console.log(`Max calls: ${record.max_calls || 'unlimited'}`);
+    if (record.allowed_cidrs) console.log(`Allowed networks: ${record.allowed_cidrs.join(', ')}`);
+    if (record.pinned_instance) console.log(`Pinned to: ${record.pinned_instance}`);
     if (linkContact) console.log(`Linked to: ${linkContact}`);
-    console.log(`\nTo revoke: a2a revoke ${record.id}`);
+    if (oneTime) {
+      console.log(`Code expires: ${created.record.expires_at} (single use)`);
+      console.log(`\nThe token is created when the code is redeemed; find it with: a2a list`);
+      console.log(`To revoke the code before then: a2a revoke ${created.record.id}`);
+    } else {
+      console.log(`\nTo revoke: a2a revoke ${record.id}`);
+    }
     console.log(`\n${'─'.repeat(50)}`);
     console.log(`📋 SHAREABLE INVITE (copy everything below):`);
     console.log(`${'─'.repeat(50)}\n`);
@@ -764,6 +970,14 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
 
   list: () => {
     const tokens = store.list();
+    const pending = store.listPendingInvites();
+    if (pending.length > 0) {
+      console.log('Pending one-time invites:\n');
+      for (const invite of pending) {
+        console.log(`⏳ ${invite.id}  ${invite.name} (${invite.tier}), code expires ${invite.expires_at}`);
+      }
+      console.log();
+    }
     if (tokens.length === 0) {
       console.log('No active A2A tokens.');
       return;
@@ -780,6 +994,11 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
       console.log(`   Tier: ${tier} → ${topics.join(', ')}`);
       console.log(`   Expires: ${t.expires_at || 'never'}`);
       console.log(`   Calls: ${t.calls_made}${t.max_calls ? '/' + t.max_calls : ''}`);
+      if (t.allowed_cidrs) console.log(`   Networks: ${t.allowed_cidrs.join(', ')}`);
+      if (t.pinned_instance) console.log(`   Pinned to: ${t.pinned_instance}`);
+      if (t.rotated_to) {
+        console.log(`   Rotated → ${t.rotated_to} (old token valid until ${t.rotation_grace_until})`);
+      }
       console.log();
     }
   },
@@ -787,10 +1006,25 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
   revoke: (args) => {
     const id = args._[1];
     if (!id) {
-      console.error('Usage: a2a revoke <token_id>');
+      console.error('Usage: a2a revoke <token_id|invite_id>');
       process.exit(1);
     }
 
+    // Pending one-time invites (from `a2a list`) have no token yet; withdraw the code.
+    if (id.startsWith('invc_')) {
+      const withdrawn = store.revokeInviteCode(id);
+      if (!withdrawn.success) {
+        const reasons = {
+          code_already_used: `Invite ${id} was already redeemed; revoke its token instead: a2a revoke ${withdrawn.token_id}`,
+          ambiguous_id: `More than one invite starts with ${id}; give more of the id (see: a2a list)`
+        };
+        console.error(reasons[withdrawn.error] || `Pending invite not found: ${id}`);
+        process.exit(1);
+      }
+      console.log(`✅ One-time invite revoked: ${withdrawn.record.name} (${withdrawn.record.id})`);
+      return;
+    }
+
     const result = store.revoke(id);
     if (!result.success) {
       console.error(`Token not found: ${id}`);
@@ -800,7 +1034,36 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     console.log(`✅ Token revoked: ${result.record.name} (${result.record.id})`);
   },
 
-  add: (args) => {
+  rotate: (args) => {
+    const id = args._[1];
+    if (!id) {
+      console.error('Usage: a2a rotate <token_id> [--grace 1d]');
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = store.rotate(id, { grace: args.flags.grace || '1d' });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    if (!result.success) {
+      const reasons = {
+        not_found: `Token not found: ${id}`,
+        token_revoked: `Token is revoked: ${id}`,
+        already_rotated: `Token already rotated to ${result.successor_id}; rotate that one instead.`
+      };
+      console.error(reasons[result.error] || result.error);
+      process.exit(1);
+    }
+
+    console.log(`✅ Token rotated: ${result.previous.id} → ${result.record.id}`);
+    console.log(`   The old token works until ${result.previous.rotation_grace_until}.`);
+    console.log('   The caller receives the successor on its next call and swaps automatically.');
+  },
+
+  add: async (args) => {
     const url = args._[1];
     const name = args._[2] || args.flags.name;
     
@@ -810,12 +1073,15 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     }
 
     try {
-      const result = store.addContact(url, { name });
+      const result = store.addContact(await redeemIfOneTime(url), { name });
       if (!result.success) {
         console.log(`Contact already registered: ${result.existing.name}`);
         return;
       }
       console.log(`✅ Contact added: ${result.contact.name} (${result.contact.host})`);
+      if (await cacheAgentCard(result.contact)) {
+        console.log(`   Agent card saved (a2a contacts show ${result.contact.name})`);
+      }
     } catch (err) {
       console.error(err.message);
       process.exit(1);
@@ -872,7 +1138,7 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     console.log('Legend: 🌐 public  🔧 friends  ⚡ family');
   },
 
-  'contacts:add': (args) => {
+  'contacts:add': async (args) => {
     const url = args._[2];
     if (!url) {
       console.error('Usage: a2a contacts add <invite_url> [options]');
@@ -896,7 +1162,7 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     };
 
     try {
-      const result = store.addContact(url, options);
+      const result = store.addContact(await redeemIfOneTime(url), options);
       if (!result.success) {
         console.log(`Contact already exists: ${result.existing.name}`);
         return;
@@ -905,6 +1171,9 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
       if (result.contact.owner) console.log(`   Owner: ${result.contact.owner}`);
       if (result.contact.server_name) console.log(`   Server: ${result.contact.server_name}`);
       console.log(`   Host: ${result.contact.host}`);
+      if (await cacheAgentCard(result.contact)) {
+        console.log('   Agent card saved');
+      }
       if (options.linkedTokenId) {
         console.log(`   Linked to token: ${options.linkedTokenId}`);
       } else {
@@ -961,6 +1230,20 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     if (remote.notes) {
       console.log(`📝 Notes: ${remote.notes}`);
     }
+
+    const card = remote.agent_card;
+    if (card) {
+      console.log(`\n🪪 Agent card (fetched ${formatTimeAgo(new Date(remote.agent_card_fetched_at))})`);
+      if (card.description) console.log(`   ${card.description}`);
+      if (card.avatar_url) console.log(`   Avatar: ${card.avatar_url}`);
+      if (card.languages.length > 0) console.log(`   Languages: ${card.languages.join(', ')}`);
+      if (card.topics.length > 0) console.log(`   Public topics: ${card.topics.map(t => t.topic).join(', ')}`);
+      const hours = [card.availability.hours, card.availability.timezone].filter(Boolean).join(' ');
+      if (hours) console.log(`   Available: ${hours}`);
+      console.log(`   Contact policy: ${card.contact_policy.mode}${card.contact_policy.note ? ` — ${card.contact_policy.note}` : ''}`);
+    } else {
+      console.log(`\n🪪 No agent card cached (refresh with: a2a contacts ping ${name})`);
+    }
     
     console.log(`\n📅 Added: ${new Date(remote.added_at).toLocaleDateString()}`);
     if (remote.last_seen) {
@@ -1069,6 +1352,9 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
       console.log(`🟢 ${remote.name} is online`);
       console.log(`   Agent: ${result.name}`);
       console.log(`   Version: ${result.version}`);
+      if (await cacheAgentCard(remote)) {
+        console.log('   Agent card refreshed');
+      }
     } catch (err) {
       store.updateContactStatus(name, 'offline', err.message);
       console.log(`🔴 ${remote.name} is offline`);
@@ -1099,6 +1385,9 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     
     if (subcommand === 'show') return commands['conversations:show'](args);
     if (subcommand === 'end') return commands['conversations:end'](args);
+    if (subcommand === 'search') return commands['conversations:search'](args);
+    if (subcommand === 'export') return commands['conversations:export'](args);
+    if (subcommand === 'import') return commands['conversations:import'](args);
 
     // Default: list conversations
     const cs = getConvStore();
@@ -1124,7 +1413,7 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
 
     console.log(`💬 Conversations (${conversations.length})\n`);
     for (const conv of conversations) {
-      const statusIcon = conv.status === 'concluded' ? '✅' : conv.status === 'timeout' ? '⏱️' : '💬';
+      const statusIcon = conv.status === 'concluded' ? '✅' : conv.status === 'timeout' ? '⏱️' : conv.status === 'cancelled' ? '🚫' : '💬';
       const timeAgo = formatTimeAgo(new Date(conv.last_message_at));
       const preview = conv.messages?.[0]?.content?.slice(0, 50) || '';
       
@@ -1143,6 +1432,143 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     }
   },
 
+  'conversations:search': (args) => {
+    const query = args._.slice(2).join(' ');
+    if (!query) {
+      console.error('Usage: a2a conversations search <query> [--contact NAME] [--status S] [--limit N]');
+      console.error('  Words must all match; use "quoted phrases" and prefix* terms.');
+      process.exit(1);
+    }
+
+    const cs = getConvStore();
+    if (!cs) {
+      console.log('💬 Conversation storage not available.');
+      console.log('Install: npm install better-sqlite3');
+      return;
+    }
+
+    const { contact, status, limit = 20 } = args.flags;
+    const results = cs.search(query, {
+      contactId: typeof contact === 'string' ? contact : null,
+      status: typeof status === 'string' ? status : null,
+      limit: parseInt(limit) || 20
+    });
+
+    if (results.length === 0) {
+      console.log(`🔎 No conversations match "${query}".`);
+      return;
+    }
+
+    console.log(`🔎 ${results.length} conversation(s) match "${query}"\n`);
+    for (const result of results) {
+      const timeAgo = formatTimeAgo(new Date(result.last_message_at));
+      console.log(`💬 ${result.id}`);
+      console.log(`   Contact: ${result.contact_name || result.contact_id || 'unknown'} | ${result.status} | ${timeAgo}`);
+      for (const match of result.matches) {
+        const label = match.type === 'summary' ? 'summary' : match.role;
+        console.log(`   ${label}: ${match.snippet.replace(/\s+/g, ' ')}`);
+      }
+      if (result.match_count > result.matches.length) {
+        console.log(`   (+${result.match_count - result.matches.length} more)`);
+      }
+      console.log();
+    }
+  },
+
+  'conversations:export': (args) => {
+    const convId = args._[2];
+    const { since, until, contact, out } = args.flags;
+    const format = typeof args.flags.format === 'string' ? args.flags.format : 'jsonl';
+    const { EXPORT_FORMATS, toJsonLines, toMarkdownDocument, createArchive } = require('../src/lib/conversation-archive');
+    if (!EXPORT_FORMATS.includes(format)) {
+      console.error(`Unknown format: ${format} (use ${EXPORT_FORMATS.join(', ')})`);
+      process.exit(1);
+    }
+    if (format === 'archive' && typeof out !== 'string') {
+      console.error('Archives are binary; pass --out FILE.tar.gz');
+      process.exit(1);
+    }
+
+    const cs = getConvStore();
+    if (!cs) {
+      console.error('Conversation storage not available. Install: npm install better-sqlite3');
+      process.exit(1);
+    }
+
+    const ids = convId ? [convId] : cs.listConversationIds({
+      since: typeof since === 'string' ? since : null,
+      until: typeof until === 'string' ? until : null,
+      contactId: typeof contact === 'string' ? contact : null
+    });
+    const records = ids.map(id => cs.exportConversation(id)).filter(Boolean);
+    if (convId && records.length === 0) {
+      console.error(`Conversation not found: ${convId}`);
+      process.exit(1);
+    }
+
+    let output;
+    if (format === 'archive') output = createArchive(records);
+    else if (format === 'markdown') output = toMarkdownDocument(records);
+    else output = toJsonLines(records);
+
+    if (typeof out !== 'string') {
+      process.stdout.write(output);
+      return;
+    }
+    fs.writeFileSync(out, output, { mode: 0o600 });
+    const messages = records.reduce((sum, r) => sum + r.messages.length, 0);
+    console.log(`📦 Exported ${records.length} conversation(s), ${messages} message(s) to ${out} (${format})`);
+  },
+
+  'conversations:import': (args) => {
+    const file = args._[2];
+    const onConflict = typeof args.flags['on-conflict'] === 'string' ? args.flags['on-conflict'] : 'skip';
+    if (!file) {
+      console.error('Usage: a2a conversations import <file> [--on-conflict skip|rename|merge]');
+      process.exit(1);
+    }
+    if (!['skip', 'rename', 'merge'].includes(onConflict)) {
+      console.error(`Unknown --on-conflict mode: ${onConflict} (use skip, rename or merge)`);
+      process.exit(1);
+    }
+
+    const { readExport } = require('../src/lib/conversation-archive');
+    let records;
+    try {
+      records = readExport(fs.readFileSync(file));
+    } catch (err) {
+      console.error(`Could not read ${file}: ${err.message}`);
+      process.exit(1);
+    }
+
+    const cs = getConvStore();
+    if (!cs) {
+      console.error('Conversation storage not available. Install: npm install better-sqlite3');
+      process.exit(1);
+    }
+
+    const counts = { imported: 0, renamed: 0, merged: 0, skipped: 0, failed: 0 };
+    let messages = 0;
+    for (const record of records) {
+      const result = cs.importConversation(record, { onConflict });
+      if (!result.success) {
+        counts.failed += 1;
+        console.error(`  ✗ ${record && record.id ? record.id : '(no id)'}: ${result.error}`);
+        continue;
+      }
+      counts[result.status] += 1;
+      messages += result.messages;
+      if (result.status === 'renamed') {
+        console.log(`  ↪ ${record.id} imported as ${result.id}`);
+      }
+    }
+
+    console.log(`📥 ${records.length} conversation(s) in ${file}: ` +
+      `${counts.imported} imported, ${counts.renamed} renamed, ${counts.merged} merged, ` +
+      `${counts.skipped} skipped, ${counts.failed} failed (${messages} message(s) added)`);
+    if (counts.failed > 0) process.exit(1);
+  },
+
   'conversations:show': (args) => {
     const convId = args._[2];
     if (!convId) {
@@ -1248,22 +1674,47 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
       console.error('  --multi         Enable multi-turn conversation');
       console.error('  --min-turns N   Minimum turns before close (default: 8)');
       console.error('  --max-turns N   Maximum turns (default: 25)');
+      console.error('  --sign          Sign requests with the local key (binds the token to it)');
+      console.error('  --capability C  Capabilities this request needs (comma-separated)');
+      console.error('  --topic T       Topic the request falls under');
+      console.error('  --downgrade     Drop ungranted capabilities instead of failing');
+      console.error('  --reciprocate   Send a return invite so they can call back (they approve)');
+      console.error('  --stream        Print the reply as it is produced');
+      console.error('  --async         Queue the turn as a job and poll until it finishes');
+      console.error('  --callback H    With --async: have the result POSTed to our A2A host H instead');
+      console.error('  --attach FILES  Attach files (comma-separated; .json, text or small binaries)');
+      console.error('  --intent JSON   Structured request, e.g. {"type":"schedule_meeting","slots":[...]}');
+      console.error('  --no-queue      Do not queue the message for retry if the contact is unreachable');
       process.exit(1);
     }
 
     // Check if target is a contact name (not a URL)
     let url = target;
     let contactName = null;
+    let contact = null;
     if (!target.startsWith('a2a://')) {
-      const remote = store.getContact(target);
-      if (remote) {
-        url = `a2a://${remote.host}/${remote.token}`;
-        contactName = remote.name;
+      contact = store.getContact(target);
+      if (contact) {
+        url = `a2a://${contact.host}/${contact.token}`;
+        contactName = contact.name;
       }
     }
 
     const multi = Boolean(args.flags.multi);
     const callerName = args.flags.name || 'CLI User';
+    const sign = Boolean(args.flags.sign) ||
+      String(process.env.A2A_SIGN_REQUESTS || '').toLowerCase() === 'true';
+    const signingIdentity = sign
+      ? require('../src/lib/signing').loadSigningIdentity(store.configDir)
+      : null;
+    const onTokenRotation = (rotation) => {
+      if (contactName) {
+        store.updateContact(contactName, { token: rotation.token, trace_id: rotation.traceId });
+        console.log(`🔄 ${contactName} rotated our token; contact updated.`);
+      } else {
+        console.log(`🔄 Remote rotated this token. New invite: a2a://${rotation.host}/${rotation.token}`);
+      }
+    };
 
     if (multi) {
       // Multi-turn conversation via ConversationDriver
@@ -1300,10 +1751,17 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
         // Best effort
       }
 
+      // The tier we granted them, which scopes the memory this call reads and adds to.
+      const linkedToken = contact && contact.linked_token_id ? store.findById(contact.linked_token_id) : null;
+
       const driver = new ConversationDriver({
         runtime,
         agentContext,
         caller: { name: callerName },
+        contact: contact ? { id: contact.id, name: contact.name } : null,
+        tier: linkedToken ? linkedToken.tier : undefined,
+        signingIdentity,
+        onTokenRotation,
         endpoint: url,
         convStore: cs,
         disclosure,
@@ -1351,12 +1809,78 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
 
     // Single-shot call (existing behavior)
     const client = new A2AClient({
-      caller: { name: callerName }
+      caller: { name: callerName },
+      signingIdentity,
+      onTokenRotation
     });
+    // Set once the request is built; a plain call to a saved contact can be queued if it fails.
+    let queueable = null;
 
     try {
       console.log(`📞 Calling ${contactName || url}...`);
-      const response = await client.call(url, message);
+      const capabilities = args.flags.capability
+        ? String(args.flags.capability).split(',').map(c => c.trim()).filter(Boolean)
+        : undefined;
+      let returnInvite;
+      if (args.flags.reciprocate) {
+        if (!contactName) {
+          throw new Error('--reciprocate needs a saved contact to link the return token to.');
+        }
+        const tier = typeof args.flags.reciprocate === 'string' ? args.flags.reciprocate : 'public';
+        ({ inviteUrl: returnInvite } = await createReturnInvite(contactName, tier));
+      }
+      // --callback implies --async: the remote answers our server instead of this process.
+      const callbackHost = args.flags.callback ? String(args.flags.callback) : undefined;
+      const asyncMode = Boolean(args.flags.async) || Boolean(callbackHost);
+      if (asyncMode && args.flags.stream) {
+        throw new Error('--stream cannot be combined with --async.');
+      }
+      const attachments = args.flags.attach
+        ? String(args.flags.attach).split(',').map(f => f.trim()).filter(Boolean).map(readAttachmentFile)
+        : undefined;
+      let intent;
+      if (args.flags.intent) {
+        try {
+          intent = JSON.parse(String(args.flags.intent));
+        } catch (err) {
+          throw new Error(`--intent must be JSON: ${err.message}`);
+        }
+      }
+      const callOptions = {
+        capabilities,
+        attachments,
+        intent,
+        topic: args.flags.topic ? String(args.flags.topic) : undefined,
+        onDenied: args.flags.downgrade ? 'downgrade' : undefined,
+        returnInvite,
+        mode: asyncMode ? 'async' : undefined,
+        callback: callbackHost
+      };
+      if (contact && !asyncMode && !args.flags.stream && !returnInvite && !args.flags['no-queue']) {
+        queueable = callOptions;
+      }
+      // --stream prints the reply as it is produced instead of waiting for the whole turn.
+      let streamed = false;
+      let response = args.flags.stream
+        ? await client.callStream(url, message, {
+          ...callOptions,
+          onDelta: (text) => {
+            if (!streamed) console.log(`\n✅ Response:\n`);
+            streamed = true;
+            process.stdout.write(text);
+          }
+        })
+        : await client.call(url, message, callOptions);
+
+      if (response.job_id && callbackHost) {
+        recordCallbackJob(response, { url, message, contactName });
+        return;
+      }
+      if (response.job_id) {
+        console.log(`⏳ Job ${response.job_id} queued; waiting for the result...`);
+        const job = await client.waitForJob(url, response.job_id, { intervalMs: 3000 });
+        response = { ...response, ...job };
+      }
 
       // Update contact status on success
       if (contactName) {
@@ -1407,8 +1931,21 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
         }
       }
 
-      console.log(`\n✅ Response:\n`);
-      console.log(response.response);
+      if (streamed) {
+        process.stdout.write('\n');
+      } else {
+        console.log(`\n✅ Response:\n`);
+        console.log(response.response);
+      }
+      if (response.permissions && response.permissions.decision === 'downgrade') {
+        const dropped = [...response.permissions.denied];
+        if (!response.permissions.topic_allowed) dropped.push(`topic ${args.flags.topic}`);
+        console.log(`\n⚠️  Downgraded; not granted: ${dropped.join(', ')}`);
+      }
+      printReciprocalStatus(response.reciprocal, contactName);
+      if (response.intent) {
+        console.log(`\n🎯 Intent ${response.intent.type} recorded (${response.intent.status})`);
+      }
       if (response.conversation_id) {
         console.log(`\n📝 Conversation ID: ${response.conversation_id}`);
       }
@@ -1418,10 +1955,276 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
         store.updateContactStatus(contactName, 'offline', err.message);
       }
       console.error(`❌ Call failed: ${err.message}`);
+      const queue = queueable && isRetryableError(err) ? getOutboundQueue({ name: callerName }, signingIdentity) : null;
+      if (queue) {
+        const item = queue.enqueue({ contact, message, callOptions: queueable, sign: Boolean(signingIdentity), error: err });
+        console.log(`📮 Queued for retry (${item.id}); next attempt ${item.next_attempt_at}.`);
+        console.log('   The A2A server delivers it once the contact is back. See: a2a queue list');
+        return;
+      }
+      process.exit(1);
+    }
+  },
+
+  queue: async (args) => {
+    const subcommand = args._[1] || 'list';
+    const queue = getOutboundQueue();
+    if (!queue) {
+      console.log('📮 Outbound queue not available (needs conversation storage).');
+      console.log('Install: npm install better-sqlite3');
+      return;
+    }
+
+    if (subcommand === 'list') {
+      const { status, contact, limit = 20 } = args.flags;
+      const remote = contact ? store.getContact(contact) : null;
+      const items = queue.convStore.listOutbound({
+        status: typeof status === 'string' ? status : undefined,
+        contactId: remote ? remote.id : (typeof contact === 'string' ? contact : undefined),
+        limit: parseInt(limit)
+      });
+      if (items.length === 0) {
+        console.log('📮 Outbound queue is empty.');
+        return;
+      }
+      const icons = { pending: '⏳', delivering: '📤', delivered: '✅', failed: '❌', dropped: '🗑️' };
+      console.log(`📮 Outbound queue (${items.length})\n`);
+      for (const item of items) {
+        console.log(`${icons[item.status] || '•'} ${item.id}  ${item.status}`);
+        console.log(`   To: ${item.contact_name || item.contact_id}`);
+        console.log(`   Message: "${item.message.slice(0, 60)}${item.message.length > 60 ? '...' : ''}"`);
+        console.log(`   Attempts: ${item.attempts}/${item.max_attempts}`);
+        if (item.status === 'pending') {
+          console.log(`   Next attempt: ${item.next_attempt_at} | Expires: ${item.expires_at}`);
+        }
+        if (item.last_error && item.status !== 'delivered') {
+          console.log(`   Last error: ${item.last_error_message || item.last_error}`);
+        }
+        console.log();
+      }
+      return;
+    }
+
+    const id = args._[2];
+    if (!['retry', 'drop'].includes(subcommand) || !id) {
+      console.error('Usage: a2a queue [list] [--status S] [--contact NAME] [--limit N]');
+      console.error('       a2a queue retry <id>   # try delivering now');
+      console.error('       a2a queue drop <id>    # stop retrying');
+      process.exit(1);
+    }
+
+    if (subcommand === 'drop') {
+      const result = queue.drop(id);
+      if (!result.success) {
+        console.error(result.error === 'not_found'
+          ? `Queue item not found: ${id}`
+          : `Cannot drop ${id}: it is ${result.item.status}.`);
+        process.exit(1);
+      }
+      console.log(`🗑️  Dropped ${id}.`);
+      return;
+    }
+
+    console.log(`📤 Retrying ${id}...`);
+    const result = await queue.retry(id);
+    if (!result.success) {
+      console.error(result.error === 'not_found'
+        ? `Queue item not found: ${id}`
+        : `Cannot retry ${id}: it is ${result.item.status}.`);
+      process.exit(1);
+    }
+    const item = result.item;
+    if (item.status === 'delivered') {
+      console.log(`\n✅ Delivered. Response:\n`);
+      console.log(item.response && item.response.response);
+      if (item.conversation_id || (item.response && item.response.conversation_id)) {
+        console.log(`\n📝 Conversation ID: ${item.conversation_id || item.response.conversation_id}`);
+      }
+    } else if (item.status === 'pending') {
+      console.log(`⏳ Still unreachable (${item.last_error_message || item.last_error}); next attempt ${item.next_attempt_at}.`);
+    } else {
+      console.error(`❌ Delivery failed: ${item.last_error_message || item.last_error}`);
       process.exit(1);
     }
   },
 
+  todo: (args) => {
+    const subcommand = args._[1] || 'list';
+    const cs = getConvStore();
+    if (!cs) {
+      console.log('✅ Action items not available (needs conversation storage).');
+      console.log('Install: npm install better-sqlite3');
+      return;
+    }
+    const { contact, due, owner, conversation } = args.flags;
+    const remote = typeof contact === 'string' ? store.getContact(contact) : null;
+    const whose = (item) => item.owner === 'owner'
+      ? 'me'
+      : item.owner === 'joint' ? 'both' : (item.contact_name || 'them');
+
+    if (subcommand === 'list') {
+      const { status, limit = 50 } = args.flags;
+      const items = cs.listActionItems({
+        status: args.flags.all ? undefined : (typeof status === 'string' ? status : 'open'),
+        owner: typeof owner === 'string' ? owner : undefined,
+        contactId: remote ? remote.id : (typeof contact === 'string' ? contact : undefined),
+        dueBefore: args.flags.overdue ? new Date().toISOString() : undefined,
+        limit: parseInt(limit) || 50
+      });
+      if (items.length === 0) {
+        console.log('✅ Nothing to do.');
+        return;
+      }
+      const icons = { open: '⬜', done: '✅', dropped: '🗑️' };
+      const now = new Date().toISOString();
+      console.log(`📝 Action items (${items.length})\n`);
+      for (const item of items) {
+        const overdue = item.status === 'open' && item.due_at && item.due_at < now ? ' ⚠️ overdue' : '';
+        console.log(`${icons[item.status] || '•'} ${item.id}  [${whose(item)}] ${item.text}`);
+        const details = [];
+        if (item.due_at) details.push(`Due: ${item.due_at}${overdue}`);
+        if (item.contact_name || item.contact_id) details.push(`Contact: ${item.contact_name || item.contact_id}`);
+        if (item.conversation_id) details.push(`From: ${item.conversation_id}`);
+        if (details.length) console.log(`   ${details.join(' | ')}`);
+      }
+      return;
+    }
+
+    if (subcommand === 'add') {
+      const text = args._.slice(2).join(' ');
+      if (!text) {
+        console.error('Usage: a2a todo add <text> [--contact NAME] [--due DATE] [--owner owner|caller|joint] [--conversation ID]');
+        process.exit(1);
+      }
+      const result = cs.addActionItem({
+        text,
+        owner: typeof owner === 'string' ? owner : 'owner',
+        dueAt: typeof due === 'string' ? due : null,
+        conversationId: typeof conversation === 'string' ? conversation : null,
+        contactId: remote ? remote.id : null,
+        contactName: remote ? remote.name : (typeof contact === 'string' ? contact : null)
+      });
+      if (!result.success) {
+        console.error(`Could not add action item: ${result.error}`);
+        process.exit(1);
+      }
+      console.log(`📝 Added ${result.item.id}: ${result.item.text}`);
+      return;
+    }
+
+    const id = args._[2];
+    const statusFor = { done: 'done', drop: 'dropped', reopen: 'open' };
+    if (!(subcommand in statusFor || subcommand === 'edit') || !id) {
+      console.error('Usage: a2a todo [list] [--all|--status S] [--contact NAME] [--owner O] [--overdue]');
+      console.error('       a2a todo add <text> [--contact NAME] [--due DATE] [--owner owner|caller|joint]');
+      console.error('       a2a todo done|drop|reopen <id>');
+      console.error('       a2a todo edit <id> [--text T] [--due DATE|none] [--owner O]');
+      process.exit(1);
+    }
+
+    const updates = {};
+    if (subcommand === 'edit') {
+      if (typeof args.flags.text === 'string') updates.text = args.flags.text;
+      if (typeof due === 'string') updates.dueAt = due === 'none' ? null : due;
+      if (typeof owner === 'string') updates.owner = owner;
+    } else {
+      updates.status = statusFor[subcommand];
+    }
+    const result = cs.updateActionItem(id, updates);
+    if (!result.success) {
+      console.error(result.error === 'not_found'
+        ? `Action item not found: ${id}`
+        : `Could not update ${id}: ${result.error}`);
+      process.exit(1);
+    }
+    const icons = { open: '⬜', done: '✅', dropped: '🗑️' };
+    console.log(`${icons[result.item.status]} ${result.item.id}  ${result.item.status}: ${result.item.text}`);
+  },
+
+  reciprocate: async (args) => {
+    const name = args._[1];
+    const remote = name ? store.getContact(name) : null;
+    if (!remote || !remote.token) {
+      console.error('Usage: a2a reciprocate <contact> [--tier public|friends|family]');
+      if (name) console.error(`Contact not found or not callable: ${name}`);
+      process.exit(1);
+    }
+
+    let created;
+    try {
+      created = await createReturnInvite(remote.name, args.flags.tier || 'public');
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+    const { A2AConfig } = require('../src/lib/config');
+    const agent = new A2AConfig().getAgent() || {};
+    const client = new A2AClient({ caller: { name: agent.name || 'CLI User', owner: agent.owner || null } });
+    try {
+      const result = await client.reciprocate(`a2a://${remote.host}/${remote.token}`, created.inviteUrl);
+      console.log(`✅ Sent return invite to ${remote.name} (token ${created.record.id}, tier ${created.record.tier})`);
+      printReciprocalStatus(result.reciprocal, remote.name);
+    } catch (err) {
+      store.revoke(created.record.id);
+      console.error(`❌ Could not deliver return invite: ${err.message}`);
+      process.exit(1);
+    }
+  },
+
+  job: async (args) => {
+    const [first, second] = args._.slice(1);
+    if (!first) {
+      console.error('Usage: a2a job <job_id>                    # result delivered to our /callback');
+      console.error('       a2a job <contact_or_url> <job_id>   # ask the remote agent');
+      process.exit(1);
+    }
+
+    let job;
+    if (!second) {
+      const cs = getConvStore();
+      const local = cs ? cs.getJob(first) : null;
+      if (!local || local.direction !== 'outbound') {
+        console.error(`Job not found locally: ${first}. Pass the contact to ask the remote agent.`);
+        process.exit(1);
+      }
+      job = {
+        job_id: local.id,
+        status: local.status,
+        conversation_id: local.conversation_id,
+        ...(local.result || {}),
+        error: local.error,
+        message: local.error_message
+      };
+    } else {
+      let url = first;
+      if (!first.startsWith('a2a://')) {
+        const remote = store.getContact(first);
+        if (!remote) {
+          console.error(`Contact not found: ${first}`);
+          process.exit(1);
+        }
+        url = `a2a://${remote.host}/${remote.token}`;
+      }
+      try {
+        job = await new A2AClient().getJob(url, second);
+      } catch (err) {
+        console.error(`❌ Could not fetch job: ${err.message}`);
+        process.exit(1);
+      }
+    }
+
+    console.log(`Job ${job.job_id}: ${job.status}`);
+    if (job.status === 'completed') {
+      console.log(`\n✅ Response:\n`);
+      console.log(job.response);
+    } else if (job.status === 'failed') {
+      console.log(`❌ ${job.error}${job.message ? `: ${job.message}` : ''}`);
+    }
+    if (job.conversation_id) {
+      console.log(`\n📝 Conversation ID: ${job.conversation_id}`);
+    }
+  },
+
   ping: async (args) => {
     const url = args._[1];
     if (!url) {
@@ -1446,7 +2249,7 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
   gui: async (args) => {
     // GUI is always safe to open even before onboarding.
     const tab = (args.flags.tab || args.flags.t || '').trim().toLowerCase();
-    const allowedTabs = new Set(['contacts', 'calls', 'logs', 'settings', 'invites']);
+    const allowedTabs = new Set(['contacts', 'calls', 'todo', 'queue', 'logs', 'settings', 'invites']);
     const hash = allowedTabs.has(tab) ? `#${tab}` : '';
 
     const urlFlag = args.flags.url;
@@ -1510,20 +2313,107 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     }
   },
 
+  db: (args) => {
+    const subcommand = args._[1] || 'status';
+    if (!['status', 'migrate'].includes(subcommand)) {
+      console.error('Usage: a2a db status                       # schema version of each local database');
+      console.error('       a2a db migrate [--dry-run] [--db NAME] # apply pending migrations');
+      console.error('  NAME: conversations | logs | callbook');
+      process.exit(1);
+    }
+
+    const { listDatabases, inspectDatabase } = require('../src/lib/migrations');
+    let databases = listDatabases(CONFIG_DIR);
+    if (typeof args.flags.db === 'string') {
+      databases = databases.filter(entry => entry.name === args.flags.db);
+      if (databases.length === 0) {
+        console.error(`Unknown database: ${args.flags.db} (conversations, logs or callbook)`);
+        process.exit(1);
+      }
+    }
+
+    const dryRun = Boolean(args.flags['dry-run']);
+    const apply = subcommand === 'migrate';
+    let failed = false;
+    let pending = false;
+    if (apply) {
+      console.log(dryRun ? '🧪 Dry run: nothing will be changed.\n' : '🗄️  Migrating local databases\n');
+    }
+    for (const entry of databases) {
+      let result;
+      try {
+        result = inspectDatabase(entry, { apply, dryRun });
+      } catch (err) {
+        failed = true;
+        console.error(`❌ ${entry.name}: ${err.message}`);
+        continue;
+      }
+      if (!result.exists) {
+        console.log(`⚪ ${entry.name}: not created yet (${entry.path})`);
+        continue;
+      }
+      if (!apply) {
+        const state = result.current > result.latest
+          ? `⚠️  newer than this package (latest ${result.latest})`
+          : result.pending.length ? `${result.pending.length} pending` : 'up to date';
+        console.log(`${result.pending.length ? '🟡' : '🟢'} ${entry.name}: version ${result.current}/${result.latest}, ${state}`);
+        console.log(`   ${entry.path}`);
+        if (result.legacy) console.log('   Created before versioning; migrating keeps its data.');
+        if (result.pending.length) pending = true;
+        for (const migration of result.pending) {
+          console.log(`   • ${migration.version} ${migration.name}`);
+        }
+        continue;
+      }
+      if (result.applied.length === 0) {
+        console.log(`🟢 ${entry.name}: up to date (version ${result.from})`);
+        continue;
+      }
+      console.log(`${dryRun ? '🟡' : '✅'} ${entry.name}: ${result.from} → ${result.to}${dryRun ? ' (would apply)' : ''}`);
+      for (const migration of result.applied) {
+        console.log(`   • ${migration.version} ${migration.name}`);
+      }
+    }
+    if (pending) {
+      console.log('\nApply pending migrations with: a2a db migrate (preview with --dry-run)');
+    }
+    if (failed) process.exit(1);
+  },
+
   config: (args) => {
+    if (args._[1] === 'rotate-key') return commands['config:rotate-key'](args);
+
     const { A2AConfig } = require('../src/lib/config');
     const config = new A2AConfig();
     
     const hostname = args.flags.hostname || args.flags.h;
     const port = args.flags.port || args.flags.p;
-    const show = args.flags.show || args.flags.s || (!hostname && !port);
+    const flag = (name) => (args.flags[name] !== undefined && args.flags[name] !== true ? String(args.flags[name]) : null);
+    const cardFlags = {
+      name: flag('name'),
+      description: flag('description'),
+      avatar_url: flag('avatar-url'),
+      languages: flag('languages'),
+      timezone: flag('timezone'),
+      hours: flag('hours'),
+      contact_policy: flag('contact-policy'),
+      policy_note: flag('policy-note')
+    };
+    const hasCardFlags = Object.values(cardFlags).some(v => v !== null);
+    const show = args.flags.show || args.flags.s || (!hostname && !port && !hasCardFlags);
     
     if (show) {
       const agent = config.getAgent();
+      const availability = agent.availability || {};
+      const policy = agent.contact_policy || {};
       console.log('A2A Configuration:\n');
       console.log(`  Hostname: ${agent.hostname || '(not set)'}`);
       console.log(`  Name: ${agent.name || '(not set)'}`);
       console.log(`  Description: ${agent.description || '(not set)'}`);
+      console.log(`  Avatar URL: ${agent.avatar_url || '(not set)'}`);
+      console.log(`  Languages: ${(agent.languages || []).join(', ') || '(not set)'}`);
+      console.log(`  Availability: ${[availability.hours, availability.timezone].filter(Boolean).join(' ') || '(not set)'}`);
+      console.log(`  Contact policy: ${policy.mode || 'invite_only'}${policy.note ? ` — ${policy.note}` : ''}`);
       const onboarding = config.getAll().onboarding || {};
       console.log(`  Server port: ${onboarding.server_port || '(not running)'}`);
       console.log(`  Onboarding step: ${onboarding.step || 'not started'}`);
@@ -1537,6 +2427,40 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
       updates.hostname = cleanHostname;
       console.log(`  Hostname updated to: ${cleanHostname}`);
     }
+
+    // Agent card fields (served publicly in /status)
+    const current = config.getAgent();
+    if (cardFlags.name !== null) updates.name = cardFlags.name.trim();
+    if (cardFlags.description !== null) updates.description = cardFlags.description.trim();
+    if (cardFlags.avatar_url !== null) updates.avatar_url = cardFlags.avatar_url.trim();
+    if (cardFlags.languages !== null) {
+      updates.languages = cardFlags.languages.split(',').map(l => l.trim()).filter(Boolean);
+    }
+    if (cardFlags.timezone !== null || cardFlags.hours !== null) {
+      updates.availability = {
+        ...(current.availability || {}),
+        ...(cardFlags.timezone !== null ? { timezone: cardFlags.timezone.trim() } : {}),
+        ...(cardFlags.hours !== null ? { hours: cardFlags.hours.trim() } : {})
+      };
+    }
+    if (cardFlags.contact_policy !== null || cardFlags.policy_note !== null) {
+      const { CONTACT_POLICY_MODES } = require('../src/lib/agent-card');
+      const mode = cardFlags.contact_policy !== null
+        ? cardFlags.contact_policy.trim().toLowerCase().replace(/-/g, '_')
+        : null;
+      if (mode !== null && !CONTACT_POLICY_MODES.includes(mode)) {
+        console.error(`Invalid --contact-policy: ${cardFlags.contact_policy} (use ${CONTACT_POLICY_MODES.join(', ')})`);
+        process.exit(1);
+      }
+      updates.contact_policy = {
+        ...(current.contact_policy || {}),
+        ...(mode !== null ? { mode } : {}),
+        ...(cardFlags.policy_note !== null ? { note: cardFlags.policy_note.trim() } : {})
+      };
+    }
+    for (const key of Object.keys(updates)) {
+      if (key !== 'hostname') console.log(`  Agent card ${key} updated.`);
+    }
     
     if (Object.keys(updates).length > 0) {
       config.setAgent(updates);
@@ -1544,6 +2468,33 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     }
   },
 
+  'config:rotate-key': () => {
+    // New secrets come from the environment so they never land in shell history.
+    const newSecret = process.env.A2A_MASTER_KEY_NEW || null;
+    if (process.env.A2A_MASTER_KEY && !newSecret) {
+      console.error('A2A_MASTER_KEY is set; export the new secret as A2A_MASTER_KEY_NEW and re-run.');
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = store.rotateContactKey({ newSecret });
+    } catch (err) {
+      console.error(`❌ Key rotation failed: ${err.message}`);
+      process.exit(1);
+    }
+
+    console.log(`✅ Re-encrypted ${result.rotated} contact token(s) under key ${result.key_id}`);
+    if (result.failed.length) {
+      console.log(`⚠️  ${result.failed.length} contact(s) could not be decrypted and were left unchanged:`);
+      result.failed.forEach(id => console.log(`   - ${id}`));
+      console.log('   Re-add them from a fresh invite.');
+    }
+    if (newSecret) {
+      console.log('\n   Now set A2A_MASTER_KEY to the value of A2A_MASTER_KEY_NEW for the server and CLI.');
+    }
+  },
+
   server: (args) => {
     const explicitPort = args.flags.port || args.flags.p || process.env.PORT;
     if (explicitPort) {
@@ -1958,9 +2909,20 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
     const tokensFile = path.join(configDir, 'a2a-tokens.json');
     const tokenStoreFile = path.join(configDir, 'a2a.json');
     const externalIpFile = path.join(configDir, 'a2a-external-ip.json');
-    const dbFile = path.join(configDir, 'a2a-conversations.db');
-    const logsDbFile = path.join(configDir, 'a2a-logs.db');
-    const callbookDbFile = path.join(configDir, 'a2a-callbook.db');
+    const masterKeyFile = path.join(configDir, 'a2a-master.key');
+    const signingKeyFile = path.join(configDir, 'a2a-signing-key.pem');
+    const configFiles = [
+      configFile, disclosureFile, tokensFile, tokenStoreFile, externalIpFile,
+      masterKeyFile, `${masterKeyFile}.next`, signingKeyFile
+    ];
+    // SQLite databases, with the WAL and shared-memory files WAL mode leaves beside them.
+    const dbFiles = [
+      'a2a-conversations.db', 'a2a-logs.db', 'a2a-callbook.db', 'a2a-tokens.db',
+      'a2a-rate-limits.db', 'a2a-idempotency.db'
+    ].flatMap(name => {
+      const file = path.join(configDir, name);
+      return [file, `${file}-wal`, `${file}-shm`];
+    });
 
     console.log(`\n🗑️  A2A Uninstall`);
     console.log('─────────────────\n');
@@ -1971,7 +2933,7 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
         process.exit(1);
       }
 
-      const existing = [configFile, disclosureFile, tokensFile, tokenStoreFile, externalIpFile, dbFile, logsDbFile, callbookDbFile].filter(f => fs.existsSync(f));
+      const existing = [...configFiles, ...dbFiles].filter(f => fs.existsSync(f));
       const list = existing.length ? existing.map(f => `  - ${f}`).join('\n') : '  (no local config/database files found)';
       const ok = await promptYesNo(
         `This will stop the pm2 process "a2a" and delete:\n${list}\nProceed? (y/N) `
@@ -2082,31 +3044,23 @@ a2a add "${inviteUrl}" "${ownerText || 'friend'}" && a2a call "${ownerText || 'f
 
     if (!keepConfig) {
       process.stdout.write('Removing config... ');
-      const c1 = rmFileSafe(configFile);
-      const c2 = rmFileSafe(disclosureFile);
-      const c3 = rmFileSafe(tokensFile);
-      const c4 = rmFileSafe(tokenStoreFile);
-      const c5 = rmFileSafe(externalIpFile);
-      configOk = Boolean(c1.ok && c2.ok && c3.ok && c4.ok && c5.ok);
+      const configFailures = configFiles
+        .map(file => ({ file, ...rmFileSafe(file) }))
+        .filter(result => !result.ok);
+      configOk = configFailures.length === 0;
       console.log(configOk ? '✅' : '❌');
-      if (!configOk) {
-        if (!c1.ok) console.error(`  ${configFile}: ${c1.error}`);
-        if (!c2.ok) console.error(`  ${disclosureFile}: ${c2.error}`);
-        if (!c3.ok) console.error(`  ${tokensFile}: ${c3.error}`);
-        if (!c4.ok) console.error(`  ${tokenStoreFile}: ${c4.error}`);
-        if (!c5.ok) console.error(`  ${externalIpFile}: ${c5.error}`);
+      for (const failure of configFailures) {
+        console.error(`  ${failure.file}: ${failure.error}`);
       }
 
       process.stdout.write('Removing database... ');
-      const d1 = rmFileSafe(dbFile);
-      const d2 = rmFileSafe(logsDbFile);
-      const d3 = rmFileSafe(callbookDbFile);
-      dbOk = Boolean(d1.ok && d2.ok && d3.ok);
+      const dbFailures = dbFiles
+        .map(file => ({ file, ...rmFileSafe(file) }))
+        .filter(result => !result.ok);
+      dbOk = dbFailures.length === 0;
       console.log(dbOk ? '✅' : '❌');
-      if (!dbOk) {
-        if (!d1.ok) console.error(`  ${dbFile}: ${d1.error}`);
-        if (!d2.ok) console.error(`  ${logsDbFile}: ${d2.error}`);
-        if (!d3.ok) console.error(`  ${callbookDbFile}: ${d3.error}`);
+      for (const failure of dbFailures) {
+        console.error(`  ${failure.file}: ${failure.error}`);
       }
 
       if (!configOk || !dbOk) {
@@ -2260,13 +3214,19 @@ Commands:
     --notify          Owner notification (all, summary, none)
     --max-calls       Maximum invocations (default: 100)
     --link, -l        Auto-link to contact name
+    --allow-cidr      Caller networks allowed to use it (comma-separated, e.g. 203.0.113.0/24)
+    --pin-instance    Only accept calls from this caller host (e.g. alice.example.com)
+    --one-time        Share a single-use code instead of the token itself
+    --code-ttl        How long the one-time code stays redeemable (default: 1d)
 
-  list                List active tokens
-  revoke <id>         Revoke a token
+  list                List active tokens and pending one-time invites
+  revoke <id>         Revoke a token, or an unredeemed one-time invite (invc_...)
+  rotate <id>         Issue a successor token; caller swaps on its next call
+    --grace           How long the old token keeps working (default: 1d)
 
 Contacts:
   contacts            List all contacts (shows permission badges)
-  contacts add <url>  Add a contact
+  contacts add <url>  Add a contact (one-time invites are redeemed first)
     --name, -n        Agent name
     --owner, -o       Owner name
     --server-name     Server label (optional)
@@ -2290,20 +3250,68 @@ Conversations:
   conversations show <id>  Show conversation with messages
     --messages        Number of recent messages (default: 20)
   conversations end <id>   End and summarize conversation
+  conversations search <query>  Full-text search of messages and summaries
+    --contact         Filter by contact
+    --status          Filter by status
+    --limit           Max conversations (default: 20)
+  conversations export [id]  Export conversations (all, or one by id)
+    --since/--until   ISO date range
+    --contact         Filter by contact
+    --format          jsonl (default), markdown, archive (.tar.gz)
+    --out             Write to a file instead of stdout
+  conversations import <file>  Import a jsonl export or archive
+    --on-conflict     skip (default), rename, merge
+  todo [list]         Open action items from call summaries and added by hand
+    --all / --status  All items, or one status (open, done, dropped)
+    --contact         Filter by contact
+    --owner           Whose item: owner (me), caller (them), joint
+    --overdue         Only items past their due date
+  todo add <text>     Track an item (--contact, --due DATE, --owner, --conversation)
+  todo done|drop|reopen <id>  Change an item's status
+  todo edit <id>      Change --text, --due (or none), --owner
 
 Calling:
   call <contact|url> <msg>  Call a contact (or invite URL)
     --multi           Enable multi-turn conversation
     --min-turns N     Minimum turns before close (default: 8)
     --max-turns N     Maximum turns (default: 25)
+    --sign            Sign requests with the local key (or A2A_SIGN_REQUESTS=true)
+    --capability C    Capabilities the request needs, comma-separated (e.g. calendar.read)
+    --topic T         Topic the request falls under
+    --downgrade       Continue with granted capabilities instead of permission_denied
+    --reciprocate [tier]  Include a return invite (new token linked to the contact)
+    --stream          Print the reply as it is produced
+    --async           Queue the turn as a job and poll until it finishes
+    --callback HOST   Have the job result POSTed (signed) to our A2A host instead of polling
+    --attach FILES    Attach files, comma-separated (.json as data, .txt/.md/.csv/.ics as text,
+                      others as binary); the remote token must grant attachments.<type>
+    --intent JSON     Structured request: schedule_meeting, request_intro or ask_resource
+    --no-queue        Fail instead of queueing the message when the contact is unreachable
+  queue [list]        Messages waiting for unreachable contacts (retried by the server)
+    --status          Filter by status (pending, delivered, failed, dropped)
+    --contact         Filter by contact
+  queue retry <id>    Try delivering a pending or failed message now
+  queue drop <id>     Stop retrying a message
+  reciprocate <contact>   Send a contact a return invite so they can call back
+    --tier            Tier for the return token (default: public)
+  job [contact] <job_id>  Show an async job (local callback result, or ask the contact)
   ping <url>          Check if agent is reachable
   status <url>        Get A2A status
   gui                 Open the local dashboard GUI in a browser
-    --tab, -t         Optional: contacts|calls|logs|settings|invites
+    --tab, -t         Optional: contacts|calls|todo|queue|logs|settings|invites
 
 Server:
   server              Start the A2A server
     --port, -p        Port to listen on (default: 3001)
+
+  config              Show or set hostname (--hostname) and the public agent card
+    --name, --description, --avatar-url
+    --languages       Comma-separated (e.g. en,de)
+    --timezone, --hours
+                      Availability, e.g. --timezone Europe/Berlin --hours "09-17 Mon-Fri"
+    --contact-policy  open | invite_only | closed (--policy-note for details)
+  config rotate-key   Re-encrypt stored contact tokens under a new master key
+                      (uses A2A_MASTER_KEY_NEW when A2A_MASTER_KEY is set)
   
   quickstart          Set up A2A server and start onboarding
     --port, -p        Preferred server port (default: 80, fallback: 3001+)
@@ -2318,6 +3326,11 @@ Server:
   update              Update A2A to latest version (npm or git pull)
     --check, -c       Check for updates without installing
 
+  db status           Schema version of the local databases (conversations, logs, callbook)
+  db migrate          Apply pending schema migrations (the server also does this on start)
+    --dry-run         Show what would run without changing anything
+    --db NAME         Only this database
+
   install             Install A2A for OpenClaw
   setup               Auto setup (gateway-aware dashboard install)
   uninstall           Stop server and remove local config/DB
@@ -3,10 +3,14 @@ const state = {
   dashboardStatus: null,
   callbookDevices: [],
   contacts: [],
+  contactRequests: [],
   selectedContactId: null,
   selectedContactCalls: [],
+  selectedContactMemory: null,
   contactCallResult: null,
   calls: [],
+  todo: [],
+  queue: [],
   invites: [],
   logs: [],
   logStats: null,
@@ -266,9 +270,55 @@ function renderContacts() {
   el.innerHTML = `${myAgentsSection}${lastCalledSection}${groupedSections}`;
 }
 
+function renderContactRequests() {
+  const el = document.getElementById('contact-requests');
+  if (!el) return;
+  if (!state.contactRequests.length) {
+    el.innerHTML = '';
+    el.style.display = 'none';
+    return;
+  }
+  el.style.display = 'block';
+  el.innerHTML = `
+    <h3>Contact Requests</h3>
+    <p>These callers sent a return invite so your agent can call them back.</p>
+    ${state.contactRequests.map(r => `
+      <div class="row">
+        <span><strong>${esc(r.caller?.name || 'Unknown agent')}</strong>${r.caller?.owner ? ` (${esc(r.caller.owner)})` : ''} at ${esc(r.host)} via ${esc(r.token_id)}</span>
+        <button data-approve-request="${esc(r.id)}">Approve</button>
+        <button data-deny-request="${esc(r.id)}">Deny</button>
+      </div>
+    `).join('')}
+  `;
+
+  el.querySelectorAll('button[data-approve-request]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await request(`/contact-requests/${encodeURIComponent(btn.dataset.approveRequest)}/approve`, { method: 'POST' });
+        showNotice('Contact linked');
+      } catch (err) {
+        showNotice(err.message);
+      }
+      await loadContacts();
+    });
+  });
+  el.querySelectorAll('button[data-deny-request]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await request(`/contact-requests/${encodeURIComponent(btn.dataset.denyRequest)}/deny`, { method: 'POST' });
+      showNotice('Request denied');
+      await loadContacts();
+    });
+  });
+}
+
 async function loadContacts() {
-  const payload = await request('/contacts');
+  const [payload, requests] = await Promise.all([
+    request('/contacts'),
+    request('/contact-requests')
+  ]);
   state.contacts = payload.contacts || [];
+  state.contactRequests = requests.requests || [];
+  renderContactRequests();
   renderContacts();
   renderContactDetail();
 }
@@ -371,6 +421,43 @@ function bindContactsActions() {
       return;
     }
 
+    const cardBtn = e.target.closest('button[data-refresh-card]');
+    if (cardBtn) {
+      e.preventDefault();
+      const id = cardBtn.dataset.refreshCard;
+      if (!id) return;
+      try {
+        const payload = await request(`/contacts/${encodeURIComponent(id)}/agent-card`, { method: 'POST' });
+        showNotice(payload.agent_card ? 'Agent card refreshed' : 'This agent publishes no card');
+        await loadContacts();
+        await loadCallsForContact(id);
+      } catch (err) {
+        showNotice(err.message);
+      }
+      return;
+    }
+
+    const forgetBtn = e.target.closest('button[data-forget-memory]');
+    if (forgetBtn) {
+      e.preventDefault();
+      const id = state.selectedContactId;
+      const conversationId = forgetBtn.dataset.forgetMemory;
+      if (!id) return;
+      const wipe = !conversationId;
+      if (wipe && !confirm('Forget everything remembered about this contact?')) return;
+      forgetBtn.disabled = true;
+      try {
+        const path = `/contacts/${encodeURIComponent(id)}/memory${wipe ? '' : `/${encodeURIComponent(conversationId)}`}`;
+        await request(path, { method: 'DELETE' });
+        showNotice(wipe ? 'Memory wiped' : 'Call forgotten');
+        await loadCallsForContact(id);
+      } catch (err) {
+        showNotice(err.message);
+        forgetBtn.disabled = false;
+      }
+      return;
+    }
+
     const mineBtn = e.target.closest('button[data-toggle-mine]');
     if (mineBtn) {
       e.preventDefault();
@@ -410,6 +497,7 @@ function bindContactsActions() {
         if (state.selectedContactId && String(state.selectedContactId) === String(id)) {
           state.selectedContactId = null;
           state.selectedContactCalls = [];
+          state.selectedContactMemory = null;
           state.contactCallResult = null;
         }
         await loadContacts();
@@ -481,6 +569,198 @@ async function loadCalls() {
   renderCalls();
 }
 
+function renderSearchResults(payload) {
+  const container = document.getElementById('call-search-results');
+  if (!payload) {
+    container.innerHTML = '';
+    return;
+  }
+  if (!payload.results.length) {
+    container.innerHTML = `<p>No conversations match "${esc(payload.query)}".</p>`;
+    return;
+  }
+  // Snippets arrive HTML-escaped from the server with matches wrapped in <mark>.
+  container.innerHTML = payload.results.map(result => `
+    <div class="card search-result" data-conversation="${esc(result.id)}">
+      <strong>${esc(result.contact?.name || result.contact_name || result.contact_id || 'unknown')}</strong>
+      <span class="meta">${esc(result.status)} · ${fmtDate(result.last_message_at)} · ${result.match_count} match(es)</span>
+      ${result.matches.map(match => `
+        <div>${match.type === 'summary' ? '<em>summary</em>' : esc(match.role)}: ${match.snippet}</div>
+      `).join('')}
+    </div>
+  `).join('');
+  container.querySelectorAll('[data-conversation]').forEach(el => {
+    el.addEventListener('click', () => loadCallDetail(el.dataset.conversation));
+  });
+}
+
+async function searchCalls(query) {
+  if (!query) {
+    renderSearchResults(null);
+    return;
+  }
+  const payload = await request(`/search?q=${encodeURIComponent(query)}&limit=30`);
+  renderSearchResults(payload);
+}
+
+function bindCallSearch() {
+  const input = document.getElementById('call-search');
+  document.getElementById('call-search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchCalls(input.value.trim()).catch(err => showNotice(err.message));
+  });
+  document.getElementById('call-search-clear').addEventListener('click', () => {
+    input.value = '';
+    renderSearchResults(null);
+  });
+}
+
+function todoOwnerLabel(item) {
+  if (item.owner === 'owner') return 'mine';
+  if (item.owner === 'joint') return 'joint';
+  return 'theirs';
+}
+
+function renderTodo() {
+  const select = document.getElementById('todo-add-contact');
+  const selected = select.value;
+  select.innerHTML = '<option value="">(none)</option>' + (state.contacts || [])
+    .map(c => `<option value="${esc(c.id)}">${esc(c.name)}</option>`)
+    .join('');
+  select.value = selected;
+
+  const tbody = document.querySelector('#todo-table tbody');
+  tbody.innerHTML = '';
+  const today = new Date().toISOString().slice(0, 10);
+  state.todo.forEach(item => {
+    const overdue = item.status === 'open' && item.due_at && String(item.due_at).slice(0, 10) < today;
+    const actions = item.status === 'open'
+      ? [['done', 'Done'], ['dropped', 'Drop']]
+      : [['open', 'Reopen']];
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${esc(item.text)}</td>
+      <td>${todoOwnerLabel(item)}</td>
+      <td>${esc(item.contact?.name || item.contact_name || item.contact_id || '-')}</td>
+      <td class="${overdue ? 'overdue' : ''}">${esc(item.due_at ? String(item.due_at).slice(0, 10) : '-')}</td>
+      <td>${esc(item.status)}</td>
+      <td>${item.conversation_id ? `<a href="#calls" data-todo-call="${esc(item.conversation_id)}">${esc(item.conversation_id)}</a>` : '-'}</td>
+      <td>
+        ${actions.map(([status, label]) =>
+          `<button data-todo-id="${esc(item.id)}" data-todo-status="${status}" type="button">${label}</button>`
+        ).join(' ')}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+  tbody.querySelectorAll('button[data-todo-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await request(`/action-items/${encodeURIComponent(btn.dataset.todoId)}`, {
+          method: 'PUT',
+          body: JSON.stringify({ status: btn.dataset.todoStatus })
+        });
+        await loadTodo();
+      } catch (err) {
+        showNotice(err.message);
+      }
+    });
+  });
+  tbody.querySelectorAll('a[data-todo-call]').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      openCallTranscript(link.dataset.todoCall);
+    });
+  });
+}
+
+async function loadTodo() {
+  const params = new URLSearchParams({ limit: '200', status: document.getElementById('todo-status').value });
+  const owner = document.getElementById('todo-owner').value;
+  if (owner) params.set('owner', owner);
+  const payload = await request(`/action-items?${params}`);
+  state.todo = payload.items || [];
+  renderTodo();
+}
+
+function bindTodoActions() {
+  ['todo-status', 'todo-owner'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => loadTodo().catch(err => showNotice(err.message)));
+  });
+  document.getElementById('todo-add-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = document.getElementById('todo-add-text');
+    try {
+      await request('/action-items', {
+        method: 'POST',
+        body: JSON.stringify({
+          text: text.value.trim(),
+          contact_id: document.getElementById('todo-add-contact').value || null,
+          due_at: document.getElementById('todo-add-due').value || null
+        })
+      });
+      text.value = '';
+      document.getElementById('todo-add-due').value = '';
+      showNotice('Added');
+      await loadTodo();
+    } catch (err) {
+      showNotice(err.message);
+    }
+  });
+}
+
+function renderQueue() {
+  const tbody = document.querySelector('#queue-table tbody');
+  tbody.innerHTML = '';
+  state.queue.forEach(item => {
+    const open = item.status === 'pending' || item.status === 'failed';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${esc(item.contact_name || item.contact_id)}</td>
+      <td>${esc(item.message.slice(0, 120))}</td>
+      <td>${esc(item.status)}</td>
+      <td>${item.attempts}/${item.max_attempts}</td>
+      <td>${item.status === 'pending' ? fmtDate(item.next_attempt_at) : '-'}</td>
+      <td>${esc(item.last_error_message || item.last_error || '-')}</td>
+      <td>
+        ${open ? `<button data-queue-retry="${esc(item.id)}" type="button">Retry now</button>
+        <button data-queue-drop="${esc(item.id)}" type="button">Drop</button>` : ''}
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+  tbody.querySelectorAll('button[data-queue-retry]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        const result = await request(`/queue/${encodeURIComponent(btn.dataset.queueRetry)}/retry`, { method: 'POST' });
+        showNotice(result.item.status === 'delivered' ? 'Delivered' : `Still undelivered: ${result.item.last_error_message || result.item.last_error}`);
+        await Promise.all([loadQueue(), loadCalls()]);
+      } catch (err) {
+        showNotice(err.message);
+        btn.disabled = false;
+      }
+    });
+  });
+  tbody.querySelectorAll('button[data-queue-drop]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await request(`/queue/${encodeURIComponent(btn.dataset.queueDrop)}`, { method: 'DELETE' });
+        showNotice('Dropped');
+        await loadQueue();
+      } catch (err) {
+        showNotice(err.message);
+      }
+    });
+  });
+}
+
+async function loadQueue() {
+  const payload = await request('/queue?limit=200');
+  state.queue = payload.items || [];
+  renderQueue();
+}
+
 async function loadCallDetail(conversationId) {
   const payload = await request(`/calls/${encodeURIComponent(conversationId)}?messages=40`);
   const call = payload.call;
@@ -488,13 +768,39 @@ async function loadCallDetail(conversationId) {
   const messages = (call.recentMessages || [])
     .map(msg => `[${fmtDate(msg.timestamp)}] ${msg.direction}: ${msg.content}`)
     .join('\n\n');
+  const intentRows = (call.intents || []).map(intent => `
+    <tr>
+      <td>${esc(intent.type)}</td>
+      <td><pre class="summary">${esc(JSON.stringify(intent.payload, null, 2))}</pre></td>
+      <td>${esc(intent.status)}</td>
+      <td>
+        ${['accepted', 'declined', 'done'].filter(s => s !== intent.status).map(s =>
+          `<button data-intent-id="${esc(intent.id)}" data-intent-status="${s}" data-intent-call="${esc(call.id)}" type="button">${s}</button>`
+        ).join(' ')}
+      </td>
+    </tr>
+  `).join('');
   el.innerHTML = `
     <h3>Call Detail: ${call.id}</h3>
     <p><strong>Contact:</strong> ${call.contact?.name || call.contact || '-'}</p>
     <p><strong>Status:</strong> ${call.status || '-'}</p>
     <p><strong>Summary:</strong> ${(call.summary || call.ownerContext?.summary || '-')}</p>
+    ${intentRows ? `<table><thead><tr><th>Intent</th><th>Details</th><th>Status</th><th>Mark</th></tr></thead><tbody>${intentRows}</tbody></table>` : ''}
     <pre class="summary">${messages || 'No messages recorded.'}</pre>
   `;
+  el.querySelectorAll('button[data-intent-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await request(`/intents/${encodeURIComponent(btn.dataset.intentId)}`, {
+          method: 'PUT',
+          body: JSON.stringify({ status: btn.dataset.intentStatus })
+        });
+        await loadCallDetail(btn.dataset.intentCall);
+      } catch (err) {
+        showNotice(err.message);
+      }
+    });
+  });
 }
 
 function renderContactDetail() {
@@ -526,6 +832,24 @@ function renderContactDetail() {
     }
   })();
 
+  const card = contact.agent_card || null;
+  const cardHtml = card
+    ? `<div style="margin-top:0.6rem;">
+        <div class="row">
+          ${card.avatar_url ? `<img src="${esc(card.avatar_url)}" alt="" width="48" height="48">` : ''}
+          <div>
+            <strong>${esc(card.name || contactLabel(contact))}</strong>${card.owner ? ` · ${esc(card.owner)}` : ''}<br>
+            ${esc(card.description || '')}
+          </div>
+        </div>
+        <div><strong>Languages:</strong> ${esc((card.languages || []).join(', ') || '-')}</div>
+        <div><strong>Public topics:</strong> ${esc((card.topics || []).map(t => t.topic).join(', ') || '-')}</div>
+        <div><strong>Availability:</strong> ${esc([card.availability?.hours, card.availability?.timezone].filter(Boolean).join(' ') || '-')}</div>
+        <div><strong>Contact policy:</strong> ${esc(card.contact_policy?.mode || '-')}${card.contact_policy?.note ? ` — ${esc(card.contact_policy.note)}` : ''}</div>
+        <div><strong>Fetched:</strong> ${esc(fmtDate(contact.agent_card_fetched_at))}</div>
+      </div>`
+    : '<div style="margin-top:0.6rem;">No agent card cached.</div>';
+
   const result = state.contactCallResult;
   const resultHtml = result
     ? `<div style="margin-top:0.6rem;">
@@ -536,6 +860,28 @@ function renderContactDetail() {
       </div>`
     : '';
 
+  const memoryEntries = state.selectedContactMemory?.entries || [];
+  const memoryHtml = memoryEntries.length
+    ? memoryEntries.slice().reverse().map(entry => `
+        <form data-memory-entry="${esc(entry.conversation_id)}" style="margin-top:0.6rem;">
+          <div class="row">
+            <strong>${esc(fmtDate(entry.at))}</strong>
+            <span class="mono">${esc(entry.conversation_id)}</span>
+            <span>${esc(entry.tier || 'any tier')}</span>
+            ${entry.edited ? '<span>edited</span>' : ''}
+          </div>
+          <label>Summary <textarea data-memory-field="summary" rows="3">${esc(entry.summary || '')}</textarea></label>
+          <label>Threads (one per line) <textarea data-memory-field="threads" rows="2">${esc(toLines(entry.threads))}</textarea></label>
+          <label>Collaborations (one per line) <textarea data-memory-field="collaborations" rows="2">${esc(toLines(entry.collaborations))}</textarea></label>
+          <label>Open questions (one per line) <textarea data-memory-field="open_questions" rows="2">${esc(toLines(entry.open_questions))}</textarea></label>
+          <div class="row">
+            <button type="submit">Save</button>
+            <button data-forget-memory="${esc(entry.conversation_id)}" type="button">Forget</button>
+          </div>
+        </form>
+      `).join('')
+    : '<div style="margin-top:0.6rem;">Nothing remembered yet. Concluded calls are added here.</div>';
+
   const callRows = calls.map(call => {
     const summary = String(call.summary || call.owner_summary || '').trim();
     const preview = summary ? summary.slice(0, 140) : '-';
@@ -571,6 +917,14 @@ function renderContactDetail() {
 
     ${resultHtml}
 
+    <details style="margin-top:0.8rem;" open>
+      <summary><strong>Agent card</strong></summary>
+      ${cardHtml}
+      <div class="row">
+        <button data-refresh-card="${esc(contact.id)}" type="button">Refresh card</button>
+      </div>
+    </details>
+
     <details style="margin-top:0.8rem;" open>
 	      <summary><strong>Edit contact</strong></summary>
 	      <form id="contact-edit-form" data-contact-id="${esc(contact.id)}" style="margin-top:0.6rem;">
@@ -597,6 +951,12 @@ function renderContactDetail() {
       </form>
     </details>
 
+    <details style="margin-top:0.8rem;">
+      <summary><strong>Memory (${esc(String(memoryEntries.length))})</strong></summary>
+      ${memoryHtml}
+      ${memoryEntries.length ? '<div class="row" style="margin-top:0.6rem;"><button data-forget-memory="" type="button">Wipe memory</button></div>' : ''}
+    </details>
+
     <details style="margin-top:0.8rem;">
       <summary><strong>Call history</strong></summary>
       <div style="margin-top:0.6rem;">
@@ -608,6 +968,28 @@ function renderContactDetail() {
     </details>
   `;
 
+  el.querySelectorAll('form[data-memory-entry]').forEach(form => {
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const field = name => form.querySelector(`[data-memory-field="${name}"]`).value;
+      try {
+        await request(`/contacts/${encodeURIComponent(contact.id)}/memory/${encodeURIComponent(form.dataset.memoryEntry)}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            summary: field('summary').trim(),
+            threads: fromLines(field('threads')),
+            collaborations: fromLines(field('collaborations')),
+            open_questions: fromLines(field('open_questions'))
+          })
+        });
+        showNotice('Memory saved');
+        await loadCallsForContact(contact.id);
+      } catch (err) {
+        showNotice(err.message);
+      }
+    });
+  });
+
   const editForm = document.getElementById('contact-edit-form');
   if (editForm) {
     const mineEl = document.getElementById('contact-edit-mine');
@@ -700,6 +1082,13 @@ async function callContact(contactId, message) {
       method: 'POST',
       body: JSON.stringify({ message })
     });
+    if (result.queued) {
+      state.contactCallResult = { success: false, error: result.message, response: null, conversation_id: null };
+      renderContactDetail();
+      showNotice('Contact unreachable; message queued in the Outbox');
+      await Promise.all([loadContacts(), loadQueue()]);
+      return;
+    }
     state.contactCallResult = {
       success: true,
       response: result.response || '',
@@ -727,6 +1116,13 @@ async function loadCallsForContact(contactId, contactName) {
     state.selectedContactCalls = [];
   }
 
+  try {
+    const payload = await request(`/contacts/${encodeURIComponent(id)}/memory`);
+    state.selectedContactMemory = payload.memory || null;
+  } catch (err) {
+    state.selectedContactMemory = null;
+  }
+
   renderContacts();
   renderContactDetail();
 }
@@ -1166,7 +1562,10 @@ function renderInvites() {
       <td>${invite.calls_made || 0}${invite.max_calls ? `/${invite.max_calls}` : ''}</td>
       <td>${fmtDate(invite.expires_at)}</td>
       <td>${invite.revoked ? 'revoked' : 'active'}</td>
-      <td><button data-revoke="${invite.id}" ${invite.revoked ? 'disabled' : ''}>Revoke</button></td>
+      <td>
+        <button data-revoke="${invite.id}" ${invite.revoked ? 'disabled' : ''}>Revoke</button>
+        <button data-request-reciprocal="${invite.id}" ${invite.revoked ? 'disabled' : ''}>Ask for return invite</button>
+      </td>
     `;
     tbody.appendChild(tr);
   });
@@ -1179,6 +1578,13 @@ function renderInvites() {
       await loadInvites();
     });
   });
+
+  tbody.querySelectorAll('button[data-request-reciprocal]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await request(`/invites/${encodeURIComponent(btn.dataset.requestReciprocal)}/request-reciprocal`, { method: 'POST' });
+      showNotice('They will be asked for a return invite on their next call');
+    });
+  });
 }
 
 async function loadInvites() {
@@ -1196,7 +1602,8 @@ function bindInviteActions() {
       tier: document.getElementById('invite-tier').value,
       expires: document.getElementById('invite-expires').value,
       max_calls: Number.parseInt(document.getElementById('invite-max-calls').value, 10),
-      notify: document.getElementById('invite-notify').value
+      notify: document.getElementById('invite-notify').value,
+      one_time: document.getElementById('invite-one-time').checked
     };
     const result = await request('/invites', {
       method: 'POST',
@@ -1215,6 +1622,8 @@ function bindInviteActions() {
 function bindRefreshButtons() {
   document.getElementById('refresh-contacts').addEventListener('click', () => loadContacts().catch(err => showNotice(err.message)));
   document.getElementById('refresh-calls').addEventListener('click', () => loadCalls().catch(err => showNotice(err.message)));
+  document.getElementById('refresh-todo').addEventListener('click', () => loadTodo().catch(err => showNotice(err.message)));
+  document.getElementById('refresh-queue').addEventListener('click', () => loadQueue().catch(err => showNotice(err.message)));
   document.getElementById('refresh-invites').addEventListener('click', () => loadInvites().catch(err => showNotice(err.message)));
   document.getElementById('refresh-logs').addEventListener('click', () => loadLogs().catch(err => showNotice(err.message)));
   document.getElementById('refresh-log-stats').addEventListener('click', () => loadLogStats().catch(err => showNotice(err.message)));
@@ -1249,6 +1658,8 @@ async function bootstrap() {
   bindCallbookActions();
   bindInviteActions();
   bindRefreshButtons();
+  bindCallSearch();
+  bindTodoActions();
 
   try {
     await Promise.all([
@@ -1257,6 +1668,8 @@ async function bootstrap() {
       loadCallbookDevices(),
       loadContacts(),
       loadCalls(),
+      loadTodo(),
+      loadQueue(),
       loadInvites(),
       loadLogStats(),
       loadLogs()
@@ -0,0 +1,168 @@
+/**
+ * Agent card
+ *
+ * The public profile a host publishes in /status and the discovery document:
+ * who the agent is, what it will talk about with strangers, when it is around
+ * and how it takes new contacts. Built from the `agent` block of the config and
+ * the `public` tier of the disclosure manifest, so nothing from higher tiers
+ * can leak into it.
+ *
+ * Cards fetched from other hosts are untrusted input; normalizeAgentCard()
+ * caps every field before a card is stored on a contact or shown.
+ */
+
+const CONTACT_POLICY_MODES = ['open', 'invite_only', 'closed'];
+
+const LIMITS = {
+  name: 100,
+  owner: 100,
+  description: 500,
+  avatar_url: 500,
+  language: 20,
+  languages: 10,
+  topic: 80,
+  topic_description: 200,
+  topics: 20,
+  timezone: 60,
+  hours: 120,
+  policy_note: 300
+};
+
+function cleanString(value, max) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function cleanList(value, maxItems, maxLength) {
+  const items = Array.isArray(value)
+    ? value
+    : String(value || '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const item of items) {
+    const text = cleanString(item, maxLength);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key)) continue;
+    seen.add(key);
+    result.push(text);
+    if (result.length >= maxItems) break;
+  }
+  return result;
+}
+
+// Only http(s) avatars; anything else (data:, javascript:) is dropped.
+function cleanAvatarUrl(value) {
+  const text = cleanString(value, LIMITS.avatar_url);
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function cleanTopics(value) {
+  if (!Array.isArray(value)) return [];
+  const result = [];
+  for (const item of value) {
+    const entry = typeof item === 'string' ? { topic: item } : item;
+    if (!entry || typeof entry !== 'object') continue;
+    const topic = cleanString(entry.topic, LIMITS.topic);
+    if (!topic) continue;
+    result.push({
+      topic,
+      description: cleanString(entry.description, LIMITS.topic_description) || null
+    });
+    if (result.length >= LIMITS.topics) break;
+  }
+  return result;
+}
+
+function cleanAvailability(value) {
+  const source = value && typeof value === 'object' ? value : {};
+  return {
+    timezone: cleanString(source.timezone, LIMITS.timezone) || null,
+    hours: cleanString(source.hours, LIMITS.hours) || null
+  };
+}
+
+function cleanContactPolicy(value) {
+  const source = value && typeof value === 'object' ? value : { mode: value };
+  const mode = cleanString(source.mode, 20).toLowerCase().replace(/[-\s]+/g, '_');
+  return {
+    mode: CONTACT_POLICY_MODES.includes(mode) ? mode : 'invite_only',
+    note: cleanString(source.note, LIMITS.policy_note) || null
+  };
+}
+
+/**
+ * Normalize a card from any source into the published shape.
+ * Returns null when `card` is not an object.
+ */
+function normalizeAgentCard(card) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) return null;
+  return {
+    name: cleanString(card.name, LIMITS.name) || null,
+    owner: cleanString(card.owner, LIMITS.owner) || null,
+    description: cleanString(card.description, LIMITS.description) || null,
+    avatar_url: cleanAvatarUrl(card.avatar_url),
+    languages: cleanList(card.languages, LIMITS.languages, LIMITS.language),
+    topics: cleanTopics(card.topics),
+    availability: cleanAvailability(card.availability),
+    contact_policy: cleanContactPolicy(card.contact_policy)
+  };
+}
+
+/**
+ * Build this host's card.
+ *
+ * @param {object} options
+ * @param {object} [options.agent] - A2AConfig.getAgent()
+ * @param {object} [options.agentContext] - { name, owner } from the workspace
+ * @param {Array} [options.publicTopics] - topics of the public disclosure tier
+ */
+function buildAgentCard({ agent = {}, agentContext = {}, publicTopics = [] } = {}) {
+  const source = agent && typeof agent === 'object' ? agent : {};
+  const context = agentContext && typeof agentContext === 'object' ? agentContext : {};
+  return normalizeAgentCard({
+    name: source.name || context.name,
+    owner: source.owner || context.owner,
+    description: source.description,
+    avatar_url: source.avatar_url,
+    languages: source.languages,
+    topics: publicTopics,
+    availability: source.availability,
+    contact_policy: source.contact_policy
+  });
+}
+
+/**
+ * Build the card from the current config and disclosure manifest. Either may be
+ * missing on a fresh install; the card then carries only the workspace name.
+ */
+function loadAgentCard({ config = null, agentContext = {} } = {}) {
+  let agent = {};
+  try {
+    agent = (config && config.getAgent()) || {};
+  } catch (err) {
+    agent = {};
+  }
+
+  let publicTopics = [];
+  try {
+    const { getTopicsForTier } = require('./disclosure');
+    publicTopics = getTopicsForTier('public').topics || [];
+  } catch (err) {
+    publicTopics = [];
+  }
+
+  return buildAgentCard({ agent, agentContext, publicTopics });
+}
+
+module.exports = {
+  CONTACT_POLICY_MODES,
+  normalizeAgentCard,
+  buildAgentCard,
+  loadAgentCard
+};
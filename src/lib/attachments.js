@@ -0,0 +1,198 @@
+/**
+ * Typed attachments for /invoke
+ *
+ * Callers may send a few attachments alongside `message`:
+ *
+ *   { "type": "json",   "name": "slots.json", "data": { "slots": [...] } }
+ *   { "type": "text",   "name": "notes.md",   "mime_type": "text/markdown", "data": "..." }
+ *   { "type": "binary", "name": "map.png",    "mime_type": "image/png", "data": "<base64>" }
+ *
+ * Each type is a capability (`attachments.json`, `attachments.text`,
+ * `attachments.binary`; granting `attachments` covers all three). The route adds
+ * them to the request's declared capabilities, so ungranted attachments follow
+ * `on_denied` like anything else: reject fails the call, downgrade drops them.
+ *
+ * Accepted attachments are stored in the inbound message's metadata and handed
+ * to the runtime; binary content never goes into the prompt, only its description.
+ */
+
+const crypto = require('crypto');
+
+const ATTACHMENT_TYPES = ['json', 'text', 'binary'];
+
+const LIMITS = {
+  max_count: 5,
+  max_bytes: {
+    json: 32 * 1024,
+    text: 32 * 1024,
+    binary: 48 * 1024
+  },
+  max_total_bytes: 64 * 1024,
+  max_name_length: 120
+};
+
+const BINARY_MIME_TYPES = [
+  'application/octet-stream',
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp'
+];
+const TEXT_MIME_PATTERN = /^text\/[a-z0-9.+-]{1,60}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+function invalid(message) {
+  return { error: 'invalid_attachments', message };
+}
+
+function capabilityFor(type) {
+  return `attachments.${type}`;
+}
+
+// Names are labels, not paths: keep the last segment and drop control characters.
+function cleanName(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const base = String(value).split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return base.slice(0, LIMITS.max_name_length) || null;
+}
+
+function normalizeOne(entry, index) {
+  const label = `attachments[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return invalid(`${label} must be an object`);
+  }
+  const type = String(entry.type || '');
+  if (!ATTACHMENT_TYPES.includes(type)) {
+    return invalid(`${label}.type must be one of ${ATTACHMENT_TYPES.join(', ')}`);
+  }
+
+  let mimeType;
+  let size;
+  const data = entry.data;
+  if (type === 'json') {
+    if (data === undefined) return invalid(`${label}.data is required`);
+    mimeType = 'application/json';
+    size = Buffer.byteLength(JSON.stringify(data));
+  } else if (type === 'text') {
+    if (typeof data !== 'string') return invalid(`${label}.data must be a string`);
+    mimeType = String(entry.mime_type || 'text/plain').toLowerCase();
+    if (!TEXT_MIME_PATTERN.test(mimeType)) {
+      return invalid(`${label}.mime_type must be a text/* type`);
+    }
+    size = Buffer.byteLength(data);
+  } else {
+    if (typeof data !== 'string' || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+      return invalid(`${label}.data must be base64`);
+    }
+    mimeType = String(entry.mime_type || 'application/octet-stream').toLowerCase();
+    if (!BINARY_MIME_TYPES.includes(mimeType)) {
+      return invalid(`${label}.mime_type must be one of ${BINARY_MIME_TYPES.join(', ')}`);
+    }
+    size = Buffer.from(data, 'base64').length;
+  }
+
+  if (size > LIMITS.max_bytes[type]) {
+    return invalid(`${label} is ${size} bytes; ${type} attachments are limited to ${LIMITS.max_bytes[type]}`);
+  }
+
+  return {
+    attachment: {
+      id: `att_${crypto.randomBytes(6).toString('hex')}`,
+      type,
+      name: cleanName(entry.name),
+      mime_type: mimeType,
+      size,
+      data
+    }
+  };
+}
+
+/**
+ * Validate the `attachments` field of an invoke body.
+ * Returns { attachments } or { error, message } for malformed or oversized input.
+ */
+function normalizeAttachments(value) {
+  if (value === undefined || value === null) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(value)) {
+    return invalid('attachments must be an array');
+  }
+  if (value.length > LIMITS.max_count) {
+    return invalid(`At most ${LIMITS.max_count} attachments may be sent`);
+  }
+
+  const attachments = [];
+  let total = 0;
+  for (let i = 0; i < value.length; i++) {
+    const result = normalizeOne(value[i], i);
+    if (result.error) return result;
+    total += result.attachment.size;
+    attachments.push(result.attachment);
+  }
+  if (total > LIMITS.max_total_bytes) {
+    return invalid(`Attachments total ${total} bytes; the limit is ${LIMITS.max_total_bytes}`);
+  }
+  return { attachments };
+}
+
+/**
+ * Capabilities a set of attachments needs, one per type present.
+ */
+function requiredCapabilities(attachments) {
+  return [...new Set((attachments || []).map(a => capabilityFor(a.type)))];
+}
+
+/**
+ * Attachments whose type capability is in `granted` (the evaluated request's
+ * granted list), so a downgraded call keeps only what the token allows.
+ */
+function filterGranted(attachments, granted) {
+  const allowed = new Set(granted || []);
+  return (attachments || []).filter(a => allowed.has(capabilityFor(a.type)));
+}
+
+/**
+ * Limits published in the discovery document.
+ */
+function describeLimits() {
+  return {
+    max_count: LIMITS.max_count,
+    max_bytes: { ...LIMITS.max_bytes },
+    max_total_bytes: LIMITS.max_total_bytes,
+    binary_mime_types: BINARY_MIME_TYPES.slice(),
+    text_mime_types: 'text/*'
+  };
+}
+
+/**
+ * Plain-text rendering for the runtime prompt. JSON and text are included
+ * verbatim (they are already size-capped); binary is described only.
+ */
+function formatAttachmentsForPrompt(attachments) {
+  if (!attachments || attachments.length === 0) return '';
+  const lines = ['Attachments from the caller:'];
+  attachments.forEach((a, i) => {
+    const label = a.name || `attachment ${i + 1}`;
+    if (a.type === 'binary') {
+      lines.push(`- ${label} (${a.mime_type}, ${a.size} bytes; binary content not shown)`);
+      return;
+    }
+    const body = a.type === 'json' ? JSON.stringify(a.data, null, 2) : a.data;
+    lines.push(`- ${label} (${a.mime_type}, ${a.size} bytes):`);
+    lines.push(body.split('\n').map(line => `    ${line}`).join('\n'));
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  BINARY_MIME_TYPES,
+  LIMITS,
+  normalizeAttachments,
+  requiredCapabilities,
+  filterGranted,
+  describeLimits,
+  formatAttachmentsForPrompt
+};
@@ -5,6 +5,8 @@
  * - No messages for 60 seconds (configurable)
  * - Explicit end signal received
  * - Max duration exceeded
+ *
+ * Cancelled conversations are left as they are (no summary, no notification).
  */
 
 const { createLogger } = require('./logger');
@@ -93,6 +95,22 @@ class CallMonitor {
     if (!this.convStore) return { success: false, error: 'no_store' };
     
     try {
+      // A cancelled conversation ends on a turn with no reply: summarize the turns
+      // that were answered, and skip it only when none were.
+      const existing = this.convStore.getConversation(conversationId, { includeMessages: true });
+      const cancelled = Boolean(existing && existing.status === 'cancelled');
+      if (cancelled && !existing.messages.some(m => m.direction === 'outbound')) {
+        this.logger.debug('Skipping summary for cancelled conversation with no replies', {
+          event: 'call_monitor_skip_cancelled',
+          conversationId,
+          traceId: convData?.callerInfo?.trace_id || convData?.callerInfo?.traceId,
+          data: {
+            reason
+          }
+        });
+        return { success: true, skipped: true, status: 'cancelled' };
+      }
+
       this.logger.info('Concluding conversation', {
         event: 'call_monitor_end_conversation',
         conversationId,
@@ -103,7 +121,8 @@ class CallMonitor {
       });
       const result = await this.convStore.concludeConversation(conversationId, {
         summarizer: this.summarizer,
-        ownerContext: this.ownerContext
+        ownerContext: this.ownerContext,
+        answeredOnly: cancelled
       });
       
       if (result.success) {
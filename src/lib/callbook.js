@@ -16,6 +16,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { ensureMigrated } = require('./migrations');
 
 const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
   process.env.OPENCLAW_CONFIG_DIR ||
@@ -23,6 +24,55 @@ const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
 
 const DB_FILENAME = 'a2a-callbook.db';
 
+/**
+ * Schema history for a2a-callbook.db, applied in order by ./migrations.
+ * Append new steps; never edit one that has shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS provision_codes (
+          id TEXT PRIMARY KEY,
+          code_hash TEXT NOT NULL UNIQUE,
+          label TEXT,
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          used_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_provision_codes_expires ON provision_codes(expires_at);
+        CREATE INDEX IF NOT EXISTS idx_provision_codes_used ON provision_codes(used_at);
+
+        CREATE TABLE IF NOT EXISTS devices (
+          id TEXT PRIMARY KEY,
+          label TEXT,
+          created_at TEXT NOT NULL,
+          revoked_at TEXT,
+          last_used_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_devices_revoked ON devices(revoked_at);
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          device_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at TEXT NOT NULL,
+          revoked_at TEXT,
+          last_used_at TEXT,
+          FOREIGN KEY(device_id) REFERENCES devices(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_device_id ON sessions(device_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_revoked ON sessions(revoked_at);
+      `);
+    }
+  }
+];
+
 function nowIso() {
   return new Date().toISOString();
 }
@@ -67,50 +117,22 @@ class CallbookStore {
       this._prepareStatements();
       return this.db;
     } catch (err) {
+      if (this.db) {
+        try {
+          this.db.close();
+        } catch (closeErr) {
+          // best effort
+        }
+        this.db = null;
+      }
       this._dbError = err && err.message ? err.message : 'failed_to_initialize_callbook_db';
       return null;
     }
   }
 
   _migrate() {
-    this.db.exec(`
-      PRAGMA journal_mode = WAL;
-
-      CREATE TABLE IF NOT EXISTS provision_codes (
-        id TEXT PRIMARY KEY,
-        code_hash TEXT NOT NULL UNIQUE,
-        label TEXT,
-        created_at TEXT NOT NULL,
-        expires_at TEXT NOT NULL,
-        used_at TEXT
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_provision_codes_expires ON provision_codes(expires_at);
-      CREATE INDEX IF NOT EXISTS idx_provision_codes_used ON provision_codes(used_at);
-
-      CREATE TABLE IF NOT EXISTS devices (
-        id TEXT PRIMARY KEY,
-        label TEXT,
-        created_at TEXT NOT NULL,
-        revoked_at TEXT,
-        last_used_at TEXT
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_devices_revoked ON devices(revoked_at);
-
-      CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY,
-        device_id TEXT NOT NULL,
-        token_hash TEXT NOT NULL UNIQUE,
-        created_at TEXT NOT NULL,
-        revoked_at TEXT,
-        last_used_at TEXT,
-        FOREIGN KEY(device_id) REFERENCES devices(id)
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_sessions_device_id ON sessions(device_id);
-      CREATE INDEX IF NOT EXISTS idx_sessions_revoked ON sessions(revoked_at);
-    `);
+    this.db.pragma('journal_mode = WAL');
+    ensureMigrated(this.db, MIGRATIONS, { database: 'callbook' });
   }
 
   _prepareStatements() {
@@ -353,6 +375,7 @@ class CallbookStore {
 module.exports = {
   DEFAULT_CONFIG_DIR,
   DB_FILENAME,
+  MIGRATIONS,
   CallbookStore
 };
 
@@ -0,0 +1,139 @@
+/**
+ * Capability enforcement for A2A invoke calls
+ *
+ * A token's `capabilities` and `allowed_topics` are snapshotted at creation.
+ * Callers declare what a request needs in the /invoke body:
+ *
+ *   { "message": "...", "capabilities": ["calendar.read"], "topic": "calendar.read",
+ *     "on_denied": "reject" | "downgrade" }
+ *
+ * Grants are hierarchical: `calendar` covers `calendar.read` and `calendar.write`,
+ * `calendar.*` covers the same children, and `*` covers everything.
+ *
+ * - reject (default): any ungranted capability or topic fails with permission_denied
+ * - downgrade: ungranted entries are dropped and the call continues with the rest
+ *
+ * The runtime adapter re-derives what each turn needs (context-read for any
+ * turn, plus its attachments, intent and topic) and checks that against the
+ * grant before running it, so a handler cannot widen what the route approved.
+ */
+
+const MAX_REQUESTED = 16;
+const CAPABILITY_PATTERN = /^[a-z0-9][a-z0-9_.:*-]{0,63}$/i;
+const DENIAL_MODES = ['reject', 'downgrade'];
+
+function permissionDeniedError(message, data) {
+  const err = new Error(message);
+  err.code = 'permission_denied';
+  if (data) err.data = data;
+  return err;
+}
+
+/**
+ * True when a single grant covers the requested capability.
+ */
+function grantCovers(grant, requested) {
+  if (!grant || !requested) return false;
+  if (grant === '*' || grant === requested) return true;
+  const parent = grant.endsWith('.*') ? grant.slice(0, -2) : grant;
+  return requested.startsWith(`${parent}.`);
+}
+
+function isGranted(requested, grants) {
+  return (grants || []).some(grant => grantCovers(String(grant), requested));
+}
+
+/**
+ * Normalize the caller-declared capability list.
+ * Returns { capabilities } or { error } for malformed input.
+ */
+function normalizeRequested(value) {
+  if (value === undefined || value === null || value === '') {
+    return { capabilities: [] };
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length > MAX_REQUESTED) {
+    return { error: `At most ${MAX_REQUESTED} capabilities may be requested` };
+  }
+  const out = [];
+  for (const entry of list) {
+    if (typeof entry !== 'string' || !CAPABILITY_PATTERN.test(entry.trim())) {
+      return { error: 'Capabilities must be short identifiers such as "calendar.read"' };
+    }
+    const trimmed = entry.trim();
+    if (!out.includes(trimmed)) out.push(trimmed);
+  }
+  return { capabilities: out };
+}
+
+/**
+ * Decide whether a request fits a token's grant.
+ *
+ * @param {object} request - { capabilities, topic, on_denied } from the invoke body
+ * @param {object} grant - { capabilities, allowed_topics } from TokenStore.validate()
+ * @returns {object} { decision: 'allow'|'downgrade'|'deny', requested, granted, denied,
+ *   topic, topic_allowed, mode } or { error, message } for malformed input
+ */
+function evaluateRequest(request = {}, grant = {}) {
+  const normalized = normalizeRequested(request.capabilities);
+  if (normalized.error) {
+    return { error: 'invalid_capabilities', message: normalized.error };
+  }
+
+  const mode = request.on_denied === undefined || request.on_denied === null
+    ? 'reject'
+    : String(request.on_denied);
+  if (!DENIAL_MODES.includes(mode)) {
+    return { error: 'invalid_capabilities', message: 'on_denied must be "reject" or "downgrade"' };
+  }
+
+  let topic = null;
+  if (request.topic !== undefined && request.topic !== null && request.topic !== '') {
+    if (typeof request.topic !== 'string' || !CAPABILITY_PATTERN.test(request.topic.trim())) {
+      return { error: 'invalid_capabilities', message: 'topic must be a short identifier such as "chat"' };
+    }
+    topic = request.topic.trim();
+  }
+
+  const requested = normalized.capabilities;
+  const granted = requested.filter(cap => isGranted(cap, grant.capabilities));
+  const denied = requested.filter(cap => !granted.includes(cap));
+  const topicAllowed = topic === null || isGranted(topic, grant.allowed_topics);
+
+  let decision = 'allow';
+  if (denied.length > 0 || !topicAllowed) {
+    decision = mode === 'downgrade' ? 'downgrade' : 'deny';
+  }
+
+  return {
+    decision,
+    mode,
+    requested,
+    granted,
+    denied,
+    topic: topicAllowed ? topic : null,
+    requested_topic: topic,
+    topic_allowed: topicAllowed
+  };
+}
+
+/**
+ * Throw permission_denied when `required` is not covered by `grants`.
+ * Used by the runtime adapter as a last check before running a turn.
+ */
+function assertGranted(required, grants) {
+  const missing = (required || []).filter(cap => !isGranted(cap, grants));
+  if (missing.length > 0) {
+    throw permissionDeniedError(`Capability not granted: ${missing.join(', ')}`, { missing });
+  }
+}
+
+module.exports = {
+  DENIAL_MODES,
+  grantCovers,
+  isGranted,
+  normalizeRequested,
+  evaluateRequest,
+  assertGranted,
+  permissionDeniedError
+};
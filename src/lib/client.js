@@ -4,6 +4,28 @@
 
 const https = require('https');
 const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { signRequest } = require('./signing');
+const { STREAM_FORMATS, createStreamParser } = require('./invoke-stream');
+const {
+  PROTOCOL_HEADER,
+  DISCOVERY_PATH,
+  V0_FEATURES,
+  describePeer,
+  shapeInvokeBody
+} = require('./protocol');
+const { normalizeAgentCard } = require('./agent-card');
+const { normalizeAttachments } = require('./attachments');
+const { HEADER: IDEMPOTENCY_HEADER } = require('./idempotency');
+
+// Failures where the request may or may not have reached the host; safe to retry under a key.
+const RETRYABLE_ERRORS = ['network_error', 'timeout', 'idempotency_in_progress'];
+const MAX_RETRY_DELAY_MS = 10000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 function splitHostPort(rawHost) {
   const host = String(rawHost || '').trim();
@@ -50,10 +72,196 @@ function resolveProtocolAndPort(host) {
   return { protocol, hostname, port };
 }
 
+/**
+ * A dns.lookup replacement that always answers with one address, so a request
+ * connects where the caller already checked instead of resolving the name again.
+ */
+function pinnedLookup(address) {
+  const family = net.isIP(address);
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (options && options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
+
 class A2AClient {
   constructor(options = {}) {
     this.timeout = options.timeout || 60000;
     this.caller = options.caller || {};
+    // Optional identity from loadSigningIdentity(); when set, invoke/end are signed.
+    this.signingIdentity = options.signingIdentity || null;
+    // Called with { host, previousToken, token, tokenId, graceUntil, traceId } when the
+    // remote rotates our credential, so the caller can persist it (e.g. updateContact).
+    this.onTokenRotation = options.onTokenRotation || null;
+    this._rotatedTokens = new Map();
+    // Pin a protocol version ('0' or '1') to skip discovery.
+    this.protocolVersion = options.protocolVersion ? String(options.protocolVersion) : null;
+    this._peers = new Map();
+    // invoke/end retries on network errors and timeouts, only against hosts that
+    // advertise the idempotency feature (so a retried turn is not run twice).
+    this.retries = options.retries !== undefined ? Math.max(0, Number(options.retries) || 0) : 2;
+    this.retryDelayMs = options.retryDelayMs || 500;
+  }
+
+  /**
+   * Resolve {host, token}, preferring any successor token received this session.
+   */
+  _resolveEndpoint(endpoint) {
+    const { host, token } = typeof endpoint === 'string'
+      ? A2AClient.parseInvite(endpoint)
+      : endpoint;
+    const rotated = this._rotatedTokens.get(`${host}#${token}`);
+    return { host, token: rotated || token };
+  }
+
+  _applyTokenRotation(host, previousToken, response) {
+    const rotation = response && response.token_rotation;
+    if (!rotation || !rotation.token || rotation.token === previousToken) return;
+
+    this._rotatedTokens.set(`${host}#${previousToken}`, rotation.token);
+    for (const [key, value] of this._rotatedTokens) {
+      if (value === previousToken) this._rotatedTokens.set(key, rotation.token);
+    }
+
+    if (this.onTokenRotation) {
+      try {
+        this.onTokenRotation({
+          host,
+          previousToken,
+          token: rotation.token,
+          tokenId: rotation.token_id || null,
+          graceUntil: rotation.grace_until || null,
+          traceId: response.trace_id || null
+        });
+      } catch (err) {
+        // Persisting is best effort; the in-memory swap still applies.
+      }
+    }
+  }
+
+  /**
+   * Fetch and cache what a remote host speaks: /.well-known/a2a.json, then
+   * /api/a2a/status, else v0. Rejects if no protocol version is shared.
+   *
+   * @param {string|object} endpoint - a2a:// URL or {host}
+   * @param {object} options
+   * @param {boolean} options.refresh - Ignore the cached answer
+   * @returns {Promise<object>} { version, versions, features, limits, profile_fields, signing, source }
+   */
+  async discover(endpoint, options = {}) {
+    const host = typeof endpoint === 'string' ? A2AClient.parseInvite(endpoint).host : endpoint.host;
+    if (!options.refresh && this._peers.has(host)) {
+      return this._peers.get(host);
+    }
+
+    let peer = null;
+    for (const [source, requestPath] of [['discovery', DISCOVERY_PATH], ['status', '/api/a2a/status']]) {
+      try {
+        const doc = await this._requestJson(host, { method: 'GET', path: requestPath });
+        if (doc && doc.a2a !== false) {
+          peer = describePeer(doc, source);
+          break;
+        }
+      } catch (err) {
+        // Older hosts have no discovery document; anything but a missing page is fatal.
+        if (!(err instanceof A2AError) || (err.statusCode !== 404 && err.code !== 'parse_error')) {
+          throw err;
+        }
+      }
+    }
+    if (!peer) {
+      peer = describePeer({ capabilities: V0_FEATURES }, 'default');
+    }
+    if (!peer.version) {
+      throw new A2AError(
+        'unsupported_protocol_version',
+        `Remote speaks protocol ${peer.versions.join(', ')}, which this client does not support`
+      );
+    }
+    this._peers.set(host, peer);
+    return peer;
+  }
+
+  /**
+   * Fetch a remote agent's public card (normalized), or null when the host
+   * does not publish one. Always re-reads the discovery document so callers
+   * caching the card on a contact get the current profile.
+   *
+   * @param {string|object} endpoint - a2a:// URL or { host }
+   * @returns {Promise<object|null>}
+   */
+  async fetchAgentCard(endpoint) {
+    const host = typeof endpoint === 'string' ? A2AClient.parseInvite(endpoint).host : endpoint.host;
+    // Discovery falls back to /status, which carries the same card.
+    const peer = await this.discover({ host }, { refresh: true });
+    return normalizeAgentCard(peer.agent_card);
+  }
+
+  /**
+   * Peer description used to shape requests; a pinned version skips discovery.
+   */
+  async _peerFor(host) {
+    if (this.protocolVersion) {
+      return {
+        source: 'pinned',
+        versions: [this.protocolVersion],
+        version: this.protocolVersion,
+        features: this.protocolVersion === '0' ? V0_FEATURES.slice() : null
+      };
+    }
+    return this.discover({ host });
+  }
+
+  /**
+   * Header naming the negotiated version. v0 hosts predate it, so they get none.
+   */
+  _protocolHeaders(peerOrHost) {
+    const peer = typeof peerOrHost === 'string' ? this._peers.get(peerOrHost) : peerOrHost;
+    if (!peer || !peer.version || peer.version === '0') return {};
+    return { [PROTOCOL_HEADER]: peer.version };
+  }
+
+  /**
+   * Invoke body for this peer: rejects features it lacks, drops fields its version
+   * does not define. features === null means unknown (pinned), so nothing is refused.
+   */
+  _shapeInvoke(peer, message, options, extra = {}) {
+    const supports = (feature) => !peer.features || peer.features.includes(feature);
+    if ((options.mode === 'async' || options.callback) && !supports('async')) {
+      throw new A2AError('unsupported_feature', 'Remote agent does not support async invoke');
+    }
+    if (options.attachments !== undefined && options.attachments !== null) {
+      const checked = normalizeAttachments(options.attachments);
+      if (checked.error) {
+        throw new A2AError(checked.error, checked.message);
+      }
+      // Dropping attachments would silently change what the remote sees.
+      if (checked.attachments.length > 0 && !supports('attachments')) {
+        throw new A2AError('unsupported_feature', 'Remote agent does not accept attachments');
+      }
+    }
+    if (options.intent) {
+      const type = options.intent.type;
+      if (!supports('intents') || (Array.isArray(peer.intents) && !peer.intents.includes(type))) {
+        throw new A2AError('unsupported_feature', `Remote agent does not handle the ${type} intent`);
+      }
+    }
+    return shapeInvokeBody({ ...this._invokeBody(message, options), ...extra }, peer.version).body;
+  }
+
+  /**
+   * Signature headers for a request body, or {} when signing is disabled.
+   */
+  _signatureHeaders(method, requestPath, body) {
+    if (!this.signingIdentity) return {};
+    return signRequest(this.signingIdentity, { method, path: requestPath, body });
   }
 
   /**
@@ -67,31 +275,312 @@ class A2AClient {
     return { host: match[1], token: match[2] };
   }
 
+  /**
+   * True when an invite carries a one-time code that must be redeemed first
+   */
+  static isOneTimeInvite(inviteUrl) {
+    try {
+      return A2AClient.parseInvite(inviteUrl).token.startsWith('inv_');
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * JSON body shared by call() and callStream()
+   */
+  _invokeBody(message, options = {}) {
+    const {
+      conversationId, context, timeoutSeconds, capabilities, topic, onDenied, returnInvite, mode, callback,
+      attachments, intent
+    } = options;
+    return {
+      message,
+      conversation_id: conversationId,
+      caller: this.caller,
+      context,
+      // Async jobs default to the host's longer job timeout.
+      timeout_seconds: timeoutSeconds || (mode === 'async' ? undefined : 60),
+      capabilities,
+      topic,
+      on_denied: onDenied,
+      return_invite: returnInvite,
+      mode,
+      callback,
+      attachments: Array.isArray(attachments) && attachments.length > 0
+        ? attachments.map(({ type, name, mime_type, data }) => ({ type, name, mime_type, data }))
+        : undefined,
+      intent
+    };
+  }
+
+  /**
+   * Send a JSON request and parse the JSON reply; HTTP errors reject with A2AError.
+   */
+  _requestJson(host, { method, path: requestPath, token = null, body = null, headers: extraHeaders = {}, address = null }) {
+    const payload = body == null ? '' : JSON.stringify(body);
+    const { protocol, hostname, port } = resolveProtocolAndPort(host);
+    const headers = {
+      ...this._protocolHeaders(host),
+      ...extraHeaders,
+      ...this._signatureHeaders(method, requestPath, payload)
+    };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = protocol.request({
+        hostname,
+        port,
+        path: requestPath,
+        method,
+        headers,
+        timeout: this.timeout,
+        ...(address ? { lookup: pinnedLookup(address) } : {})
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          try {
+            const json = JSON.parse(data);
+            if (res.statusCode >= 400) {
+              reject(new A2AError(json.error || 'request_failed', json.message || data, res.statusCode));
+            } else {
+              resolve(json);
+            }
+          } catch (e) {
+            reject(new A2AError('parse_error', `Failed to parse response: ${data}`, res.statusCode));
+          }
+        });
+      });
+
+      req.on('error', (e) => {
+        reject(new A2AError('network_error', e.message));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new A2AError('timeout', 'Request timed out'));
+      });
+
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
   /**
    * Call a remote agent
    * 
    * @param {string|object} endpoint - a2a:// URL or {host, token}
    * @param {string} message - Message to send
    * @param {object} options - Additional options
-   * @returns {Promise<object>} Response from remote agent
+   * @param {string[]} options.capabilities - Capabilities this request needs (e.g. ['calendar.read'])
+   * @param {string} options.topic - Topic the request falls under
+   * @param {string} options.onDenied - 'reject' (default) or 'downgrade' when outside the grant
+   * @param {string} options.returnInvite - Our invite URL, so the remote can call us back (owner approves)
+   * @param {string} options.mode - 'async' to get a job (202 + job_id) instead of waiting for the turn
+   * @param {string} options.callback - With mode 'async': our A2A host, which receives the signed result
+   * @param {object[]} options.attachments - [{ type: 'json'|'text'|'binary', name, mime_type, data }];
+   *   binary data is base64. The remote token must grant `attachments.<type>`.
+   * @param {object} options.intent - Structured request, e.g. { type: 'schedule_meeting', slots: [{ start }] }
+   * @param {string} options.idempotencyKey - Key for this call's retries (default: a fresh UUID when the
+   *   host supports idempotency). Reuse it to safely re-send a call whose outcome is unknown.
+   * @returns {Promise<object>} Response from remote agent (or the queued job in async mode)
    */
   async call(endpoint, message, options = {}) {
-    let host, token;
-    
-    if (typeof endpoint === 'string') {
-      ({ host, token } = A2AClient.parseInvite(endpoint));
-    } else {
-      ({ host, token } = endpoint);
+    const { host, token } = this._resolveEndpoint(endpoint);
+    const peer = await this._peerFor(host);
+
+    const json = await this._postWithRetry(host, peer, {
+      path: '/api/a2a/invoke',
+      token,
+      body: this._shapeInvoke(peer, message, options),
+      idempotencyKey: options.idempotencyKey
+    });
+    this._applyTokenRotation(host, token, json);
+    return json;
+  }
+
+  /**
+   * POST to /invoke or /end under an Idempotency-Key, retrying network errors and
+   * timeouts with exponential backoff. The host replays the stored reply to a retry,
+   * so the turn runs once. Hosts without the idempotency feature get a single attempt.
+   */
+  async _postWithRetry(host, peer, { path: requestPath, token, body, idempotencyKey = null }) {
+    const supported = Boolean(peer && Array.isArray(peer.features) && peer.features.includes('idempotency'));
+    const key = idempotencyKey || (supported ? crypto.randomUUID() : null);
+    const headers = this._protocolHeaders(peer);
+    if (key) headers[IDEMPOTENCY_HEADER] = key;
+    const attempts = supported ? this.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this._requestJson(host, { method: 'POST', path: requestPath, token, body, headers });
+      } catch (err) {
+        if (attempt >= attempts || !RETRYABLE_ERRORS.includes(err.code)) throw err;
+        const delay = Math.min(this.retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
     }
+  }
+
+  /**
+   * Call a remote agent and receive the reply as it is produced.
+   * Accepts the same options as call(), plus:
+   *
+   * @param {function} options.onDelta - Called with each partial text chunk
+   * @param {function} options.onProgress - Called with progress events ({ stage, ... })
+   * @returns {Promise<object>} The final envelope, same shape as call()
+   */
+  async callStream(endpoint, message, options = {}) {
+    const { host, token } = this._resolveEndpoint(endpoint);
+    const { onDelta, onProgress } = options;
+    const peer = await this._peerFor(host);
+    // Hosts without streaming get a plain call; the reply arrives as one delta.
+    const streaming = !peer.features || peer.features.includes('streaming');
+
+    const body = JSON.stringify(this._shapeInvoke(peer, message, options, streaming ? { stream: true } : {}));
+    // The signature covers the path, so sign exactly the one the request is sent to.
+    const requestPath = '/api/a2a/invoke';
+
+    const { protocol, hostname, port } = resolveProtocolAndPort(host);
 
-    const { conversationId, context, timeoutSeconds } = options;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (err, value) => {
+        if (settled) return;
+        settled = true;
+        if (err) reject(err);
+        else resolve(value);
+      };
+
+      const req = protocol.request({
+        hostname,
+        port,
+        path: requestPath,
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'Accept': streaming ? STREAM_FORMATS.ndjson : 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...this._protocolHeaders(peer),
+          ...this._signatureHeaders('POST', requestPath, body)
+        },
+        // Idle timeout; the server sends heartbeats while the agent works.
+        timeout: this.timeout
+      }, (res) => {
+        res.setEncoding('utf8');
+        const contentType = String(res.headers['content-type'] || '');
+
+        // Auth and validation failures arrive as plain JSON before any stream opens.
+        if (res.statusCode >= 400 || !contentType.includes(STREAM_FORMATS.ndjson)) {
+          let data = '';
+          res.on('data', chunk => data += chunk);
+          res.on('end', () => {
+            try {
+              const json = JSON.parse(data);
+              if (res.statusCode >= 400) {
+                settle(new A2AError(json.error || 'request_failed', json.message || data, res.statusCode));
+              } else {
+                // Server without streaming support: treat as a one-shot reply.
+                this._applyTokenRotation(host, token, json);
+                if (onDelta && json.response) onDelta(json.response);
+                settle(null, json);
+              }
+            } catch (e) {
+              settle(new A2AError('parse_error', `Failed to parse response: ${data}`, res.statusCode));
+            }
+          });
+          return;
+        }
+
+        const parser = createStreamParser('ndjson', (event) => {
+          const { type, ...payload } = event;
+          if (type === 'delta') {
+            if (onDelta) onDelta(payload.text);
+          } else if (type === 'progress') {
+            if (onProgress) onProgress(payload);
+          } else if (type === 'final') {
+            this._applyTokenRotation(host, token, payload);
+            settle(null, payload);
+          } else if (type === 'error') {
+            settle(new A2AError(payload.error || 'request_failed', payload.message || 'Stream failed', payload.status_code || null));
+          }
+        });
+        res.on('data', (chunk) => {
+          try {
+            parser.push(chunk);
+          } catch (e) {
+            settle(new A2AError('parse_error', `Failed to parse stream event: ${e.message}`, res.statusCode));
+            req.destroy();
+          }
+        });
+        res.on('end', () => {
+          try {
+            parser.end();
+          } catch (e) {
+            // A torn last line is reported as an incomplete stream below.
+          }
+          settle(new A2AError('stream_incomplete', 'Stream ended without a final response', res.statusCode));
+        });
+      });
+
+      req.on('error', (e) => {
+        settle(new A2AError('network_error', e.message));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        settle(new A2AError('timeout', 'Request timed out'));
+      });
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * Explicitly end a remote conversation and trigger call conclusion
+   * 
+   * @param {string|object} endpoint - a2a:// URL or {host, token}
+   * @param {string} conversationId - Conversation ID to conclude
+   * @param {object} options
+   * @param {string} options.idempotencyKey - Key for this request's retries (see call())
+   * @returns {Promise<object>} End response from remote agent
+   */
+  async end(endpoint, conversationId, options = {}) {
+    if (!conversationId) {
+      throw new A2AError('missing_conversation_id', 'conversationId is required');
+    }
+
+    const { host, token } = this._resolveEndpoint(endpoint);
+
+    // No discovery here: a peer we have not called yet gets a single attempt.
+    return this._postWithRetry(host, this._peers.get(host) || null, {
+      path: '/api/a2a/end',
+      token,
+      body: { conversation_id: conversationId },
+      idempotencyKey: options.idempotencyKey
+    });
+  }
+
+  /**
+   * Offer a return invite outside a call (answers reciprocal.requested).
+   *
+   * @param {string|object} endpoint - a2a:// URL or {host, token}
+   * @param {string} returnInvite - Our invite URL for the remote agent
+   * @returns {Promise<object>} { success, reciprocal: { status, request_id } }
+   */
+  async reciprocate(endpoint, returnInvite) {
+    const { host, token } = this._resolveEndpoint(endpoint);
 
     const body = JSON.stringify({
-      message,
-      conversation_id: conversationId,
-      caller: this.caller,
-      context,
-      timeout_seconds: timeoutSeconds || 60
+      return_invite: returnInvite,
+      caller: this.caller
     });
 
     const { protocol, hostname, port } = resolveProtocolAndPort(host);
@@ -100,12 +589,14 @@ class A2AClient {
       const req = protocol.request({
         hostname,
         port,
-        path: '/api/a2a/invoke',
+        path: '/api/a2a/reciprocate',
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(body)
+          'Content-Length': Buffer.byteLength(body),
+          ...this._protocolHeaders(host),
+          ...this._signatureHeaders('POST', '/api/a2a/reciprocate', body)
         },
         timeout: this.timeout
       }, (res) => {
@@ -140,27 +631,20 @@ class A2AClient {
   }
 
   /**
-   * Explicitly end a remote conversation and trigger call conclusion
-   * 
-   * @param {string|object} endpoint - a2a:// URL or {host, token}
-   * @param {string} conversationId - Conversation ID to conclude
-   * @returns {Promise<object>} End response from remote agent
+   * Redeem a one-time invite (a2a://host/inv_...) for a regular token.
+   * The code only works once; store the returned invite URL, not the code.
+   *
+   * @param {string|object} endpoint - a2a:// invite URL or {host, token}
+   * @returns {Promise<object>} Redeem response plus invite_url (a2a://host/fed_...)
    */
-  async end(endpoint, conversationId) {
-    if (!conversationId) {
-      throw new A2AError('missing_conversation_id', 'conversationId is required');
-    }
-
-    let host, token;
-    
-    if (typeof endpoint === 'string') {
-      ({ host, token } = A2AClient.parseInvite(endpoint));
-    } else {
-      ({ host, token } = endpoint);
-    }
+  async redeem(endpoint) {
+    const { host, token: code } = typeof endpoint === 'string'
+      ? A2AClient.parseInvite(endpoint)
+      : endpoint;
 
     const body = JSON.stringify({
-      conversation_id: conversationId
+      code,
+      caller: this.caller
     });
 
     const { protocol, hostname, port } = resolveProtocolAndPort(host);
@@ -169,10 +653,9 @@ class A2AClient {
       const req = protocol.request({
         hostname,
         port,
-        path: '/api/a2a/end',
+        path: '/api/a2a/redeem',
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(body)
         },
@@ -186,7 +669,7 @@ class A2AClient {
             if (res.statusCode >= 400) {
               reject(new A2AError(json.error || 'request_failed', json.message || data, res.statusCode));
             } else {
-              resolve(json);
+              resolve({ ...json, invite_url: `a2a://${host}/${json.token}` });
             }
           } catch (e) {
             reject(new A2AError('parse_error', `Failed to parse response: ${data}`, res.statusCode));
@@ -208,6 +691,71 @@ class A2AClient {
     });
   }
 
+  /**
+   * Fetch the state of an async job started with call(..., { mode: 'async' }).
+   * Polling does not count against the token's call limit.
+   *
+   * @returns {Promise<object>} { job_id, status, conversation_id, response?, error?, ... }
+   */
+  async getJob(endpoint, jobId) {
+    if (!jobId) {
+      throw new A2AError('missing_job_id', 'jobId is required');
+    }
+    const { host, token } = this._resolveEndpoint(endpoint);
+    return this._requestJson(host, {
+      method: 'GET',
+      path: `/api/a2a/jobs/${encodeURIComponent(jobId)}`,
+      token
+    });
+  }
+
+  /**
+   * Poll an async job until it completes. Rejects with the job's error when it
+   * fails, or with 'timeout' once timeoutMs passes.
+   *
+   * @param {object} options
+   * @param {number} options.intervalMs - Delay between polls (default: 2000)
+   * @param {number} options.timeoutMs - Give up after this long (default: 1 hour)
+   * @param {function} options.onPoll - Called with each job state
+   */
+  async waitForJob(endpoint, jobId, options = {}) {
+    const intervalMs = options.intervalMs || 2000;
+    const deadline = Date.now() + (options.timeoutMs || 60 * 60 * 1000);
+
+    while (true) {
+      const job = await this.getJob(endpoint, jobId);
+      if (options.onPoll) options.onPoll(job);
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') {
+        throw new A2AError(job.error || 'job_failed', job.message || 'Async job failed');
+      }
+      if (Date.now() + intervalMs > deadline) {
+        throw new A2AError('timeout', `Job ${jobId} did not finish in time`);
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  /**
+   * Deliver a finished async job to the caller's A2A host. Requires a signing
+   * identity: the receiver only accepts results signed by the agent it called.
+   *
+   * @param {object} options
+   * @param {string} options.address - Connect to this already-vetted IP instead of
+   *   resolving the host again (TLS still checks the certificate against the host name)
+   */
+  async sendJobCallback(callbackHost, payload, options = {}) {
+    if (!this.signingIdentity) {
+      throw new A2AError('signing_required', 'Job callbacks must be signed');
+    }
+    return this._requestJson(callbackHost, {
+      method: 'POST',
+      path: '/api/a2a/callback',
+      body: payload,
+      address: options.address || null
+    });
+  }
+
   /**
    * Check if a remote agent is available
    */
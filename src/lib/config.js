@@ -70,6 +70,36 @@ function validateStringArray(value, label, options = {}) {
   return unique;
 }
 
+function validateRateLimit(value, label) {
+  if (value === null) {
+    return null;
+  }
+  if (!isPlainObject(value)) {
+    throw configValidationError(
+      'A2A_CONFIG_INVALID_RATE_LIMIT',
+      `Invalid ${label}: expected an object`,
+      'Pass an object like { perMinute: 10, perHour: 100, perDay: 1000 }.',
+      { label, received_type: typeof value }
+    );
+  }
+
+  const out = {};
+  for (const key of ['perMinute', 'perHour', 'perDay']) {
+    if (value[key] === undefined || value[key] === null) continue;
+    const parsed = Number(value[key]);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw configValidationError(
+        'A2A_CONFIG_INVALID_RATE_LIMIT',
+        `Invalid ${label}.${key}: expected a positive integer`,
+        'Omit a window (or set it to null) to inherit the default limit.',
+        { label, key, received: value[key] }
+      );
+    }
+    out[key] = parsed;
+  }
+  return out;
+}
+
 function validateTierPatch(tierName, tierConfig) {
   if (!isPlainObject(tierConfig)) {
     throw configValidationError(
@@ -146,6 +176,11 @@ function validateTierPatch(tierName, tierConfig) {
     });
   }
 
+  // Optional per-tier override of defaults.rateLimit (null clears it).
+  if (tierConfig.rateLimit !== undefined) {
+    out.rateLimit = validateRateLimit(tierConfig.rateLimit, `${tierName}.rateLimit`);
+  }
+
   return out;
 }
 
@@ -198,7 +233,7 @@ const DEFAULT_CONFIG = {
     family: {
       name: 'Family',
       description: 'Full access - only for your inner circle',
-      capabilities: ['context-read', 'calendar', 'email', 'search', 'tools', 'memory'],
+      capabilities: ['context-read', 'calendar', 'email', 'search', 'tools', 'memory', 'attachments'],
       topics: ['chat', 'search', 'openclaw', 'a2a', 'tools', 'memory'],
       goals: [],
       disclosure: 'public',
@@ -224,6 +259,10 @@ const DEFAULT_CONFIG = {
       perHour: 100,
       perDay: 1000
     },
+    clientRateLimit: {          // per client address, across all tokens (null disables)
+      perMinute: 60,
+      perHour: 600
+    },
     maxPendingRequests: 5       // max connection requests per hour
   },
   
@@ -231,7 +270,18 @@ const DEFAULT_CONFIG = {
   agent: {
     name: '',
     description: '',
-    hostname: ''
+    hostname: '',
+    // Public agent card fields (see src/lib/agent-card.js)
+    avatar_url: '',
+    languages: [],
+    availability: {
+      timezone: '',
+      hours: ''
+    },
+    contact_policy: {
+      mode: 'invite_only',       // open | invite_only | closed
+      note: ''
+    }
   },
   
   // Timestamps
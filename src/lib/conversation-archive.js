@@ -0,0 +1,240 @@
+/**
+ * Conversation export formats
+ *
+ * Records come from ConversationStore.exportConversation() and go back in
+ * through importConversation(). Three formats:
+ *
+ *   jsonl     A header line, then one conversation per line:
+ *               {"kind":"a2a-conversations","version":1,"exported_at":"...","count":2}
+ *               {"id":"conv_...","messages":[...],...}
+ *   markdown  Human-readable transcripts (export only)
+ *   archive   .tar.gz holding manifest.json, conversations.jsonl and
+ *             transcripts/<id>.md
+ *
+ * readExport() takes either jsonl or an archive and detects which by the gzip
+ * magic bytes.
+ */
+
+const zlib = require('zlib');
+
+const ARCHIVE_KIND = 'a2a-conversations';
+const ARCHIVE_VERSION = 1;
+const EXPORT_FORMATS = ['jsonl', 'markdown', 'archive'];
+const TAR_BLOCK = 512;
+
+function exportHeader(count) {
+  return {
+    kind: ARCHIVE_KIND,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    count
+  };
+}
+
+function toJsonLines(records) {
+  return [exportHeader(records.length), ...records]
+    .map(entry => JSON.stringify(entry))
+    .join('\n') + '\n';
+}
+
+/**
+ * Parse JSON Lines back into records. The header line is optional so that
+ * hand-assembled files with one conversation per line also import.
+ */
+function parseJsonLines(text) {
+  const records = [];
+  const lines = String(text || '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+    }
+    if (entry && entry.kind === ARCHIVE_KIND) {
+      if (entry.version > ARCHIVE_VERSION) {
+        throw new Error(`Export version ${entry.version} is newer than this package supports (${ARCHIVE_VERSION})`);
+      }
+      continue;
+    }
+    records.push(entry);
+  }
+  return records;
+}
+
+function bulletList(items) {
+  return (items || []).map(item => {
+    if (item && typeof item === 'object') {
+      return `- ${item.text || item.title || item.description || JSON.stringify(item)}`;
+    }
+    return `- ${item}`;
+  });
+}
+
+/**
+ * Markdown transcript of one conversation.
+ */
+function toMarkdown(record) {
+  const lines = [];
+  const title = record.contact_name || record.contact_id || 'Unknown contact';
+  lines.push(`# ${title} — ${record.id}`, '');
+  lines.push(`- Direction: ${record.direction}`);
+  lines.push(`- Status: ${record.status}`);
+  lines.push(`- Started: ${record.started_at}`);
+  if (record.ended_at) lines.push(`- Ended: ${record.ended_at}`);
+  lines.push(`- Messages: ${(record.messages || []).length}`);
+  lines.push('');
+
+  if (record.summary) {
+    lines.push('## Summary', '', record.summary, '');
+  }
+
+  const owner = record.owner_context || {};
+  if (owner.summary || owner.relevance || owner.follow_up || owner.notes || (owner.goals_touched || []).length) {
+    lines.push('## Owner context', '');
+    if (owner.summary) lines.push(owner.summary, '');
+    if (owner.relevance) lines.push(`- Relevance: ${owner.relevance}`);
+    if ((owner.goals_touched || []).length) lines.push(`- Goals touched: ${owner.goals_touched.join(', ')}`);
+    if (owner.follow_up) lines.push(`- Follow-up: ${owner.follow_up}`);
+    if (owner.notes) lines.push(`- Notes: ${owner.notes}`);
+    lines.push('');
+  }
+
+  const actions = record.action_items || {};
+  const groups = [['Owner', actions.owner], ['Caller', actions.caller], ['Joint', actions.joint]]
+    .filter(([, items]) => Array.isArray(items) && items.length);
+  if (groups.length) {
+    lines.push('## Action items', '');
+    for (const [label, items] of groups) {
+      lines.push(`**${label}**`, '', ...bulletList(items), '');
+    }
+  }
+
+  const collab = record.collab_state;
+  if (collab) {
+    lines.push('## Collaboration state', '');
+    lines.push(`- Phase: ${collab.phase} (turn ${collab.turnCount}, overlap ${collab.overlapScore}, confidence ${collab.confidence})`);
+    if ((collab.activeThreads || []).length) lines.push(`- Active threads: ${collab.activeThreads.join(', ')}`);
+    if ((collab.openQuestions || []).length) lines.push(`- Open questions: ${collab.openQuestions.join(', ')}`);
+    lines.push('');
+  }
+
+  if ((record.intents || []).length) {
+    lines.push('## Intents', '');
+    for (const intent of record.intents) {
+      lines.push(`- ${intent.type} (${intent.status}, ${intent.direction}) ${JSON.stringify(intent.payload || {})}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Transcript', '');
+  for (const msg of record.messages || []) {
+    const speaker = msg.direction === 'inbound' ? title : 'Me';
+    lines.push(`**${speaker}** · ${msg.timestamp}`, '', msg.content, '');
+  }
+  return lines.join('\n');
+}
+
+function toMarkdownDocument(records) {
+  return records.map(toMarkdown).join('\n---\n\n');
+}
+
+// Minimal ustar writer/reader: regular files only, names under 100 bytes.
+
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK, 0);
+  const write = (value, offset, length) => header.write(value, offset, length, 'utf8');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  write(name, 0, 100);
+  write(octal(0o644, 8), 100, 8);
+  write(octal(0, 8), 108, 8);
+  write(octal(0, 8), 116, 8);
+  write(octal(size, 12), 124, 12);
+  write(octal(mtime, 12), 136, 12);
+  write('        ', 148, 8);
+  write('0', 156, 1);
+  write('ustar\0', 257, 6);
+  write('00', 263, 2);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+function safeFileName(id) {
+  return String(id).replace(/[^A-Za-z0-9._-]/g, '_').slice(0, 80);
+}
+
+/**
+ * Gzipped tarball of a set of records.
+ */
+function createArchive(records) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const header = exportHeader(records.length);
+  const files = [
+    ['manifest.json', JSON.stringify({
+      ...header,
+      conversations: records.map(r => ({ id: r.id, contact_name: r.contact_name, started_at: r.started_at }))
+    }, null, 2) + '\n'],
+    ['conversations.jsonl', toJsonLines(records)],
+    ...records.map(r => [`transcripts/${safeFileName(r.id)}.md`, toMarkdown(r)])
+  ];
+  const chunks = [];
+  for (const [name, content] of files) {
+    const data = Buffer.from(content, 'utf8');
+    chunks.push(tarHeader(name, data.length, mtime), data);
+    const padding = (TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK;
+    if (padding) chunks.push(Buffer.alloc(padding, 0));
+  }
+  chunks.push(Buffer.alloc(TAR_BLOCK * 2, 0));
+  return zlib.gzipSync(Buffer.concat(chunks));
+}
+
+function readTarEntries(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+    const start = offset + TAR_BLOCK;
+    entries.set(name, buffer.subarray(start, start + size));
+    offset = start + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+  }
+  return entries;
+}
+
+function readArchive(buffer) {
+  const entries = readTarEntries(zlib.gunzipSync(buffer));
+  const jsonl = entries.get('conversations.jsonl');
+  if (!jsonl) {
+    throw new Error('Archive has no conversations.jsonl');
+  }
+  return parseJsonLines(jsonl.toString('utf8'));
+}
+
+/**
+ * Records from an export file's contents (jsonl or archive).
+ */
+function readExport(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return readArchive(buffer);
+  }
+  return parseJsonLines(buffer.toString('utf8'));
+}
+
+module.exports = {
+  ARCHIVE_KIND,
+  ARCHIVE_VERSION,
+  EXPORT_FORMATS,
+  createArchive,
+  parseJsonLines,
+  readArchive,
+  readExport,
+  toJsonLines,
+  toMarkdown,
+  toMarkdownDocument
+};
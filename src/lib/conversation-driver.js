@@ -37,8 +37,12 @@ class ConversationDriver {
    * @param {number} [options.maxTurns=30] - Maximum turns
    * @param {function} [options.onTurn] - Callback per turn: (turnInfo) => void
    * @param {string} [options.tier='public'] - Access tier
+   * @param {object} [options.contact] - Local contact { id, name }; links the conversation
+   *   and brings in what we remember from earlier calls at this tier
    * @param {function} [options.summarizer] - async (messages, ownerContext) => summary result
    * @param {object} [options.ownerContext] - Owner context for summarizer (goals, interests, etc.)
+   * @param {object} [options.signingIdentity] - loadSigningIdentity() result; signs invoke/end when set
+   * @param {function} [options.onTokenRotation] - Persist a successor token issued by the remote
    */
   constructor(options) {
     this.runtime = options.runtime;
@@ -51,10 +55,16 @@ class ConversationDriver {
     this.maxTurns = options.maxTurns || 30;
     this.onTurn = options.onTurn || null;
     this.tier = options.tier || 'public';
+    this.contact = options.contact || null;
     this.summarizer = options.summarizer || null;
     this.ownerContext = options.ownerContext || {};
 
-    this.client = new A2AClient({ caller: this.caller, timeout: 65000 });
+    this.client = new A2AClient({
+      caller: this.caller,
+      timeout: 65000,
+      signingIdentity: options.signingIdentity || null,
+      onTokenRotation: options.onTokenRotation || null
+    });
   }
 
   /**
@@ -142,6 +152,16 @@ Be concise but specific. No filler.`;
       confidence: 0.25
     };
 
+    let contactMemory = [];
+    if (this.convStore && this.contact && this.contact.id) {
+      try {
+        const memory = this.convStore.getContactMemory(this.contact.id, { tier: this.tier });
+        contactMemory = memory ? memory.entries : [];
+      } catch (err) {
+        // Best effort; the call works without memory
+      }
+    }
+
     // Placeholder until we get a real ID from the remote (or generate one)
     conversationId = `conv_${Date.now()}_local`;
 
@@ -174,6 +194,9 @@ Be concise but specific. No filler.`;
 
         const convResult = this.convStore.startConversation({
           id: conversationId,
+          contactId: this.contact ? this.contact.id : null,
+          contactName: this.contact ? this.contact.name : null,
+          tier: this.tier,
           direction: 'outbound'
         });
         if (convResult.success === false) {
@@ -260,6 +283,7 @@ Be concise but specific. No filler.`;
         tierGoals: [],
         otherAgentGreeting: remoteText,
         personalityNotes: manifest.personality_notes || '',
+        contactMemory,
         conversationState: collabState
       });
 
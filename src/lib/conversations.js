@@ -8,6 +8,8 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { createLogger } = require('./logger');
+const { INTENT_STATUSES } = require('./intents');
+const { addColumnIfMissing, ensureMigrated } = require('./migrations');
 
 // Default config path
 const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR || 
@@ -17,6 +19,501 @@ const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
 const DB_FILENAME = 'a2a-conversations.db';
 const logger = createLogger({ component: 'a2a.conversations' });
 
+/**
+ * Turn free text into an FTS5 query: words and "quoted phrases" must all
+ * match; a trailing * matches a prefix. Operators and column filters in the
+ * input are treated as plain text, so user input cannot produce a syntax error.
+ */
+function toSearchQuery(text) {
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) parts.push(`"${match[1].trim()}"`);
+      continue;
+    }
+    const prefix = match[2].endsWith('*');
+    const word = match[2].replace(/\*+$/, '').replace(/"/g, '');
+    if (word) parts.push(`"${word}"${prefix ? '*' : ''}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Index history written before the search tables existed. Compressed
+ * messages are indexed by their original text.
+ */
+function rebuildSearchIndex(db) {
+  const zlib = require('zlib');
+  db.exec(`
+    DELETE FROM messages_fts;
+    DELETE FROM conversations_fts;
+    INSERT INTO messages_fts(rowid, content) SELECT rowid, content FROM messages WHERE compressed = 0;
+    INSERT INTO conversations_fts(rowid, summary, owner_summary)
+      SELECT rowid, summary, owner_summary FROM conversations;
+  `);
+  const insert = db.prepare('INSERT INTO messages_fts(rowid, content) VALUES (?, ?)');
+  for (const row of db.prepare('SELECT rowid, content FROM messages WHERE compressed = 1').all()) {
+    try {
+      insert.run(row.rowid, zlib.gunzipSync(Buffer.from(row.content, 'base64')).toString('utf8'));
+    } catch (err) {
+      // Unreadable compressed content stays out of the index.
+    }
+  }
+}
+
+/**
+ * Schema history for a2a-conversations.db, applied in order by ./migrations.
+ * Append new steps; never edit one that has shipped.
+ */
+const ACTION_ITEM_OWNERS = ['owner', 'caller', 'joint'];
+const ACTION_ITEM_STATUSES = ['open', 'done', 'dropped'];
+
+/**
+ * Summarizers return action items as strings or as objects such as
+ * { text, due }. Returns { text, due_at } or null for unusable entries.
+ */
+function normalizeActionItem(item) {
+  if (typeof item === 'string') {
+    const text = item.trim();
+    return text ? { text: text.slice(0, 500), due_at: null } : null;
+  }
+  if (!item || typeof item !== 'object') return null;
+  const text = String(item.text || item.task || item.title || item.description || '').trim();
+  if (!text) return null;
+  const due = item.due_at || item.dueAt || item.due_date || item.dueDate || item.due || null;
+  return {
+    text: text.slice(0, 500),
+    due_at: due && !Number.isNaN(Date.parse(due)) ? String(due) : null
+  };
+}
+
+/**
+ * Track a conversation's summarized action items as action_items rows.
+ * Items already tracked for the conversation (same owner and text) are skipped,
+ * so concluding or importing twice does not duplicate them.
+ *
+ * @param {object} conversation - Row with id, contact_id, contact_name
+ * @param {object} itemsByOwner - { owner: [], caller: [], joint: [] }
+ * @returns {number} Rows added
+ */
+function trackActionItems(db, conversation, itemsByOwner, now = new Date().toISOString()) {
+  const exists = db.prepare(
+    'SELECT id FROM action_items WHERE conversation_id = ? AND owner = ? AND text = ?'
+  );
+  const insert = db.prepare(`
+    INSERT INTO action_items (id, conversation_id, contact_id, contact_name, owner, text, status, due_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)
+  `);
+  let added = 0;
+  for (const owner of ACTION_ITEM_OWNERS) {
+    const items = Array.isArray(itemsByOwner[owner]) ? itemsByOwner[owner] : [];
+    for (const raw of items) {
+      const item = normalizeActionItem(raw);
+      if (!item || exists.get(conversation.id, owner, item.text)) continue;
+      insert.run(
+        ConversationStore.generateActionItemId(),
+        conversation.id,
+        conversation.contact_id || null,
+        conversation.contact_name || null,
+        owner,
+        item.text,
+        item.due_at,
+        now,
+        now
+      );
+      added += 1;
+    }
+  }
+  return added;
+}
+
+// Contact memory keeps the most recent calls with each contact.
+const CONTACT_MEMORY_MAX_ENTRIES = 8;
+// Tiers in order of trust. A memory entry is visible to calls at its own tier
+// or above; entries from unknown tiers (calls before tiers were recorded) only
+// at the top, and custom-tier entries only to custom-tier calls.
+const TIER_LADDER = ['public', 'friends', 'family'];
+
+/**
+ * Messages up to the last reply: drops trailing inbound turns nobody answered.
+ */
+function answeredMessages(messages) {
+  let end = messages.length;
+  while (end > 0 && messages[end - 1].direction === 'inbound') end -= 1;
+  return messages.slice(0, end);
+}
+
+function memoryVisibleAtTier(entryTier, tier) {
+  if (entryTier && entryTier === tier) return true;
+  const callRank = TIER_LADDER.indexOf(tier);
+  if (callRank < 0) return false;
+  const entryRank = entryTier ? TIER_LADDER.indexOf(entryTier) : TIER_LADDER.length - 1;
+  return entryRank >= 0 && entryRank <= callRank;
+}
+
+/**
+ * Entry tiers memoryVisibleAtTier() lets a call at this tier see, with ''
+ * standing for an unknown tier.
+ */
+function tiersVisibleAt(tier) {
+  const callRank = TIER_LADDER.indexOf(tier);
+  if (callRank < 0) return tier ? [tier] : [];
+  const tiers = TIER_LADDER.slice(0, callRank + 1);
+  return callRank === TIER_LADDER.length - 1 ? [...tiers, ''] : tiers;
+}
+
+/**
+ * Memory entry for a concluded conversation row: its neutral summary plus
+ * the threads and open questions from its collaboration state.
+ */
+function memoryEntryFromConversation(row) {
+  const parse = (str) => {
+    try { return JSON.parse(str) || []; } catch { return []; }
+  };
+  const entry = {
+    conversation_id: row.id,
+    at: row.ended_at || row.last_message_at || row.started_at,
+    tier: row.tier || null,
+    summary: row.summary || null,
+    threads: parse(row.collab_active_threads).slice(0, 4),
+    collaborations: parse(row.collab_candidate_collaborations).slice(0, 4),
+    open_questions: parse(row.collab_open_questions).slice(0, 4),
+    edited: false
+  };
+  if (!entry.summary && !entry.threads.length && !entry.collaborations.length) return null;
+  return entry;
+}
+
+/**
+ * Add (or refresh) a conversation in its contact's rolling memory. Entries
+ * the owner edited are left as they are.
+ */
+function rememberConversation(db, row, now = new Date().toISOString()) {
+  if (!row || !row.contact_id) return false;
+  const entry = memoryEntryFromConversation(row);
+  if (!entry) return false;
+  const existing = db.prepare('SELECT entries FROM contact_memory WHERE contact_id = ?').get(row.contact_id);
+  let entries = [];
+  if (existing) {
+    try { entries = JSON.parse(existing.entries) || []; } catch { entries = []; }
+  }
+  const index = entries.findIndex(e => e.conversation_id === entry.conversation_id);
+  if (index >= 0 && entries[index].edited) return false;
+  if (index >= 0) entries[index] = entry;
+  else entries.push(entry);
+  entries.sort((a, b) => String(a.at || '').localeCompare(String(b.at || '')));
+  entries = entries.slice(-CONTACT_MEMORY_MAX_ENTRIES);
+
+  db.prepare(`
+    INSERT INTO contact_memory (contact_id, contact_name, entries, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(contact_id) DO UPDATE SET
+      contact_name = COALESCE(excluded.contact_name, contact_memory.contact_name),
+      entries = excluded.entries,
+      updated_at = excluded.updated_at
+  `).run(row.contact_id, row.contact_name || null, JSON.stringify(entries), now);
+  return true;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        -- Conversations with remote agents
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          contact_id TEXT,
+          contact_name TEXT,
+          token_id TEXT,
+          direction TEXT NOT NULL, -- 'inbound' or 'outbound'
+          started_at TEXT NOT NULL,
+          ended_at TEXT,
+          last_message_at TEXT,
+          message_count INTEGER DEFAULT 0,
+          status TEXT DEFAULT 'active', -- 'active', 'concluded', 'timeout', 'cancelled'
+
+          -- Live collaboration state
+          collab_phase TEXT DEFAULT 'handshake',
+          collab_turn_count INTEGER DEFAULT 0,
+          collab_overlap_score REAL DEFAULT 0.15,
+          collab_active_threads TEXT,
+          collab_candidate_collaborations TEXT,
+          collab_open_questions TEXT,
+          collab_close_signal INTEGER DEFAULT 0,
+          collab_confidence REAL DEFAULT 0.25,
+          collab_updated_at TEXT,
+
+          -- Raw summary (neutral, could be shared)
+          summary TEXT,
+          summary_at TEXT,
+
+          -- Owner-context summary (private, never shared)
+          owner_summary TEXT,
+          owner_relevance TEXT,
+          owner_goals_touched TEXT, -- JSON array
+          owner_action_items TEXT, -- JSON array (owner's action items)
+          caller_action_items TEXT, -- JSON array (what caller should do)
+          joint_action_items TEXT, -- JSON array (things to do together)
+          collaboration_opportunity TEXT, -- JSON object
+          owner_follow_up TEXT,
+          owner_notes TEXT
+        );
+
+        -- Individual messages
+        CREATE TABLE IF NOT EXISTS messages (
+          id TEXT PRIMARY KEY,
+          conversation_id TEXT NOT NULL,
+          direction TEXT NOT NULL, -- 'inbound' or 'outbound'
+          role TEXT NOT NULL, -- 'user' or 'assistant'
+          content TEXT NOT NULL,
+          timestamp TEXT NOT NULL,
+          compressed INTEGER DEFAULT 0,
+          metadata TEXT, -- JSON for extra data
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
+        CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_conversations_contact ON conversations(contact_id);
+        CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
+      `);
+    }
+  },
+  {
+    // Databases from before collaboration state and owner summaries used to be
+    // reset to an empty file; add the columns in place instead.
+    version: 2,
+    name: 'collab_and_owner_summary_columns',
+    up(db) {
+      const columns = [
+        ['collab_phase', "TEXT DEFAULT 'handshake'"],
+        ['collab_turn_count', 'INTEGER DEFAULT 0'],
+        ['collab_overlap_score', 'REAL DEFAULT 0.15'],
+        ['collab_active_threads', 'TEXT'],
+        ['collab_candidate_collaborations', 'TEXT'],
+        ['collab_open_questions', 'TEXT'],
+        ['collab_close_signal', 'INTEGER DEFAULT 0'],
+        ['collab_confidence', 'REAL DEFAULT 0.25'],
+        ['collab_updated_at', 'TEXT'],
+        ['summary', 'TEXT'],
+        ['summary_at', 'TEXT'],
+        ['owner_summary', 'TEXT'],
+        ['owner_relevance', 'TEXT'],
+        ['owner_goals_touched', 'TEXT'],
+        ['owner_action_items', 'TEXT'],
+        ['caller_action_items', 'TEXT'],
+        ['joint_action_items', 'TEXT'],
+        ['collaboration_opportunity', 'TEXT'],
+        ['owner_follow_up', 'TEXT'],
+        ['owner_notes', 'TEXT']
+      ];
+      for (const [column, definition] of columns) {
+        addColumnIfMissing(db, 'conversations', column, definition);
+      }
+      addColumnIfMissing(db, 'messages', 'compressed', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'messages', 'metadata', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'jobs',
+    up(db) {
+      db.exec(`
+        -- Asynchronous invoke jobs ('inbound': we run the turn; 'outbound': we await a callback)
+        CREATE TABLE IF NOT EXISTS jobs (
+          id TEXT PRIMARY KEY,
+          direction TEXT NOT NULL,
+          conversation_id TEXT,
+          token_id TEXT,
+          status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+          message TEXT,
+          context TEXT, -- JSON: everything needed to (re)run the turn after a restart
+          timeout_ms INTEGER,
+          callback_host TEXT, -- where to POST the signed result (inbound jobs)
+          remote_host TEXT, -- agent running the turn (outbound jobs)
+          signer_fingerprint TEXT, -- key the callback must be signed with (outbound jobs)
+          result TEXT, -- JSON response envelope
+          error TEXT,
+          error_message TEXT,
+          callback_status TEXT, -- 'pending', 'delivered', 'failed'
+          callback_attempts INTEGER DEFAULT 0,
+          created_at TEXT NOT NULL,
+          started_at TEXT,
+          completed_at TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(direction, status);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'intents',
+    up(db) {
+      db.exec(`
+        -- Structured intents carried by invoke requests (meeting requests, intros, asks)
+        CREATE TABLE IF NOT EXISTS intents (
+          id TEXT PRIMARY KEY,
+          conversation_id TEXT NOT NULL,
+          message_id TEXT,
+          direction TEXT NOT NULL, -- 'inbound' or 'outbound'
+          type TEXT NOT NULL,
+          payload TEXT NOT NULL, -- JSON: the normalized intent fields
+          status TEXT NOT NULL DEFAULT 'open', -- 'open', 'accepted', 'declined', 'done'
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_intents_conversation ON intents(conversation_id);
+        CREATE INDEX IF NOT EXISTS idx_intents_status ON intents(status);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'outbound_queue',
+    up(db) {
+      db.exec(`
+        -- Outbound messages for contacts that could not be reached (retried by the server)
+        CREATE TABLE IF NOT EXISTS outbound_queue (
+          id TEXT PRIMARY KEY,
+          contact_id TEXT NOT NULL,
+          contact_name TEXT,
+          conversation_id TEXT,
+          message TEXT NOT NULL,
+          options TEXT, -- JSON: A2AClient.call() options (capabilities, topic, intent, ...)
+          idempotency_key TEXT NOT NULL, -- sent on every attempt so a delivery that landed is not repeated
+          status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivering', 'delivered', 'failed', 'dropped'
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER NOT NULL,
+          next_attempt_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          last_error TEXT,
+          last_error_message TEXT,
+          response TEXT, -- JSON reply once delivered
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          delivered_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_outbound_queue_due ON outbound_queue(status, next_attempt_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'search_index',
+    up(db) {
+      db.exec(`
+        -- Full-text search. rowids mirror the source tables; triggers keep them in sync.
+        -- Compression rewrites content as gzip, so those updates keep the original text indexed.
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(content);
+        CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(summary, owner_summary);
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+          INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages
+        WHEN new.compressed = 0 BEGIN
+          DELETE FROM messages_fts WHERE rowid = old.rowid;
+          INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+          DELETE FROM messages_fts WHERE rowid = old.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_insert AFTER INSERT ON conversations BEGIN
+          INSERT INTO conversations_fts(rowid, summary, owner_summary) VALUES (new.rowid, new.summary, new.owner_summary);
+        END;
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_update AFTER UPDATE OF summary, owner_summary ON conversations BEGIN
+          DELETE FROM conversations_fts WHERE rowid = old.rowid;
+          INSERT INTO conversations_fts(rowid, summary, owner_summary) VALUES (new.rowid, new.summary, new.owner_summary);
+        END;
+        CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+          DELETE FROM conversations_fts WHERE rowid = old.rowid;
+        END;
+      `);
+      rebuildSearchIndex(db);
+    }
+  },
+  {
+    version: 7,
+    name: 'action_items',
+    up(db) {
+      db.exec(`
+        -- Follow-ups from conversation summaries (and added by hand), tracked until done
+        CREATE TABLE IF NOT EXISTS action_items (
+          id TEXT PRIMARY KEY,
+          conversation_id TEXT, -- source conversation; NULL for items added by hand
+          contact_id TEXT,
+          contact_name TEXT,
+          owner TEXT NOT NULL DEFAULT 'owner', -- 'owner', 'caller', 'joint': whose item it is
+          text TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open', -- 'open', 'done', 'dropped'
+          due_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          completed_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_action_items_status ON action_items(status, due_at);
+        CREATE INDEX IF NOT EXISTS idx_action_items_contact ON action_items(contact_id);
+        CREATE INDEX IF NOT EXISTS idx_action_items_conversation ON action_items(conversation_id);
+      `);
+
+      // Promote the JSON lists stored by earlier versions.
+      const parse = (str) => {
+        try { return JSON.parse(str); } catch { return null; }
+      };
+      const rows = db.prepare(`
+        SELECT id, contact_id, contact_name, ended_at, started_at,
+               owner_action_items, caller_action_items, joint_action_items
+        FROM conversations
+        WHERE owner_action_items IS NOT NULL OR caller_action_items IS NOT NULL OR joint_action_items IS NOT NULL
+      `).all();
+      for (const row of rows) {
+        trackActionItems(db, row, {
+          owner: parse(row.owner_action_items),
+          caller: parse(row.caller_action_items),
+          joint: parse(row.joint_action_items)
+        }, row.ended_at || row.started_at);
+      }
+    }
+  },
+  {
+    version: 8,
+    name: 'contact_memory',
+    up(db) {
+      addColumnIfMissing(db, 'conversations', 'tier', 'TEXT');
+      db.exec(`
+        -- Rolling per-contact memory built from concluded conversations
+        CREATE TABLE IF NOT EXISTS contact_memory (
+          contact_id TEXT PRIMARY KEY,
+          contact_name TEXT,
+          entries TEXT NOT NULL DEFAULT '[]', -- JSON: one entry per recent conversation, oldest first
+          updated_at TEXT NOT NULL
+        );
+      `);
+
+      // Seed it from the calls that already have summaries.
+      const rows = db.prepare(`
+        SELECT * FROM conversations
+        WHERE contact_id IS NOT NULL AND status = 'concluded'
+          AND contact_id NOT IN (SELECT contact_id FROM contact_memory)
+        ORDER BY COALESCE(ended_at, last_message_at) ASC
+      `).all();
+      for (const row of rows) {
+        rememberConversation(db, row, row.ended_at || row.last_message_at);
+      }
+    }
+  }
+];
+
 class ConversationStore {
   constructor(configDir = DEFAULT_CONFIG_DIR) {
     this.configDir = configDir;
@@ -47,9 +544,12 @@ class ConversationStore {
         // Best effort - ignore on platforms without chmod support.
       }
       this._migrate();
-      this._ensureLatestSchema(Database);
       return this.db;
     } catch (err) {
+      if (this.db) {
+        try { this.db.close(); } catch (_) {}
+        this.db = null;
+      }
       if (err.code === 'MODULE_NOT_FOUND') {
         this._dbError = 'better-sqlite3 not installed. Run: npm install better-sqlite3';
       } else {
@@ -75,143 +575,10 @@ class ConversationStore {
   }
 
   /**
-   * Run database migrations
+   * Bring the schema up to date (see MIGRATIONS)
    */
   _migrate() {
-    this.db.exec(`
-      -- Conversations with remote agents
-      CREATE TABLE IF NOT EXISTS conversations (
-        id TEXT PRIMARY KEY,
-        contact_id TEXT,
-        contact_name TEXT,
-        token_id TEXT,
-        direction TEXT NOT NULL, -- 'inbound' or 'outbound'
-        started_at TEXT NOT NULL,
-        ended_at TEXT,
-        last_message_at TEXT,
-        message_count INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'active', -- 'active', 'concluded', 'timeout'
-        
-        -- Live collaboration state
-        collab_phase TEXT DEFAULT 'handshake',
-        collab_turn_count INTEGER DEFAULT 0,
-        collab_overlap_score REAL DEFAULT 0.15,
-        collab_active_threads TEXT,
-        collab_candidate_collaborations TEXT,
-        collab_open_questions TEXT,
-        collab_close_signal INTEGER DEFAULT 0,
-        collab_confidence REAL DEFAULT 0.25,
-        collab_updated_at TEXT,
-
-        -- Raw summary (neutral, could be shared)
-        summary TEXT,
-        summary_at TEXT,
-        
-        -- Owner-context summary (private, never shared)
-        owner_summary TEXT,
-        owner_relevance TEXT,
-        owner_goals_touched TEXT, -- JSON array
-        owner_action_items TEXT, -- JSON array (owner's action items)
-        caller_action_items TEXT, -- JSON array (what caller should do)
-        joint_action_items TEXT, -- JSON array (things to do together)
-        collaboration_opportunity TEXT, -- JSON object
-        owner_follow_up TEXT,
-        owner_notes TEXT
-      );
-
-      -- Individual messages
-      CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT NOT NULL,
-        direction TEXT NOT NULL, -- 'inbound' or 'outbound'
-        role TEXT NOT NULL, -- 'user' or 'assistant'
-        content TEXT NOT NULL,
-        timestamp TEXT NOT NULL,
-        compressed INTEGER DEFAULT 0,
-        metadata TEXT, -- JSON for extra data
-        FOREIGN KEY (conversation_id) REFERENCES conversations(id)
-      );
-
-      -- Indexes
-      CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
-      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_conversations_contact ON conversations(contact_id);
-      CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
-    `);
-  }
-
-  _ensureLatestSchema(Database) {
-    // Prototype-mode stance: do not attempt in-place migrations.
-    // If schema is missing required columns, back up and recreate the DB.
-    try {
-      const info = this.db.prepare('PRAGMA table_info(conversations)').all();
-      if (!Array.isArray(info) || info.length === 0) {
-        return;
-      }
-      const cols = new Set(info.map(row => row && row.name).filter(Boolean));
-      const required = [
-        'joint_action_items',
-        'collaboration_opportunity',
-        'collab_phase'
-      ];
-      const missing = required.filter(c => !cols.has(c));
-      if (missing.length === 0) {
-        return;
-      }
-
-      const backupPath = `${this.dbPath}.bak.${Date.now()}`;
-      logger.warn('Conversation DB schema mismatch; resetting to latest schema', {
-        event: 'conversation_db_schema_reset',
-        data: {
-          db_path: this.dbPath,
-          backup_path: backupPath,
-          missing_columns: missing
-        }
-      });
-
-      try { this.db.close(); } catch (_) {}
-      this.db = null;
-
-      try {
-        fs.renameSync(this.dbPath, backupPath);
-      } catch (err) {
-        try {
-          fs.copyFileSync(this.dbPath, backupPath);
-          fs.unlinkSync(this.dbPath);
-        } catch (err2) {
-          // If we can't move the old DB out of the way, keep going without resetting.
-          logger.error('Failed to back up conversations DB for schema reset', {
-            event: 'conversation_db_schema_reset_backup_failed',
-            error: err2,
-            error_code: 'CONVERSATION_DB_SCHEMA_RESET_BACKUP_FAILED',
-            hint: 'Check file permissions on a2a-conversations.db and ensure the process can rename/unlink it.',
-            data: {
-              db_path: this.dbPath,
-              backup_path: backupPath
-            }
-          });
-          const reopen = new Database(this.dbPath);
-          this.db = reopen;
-          return;
-        }
-      }
-
-      this.db = new Database(this.dbPath);
-      try {
-        fs.chmodSync(this.dbPath, 0o600);
-      } catch (err) {
-        // Best effort.
-      }
-      this._migrate();
-    } catch (err) {
-      // Best effort: leave existing DB in place if schema validation fails unexpectedly.
-      logger.error('Conversation DB schema validation failed', {
-        event: 'conversation_db_schema_validation_failed',
-        error: err,
-        error_code: 'CONVERSATION_DB_SCHEMA_VALIDATION_FAILED',
-        hint: 'If this persists, delete ~/.config/openclaw/a2a-conversations.db (prototype mode) and restart.'
-      });
-    }
+    ensureMigrated(this.db, MIGRATIONS, { logger, database: 'conversations' });
   }
 
   /**
@@ -232,6 +599,7 @@ class ConversationStore {
       contactId = null,
       contactName = null,
       tokenId = null,
+      tier = null,
       direction = 'inbound'
     } = options;
 
@@ -249,9 +617,9 @@ class ConversationStore {
     // Create new conversation
     const now = new Date().toISOString();
     db.prepare(`
-      INSERT INTO conversations (id, contact_id, contact_name, token_id, direction, started_at, last_message_at, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 'active')
-    `).run(id, contactId, contactName, tokenId, direction, now, now);
+      INSERT INTO conversations (id, contact_id, contact_name, token_id, tier, direction, started_at, last_message_at, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active')
+    `).run(id, contactId, contactName, tokenId, tier, direction, now, now);
 
     return { id, resumed: false };
   }
@@ -302,7 +670,7 @@ class ConversationStore {
       conversation.messages = db.prepare(`
         SELECT * FROM messages 
         WHERE conversation_id = ? 
-        ORDER BY timestamp DESC 
+        ORDER BY timestamp DESC, rowid DESC
         LIMIT ?
       `).all(conversationId, messageLimit).reverse();
     }
@@ -315,6 +683,8 @@ class ConversationStore {
       conversation.owner_action_items = JSON.parse(conversation.owner_action_items);
     }
 
+    conversation.intents = this.listIntents({ conversationId });
+
     return conversation;
   }
 
@@ -354,7 +724,7 @@ class ConversationStore {
         conv.messages = db.prepare(`
           SELECT * FROM messages 
           WHERE conversation_id = ? 
-          ORDER BY timestamp DESC 
+          ORDER BY timestamp DESC, rowid DESC
           LIMIT ?
         `).all(conv.id, messageLimit).reverse();
       }
@@ -363,6 +733,116 @@ class ConversationStore {
     return conversations;
   }
 
+  /**
+   * Full-text search over message content and conversation summaries
+   *
+   * Returns matching conversations, best match first, each with up to
+   * `matchesPerConversation` snippets. Matched terms in a snippet are wrapped
+   * in `highlight` markers.
+   *
+   * @param {string} query - Words, "quoted phrases", or prefix* terms (all must match)
+   * @param {object} filters
+   * @param {string} filters.contactId - Contact id or name
+   * @param {string} filters.status - Conversation status
+   * @param {string} filters.direction - 'inbound' or 'outbound'
+   * @param {string} filters.since - ISO timestamp; conversations active since
+   * @param {string} filters.until - ISO timestamp; conversations started before
+   * @param {number} filters.limit - Max conversations (default: 20)
+   * @param {string[]} filters.highlight - [open, close] markers (default: ['[', ']'])
+   */
+  search(query, filters = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const match = toSearchQuery(query);
+    if (!match) return [];
+    const {
+      contactId = null,
+      status = null,
+      direction = null,
+      since = null,
+      until = null,
+      limit = 20,
+      matchesPerConversation = 3,
+      highlight = ['[', ']']
+    } = filters;
+    const [open, close] = highlight;
+
+    let sql = `
+      SELECT hits.*, c.contact_id, c.contact_name, c.direction AS conversation_direction,
+        c.status, c.started_at, c.last_message_at, c.message_count, c.summary
+      FROM (
+        SELECT 'message' AS type, m.conversation_id, m.id AS message_id, m.role, m.direction, m.timestamp,
+          snippet(messages_fts, 0, ?, ?, '…', 12) AS snippet, bm25(messages_fts) AS score
+        FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid
+        WHERE messages_fts MATCH ?
+        UNION ALL
+        SELECT 'summary', c2.id, NULL, NULL, NULL, c2.summary_at,
+          snippet(conversations_fts, -1, ?, ?, '…', 12), bm25(conversations_fts)
+        FROM conversations_fts JOIN conversations c2 ON c2.rowid = conversations_fts.rowid
+        WHERE conversations_fts MATCH ?
+      ) hits
+      JOIN conversations c ON c.id = hits.conversation_id
+      WHERE 1=1`;
+    const params = [open, close, match, open, close, match];
+
+    if (contactId) {
+      sql += ' AND (c.contact_id = ? OR c.contact_name = ?)';
+      params.push(contactId, contactId);
+    }
+    if (status) {
+      sql += ' AND c.status = ?';
+      params.push(status);
+    }
+    if (direction) {
+      sql += ' AND c.direction = ?';
+      params.push(direction);
+    }
+    if (since) {
+      sql += ' AND c.last_message_at >= ?';
+      params.push(since);
+    }
+    if (until) {
+      sql += ' AND c.started_at < ?';
+      params.push(until);
+    }
+    sql += ' ORDER BY hits.score ASC LIMIT ?';
+    params.push(Math.min(1000, limit * 10));
+
+    const results = new Map();
+    for (const hit of db.prepare(sql).all(...params)) {
+      let result = results.get(hit.conversation_id);
+      if (!result) {
+        if (results.size >= limit) continue;
+        result = {
+          id: hit.conversation_id,
+          contact_id: hit.contact_id,
+          contact_name: hit.contact_name,
+          direction: hit.conversation_direction,
+          status: hit.status,
+          started_at: hit.started_at,
+          last_message_at: hit.last_message_at,
+          message_count: hit.message_count,
+          summary: hit.summary,
+          match_count: 0,
+          matches: []
+        };
+        results.set(hit.conversation_id, result);
+      }
+      result.match_count += 1;
+      if (result.matches.length < matchesPerConversation) {
+        result.matches.push({
+          type: hit.type,
+          message_id: hit.message_id,
+          role: hit.role,
+          direction: hit.direction,
+          timestamp: hit.timestamp,
+          snippet: hit.snippet
+        });
+      }
+    }
+    return [...results.values()];
+  }
+
   /**
    * Conclude a conversation and generate owner-context summary
    * 
@@ -370,25 +850,29 @@ class ConversationStore {
    * @param {object} options
    * @param {function} options.summarizer - async function(messages, ownerContext) => summary
    * @param {object} options.ownerContext - owner's goals, preferences, etc.
+   * @param {boolean} options.answeredOnly - leave trailing unanswered turns out of the summary
    */
   async concludeConversation(conversationId, options = {}) {
     const db = this._initDb();
     if (!db) return { success: false, error: this._dbError };
-    const { summarizer = null, ownerContext = {} } = options;
+    const { summarizer = null, ownerContext = {}, answeredOnly = false } = options;
 
     const conversation = this.getConversation(conversationId, { includeMessages: true });
     if (!conversation) {
       return { success: false, error: 'conversation_not_found' };
     }
+    const messages = answeredOnly ? answeredMessages(conversation.messages) : conversation.messages;
+    // A cancelled conversation keeps its status; only its summary is filled in.
+    const endStatus = conversation.status === 'cancelled' ? 'cancelled' : 'concluded';
 
     const now = new Date().toISOString();
     let summary = null;
     let ownerSummary = null;
 
     // Generate summaries if summarizer provided
-    if (summarizer && conversation.messages.length > 0) {
+    if (summarizer && messages.length > 0) {
       try {
-        const result = await summarizer(conversation.messages, ownerContext);
+        const result = await summarizer(messages, ownerContext);
         summary = result.summary || null;
         ownerSummary = result.ownerSummary || null;
 
@@ -396,7 +880,7 @@ class ConversationStore {
         db.prepare(`
           UPDATE conversations SET
             ended_at = ?,
-            status = 'concluded',
+            status = ?,
             summary = ?,
             summary_at = ?,
             owner_summary = ?,
@@ -411,6 +895,7 @@ class ConversationStore {
           WHERE id = ?
         `).run(
           now,
+          endStatus,
           summary,
           now,
           result.ownerSummary || null,
@@ -424,6 +909,11 @@ class ConversationStore {
           result.notes || null,
           conversationId
         );
+        trackActionItems(db, conversation, {
+          owner: result.ownerActionItems,
+          caller: result.callerActionItems,
+          joint: result.jointActionItems
+        }, now);
       } catch (err) {
         logger.error('Summary generation failed while concluding conversation', {
           event: 'conversation_summary_failed',
@@ -433,23 +923,25 @@ class ConversationStore {
           error_code: 'CONVERSATION_SUMMARY_FAILED',
           hint: 'Check summarizer runtime output and ensure it returns expected summary fields.',
           data: {
-            message_count: conversation.messages.length
+            message_count: messages.length
           }
         });
         // Still conclude, just without summary
         db.prepare(`
-          UPDATE conversations SET ended_at = ?, status = 'concluded'
+          UPDATE conversations SET ended_at = ?, status = ?
           WHERE id = ?
-        `).run(now, conversationId);
+        `).run(now, endStatus, conversationId);
       }
     } else {
       // No summarizer, just mark concluded
       db.prepare(`
-        UPDATE conversations SET ended_at = ?, status = 'concluded'
+        UPDATE conversations SET ended_at = ?, status = ?
         WHERE id = ?
-      `).run(now, conversationId);
+      `).run(now, endStatus, conversationId);
     }
 
+    rememberConversation(db, db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId), now);
+
     return { 
       success: true, 
       conversationId,
@@ -475,6 +967,23 @@ class ConversationStore {
     return { success: true };
   }
 
+  /**
+   * Mark conversation as cancelled (its last turn was stopped before the agent replied).
+   * A later turn in the same conversation makes it active again.
+   */
+  cancelConversation(conversationId) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const now = new Date().toISOString();
+
+    const result = db.prepare(`
+      UPDATE conversations SET ended_at = ?, status = 'cancelled'
+      WHERE id = ?
+    `).run(now, conversationId);
+
+    return { success: result.changes > 0 };
+  }
+
   /**
    * Get active conversations (for timeout checking)
    */
@@ -552,6 +1061,7 @@ class ConversationStore {
         notes: conversation.owner_notes
       } : null,
       recentMessages: conversation.messages,
+      intents: conversation.intents,
       messageCount: conversation.message_count,
       startedAt: conversation.started_at,
       endedAt: conversation.ended_at,
@@ -629,6 +1139,955 @@ class ConversationStore {
     };
   }
 
+  /**
+   * Portable copy of a conversation for export: every message (decompressed),
+   * summaries, owner context, action items, collaboration state and intents.
+   * importConversation() accepts the same shape.
+   */
+  exportConversation(conversationId) {
+    const db = this._initDb();
+    if (!db) return null;
+    const row = db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+    if (!row) return null;
+    const zlib = require('zlib');
+
+    const parseJson = (str, fallback) => {
+      if (!str) return fallback;
+      try { return JSON.parse(str); } catch { return fallback; }
+    };
+    const messages = db.prepare(`
+      SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp ASC, rowid ASC
+    `).all(conversationId).map(msg => {
+      let content = msg.content;
+      if (msg.compressed) {
+        try {
+          content = zlib.gunzipSync(Buffer.from(msg.content, 'base64')).toString('utf8');
+        } catch (err) {
+          // Keep the stored form rather than dropping the message.
+        }
+      }
+      return {
+        id: msg.id,
+        direction: msg.direction,
+        role: msg.role,
+        content,
+        timestamp: msg.timestamp,
+        metadata: parseJson(msg.metadata, null)
+      };
+    });
+
+    return {
+      id: row.id,
+      contact_id: row.contact_id,
+      contact_name: row.contact_name,
+      token_id: row.token_id,
+      tier: row.tier,
+      direction: row.direction,
+      status: row.status,
+      started_at: row.started_at,
+      ended_at: row.ended_at,
+      last_message_at: row.last_message_at,
+      summary: row.summary,
+      summary_at: row.summary_at,
+      owner_context: {
+        summary: row.owner_summary,
+        relevance: row.owner_relevance,
+        goals_touched: parseJson(row.owner_goals_touched, []),
+        collaboration_opportunity: parseJson(row.collaboration_opportunity, null),
+        follow_up: row.owner_follow_up,
+        notes: row.owner_notes
+      },
+      action_items: {
+        owner: parseJson(row.owner_action_items, []),
+        caller: parseJson(row.caller_action_items, []),
+        joint: parseJson(row.joint_action_items, [])
+      },
+      // The rows carry status and edits the summary lists above do not.
+      tracked_action_items: db.prepare(`
+        SELECT id, owner, text, status, due_at, created_at, updated_at, completed_at
+        FROM action_items WHERE conversation_id = ? ORDER BY created_at ASC, rowid ASC
+      `).all(conversationId),
+      collab_state: this.loadCollabState(conversationId),
+      intents: this.listIntents({ conversationId, limit: 1000 }),
+      messages
+    };
+  }
+
+  /**
+   * IDs of conversations to export, oldest first
+   *
+   * @param {object} filters
+   * @param {string} filters.since - ISO timestamp; conversations active since
+   * @param {string} filters.until - ISO timestamp; conversations started before
+   * @param {string} filters.contactId - Contact id or name
+   */
+  listConversationIds(filters = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { since = null, until = null, contactId = null } = filters;
+    let query = 'SELECT id FROM conversations WHERE 1=1';
+    const params = [];
+    if (since) {
+      query += ' AND last_message_at >= ?';
+      params.push(since);
+    }
+    if (until) {
+      query += ' AND started_at < ?';
+      params.push(until);
+    }
+    if (contactId) {
+      query += ' AND (contact_id = ? OR contact_name = ?)';
+      params.push(contactId, contactId);
+    }
+    query += ' ORDER BY started_at ASC';
+    return db.prepare(query).all(...params).map(row => row.id);
+  }
+
+  /**
+   * Import a conversation produced by exportConversation()
+   *
+   * When the ID already exists:
+   * - 'skip' (default): leave the existing conversation alone
+   * - 'rename': import it under a new ID
+   * - 'merge': add messages and intents the existing copy lacks; fill in
+   *   summaries and owner context only where the existing copy has none
+   *
+   * Message, intent and action item IDs that are taken elsewhere get fresh
+   * ones. Tracked action items keep their status; exports made before they
+   * were included are tracked from the summary lists instead.
+   *
+   * @returns {{ success: boolean, status: 'imported'|'renamed'|'merged'|'skipped', id: string, messages: number }}
+   */
+  importConversation(record, options = {}) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const { onConflict = 'skip' } = options;
+    if (!['skip', 'rename', 'merge'].includes(onConflict)) {
+      return { success: false, error: 'invalid_conflict_mode' };
+    }
+    if (!record || typeof record.id !== 'string' || !record.id ||
+        !['inbound', 'outbound'].includes(record.direction) || !record.started_at) {
+      return { success: false, error: 'invalid_record' };
+    }
+    const messages = Array.isArray(record.messages) ? record.messages : [];
+    const intents = Array.isArray(record.intents) ? record.intents : [];
+    const owner = record.owner_context || {};
+    const actions = record.action_items || {};
+    const collab = record.collab_state || null;
+    const toJson = (value) => (value == null ? null : JSON.stringify(value));
+
+    const run = db.transaction(() => {
+      let id = record.id;
+      let status = 'imported';
+      const exists = Boolean(db.prepare('SELECT id FROM conversations WHERE id = ?').get(id));
+      if (exists && onConflict === 'skip') {
+        return { success: true, status: 'skipped', id, messages: 0 };
+      }
+      if (exists && onConflict === 'rename') {
+        do {
+          id = `${record.id}_${crypto.randomBytes(3).toString('hex')}`;
+        } while (db.prepare('SELECT id FROM conversations WHERE id = ?').get(id));
+        status = 'renamed';
+      }
+
+      if (exists && onConflict === 'merge') {
+        status = 'merged';
+        db.prepare(`
+          UPDATE conversations SET
+            summary = COALESCE(summary, ?),
+            summary_at = COALESCE(summary_at, ?),
+            owner_summary = COALESCE(owner_summary, ?),
+            owner_relevance = COALESCE(owner_relevance, ?),
+            owner_goals_touched = COALESCE(owner_goals_touched, ?),
+            owner_action_items = COALESCE(owner_action_items, ?),
+            caller_action_items = COALESCE(caller_action_items, ?),
+            joint_action_items = COALESCE(joint_action_items, ?),
+            collaboration_opportunity = COALESCE(collaboration_opportunity, ?),
+            owner_follow_up = COALESCE(owner_follow_up, ?),
+            owner_notes = COALESCE(owner_notes, ?)
+          WHERE id = ?
+        `).run(
+          record.summary || null, record.summary_at || null,
+          owner.summary || null, owner.relevance || null, toJson(owner.goals_touched),
+          toJson(actions.owner), toJson(actions.caller), toJson(actions.joint),
+          toJson(owner.collaboration_opportunity), owner.follow_up || null, owner.notes || null,
+          id
+        );
+      } else {
+        db.prepare(`
+          INSERT INTO conversations (
+            id, contact_id, contact_name, token_id, tier, direction, started_at, ended_at, last_message_at,
+            message_count, status, summary, summary_at,
+            owner_summary, owner_relevance, owner_goals_touched, owner_action_items,
+            caller_action_items, joint_action_items, collaboration_opportunity, owner_follow_up, owner_notes,
+            collab_phase, collab_turn_count, collab_overlap_score, collab_active_threads,
+            collab_candidate_collaborations, collab_open_questions, collab_close_signal,
+            collab_confidence, collab_updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          id, record.contact_id || null, record.contact_name || null, record.token_id || null,
+          record.tier || null, record.direction, record.started_at, record.ended_at || null,
+          record.last_message_at || record.started_at, record.status || 'concluded',
+          record.summary || null, record.summary_at || null,
+          owner.summary || null, owner.relevance || null, toJson(owner.goals_touched),
+          toJson(actions.owner), toJson(actions.caller), toJson(actions.joint),
+          toJson(owner.collaboration_opportunity), owner.follow_up || null, owner.notes || null,
+          collab ? collab.phase || 'handshake' : 'handshake',
+          collab ? collab.turnCount || 0 : 0,
+          collab && collab.overlapScore != null ? collab.overlapScore : 0.15,
+          collab ? toJson(collab.activeThreads) : null,
+          collab ? toJson(collab.candidateCollaborations) : null,
+          collab ? toJson(collab.openQuestions) : null,
+          collab && collab.closeSignal ? 1 : 0,
+          collab && collab.confidence != null ? collab.confidence : 0.25,
+          collab ? collab.updatedAt || null : null
+        );
+      }
+
+      const messageIds = new Map();
+      const idTaken = db.prepare('SELECT conversation_id FROM messages WHERE id = ?');
+      const duplicate = db.prepare(`
+        SELECT id FROM messages WHERE conversation_id = ? AND timestamp = ? AND role = ? AND content = ?
+      `);
+      const insertMessage = db.prepare(`
+        INSERT INTO messages (id, conversation_id, direction, role, content, timestamp, metadata)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      let added = 0;
+      for (const msg of messages) {
+        if (!msg || typeof msg.content !== 'string' || !msg.role || !msg.direction || !msg.timestamp) continue;
+        const holder = msg.id ? idTaken.get(msg.id) : null;
+        if (status === 'merged' && holder && holder.conversation_id === id) {
+          messageIds.set(msg.id, msg.id);
+          continue;
+        }
+        const same = status === 'merged' ? duplicate.get(id, msg.timestamp, msg.role, msg.content) : null;
+        if (same) {
+          if (msg.id) messageIds.set(msg.id, same.id);
+          continue;
+        }
+        const msgId = msg.id && !holder ? msg.id : 'msg_' + crypto.randomBytes(8).toString('hex');
+        insertMessage.run(msgId, id, msg.direction, msg.role, msg.content, msg.timestamp, toJson(msg.metadata));
+        if (msg.id) messageIds.set(msg.id, msgId);
+        added += 1;
+      }
+
+      const insertIntent = db.prepare(`
+        INSERT INTO intents (id, conversation_id, message_id, direction, type, payload, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const intentTaken = db.prepare('SELECT conversation_id FROM intents WHERE id = ?');
+      const sameIntent = db.prepare(`
+        SELECT id FROM intents WHERE conversation_id = ? AND type = ? AND created_at = ? AND payload = ?
+      `);
+      for (const intent of intents) {
+        if (!intent || !intent.type) continue;
+        const taken = intent.id ? intentTaken.get(intent.id) : null;
+        if (taken && taken.conversation_id === id) continue;
+        if (status === 'merged' && sameIntent.get(id, intent.type, intent.created_at || '', JSON.stringify(intent.payload || {}))) {
+          continue;
+        }
+        const now = new Date().toISOString();
+        insertIntent.run(
+          intent.id && !taken ? intent.id : ConversationStore.generateIntentId(),
+          id,
+          intent.message_id ? messageIds.get(intent.message_id) || null : null,
+          intent.direction || record.direction,
+          intent.type,
+          JSON.stringify(intent.payload || {}),
+          INTENT_STATUSES.includes(intent.status) ? intent.status : 'open',
+          intent.created_at || now,
+          intent.updated_at || now
+        );
+      }
+
+      const conversation = db.prepare('SELECT id, contact_id, contact_name FROM conversations WHERE id = ?').get(id);
+      if (Array.isArray(record.tracked_action_items)) {
+        const itemTaken = db.prepare('SELECT id FROM action_items WHERE id = ?');
+        const sameItem = db.prepare('SELECT id FROM action_items WHERE conversation_id = ? AND owner = ? AND text = ?');
+        const insertItem = db.prepare(`
+          INSERT INTO action_items (id, conversation_id, contact_id, contact_name, owner, text, status, due_at, created_at, updated_at, completed_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const item of record.tracked_action_items) {
+          if (!item || typeof item.text !== 'string' || !item.text.trim()) continue;
+          const itemOwner = ACTION_ITEM_OWNERS.includes(item.owner) ? item.owner : 'owner';
+          const text = item.text.trim().slice(0, 500);
+          if (sameItem.get(id, itemOwner, text)) continue;
+          const now = new Date().toISOString();
+          insertItem.run(
+            item.id && !itemTaken.get(item.id) ? item.id : ConversationStore.generateActionItemId(),
+            id,
+            conversation.contact_id || null,
+            conversation.contact_name || null,
+            itemOwner,
+            text,
+            ACTION_ITEM_STATUSES.includes(item.status) ? item.status : 'open',
+            item.due_at || null,
+            item.created_at || now,
+            item.updated_at || now,
+            item.completed_at || null
+          );
+        }
+      } else {
+        trackActionItems(db, conversation, actions);
+      }
+
+      db.prepare(`
+        UPDATE conversations SET
+          message_count = (SELECT COUNT(*) FROM messages WHERE conversation_id = ?),
+          last_message_at = MAX(COALESCE(last_message_at, ''),
+            COALESCE((SELECT MAX(timestamp) FROM messages WHERE conversation_id = ?), ''))
+        WHERE id = ?
+      `).run(id, id, id);
+
+      return { success: true, status, id, messages: added };
+    });
+    return run();
+  }
+
+  /**
+   * Generate an async job ID
+   */
+  static generateJobId() {
+    return 'job_' + crypto.randomBytes(12).toString('base64url');
+  }
+
+  _toJob(row) {
+    if (!row) return null;
+    const parseJson = (str) => {
+      if (!str) return null;
+      try { return JSON.parse(str); } catch { return null; }
+    };
+    return {
+      ...row,
+      context: parseJson(row.context),
+      result: parseJson(row.result),
+      callback_attempts: row.callback_attempts || 0
+    };
+  }
+
+  /**
+   * Record an async invoke job. Inbound jobs carry the message and context the
+   * worker needs; outbound jobs remember who should sign the callback.
+   */
+  createJob(options = {}) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const {
+      id = ConversationStore.generateJobId(),
+      direction = 'inbound',
+      conversationId = null,
+      tokenId = null,
+      status = 'queued',
+      message = null,
+      context = null,
+      timeoutMs = null,
+      callbackHost = null,
+      remoteHost = null,
+      signerFingerprint = null
+    } = options;
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO jobs (id, direction, conversation_id, token_id, status, message, context, timeout_ms,
+        callback_host, remote_host, signer_fingerprint, callback_status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      direction,
+      conversationId,
+      tokenId,
+      status,
+      message,
+      context ? JSON.stringify(context) : null,
+      timeoutMs,
+      callbackHost,
+      remoteHost,
+      signerFingerprint,
+      callbackHost ? 'pending' : null,
+      now,
+      now
+    );
+
+    return this.getJob(id);
+  }
+
+  /**
+   * Get an async job by ID (context and result parsed)
+   */
+  getJob(jobId) {
+    const db = this._initDb();
+    if (!db) return null;
+    return this._toJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId));
+  }
+
+  /**
+   * Update job state. Only lifecycle fields can change; result is stored as JSON.
+   */
+  updateJob(jobId, updates = {}) {
+    const db = this._initDb();
+    if (!db) return null;
+    const allowed = [
+      'status', 'result', 'error', 'error_message', 'started_at', 'completed_at',
+      'callback_status', 'callback_attempts'
+    ];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) return this.getJob(jobId);
+
+    const values = fields.map(key => (key === 'result' && updates.result != null
+      ? JSON.stringify(updates.result)
+      : updates[key]));
+    db.prepare(`
+      UPDATE jobs SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = ?
+      WHERE id = ?
+    `).run(...values, new Date().toISOString(), jobId);
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * List async jobs, newest first
+   */
+  listJobs(options = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { direction, status, limit = 50 } = options;
+
+    let query = 'SELECT * FROM jobs WHERE 1=1';
+    const params = [];
+    if (direction) {
+      query += ' AND direction = ?';
+      params.push(direction);
+    }
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(row => this._toJob(row));
+  }
+
+  /**
+   * Generate an intent ID
+   */
+  static generateIntentId() {
+    return 'int_' + crypto.randomBytes(8).toString('hex');
+  }
+
+  _toIntent(row) {
+    if (!row) return null;
+    const { payload, ...rest } = row;
+    let fields = {};
+    try { fields = JSON.parse(payload) || {}; } catch { fields = {}; }
+    return { ...rest, payload: fields };
+  }
+
+  /**
+   * Record a structured intent on a conversation. `intent` is the normalized
+   * { type, ...fields } from IntentRegistry.normalize().
+   */
+  addIntent(conversationId, options = {}) {
+    const db = this._initDb();
+    if (!db) return null;
+    const {
+      intent,
+      direction = 'inbound',
+      messageId = null,
+      status = 'open'
+    } = options;
+    const { type, ...payload } = intent;
+
+    const id = ConversationStore.generateIntentId();
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO intents (id, conversation_id, message_id, direction, type, payload, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, conversationId, messageId, direction, type, JSON.stringify(payload), status, now, now);
+
+    return this.getIntent(id);
+  }
+
+  /**
+   * Get an intent by ID (payload parsed)
+   */
+  getIntent(intentId) {
+    const db = this._initDb();
+    if (!db) return null;
+    return this._toIntent(db.prepare('SELECT * FROM intents WHERE id = ?').get(intentId));
+  }
+
+  /**
+   * List intents, oldest first within a conversation, newest first otherwise
+   */
+  listIntents(options = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { conversationId, type, status, limit = 100 } = options;
+
+    let query = 'SELECT * FROM intents WHERE 1=1';
+    const params = [];
+    if (conversationId) {
+      query += ' AND conversation_id = ?';
+      params.push(conversationId);
+    }
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+    query += ` ORDER BY created_at ${conversationId ? 'ASC' : 'DESC'} LIMIT ?`;
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(row => this._toIntent(row));
+  }
+
+  /**
+   * Move an intent to open | accepted | declined | done
+   */
+  updateIntentStatus(intentId, status) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    if (!INTENT_STATUSES.includes(status)) {
+      return { success: false, error: 'invalid_status' };
+    }
+    const result = db.prepare('UPDATE intents SET status = ?, updated_at = ? WHERE id = ?')
+      .run(status, new Date().toISOString(), intentId);
+    if (result.changes === 0) {
+      return { success: false, error: 'not_found' };
+    }
+    return { success: true, intent: this.getIntent(intentId) };
+  }
+
+  /**
+   * Generate an action item ID
+   */
+  static generateActionItemId() {
+    return 'act_' + crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Add an action item by hand. With a conversationId the contact is taken
+   * from the conversation.
+   *
+   * @param {object} options
+   * @param {string} options.text
+   * @param {string} options.owner - 'owner' (default), 'caller' or 'joint'
+   * @param {string} options.dueAt - Date or ISO timestamp (optional)
+   * @param {string} options.conversationId - Source conversation (optional)
+   * @param {string} options.contactId
+   * @param {string} options.contactName
+   */
+  addActionItem(options = {}) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const { owner = 'owner', dueAt = null, conversationId = null } = options;
+    const text = String(options.text || '').trim();
+    if (!text) {
+      return { success: false, error: 'missing_text' };
+    }
+    if (!ACTION_ITEM_OWNERS.includes(owner)) {
+      return { success: false, error: 'invalid_owner' };
+    }
+    if (dueAt && Number.isNaN(Date.parse(dueAt))) {
+      return { success: false, error: 'invalid_due' };
+    }
+
+    let contactId = options.contactId || null;
+    let contactName = options.contactName || null;
+    if (conversationId) {
+      const conversation = db.prepare('SELECT contact_id, contact_name FROM conversations WHERE id = ?').get(conversationId);
+      if (!conversation) {
+        return { success: false, error: 'conversation_not_found' };
+      }
+      contactId = contactId || conversation.contact_id;
+      contactName = contactName || conversation.contact_name;
+    }
+
+    const id = ConversationStore.generateActionItemId();
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO action_items (id, conversation_id, contact_id, contact_name, owner, text, status, due_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?)
+    `).run(id, conversationId, contactId, contactName, owner, text.slice(0, 500), dueAt, now, now);
+
+    return { success: true, item: this.getActionItem(id) };
+  }
+
+  /**
+   * Get an action item by ID
+   */
+  getActionItem(itemId) {
+    const db = this._initDb();
+    if (!db) return null;
+    return db.prepare('SELECT * FROM action_items WHERE id = ?').get(itemId) || null;
+  }
+
+  /**
+   * List action items, soonest due first (undated last)
+   *
+   * @param {object} options
+   * @param {string|string[]} options.status - open | done | dropped
+   * @param {string} options.owner - owner | caller | joint
+   * @param {string} options.contactId - Contact id or name
+   * @param {string} options.exactContactId - Contact id only; caller-supplied names never match
+   * @param {string} options.conversationId
+   * @param {string} options.dueBefore - ISO timestamp; only items due before it
+   * @param {string} options.tier - Only items from conversations a call at this
+   *   tier may see, by the same rule as contact memory (items added by hand count
+   *   as unknown tier)
+   */
+  listActionItems(options = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { status, owner, contactId, exactContactId, conversationId, dueBefore, tier, limit = 100 } = options;
+
+    let query = 'SELECT * FROM action_items WHERE 1=1';
+    const params = [];
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+    if (owner) {
+      query += ' AND owner = ?';
+      params.push(owner);
+    }
+    if (contactId) {
+      query += ' AND (contact_id = ? OR contact_name = ?)';
+      params.push(contactId, contactId);
+    }
+    if (exactContactId) {
+      query += ' AND contact_id = ?';
+      params.push(exactContactId);
+    }
+    if (conversationId) {
+      query += ' AND conversation_id = ?';
+      params.push(conversationId);
+    }
+    if (dueBefore) {
+      query += ' AND due_at IS NOT NULL AND due_at < ?';
+      params.push(dueBefore);
+    }
+    if (tier !== undefined) {
+      const tiers = tiersVisibleAt(tier);
+      if (!tiers.length) return [];
+      query += ` AND COALESCE((SELECT tier FROM conversations WHERE id = action_items.conversation_id), '')
+        IN (${tiers.map(() => '?').join(', ')})`;
+      params.push(...tiers);
+    }
+    query += ' ORDER BY due_at IS NULL, due_at ASC, created_at ASC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params);
+  }
+
+  /**
+   * Update an action item's status, due date, owner or text.
+   * Marking it done records completed_at; reopening clears it.
+   */
+  updateActionItem(itemId, updates = {}) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const existing = this.getActionItem(itemId);
+    if (!existing) {
+      return { success: false, error: 'not_found' };
+    }
+
+    const fields = {};
+    if (updates.status !== undefined) {
+      if (!ACTION_ITEM_STATUSES.includes(updates.status)) {
+        return { success: false, error: 'invalid_status' };
+      }
+      fields.status = updates.status;
+    }
+    if (updates.owner !== undefined) {
+      if (!ACTION_ITEM_OWNERS.includes(updates.owner)) {
+        return { success: false, error: 'invalid_owner' };
+      }
+      fields.owner = updates.owner;
+    }
+    if (updates.dueAt !== undefined) {
+      if (updates.dueAt && Number.isNaN(Date.parse(updates.dueAt))) {
+        return { success: false, error: 'invalid_due' };
+      }
+      fields.due_at = updates.dueAt || null;
+    }
+    if (updates.text !== undefined) {
+      const text = String(updates.text || '').trim();
+      if (!text) {
+        return { success: false, error: 'missing_text' };
+      }
+      fields.text = text.slice(0, 500);
+    }
+
+    const now = new Date().toISOString();
+    if (fields.status === 'done' && existing.status !== 'done') {
+      fields.completed_at = now;
+    } else if (fields.status && fields.status !== 'done') {
+      fields.completed_at = null;
+    }
+    fields.updated_at = now;
+
+    const columns = Object.keys(fields);
+    db.prepare(`UPDATE action_items SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map(c => fields[c]), itemId);
+    return { success: true, item: this.getActionItem(itemId) };
+  }
+
+  _toContactMemory(row) {
+    if (!row) return null;
+    let entries = [];
+    try { entries = JSON.parse(row.entries) || []; } catch { entries = []; }
+    return { ...row, entries };
+  }
+
+  /**
+   * A contact's rolling memory of recent calls, oldest first
+   *
+   * @param {string} contactId - Contact id (as stored on its conversations)
+   * @param {object} options
+   * @param {string} options.tier - Only entries visible to a call at this tier
+   */
+  getContactMemory(contactId, options = {}) {
+    const db = this._initDb();
+    if (!db) return null;
+    const memory = this._toContactMemory(
+      db.prepare('SELECT * FROM contact_memory WHERE contact_id = ?').get(contactId)
+    );
+    if (memory && options.tier) {
+      memory.entries = memory.entries.filter(entry => memoryVisibleAtTier(entry.tier, options.tier));
+    }
+    return memory;
+  }
+
+  /**
+   * Every contact with a memory, most recently updated first
+   */
+  listContactMemories(options = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { limit = 200 } = options;
+    return db.prepare('SELECT * FROM contact_memory ORDER BY updated_at DESC LIMIT ?')
+      .all(limit)
+      .map(row => this._toContactMemory(row));
+  }
+
+  /**
+   * Owner edit of one remembered call. Edited entries are kept as written
+   * when the conversation is concluded again.
+   *
+   * @param {object} updates - { summary, threads, collaborations, open_questions }
+   */
+  updateContactMemoryEntry(contactId, conversationId, updates = {}) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const memory = this.getContactMemory(contactId);
+    const entry = memory && memory.entries.find(e => e.conversation_id === conversationId);
+    if (!entry) {
+      return { success: false, error: 'not_found' };
+    }
+    if (updates.summary !== undefined) {
+      entry.summary = String(updates.summary || '').trim().slice(0, 2000) || null;
+    }
+    for (const field of ['threads', 'collaborations', 'open_questions']) {
+      if (updates[field] === undefined) continue;
+      if (!Array.isArray(updates[field])) {
+        return { success: false, error: `invalid_${field}` };
+      }
+      entry[field] = updates[field].map(item => String(item).trim()).filter(Boolean).slice(0, 8);
+    }
+    entry.edited = true;
+    db.prepare('UPDATE contact_memory SET entries = ?, updated_at = ? WHERE contact_id = ?')
+      .run(JSON.stringify(memory.entries), new Date().toISOString(), contactId);
+    return { success: true, memory: this.getContactMemory(contactId) };
+  }
+
+  /**
+   * Forget one call, or (without a conversationId) everything about a contact.
+   * Later calls start a new memory.
+   */
+  forgetContactMemory(contactId, conversationId = null) {
+    const db = this._initDb();
+    if (!db) return { success: false, error: this._dbError };
+    const memory = this.getContactMemory(contactId);
+    if (!memory) {
+      return { success: false, error: 'not_found' };
+    }
+    if (!conversationId) {
+      db.prepare('DELETE FROM contact_memory WHERE contact_id = ?').run(contactId);
+      return { success: true, memory: null };
+    }
+    const entries = memory.entries.filter(e => e.conversation_id !== conversationId);
+    if (entries.length === memory.entries.length) {
+      return { success: false, error: 'not_found' };
+    }
+    db.prepare('UPDATE contact_memory SET entries = ?, updated_at = ? WHERE contact_id = ?')
+      .run(JSON.stringify(entries), new Date().toISOString(), contactId);
+    return { success: true, memory: this.getContactMemory(contactId) };
+  }
+
+  /**
+   * Generate an outbound queue item ID
+   */
+  static generateOutboundId() {
+    return 'out_' + crypto.randomBytes(8).toString('hex');
+  }
+
+  _toOutbound(row) {
+    if (!row) return null;
+    const parseJson = (str) => {
+      if (!str) return null;
+      try { return JSON.parse(str); } catch { return null; }
+    };
+    return {
+      ...row,
+      options: parseJson(row.options) || {},
+      response: parseJson(row.response),
+      attempts: row.attempts || 0
+    };
+  }
+
+  /**
+   * Queue a message for a contact that could not be reached. The server's
+   * OutboundQueue retries it until it is delivered, fails, or expires.
+   */
+  enqueueOutbound(options = {}) {
+    const db = this._initDb();
+    if (!db) return null;
+    const {
+      id = ConversationStore.generateOutboundId(),
+      contactId,
+      contactName = null,
+      conversationId = null,
+      message,
+      callOptions = {},
+      idempotencyKey = crypto.randomUUID(),
+      attempts = 0,
+      maxAttempts,
+      nextAttemptAt,
+      expiresAt,
+      error = null,
+      errorMessage = null
+    } = options;
+
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO outbound_queue (id, contact_id, contact_name, conversation_id, message, options, idempotency_key,
+        status, attempts, max_attempts, next_attempt_at, expires_at, last_error, last_error_message, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      contactId,
+      contactName,
+      conversationId,
+      message,
+      JSON.stringify(callOptions || {}),
+      idempotencyKey,
+      attempts,
+      maxAttempts,
+      nextAttemptAt,
+      expiresAt,
+      error,
+      errorMessage,
+      now,
+      now
+    );
+
+    return this.getOutbound(id);
+  }
+
+  /**
+   * Get an outbound queue item by ID (options and response parsed)
+   */
+  getOutbound(id) {
+    const db = this._initDb();
+    if (!db) return null;
+    return this._toOutbound(db.prepare('SELECT * FROM outbound_queue WHERE id = ?').get(id));
+  }
+
+  /**
+   * List outbound queue items, newest first
+   */
+  listOutbound(options = {}) {
+    const db = this._initDb();
+    if (!db) return [];
+    const { status, contactId, limit = 50 } = options;
+
+    let query = 'SELECT * FROM outbound_queue WHERE 1=1';
+    const params = [];
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+      params.push(...statuses);
+    }
+    if (contactId) {
+      query += ' AND contact_id = ?';
+      params.push(contactId);
+    }
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return db.prepare(query).all(...params).map(row => this._toOutbound(row));
+  }
+
+  /**
+   * Mark an item as being delivered, so the server and the CLI never send it twice.
+   * Returns the item, or null when it is not in one of `fromStatuses`.
+   */
+  claimOutbound(id, fromStatuses = ['pending']) {
+    const db = this._initDb();
+    if (!db) return null;
+    const result = db.prepare(`
+      UPDATE outbound_queue SET status = 'delivering', updated_at = ?
+      WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})
+    `).run(new Date().toISOString(), id, ...fromStatuses);
+    return result.changes > 0 ? this.getOutbound(id) : null;
+  }
+
+  /**
+   * IDs of pending items whose next attempt is due, oldest first
+   */
+  listDueOutbound(now = new Date().toISOString(), limit = 20) {
+    const db = this._initDb();
+    if (!db) return [];
+    return db.prepare(`
+      SELECT id FROM outbound_queue WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC LIMIT ?
+    `).all(now, limit).map(row => row.id);
+  }
+
+  /**
+   * Update queue item state. Only delivery fields can change; response is stored as JSON.
+   */
+  updateOutbound(id, updates = {}) {
+    const db = this._initDb();
+    if (!db) return null;
+    const allowed = [
+      'status', 'attempts', 'max_attempts', 'next_attempt_at', 'expires_at',
+      'last_error', 'last_error_message', 'response', 'delivered_at'
+    ];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) return this.getOutbound(id);
+
+    const values = fields.map(key => (key === 'response' && updates.response != null
+      ? JSON.stringify(updates.response)
+      : updates[key]));
+    db.prepare(`
+      UPDATE outbound_queue SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = ?
+      WHERE id = ?
+    `).run(...values, new Date().toISOString(), id);
+
+    return this.getOutbound(id);
+  }
+
   /**
    * Close database connection
    */
@@ -640,4 +2099,13 @@ class ConversationStore {
   }
 }
 
-module.exports = { ConversationStore };
+module.exports = {
+  ACTION_ITEM_OWNERS,
+  ACTION_ITEM_STATUSES,
+  CONTACT_MEMORY_MAX_ENTRIES,
+  DB_FILENAME,
+  MIGRATIONS,
+  ConversationStore,
+  memoryVisibleAtTier,
+  toSearchQuery
+};
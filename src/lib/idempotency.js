@@ -0,0 +1,302 @@
+/**
+ * Idempotency keys for /invoke and /end
+ *
+ * A caller that retries after a timeout sends the same `Idempotency-Key`
+ * header. The first request reserves the key; its response is stored and
+ * replayed for retries inside the window, so the turn runs (and counts) once.
+ *
+ * Keys are scoped to the token that sent them. The stored fingerprint covers
+ * the route and body, so reusing a key for a different request is refused.
+ * Bodies are stored as sent, so callers strip secrets (a rotated successor
+ * token) before complete().
+ *
+ * Backends:
+ * - sqlite: persisted at ~/.config/openclaw/a2a-idempotency.db (or $A2A_CONFIG_DIR)
+ * - memory: process-local fallback (tests, or when better-sqlite3 is unavailable)
+ *
+ * Both stores expose the same contract:
+ *   begin(scope, key, fingerprint, now?) -> { state: 'new' | 'replay' | 'in_progress' | 'mismatch', response? }
+ *   complete(scope, key, { status, body }, now?)
+ *   release(scope, key)  -- drop a reservation whose request produced nothing worth replaying
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
+  process.env.OPENCLAW_CONFIG_DIR ||
+  path.join(process.env.HOME || '/tmp', '.config', 'openclaw');
+
+const DB_FILENAME = 'a2a-idempotency.db';
+const HEADER = 'Idempotency-Key';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// A reservation outlives the longest sync turn; after that a crashed request frees its key.
+const PENDING_LEASE_MS = 10 * 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const logger = createLogger({ component: 'a2a.idempotency' });
+
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) out[key] = canonicalize(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Hash of the route and body, independent of key order in the JSON.
+ */
+function fingerprintRequest(route, body) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([route, canonicalize(body || {})]))
+    .digest('hex');
+}
+
+function decide(entry, fingerprint) {
+  if (!entry) return { state: 'new' };
+  if (entry.fingerprint !== fingerprint) return { state: 'mismatch' };
+  if (entry.state !== 'done') return { state: 'in_progress' };
+  return { state: 'replay', response: { status: entry.status, body: entry.body } };
+}
+
+class MemoryIdempotencyStore {
+  constructor(options = {}) {
+    this.backend = 'memory';
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.entries = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  _prune(now) {
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(id);
+    }
+  }
+
+  begin(scope, key, fingerprint, now = Date.now()) {
+    this._prune(now);
+    const id = `${scope}\n${key}`;
+    const decision = decide(this.entries.get(id), fingerprint);
+    if (decision.state === 'new') {
+      this.entries.set(id, { fingerprint, state: 'pending', expiresAt: now + PENDING_LEASE_MS });
+    }
+    return decision;
+  }
+
+  complete(scope, key, response, now = Date.now()) {
+    const entry = this.entries.get(`${scope}\n${key}`);
+    if (!entry) return;
+    entry.state = 'done';
+    entry.status = response.status;
+    entry.body = response.body;
+    entry.expiresAt = now + this.ttlMs;
+  }
+
+  release(scope, key) {
+    const id = `${scope}\n${key}`;
+    const entry = this.entries.get(id);
+    if (entry && entry.state !== 'done') this.entries.delete(id);
+  }
+
+  close() {}
+}
+
+class SqliteIdempotencyStore {
+  constructor(configDir = DEFAULT_CONFIG_DIR, options = {}) {
+    this.backend = 'sqlite';
+    this.configDir = configDir;
+    this.dbPath = options.dbPath || path.join(configDir, DB_FILENAME);
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.db = null;
+    this._dbError = null;
+    this._stmts = null;
+    if (!fs.existsSync(this.configDir)) {
+      fs.mkdirSync(this.configDir, { recursive: true });
+    }
+  }
+
+  _initDb() {
+    if (this.db) return this.db;
+    if (this._dbError) return null;
+    try {
+      const Database = require('better-sqlite3');
+      this.db = new Database(this.dbPath);
+      try {
+        fs.chmodSync(this.dbPath, 0o600);
+      } catch (err) {
+        // best effort
+      }
+      this._migrate();
+      this._prepareStatements();
+      return this.db;
+    } catch (err) {
+      this._dbError = err && err.message ? err.message : 'failed_to_initialize_idempotency_db';
+      return null;
+    }
+  }
+
+  _migrate() {
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        idem_key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        state TEXT NOT NULL, -- pending | done
+        response_status INTEGER,
+        response_body TEXT, -- JSON
+        created_at INTEGER NOT NULL, -- epoch ms
+        expires_at INTEGER NOT NULL, -- epoch ms
+        PRIMARY KEY (scope, idem_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+    `);
+  }
+
+  _prepareStatements() {
+    this._stmts = {
+      prune: this.db.prepare(
+        `DELETE FROM idempotency_keys WHERE expires_at <= ?`
+      ),
+      get: this.db.prepare(
+        `SELECT * FROM idempotency_keys WHERE scope = ? AND idem_key = ?`
+      ),
+      reserve: this.db.prepare(
+        `INSERT INTO idempotency_keys (scope, idem_key, fingerprint, state, created_at, expires_at)
+         VALUES (?, ?, ?, 'pending', ?, ?)`
+      ),
+      complete: this.db.prepare(
+        `UPDATE idempotency_keys SET state = 'done', response_status = ?, response_body = ?, expires_at = ?
+         WHERE scope = ? AND idem_key = ?`
+      ),
+      release: this.db.prepare(
+        `DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ? AND state = 'pending'`
+      )
+    };
+  }
+
+  isAvailable() {
+    return Boolean(this._initDb());
+  }
+
+  getDbError() {
+    this._initDb();
+    return this._dbError;
+  }
+
+  _requireDb() {
+    const db = this._initDb();
+    if (!db) {
+      throw new Error(this._dbError || 'idempotency_storage_unavailable');
+    }
+    return db;
+  }
+
+  begin(scope, key, fingerprint, now = Date.now()) {
+    const db = this._requireDb();
+    // IMMEDIATE so two processes cannot both reserve the same key.
+    const tx = db.transaction(() => {
+      this._stmts.prune.run(now);
+      const row = this._stmts.get.get(String(scope), String(key));
+      const decision = decide(row && {
+        fingerprint: row.fingerprint,
+        state: row.state,
+        status: row.response_status,
+        body: row.response_body ? JSON.parse(row.response_body) : null
+      }, fingerprint);
+      if (decision.state === 'new') {
+        this._stmts.reserve.run(String(scope), String(key), fingerprint, now, now + PENDING_LEASE_MS);
+      }
+      return decision;
+    });
+    return tx.immediate();
+  }
+
+  complete(scope, key, response, now = Date.now()) {
+    this._requireDb();
+    this._stmts.complete.run(
+      response.status,
+      JSON.stringify(response.body),
+      now + this.ttlMs,
+      String(scope),
+      String(key)
+    );
+  }
+
+  release(scope, key) {
+    if (!this._initDb()) return;
+    this._stmts.release.run(String(scope), String(key));
+  }
+
+  close() {
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch (err) {
+        // best effort
+      }
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Create an idempotency store.
+ *
+ * @param {object} options
+ * @param {string} options.backend - 'sqlite' (default) or 'memory'
+ * @param {string} options.configDir - Directory for the SQLite file
+ * @param {number} options.ttlMs - How long completed responses are replayed (default: 24h)
+ */
+function createIdempotencyStore(options = {}) {
+  const backend = String(options.backend || process.env.A2A_IDEMPOTENCY_BACKEND || 'sqlite').trim().toLowerCase();
+  if (backend === 'memory') {
+    return new MemoryIdempotencyStore({ ttlMs: options.ttlMs });
+  }
+
+  const store = new SqliteIdempotencyStore(options.configDir || DEFAULT_CONFIG_DIR, {
+    dbPath: options.dbPath,
+    ttlMs: options.ttlMs
+  });
+  if (store.isAvailable()) {
+    return store;
+  }
+
+  logger.warn('Persistent idempotency storage unavailable; falling back to in-memory keys', {
+    event: 'idempotency_store_fallback',
+    error_code: 'IDEMPOTENCY_STORE_UNAVAILABLE',
+    hint: 'Install better-sqlite3 and check write access to the config directory.',
+    data: {
+      db_path: store.dbPath,
+      error: store.getDbError()
+    }
+  });
+  return new MemoryIdempotencyStore({ ttlMs: options.ttlMs });
+}
+
+module.exports = {
+  DB_FILENAME,
+  HEADER,
+  DEFAULT_TTL_MS,
+  MemoryIdempotencyStore,
+  SqliteIdempotencyStore,
+  createIdempotencyStore,
+  fingerprintRequest,
+  isValidKey
+};
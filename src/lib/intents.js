@@ -0,0 +1,223 @@
+/**
+ * Structured intents for /invoke
+ *
+ * Most calls follow a few patterns, so a request can name one explicitly
+ * next to its free-text message:
+ *
+ *   { "message": "Can we meet next week?",
+ *     "intent": { "type": "schedule_meeting", "title": "Kickoff",
+ *                 "slots": [{ "start": "2026-03-02T10:00:00Z" }] } }
+ *
+ * The registry maps each intent type to a handler:
+ *
+ *   - capability: what the callee's token must grant (checked with the rest of
+ *     the request's capabilities, so on_denied applies)
+ *   - normalize(fields): validated fields, or { error } for bad input
+ *   - describe(intent): plain-text lines for the runtime prompt
+ *
+ * Accepted intents are stored on the conversation (ConversationStore intents
+ * table) with status open | accepted | declined | done.
+ */
+
+const INTENT_STATUSES = ['open', 'accepted', 'declined', 'done'];
+const INTENT_TYPE_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_SLOTS = 10;
+
+function cleanText(value, max) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, max) : null;
+}
+
+function toIsoDate(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const scheduleMeeting = {
+  capability: 'calendar.read',
+  normalize(fields) {
+    if (!Array.isArray(fields.slots) || fields.slots.length === 0) {
+      return { error: 'schedule_meeting needs at least one entry in slots' };
+    }
+    if (fields.slots.length > MAX_SLOTS) {
+      return { error: `schedule_meeting accepts at most ${MAX_SLOTS} slots` };
+    }
+    const slots = [];
+    for (const slot of fields.slots) {
+      const start = toIsoDate(slot && typeof slot === 'object' ? slot.start : slot);
+      const end = slot && typeof slot === 'object' && slot.end !== undefined ? toIsoDate(slot.end) : null;
+      if (!start || (slot && slot.end !== undefined && (!end || end <= start))) {
+        return { error: 'Each slot needs an ISO start (and an end after it, if given)' };
+      }
+      slots.push({ start, end });
+    }
+    let duration = null;
+    if (fields.duration_minutes !== undefined && fields.duration_minutes !== null) {
+      duration = Number.parseInt(fields.duration_minutes, 10);
+      if (!Number.isFinite(duration) || duration < 5 || duration > 480) {
+        return { error: 'duration_minutes must be between 5 and 480' };
+      }
+    }
+    return {
+      fields: {
+        title: cleanText(fields.title, 200),
+        slots,
+        duration_minutes: duration,
+        timezone: cleanText(fields.timezone, 60),
+        notes: cleanText(fields.notes, 500)
+      }
+    };
+  },
+  describe(intent) {
+    const lines = [`They want to schedule a meeting${intent.title ? `: ${intent.title}` : ''}.`];
+    if (intent.duration_minutes) lines.push(`Duration: ${intent.duration_minutes} minutes`);
+    if (intent.timezone) lines.push(`Their timezone: ${intent.timezone}`);
+    lines.push('Proposed slots:');
+    for (const slot of intent.slots) {
+      lines.push(`  - ${slot.start}${slot.end ? ` to ${slot.end}` : ''}`);
+    }
+    if (intent.notes) lines.push(`Notes: ${intent.notes}`);
+    return lines;
+  }
+};
+
+const requestIntro = {
+  capability: 'context-read',
+  normalize(fields) {
+    const person = cleanText(fields.person, 120);
+    if (!person) {
+      return { error: 'request_intro needs the person to be introduced to' };
+    }
+    return {
+      fields: {
+        person,
+        reason: cleanText(fields.reason, 500),
+        context: cleanText(fields.context, 500)
+      }
+    };
+  },
+  describe(intent) {
+    const lines = [`They are asking for an introduction to ${intent.person}.`];
+    if (intent.reason) lines.push(`Reason: ${intent.reason}`);
+    if (intent.context) lines.push(`Context: ${intent.context}`);
+    lines.push('Only your owner can make introductions; do not share contact details yourself.');
+    return lines;
+  }
+};
+
+const askResource = {
+  capability: 'context-read',
+  normalize(fields) {
+    const resource = cleanText(fields.resource, 200);
+    if (!resource) {
+      return { error: 'ask_resource needs the resource being asked for' };
+    }
+    let neededBy = null;
+    if (fields.needed_by !== undefined && fields.needed_by !== null) {
+      neededBy = toIsoDate(fields.needed_by);
+      if (!neededBy) return { error: 'needed_by must be an ISO date' };
+    }
+    return {
+      fields: {
+        resource,
+        details: cleanText(fields.details, 500),
+        needed_by: neededBy
+      }
+    };
+  },
+  describe(intent) {
+    const lines = [`They are asking for a resource: ${intent.resource}.`];
+    if (intent.details) lines.push(`Details: ${intent.details}`);
+    if (intent.needed_by) lines.push(`Needed by: ${intent.needed_by}`);
+    return lines;
+  }
+};
+
+const BUILTIN_INTENTS = {
+  schedule_meeting: scheduleMeeting,
+  request_intro: requestIntro,
+  ask_resource: askResource
+};
+
+class IntentRegistry {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.builtins=true] - Register schedule_meeting, request_intro and ask_resource
+   */
+  constructor(options = {}) {
+    this._handlers = new Map();
+    if (options.builtins !== false) {
+      for (const [type, handler] of Object.entries(BUILTIN_INTENTS)) {
+        this.register(type, handler);
+      }
+    }
+  }
+
+  /**
+   * Add or replace the handler for an intent type.
+   */
+  register(type, handler) {
+    if (!INTENT_TYPE_PATTERN.test(String(type))) {
+      throw new Error(`Invalid intent type: ${type}`);
+    }
+    if (!handler || typeof handler.normalize !== 'function' || !handler.capability) {
+      throw new Error(`Intent handler for ${type} needs a capability and normalize()`);
+    }
+    this._handlers.set(type, handler);
+    return this;
+  }
+
+  has(type) {
+    return this._handlers.has(type);
+  }
+
+  types() {
+    return Array.from(this._handlers.keys());
+  }
+
+  /**
+   * Validate the `intent` field of an invoke body.
+   * Returns { intent: null } when absent, { intent, capability } when valid,
+   * or { error, message }.
+   */
+  normalize(value) {
+    if (value === undefined || value === null) {
+      return { intent: null };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'invalid_intent', message: 'intent must be an object with a type' };
+    }
+    const type = String(value.type || '');
+    const handler = this._handlers.get(type);
+    if (!handler) {
+      return {
+        error: 'invalid_intent',
+        message: `Unknown intent type "${type}"; supported: ${this.types().join(', ')}`
+      };
+    }
+    const result = handler.normalize(value);
+    if (!result || result.error) {
+      return { error: 'invalid_intent', message: (result && result.error) || `Invalid ${type} intent` };
+    }
+    return { intent: { type, ...result.fields }, capability: handler.capability };
+  }
+
+  /**
+   * Prompt text for an accepted intent.
+   */
+  describe(intent) {
+    if (!intent) return '';
+    const handler = this._handlers.get(intent.type);
+    const lines = handler && typeof handler.describe === 'function'
+      ? handler.describe(intent)
+      : [JSON.stringify(intent)];
+    return [`Structured request (${intent.type}):`, ...lines.map(line => `  ${line}`)].join('\n');
+  }
+}
+
+module.exports = {
+  INTENT_STATUSES,
+  IntentRegistry
+};
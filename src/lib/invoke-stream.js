@@ -0,0 +1,156 @@
+/**
+ * Streaming /invoke responses
+ *
+ * A caller opts in with `"stream": true` in the body or an Accept header of
+ * text/event-stream (SSE) or application/x-ndjson. Every event is a JSON object
+ * with a `type`:
+ *
+ *   progress - { stage, ... }      accepted, runtime_started, heartbeat
+ *   delta    - { text }            partial response text, in order
+ *   final    - the normal /invoke response envelope (authoritative text)
+ *   error    - { success: false, error, message, status_code }
+ *
+ * SSE frames carry the type as the event name (`event: delta\ndata: {...}`);
+ * NDJSON writes one event per line. Authentication and validation errors are
+ * returned before the stream opens, as ordinary JSON responses.
+ */
+
+const STREAM_FORMATS = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Pick the stream format for a request, or null for a plain JSON response.
+ */
+function resolveStreamFormat(req) {
+  const accept = String((req.headers && req.headers.accept) || '').toLowerCase();
+  if (accept.includes(STREAM_FORMATS.sse)) return 'sse';
+  if (accept.includes(STREAM_FORMATS.ndjson)) return 'ndjson';
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  if (body.stream === true || body.stream === 'ndjson') return 'ndjson';
+  if (body.stream === 'sse') return 'sse';
+  return null;
+}
+
+function encodeEvent(format, event) {
+  const json = JSON.stringify(event);
+  if (format === 'sse') {
+    return `event: ${event.type}\ndata: ${json}\n\n`;
+  }
+  return `${json}\n`;
+}
+
+/**
+ * Wrap an Express response in a stream writer. Nothing is sent until open().
+ * Writes after the client disconnects are dropped.
+ */
+function createStreamWriter(res, format, options = {}) {
+  const heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+  let opened = false;
+  let closed = false;
+  let heartbeat = null;
+
+  res.on('close', () => {
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+  });
+
+  function write(event) {
+    if (closed || res.writableEnded) return false;
+    res.write(encodeEvent(format, event));
+    if (typeof res.flush === 'function') res.flush();
+    return true;
+  }
+
+  function end() {
+    if (heartbeat) clearInterval(heartbeat);
+    heartbeat = null;
+    if (!res.writableEnded) res.end();
+  }
+
+  return {
+    format,
+    get opened() {
+      return opened;
+    },
+    get closed() {
+      return closed;
+    },
+    open(status = 200) {
+      if (opened) return;
+      opened = true;
+      res.status(status);
+      res.set('Content-Type', `${STREAM_FORMATS[format]}; charset=utf-8`);
+      res.set('Cache-Control', 'no-cache, no-transform');
+      // Ask nginx-style proxies not to buffer the stream.
+      res.set('X-Accel-Buffering', 'no');
+      res.flushHeaders();
+      heartbeat = setInterval(() => write({ type: 'progress', stage: 'heartbeat' }), heartbeatMs);
+      if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    },
+    progress(stage, data = {}) {
+      return write({ type: 'progress', stage, ...data });
+    },
+    delta(text) {
+      if (!text) return false;
+      return write({ type: 'delta', text: String(text) });
+    },
+    final(payload) {
+      write({ type: 'final', ...payload });
+      end();
+    },
+    fail(statusCode, payload) {
+      write({ type: 'error', status_code: statusCode, ...payload });
+      end();
+    }
+  };
+}
+
+/**
+ * Incremental parser for either format. Feed it response chunks; it calls
+ * onEvent with each complete event object.
+ */
+function createStreamParser(format, onEvent) {
+  let buffer = '';
+  const separator = format === 'sse' ? '\n\n' : '\n';
+
+  function parseFrame(frame) {
+    if (!frame.trim()) return;
+    let data = frame;
+    if (format === 'sse') {
+      data = frame.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) return; // comment or keep-alive frame
+    }
+    onEvent(JSON.parse(data));
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf(separator)) !== -1) {
+        const frame = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + separator.length);
+        parseFrame(frame);
+      }
+    },
+    end() {
+      const rest = buffer;
+      buffer = '';
+      parseFrame(rest);
+    }
+  };
+}
+
+module.exports = {
+  STREAM_FORMATS,
+  resolveStreamFormat,
+  createStreamWriter,
+  createStreamParser
+};
@@ -0,0 +1,133 @@
+/**
+ * IP / CIDR allowlists
+ *
+ * Used for per-token `allowed_cidrs` and for the trusted-proxy list that decides
+ * when X-Forwarded-For may be believed. Entries are plain addresses
+ * ("203.0.113.7", "2001:db8::1") or CIDR blocks ("10.0.0.0/8", "2001:db8::/32").
+ * IPv4-mapped IPv6 peers ("::ffff:10.0.0.1") match IPv4 entries.
+ */
+
+const net = require('net');
+
+const MAX_ENTRIES = 64;
+
+// Loopback, private, CGNAT, link-local, multicast, reserved/broadcast and unspecified
+// ranges: never a remote agent.
+const NON_PUBLIC_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.168.0.0/16', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+/**
+ * Strip brackets, zone ids, and the IPv4-mapped prefix from an address.
+ * Returns null when the value is not an IP address.
+ */
+function normalizeAddress(value) {
+  if (typeof value !== 'string') return null;
+  let address = value.trim();
+  if (address.startsWith('[') && address.includes(']')) {
+    address = address.slice(1, address.indexOf(']'));
+  }
+  const zone = address.indexOf('%');
+  if (zone !== -1) address = address.slice(0, zone);
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address)) {
+    address = address.slice(7);
+  }
+  return net.isIP(address) ? address.toLowerCase() : null;
+}
+
+/**
+ * Validate and canonicalize a CIDR list (array or comma-separated string).
+ * Returns { cidrs } or { error }.
+ */
+function parseCidrList(value) {
+  if (value === undefined || value === null || value === '') {
+    return { cidrs: [] };
+  }
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const entries = raw.map(entry => String(entry).trim()).filter(Boolean);
+  if (entries.length > MAX_ENTRIES) {
+    return { error: `At most ${MAX_ENTRIES} CIDR entries are allowed` };
+  }
+
+  const cidrs = [];
+  for (const entry of entries) {
+    const [addressPart, prefixPart] = entry.split('/');
+    const address = normalizeAddress(addressPart);
+    if (!address) {
+      return { error: `Invalid IP address in "${entry}"` };
+    }
+    const family = net.isIP(address);
+    const maxPrefix = family === 4 ? 32 : 128;
+    let prefix = maxPrefix;
+    if (prefixPart !== undefined) {
+      if (!/^\d{1,3}$/.test(prefixPart) || Number(prefixPart) > maxPrefix) {
+        return { error: `Invalid prefix length in "${entry}"` };
+      }
+      prefix = Number(prefixPart);
+    }
+    const canonical = `${address}/${prefix}`;
+    if (!cidrs.includes(canonical)) cidrs.push(canonical);
+  }
+  return { cidrs };
+}
+
+/**
+ * Build a matcher for a CIDR list. Invalid entries are skipped one by one (the
+ * rest still apply) and returned as `rejected` so callers can report them.
+ */
+function createAllowlist(value) {
+  const raw = value === undefined || value === null || value === ''
+    ? []
+    : (Array.isArray(value) ? value : String(value).split(','));
+  const cidrs = [];
+  const rejected = [];
+  for (const item of raw) {
+    const entry = String(item).trim();
+    if (!entry) continue;
+    const parsed = parseCidrList([entry]);
+    if (parsed.error) {
+      rejected.push(entry);
+    } else if (!cidrs.includes(parsed.cidrs[0])) {
+      cidrs.push(parsed.cidrs[0]);
+    }
+  }
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [address, prefix] = cidr.split('/');
+    blockList.addSubnet(address, Number(prefix), net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+  }
+  return {
+    cidrs,
+    rejected,
+    contains(ip) {
+      const address = normalizeAddress(ip);
+      if (!address) return false;
+      return blockList.check(address, net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+    }
+  };
+}
+
+function addressInList(ip, cidrs) {
+  return createAllowlist(cidrs).contains(ip);
+}
+
+let nonPublicList = null;
+
+/**
+ * True when the address is loopback, private, link-local, multicast or otherwise
+ * not reachable as a public host. Non-IP values return false.
+ */
+function isNonPublicAddress(ip) {
+  if (!nonPublicList) nonPublicList = createAllowlist(NON_PUBLIC_RANGES);
+  return nonPublicList.contains(ip);
+}
+
+module.exports = {
+  normalizeAddress,
+  parseCidrList,
+  createAllowlist,
+  addressInList,
+  isNonPublicAddress
+};
@@ -9,6 +9,7 @@
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { addColumnIfMissing, ensureMigrated } = require('./migrations');
 
 function resolveDefaultConfigDir() {
   return process.env.A2A_CONFIG_DIR ||
@@ -17,6 +18,59 @@ function resolveDefaultConfigDir() {
 }
 
 const LOG_DB_FILENAME = 'a2a-logs.db';
+
+/**
+ * Schema history for a2a-logs.db, applied in order by ./migrations.
+ * Append new steps; never edit one that has shipped.
+ */
+const LOG_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          level TEXT NOT NULL,
+          component TEXT NOT NULL,
+          event TEXT,
+          message TEXT NOT NULL,
+          trace_id TEXT,
+          conversation_id TEXT,
+          token_id TEXT,
+          request_id TEXT,
+          error_code TEXT,
+          status_code INTEGER,
+          hint TEXT,
+          data TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_logs_level ON logs(level);
+        CREATE INDEX IF NOT EXISTS idx_logs_component ON logs(component);
+      `);
+    }
+  },
+  {
+    // Early log files lacked the correlation and error fields and used to be
+    // moved aside; add the columns in place instead.
+    version: 2,
+    name: 'trace_and_error_columns',
+    up(db) {
+      for (const column of ['event', 'trace_id', 'conversation_id', 'token_id', 'request_id', 'error_code', 'hint', 'data']) {
+        addColumnIfMissing(db, 'logs', column, 'TEXT');
+      }
+      addColumnIfMissing(db, 'logs', 'status_code', 'INTEGER');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_logs_trace ON logs(trace_id);
+        CREATE INDEX IF NOT EXISTS idx_logs_conversation ON logs(conversation_id);
+        CREATE INDEX IF NOT EXISTS idx_logs_token ON logs(token_id);
+        CREATE INDEX IF NOT EXISTS idx_logs_error_code ON logs(error_code);
+      `);
+    }
+  }
+];
 const LOG_LEVEL_ORDER = {
   trace: 10,
   debug: 20,
@@ -129,70 +183,23 @@ class LogStore {
       } catch (err) {
         // best effort
       }
-      const ok = this._ensureSchema();
-      if (!ok) {
-        // Prototyping mode: do not attempt DB migrations; keep the old file and start fresh.
-        const backupPath = `${this.dbPath}.legacy.${Date.now()}`;
+      ensureMigrated(this.db, LOG_MIGRATIONS, { database: 'logs' });
+      this._prepareStatements();
+      return this.db;
+    } catch (err) {
+      if (this.db) {
         try {
           this.db.close();
-        } catch (err) {
+        } catch (closeErr) {
           // ignore
         }
-        fs.renameSync(this.dbPath, backupPath);
-        this.db = new Database(this.dbPath);
-        try {
-          fs.chmodSync(this.dbPath, 0o600);
-        } catch (err) {
-          // best effort
-        }
-        const ok2 = this._ensureSchema();
-        if (!ok2) {
-          this._dbError = 'failed_to_initialize_log_db_schema';
-          return null;
-        }
+        this.db = null;
       }
-      this._prepareStatements();
-      return this.db;
-    } catch (err) {
       this._dbError = err.message || 'failed_to_initialize_log_db';
       return null;
     }
   }
 
-  _ensureSchema() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        level TEXT NOT NULL,
-        component TEXT NOT NULL,
-        event TEXT,
-        message TEXT NOT NULL,
-        trace_id TEXT,
-        conversation_id TEXT,
-        token_id TEXT,
-        request_id TEXT,
-        error_code TEXT,
-        status_code INTEGER,
-        hint TEXT,
-        data TEXT
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON logs(timestamp DESC);
-      CREATE INDEX IF NOT EXISTS idx_logs_level ON logs(level);
-      CREATE INDEX IF NOT EXISTS idx_logs_component ON logs(component);
-      CREATE INDEX IF NOT EXISTS idx_logs_trace ON logs(trace_id);
-      CREATE INDEX IF NOT EXISTS idx_logs_conversation ON logs(conversation_id);
-      CREATE INDEX IF NOT EXISTS idx_logs_token ON logs(token_id);
-      CREATE INDEX IF NOT EXISTS idx_logs_error_code ON logs(error_code);
-    `);
-
-    const columns = this.db.prepare(`PRAGMA table_info(logs)`).all();
-    const names = new Set(columns.map(c => c && c.name).filter(Boolean));
-    const required = ['timestamp', 'level', 'component', 'message', 'error_code', 'status_code', 'hint', 'data'];
-    return required.every((name) => names.has(name));
-  }
-
   _prepareStatements() {
     this.insertStmt = this.db.prepare(`
       INSERT INTO logs (
@@ -572,6 +579,7 @@ function closeAllLoggerStores() {
 
 module.exports = {
   LOG_DB_FILENAME,
+  LOG_MIGRATIONS,
   createLogger,
   createTraceId,
   closeAllLoggerStores
@@ -0,0 +1,243 @@
+/**
+ * Versioned schema migrations for the local SQLite databases
+ *
+ * Each database records the migrations it has applied in a `schema_version`
+ * table. A migration is `{ version, name, up(db) }`; versions are strictly
+ * increasing and every `up` must be idempotent (CREATE ... IF NOT EXISTS,
+ * addColumnIfMissing), because databases created before versioning start at
+ * version 0 and replay every step over the tables they already have.
+ *
+ * Each migration runs in its own IMMEDIATE transaction together with its
+ * `schema_version` row, so a failure leaves the database at the last good
+ * version instead of half-migrated, and processes opening the same file at
+ * once apply each step exactly once. Nothing is ever dropped or reset.
+ *
+ * Stores migrate on open unless A2A_AUTO_MIGRATE=false; then pending
+ * migrations make the store unavailable until `a2a db migrate` runs them.
+ *
+ * Databases:
+ *   conversations  a2a-conversations.db  (ConversationStore)
+ *   logs           a2a-logs.db           (LogStore)
+ *   callbook       a2a-callbook.db       (CallbookStore)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_TABLE = 'schema_version';
+
+function autoMigrateEnabled() {
+  return String(process.env.A2A_AUTO_MIGRATE || 'true').trim().toLowerCase() !== 'false';
+}
+
+function validateMigrations(migrations) {
+  let previous = 0;
+  for (const migration of migrations) {
+    if (!Number.isInteger(migration.version) || migration.version <= previous) {
+      throw new Error(`Migration versions must be increasing integers (got ${migration.version} after ${previous})`);
+    }
+    if (!migration.name || typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version} needs a name and an up(db) function`);
+    }
+    previous = migration.version;
+  }
+}
+
+function tableExists(db, table) {
+  return Boolean(db.prepare(
+    `SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ?`
+  ).get(table));
+}
+
+/**
+ * Add a column unless the table already has it (SQLite has no ADD COLUMN IF NOT EXISTS).
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name);
+  if (columns.includes(column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+function readApplied(db) {
+  if (!tableExists(db, VERSION_TABLE)) return [];
+  return db.prepare(`SELECT version, name, applied_at FROM ${VERSION_TABLE} ORDER BY version`).all();
+}
+
+/**
+ * Where a database stands: the applied migrations and what is still pending.
+ *
+ * @returns {{ current: number, latest: number, applied: object[], pending: object[], legacy: boolean }}
+ *   `legacy` is true for a database with tables but no version history yet.
+ */
+function getSchemaStatus(db, migrations) {
+  validateMigrations(migrations);
+  const applied = readApplied(db);
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const hasTables = Boolean(db.prepare(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != ?`
+  ).get(VERSION_TABLE));
+  return {
+    current,
+    latest,
+    applied,
+    pending: migrations
+      .filter(m => m.version > current)
+      .map(m => ({ version: m.version, name: m.name })),
+    legacy: applied.length === 0 && hasTables
+  };
+}
+
+/**
+ * Apply pending migrations in order.
+ *
+ * @param {object} db - better-sqlite3 handle
+ * @param {object[]} migrations - Ordered { version, name, up(db) }
+ * @param {object} options
+ * @param {boolean} options.dryRun - Report what would run without changing anything
+ * @param {object} options.logger - Structured logger for applied steps (optional)
+ * @param {string} options.database - Name used in log entries
+ * @returns {{ from: number, to: number, applied: object[], dryRun: boolean }}
+ */
+function migrate(db, migrations, options = {}) {
+  const { dryRun = false, logger = null, database = null } = options;
+  const status = getSchemaStatus(db, migrations);
+  if (status.current > status.latest) {
+    const err = new Error(
+      `${database || 'database'} schema is at version ${status.current}, newer than this package supports ` +
+      `(${status.latest}). Upgrade a2a instead of downgrading.`
+    );
+    err.code = 'schema_too_new';
+    throw err;
+  }
+  if (dryRun || status.pending.length === 0) {
+    return { from: status.current, to: dryRun ? status.latest : status.current, applied: status.pending, dryRun };
+  }
+
+  const currentVersion = () => {
+    const row = db.prepare(`SELECT MAX(version) AS version FROM ${VERSION_TABLE}`).get();
+    return row.version || 0;
+  };
+  const applied = [];
+  let to = status.current;
+  for (const migration of migrations) {
+    if (migration.version <= status.current) continue;
+    // IMMEDIATE takes the write lock before re-reading the version, so a second
+    // process opening the same file waits and then skips what the first applied.
+    const ran = db.transaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ${VERSION_TABLE} (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL
+        );
+      `);
+      if (currentVersion() >= migration.version) return false;
+      migration.up(db);
+      db.prepare(`INSERT INTO ${VERSION_TABLE} (version, name, applied_at) VALUES (?, ?, ?)`)
+        .run(migration.version, migration.name, new Date().toISOString());
+      return true;
+    }).immediate();
+    to = migration.version;
+    if (!ran) continue;
+    applied.push({ version: migration.version, name: migration.name });
+    if (logger) {
+      logger.info('Applied schema migration', {
+        event: 'schema_migration_applied',
+        data: {
+          database,
+          version: migration.version,
+          name: migration.name
+        }
+      });
+    }
+  }
+  return { from: status.current, to, applied, dryRun: false };
+}
+
+/**
+ * Open-time hook for the stores: migrate, or refuse pending work when
+ * auto-migration is off. Throws on failure so the store reports it as its DB error.
+ */
+function ensureMigrated(db, migrations, options = {}) {
+  if (autoMigrateEnabled()) {
+    return migrate(db, migrations, options);
+  }
+  const status = getSchemaStatus(db, migrations);
+  // A brand-new file has nothing to protect, so it is always set up.
+  const isNew = status.applied.length === 0 && !status.legacy;
+  if (status.pending.length > 0 && !isNew) {
+    const err = new Error(
+      `${options.database || 'database'} has ${status.pending.length} pending schema migration(s); run: a2a db migrate`
+    );
+    err.code = 'schema_migration_pending';
+    throw err;
+  }
+  return migrate(db, migrations, options);
+}
+
+/**
+ * The databases managed by `a2a db`. Store modules are loaded lazily since
+ * they depend on this one.
+ */
+function listDatabases(configDir) {
+  const { LOG_DB_FILENAME, LOG_MIGRATIONS } = require('./logger');
+  const conversations = require('./conversations');
+  const callbook = require('./callbook');
+  return [
+    {
+      name: 'conversations',
+      path: path.join(configDir, conversations.DB_FILENAME),
+      migrations: conversations.MIGRATIONS
+    },
+    {
+      name: 'logs',
+      path: path.join(configDir, LOG_DB_FILENAME),
+      migrations: LOG_MIGRATIONS
+    },
+    {
+      name: 'callbook',
+      path: path.join(configDir, callbook.DB_FILENAME),
+      migrations: callbook.MIGRATIONS,
+      wal: true
+    }
+  ];
+}
+
+/**
+ * Status or migration of a database file for `a2a db`. Dry runs and status
+ * checks open the file read-only; a missing file is reported, not created.
+ */
+function inspectDatabase(entry, options = {}) {
+  const { apply = false, dryRun = false } = options;
+  if (!fs.existsSync(entry.path)) {
+    return { name: entry.name, path: entry.path, exists: false };
+  }
+  const Database = require('better-sqlite3');
+  const readOnly = !apply || dryRun;
+  const db = new Database(entry.path, { readonly: readOnly, fileMustExist: true });
+  try {
+    if (!apply) {
+      return { name: entry.name, path: entry.path, exists: true, ...getSchemaStatus(db, entry.migrations) };
+    }
+    if (entry.wal && !readOnly) {
+      db.pragma('journal_mode = WAL');
+    }
+    const result = migrate(db, entry.migrations, { dryRun, database: entry.name });
+    return { name: entry.name, path: entry.path, exists: true, ...result };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  VERSION_TABLE,
+  addColumnIfMissing,
+  autoMigrateEnabled,
+  ensureMigrated,
+  getSchemaStatus,
+  inspectDatabase,
+  listDatabases,
+  migrate
+};
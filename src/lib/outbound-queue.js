@@ -0,0 +1,385 @@
+/**
+ * Outbound Queue - Retries messages to contacts that could not be reached
+ *
+ * When a call to a saved contact fails because their agent is down (network
+ * error, timeout, 5xx, rate limit), the message is stored in the
+ * ConversationStore `outbound_queue` table instead of being lost. The server
+ * process retries due items with exponential backoff until:
+ * - the call succeeds (status 'delivered'; the reply is saved as a conversation)
+ * - the remote refuses it (4xx) or max_attempts is reached (status 'failed')
+ * - expires_at passes (status 'failed', error 'expired')
+ *
+ * The owner is notified when an item fails for good. Every attempt sends the
+ * item's Idempotency-Key, so a delivery whose reply was lost is not repeated
+ * by hosts that support it. Items queued from a signed call are retried signed
+ * with the local signing identity, since key-bound tokens refuse unsigned calls.
+ *
+ * Owners manage the queue with `a2a queue list|retry|drop` and the dashboard.
+ */
+
+const { A2AClient } = require('./client');
+const { createLogger } = require('./logger');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Failures that say nothing about the message itself: the contact may answer later.
+const RETRYABLE_ERRORS = ['network_error', 'timeout', 'idempotency_in_progress', 'rate_limited', 'parse_error'];
+
+// Only plain call options are replayed; streaming, async jobs and return invites need the caller present.
+const QUEUEABLE_OPTIONS = [
+  'conversationId', 'capabilities', 'topic', 'onDenied', 'attachments', 'intent', 'timeoutSeconds'
+];
+
+function isRetryableError(err) {
+  if (!err) return false;
+  if (RETRYABLE_ERRORS.includes(err.code)) return true;
+  return Number(err.statusCode) >= 500;
+}
+
+function pickCallOptions(options = {}) {
+  const picked = {};
+  for (const key of QUEUEABLE_OPTIONS) {
+    if (options[key] !== undefined) picked[key] = options[key];
+  }
+  return picked;
+}
+
+class OutboundQueue {
+  constructor(options = {}) {
+    this.convStore = options.convStore;
+    this.tokenStore = options.tokenStore;
+    this.notifyOwner = options.notifyOwner || (() => Promise.resolve());
+    this.logger = options.logger || createLogger({ component: 'a2a.outbound-queue' });
+    this.caller = options.caller || {};
+    // An identity, or a function that loads one when a signed item is retried.
+    this.signingIdentity = options.signingIdentity || null;
+    this.createClient = options.createClient || ((clientOptions) => new A2AClient(clientOptions));
+
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+    this.checkIntervalMs = options.checkIntervalMs || 15000;
+
+    this.intervalId = null;
+    this._processing = null;
+  }
+
+  /**
+   * Delay before the attempt after `attempts` failures: base, 2x, 4x, ... capped at an hour.
+   */
+  backoffMs(attempts) {
+    return Math.min(this.retryDelayMs * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Queue a message for a contact. Pass the error that made the first call fail;
+   * it counts as the first attempt.
+   *
+   * @param {object} options
+   * @param {object} options.contact - Saved contact ({ id, name })
+   * @param {string} options.message - Message to deliver
+   * @param {object} options.callOptions - A2AClient.call() options to replay
+   * @param {boolean} options.sign - Retry with the local signing identity
+   * @param {Error} options.error - The failure that queued it
+   * @param {number} options.ttlMs - Give up after this long (default: 24h)
+   * @param {number} options.maxAttempts - Give up after this many attempts (default: 8)
+   */
+  enqueue({ contact, message, callOptions = {}, sign = false, error = null, ttlMs, maxAttempts } = {}) {
+    const now = Date.now();
+    const attempts = error ? 1 : 0;
+    const picked = pickCallOptions(callOptions);
+    if (sign) picked.sign = true;
+    const item = this.convStore.enqueueOutbound({
+      contactId: contact.id,
+      contactName: contact.name || contact.host || null,
+      conversationId: picked.conversationId || null,
+      message,
+      callOptions: picked,
+      attempts,
+      maxAttempts: maxAttempts || this.maxAttempts,
+      nextAttemptAt: new Date(now + (attempts ? this.backoffMs(attempts) : 0)).toISOString(),
+      expiresAt: new Date(now + (ttlMs || this.ttlMs)).toISOString(),
+      error: error ? (error.code || 'request_failed') : null,
+      errorMessage: error ? error.message : null
+    });
+
+    this.logger.info('Queued outbound message for unreachable contact', {
+      event: 'outbound_queued',
+      data: {
+        queue_id: item.id,
+        contact_id: item.contact_id,
+        next_attempt_at: item.next_attempt_at,
+        expires_at: item.expires_at,
+        error: item.last_error
+      }
+    });
+    return item;
+  }
+
+  /**
+   * Deliver every pending item that is due, one at a time. Overlapping calls
+   * share the same pass.
+   */
+  processDue() {
+    if (!this._processing) {
+      this._processing = this._deliverDue().finally(() => {
+        this._processing = null;
+      });
+    }
+    return this._processing;
+  }
+
+  async _deliverDue() {
+    const results = [];
+    const nowIso = new Date().toISOString();
+    for (const id of this.convStore.listDueOutbound(nowIso)) {
+      const item = this.convStore.claimOutbound(id);
+      if (item) results.push(await this._attempt(item));
+    }
+    return results;
+  }
+
+  /**
+   * Try a pending or failed item now. A failed item that fails again stays failed
+   * (no second notification). Returns { success, item } or { success: false, error }.
+   */
+  async retry(id) {
+    const existing = this.convStore.getOutbound(id);
+    if (!existing) return { success: false, error: 'not_found' };
+    const item = this.convStore.claimOutbound(id, ['pending', 'failed']);
+    if (!item) return { success: false, error: 'not_retryable', item: existing };
+    return { success: true, item: await this._attempt(item, { manual: true, wasFailed: existing.status === 'failed' }) };
+  }
+
+  /**
+   * Stop retrying a pending or failed item.
+   */
+  drop(id) {
+    const existing = this.convStore.getOutbound(id);
+    if (!existing) return { success: false, error: 'not_found' };
+    if (!['pending', 'failed'].includes(existing.status)) {
+      return { success: false, error: 'not_droppable', item: existing };
+    }
+    const item = this.convStore.updateOutbound(id, { status: 'dropped' });
+    this.logger.info('Dropped outbound message', {
+      event: 'outbound_dropped',
+      data: {
+        queue_id: id,
+        contact_id: item.contact_id,
+        attempts: item.attempts
+      }
+    });
+    return { success: true, item };
+  }
+
+  async _attempt(item, { manual = false, wasFailed = false } = {}) {
+    const attempts = item.attempts + 1;
+    if (!manual && Date.parse(item.expires_at) <= Date.now()) {
+      return this._fail(item, { code: 'expired', message: 'Gave up: the message expired before it could be delivered' }, item.attempts);
+    }
+
+    const contact = this.tokenStore.getContact(item.contact_id);
+    if (!contact || !contact.host || !contact.token) {
+      return this._fail(item, { code: 'contact_not_found', message: 'The contact was removed or has no callable endpoint' }, item.attempts);
+    }
+
+    const { sign, ...callOptions } = item.options || {};
+    let signingIdentity = null;
+    if (sign) {
+      try {
+        signingIdentity = typeof this.signingIdentity === 'function' ? this.signingIdentity() : this.signingIdentity;
+      } catch (err) {
+        signingIdentity = null;
+      }
+      if (!signingIdentity) {
+        return this._fail(item, { code: 'signing_unavailable', message: 'This message must be signed, but no signing key is available' }, item.attempts);
+      }
+    }
+
+    const client = this.createClient({
+      caller: this.caller,
+      signingIdentity,
+      onTokenRotation: (rotation) => {
+        this.tokenStore.updateContact(contact.id, { token: rotation.token, trace_id: rotation.traceId });
+      }
+    });
+
+    let response;
+    try {
+      response = await client.call(`a2a://${contact.host}/${contact.token}`, item.message, {
+        ...callOptions,
+        idempotencyKey: item.idempotency_key
+      });
+    } catch (err) {
+      this.tokenStore.updateContactStatus(contact.id, 'offline', err.message);
+      const retryable = isRetryableError(err);
+      const nextAt = Date.now() + this.backoffMs(attempts);
+      if (wasFailed || !retryable || attempts >= item.max_attempts || nextAt >= Date.parse(item.expires_at)) {
+        return this._fail(item, err, attempts, { notify: !wasFailed });
+      }
+      this.logger.warn('Outbound delivery failed; will retry', {
+        event: 'outbound_retry_scheduled',
+        error_code: 'OUTBOUND_DELIVERY_FAILED',
+        hint: 'The contact is unreachable; the server retries with backoff until the message expires.',
+        data: {
+          queue_id: item.id,
+          contact_id: item.contact_id,
+          attempts,
+          error: err.code || null,
+          next_attempt_at: new Date(nextAt).toISOString()
+        }
+      });
+      return this.convStore.updateOutbound(item.id, {
+        status: 'pending',
+        attempts,
+        next_attempt_at: new Date(nextAt).toISOString(),
+        last_error: err.code || 'request_failed',
+        last_error_message: err.message
+      });
+    }
+
+    this.tokenStore.updateContactStatus(contact.id, 'online');
+    const conversationId = this._recordReply(item, contact, response);
+    this.logger.info('Delivered queued outbound message', {
+      event: 'outbound_delivered',
+      conversationId,
+      data: {
+        queue_id: item.id,
+        contact_id: item.contact_id,
+        attempts
+      }
+    });
+    return this.convStore.updateOutbound(item.id, {
+      status: 'delivered',
+      attempts,
+      response,
+      delivered_at: new Date().toISOString()
+    });
+  }
+
+  _recordReply(item, contact, response) {
+    const conversationId = item.conversation_id || response.conversation_id || null;
+    if (!conversationId) return null;
+    try {
+      const started = this.convStore.startConversation({
+        id: conversationId,
+        contactId: contact.id,
+        contactName: contact.name || contact.host,
+        direction: 'outbound'
+      });
+      if (!started.resumed) {
+        this.convStore.addMessage(conversationId, { direction: 'outbound', role: 'user', content: item.message });
+      }
+      if (response.response) {
+        this.convStore.addMessage(conversationId, {
+          direction: 'inbound',
+          role: 'assistant',
+          content: String(response.response)
+        });
+      }
+    } catch (err) {
+      this.logger.error('Failed to save reply to queued message', {
+        event: 'outbound_reply_store_failed',
+        conversationId,
+        error_code: 'CONVERSATION_MESSAGE_STORE_FAILED',
+        hint: 'Check SQLite conversation DB write access and disk availability.',
+        error: err,
+        data: {
+          queue_id: item.id
+        }
+      });
+    }
+    return conversationId;
+  }
+
+  _fail(item, err, attempts, { notify = true } = {}) {
+    const failed = this.convStore.updateOutbound(item.id, {
+      status: 'failed',
+      attempts,
+      last_error: err.code || 'request_failed',
+      last_error_message: err.message
+    });
+    this.logger.warn('Gave up on outbound message', {
+      event: 'outbound_failed',
+      error_code: 'OUTBOUND_DELIVERY_ABANDONED',
+      hint: 'Retry it with `a2a queue retry` once the contact is back, or drop it.',
+      data: {
+        queue_id: item.id,
+        contact_id: item.contact_id,
+        attempts,
+        error: failed.last_error
+      }
+    });
+    if (notify) {
+      Promise.resolve(this.notifyOwner({
+        level: 'all',
+        type: 'outbound_failed',
+        caller: { name: item.contact_name || item.contact_id },
+        message: `Could not deliver your message to ${item.contact_name || item.contact_id} ` +
+          `after ${attempts} attempt(s) (${failed.last_error_message || failed.last_error}): ` +
+          `"${item.message.slice(0, 200)}". Retry with: a2a queue retry ${item.id}`,
+        conversation_id: item.conversation_id
+      })).catch(notifyErr => {
+        this.logger.error('Failed to notify owner about undelivered message', {
+          event: 'outbound_failed_notify_error',
+          error_code: 'OWNER_NOTIFY_FAILED',
+          hint: 'Verify notify runtime integration for queue notifications.',
+          error: notifyErr,
+          data: {
+            queue_id: item.id
+          }
+        });
+      });
+    }
+    return failed;
+  }
+
+  /**
+   * Start retrying due items in the background. Items left mid-delivery by a
+   * crashed process go back to pending first.
+   */
+  start() {
+    if (this.intervalId) return;
+    for (const item of this.convStore.listOutbound({ status: 'delivering', limit: 1000 })) {
+      this.convStore.updateOutbound(item.id, { status: 'pending' });
+    }
+    this.intervalId = setInterval(() => {
+      this.processDue().catch(err => {
+        this.logger.error('Outbound queue pass failed', {
+          event: 'outbound_queue_error',
+          error_code: 'OUTBOUND_QUEUE_FAILED',
+          hint: 'Check SQLite conversation DB access; queued messages stay pending.',
+          error: err
+        });
+      });
+    }, this.checkIntervalMs);
+    if (typeof this.intervalId.unref === 'function') this.intervalId.unref();
+
+    this.logger.info('Outbound queue started', {
+      event: 'outbound_queue_started',
+      data: {
+        check_interval_ms: this.checkIntervalMs,
+        max_attempts: this.maxAttempts,
+        ttl_ms: this.ttlMs
+      }
+    });
+  }
+
+  /**
+   * Stop the background retries
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+}
+
+module.exports = {
+  OutboundQueue,
+  isRetryableError
+};
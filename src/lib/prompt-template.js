@@ -18,6 +18,52 @@ function formatList(items, fallback = '  (none specified)') {
   return items.map(item => `  - ${item}`).join('\n');
 }
 
+/**
+ * Section recalling earlier calls with this contact (ConversationStore
+ * contact memory entries, already filtered to the call's tier). Empty when
+ * there are none.
+ */
+function formatContactMemory(entries, otherAgentName) {
+  if (!entries || entries.length === 0) {
+    return '';
+  }
+  const lines = entries.map(entry => {
+    const parts = [entry.summary || '(no summary)'];
+    if ((entry.threads || []).length) parts.push(`Threads: ${entry.threads.join('; ')}.`);
+    if ((entry.collaborations || []).length) parts.push(`Possible collaborations: ${entry.collaborations.join('; ')}.`);
+    if ((entry.open_questions || []).length) parts.push(`Open questions: ${entry.open_questions.join(' ')}`);
+    return `  - ${String(entry.at || '').slice(0, 10)}: ${parts.join(' ')}`;
+  });
+  return `== WHAT YOU REMEMBER FROM EARLIER CALLS ==
+
+You have spoken with ${otherAgentName} before. Pick up where you left off instead of starting over, and don't recite these notes back.
+${lines.join('\n')}
+
+`;
+}
+
+/**
+ * Section listing follow-ups still open from earlier calls with this contact
+ * (ConversationStore action_items rows). Empty when there are none.
+ */
+function formatOpenActionItems(items, ownerName, otherOwnerName) {
+  if (!items || items.length === 0) {
+    return '';
+  }
+  const labels = { owner: ownerName, caller: otherOwnerName, joint: 'Both' };
+  const lines = items.map(item => {
+    const due = item.due_at ? ` (due ${String(item.due_at).slice(0, 10)})` : '';
+    return `  - [${labels[item.owner] || ownerName}] ${item.text}${due}`;
+  });
+  return `== OPEN ITEMS FROM EARLIER CALLS ==
+
+Follow-ups from previous conversations with ${otherOwnerName} that are not done yet.
+Check on progress where it fits naturally. These come from ${ownerName}'s private notes, so share only what this access level allows.
+${lines.join('\n')}
+
+`;
+}
+
 /**
  * Build the full connection prompt for an A2A call.
  *
@@ -32,6 +78,8 @@ function formatList(items, fallback = '  (none specified)') {
  * @param {string[]} options.tierGoals - strategic goals for this access tier
  * @param {string} options.otherAgentGreeting - the message from the other agent
  * @param {string} options.personalityNotes
+ * @param {Object[]} options.contactMemory - memory entries from earlier calls with this contact
+ * @param {Object[]} options.openActionItems - open action_items rows for this contact
  * @returns {string} Full prompt string
  */
 function buildConnectionPrompt(options) {
@@ -45,7 +93,9 @@ function buildConnectionPrompt(options) {
     tierTopics,
     tierGoals,
     otherAgentGreeting,
-    personalityNotes
+    personalityNotes,
+    contactMemory = [],
+    openActionItems = []
   } = options;
 
   const {
@@ -78,7 +128,7 @@ ${objectives !== '  (none specified)'
 ${otherAgentName} introduced the following about ${otherOwnerName}:
 ${otherAgentGreeting}
 
-== CONVERSATION FORMAT ==
+${formatContactMemory(contactMemory, otherAgentName)}${formatOpenActionItems(openActionItems, ownerName, otherOwnerName)}== CONVERSATION FORMAT ==
 
 There is NO maximum number of exchanges. Explore as far as the conversation can go. Stay as long as there is value to extract.
 
@@ -155,6 +205,8 @@ When unsure about your owner's position, say so honestly: "I don't have ${ownerN
  * @param {string[]} options.tierGoals - strategic goals for this access tier
  * @param {string} options.otherAgentGreeting
  * @param {string} options.personalityNotes
+ * @param {Object[]} options.contactMemory
+ * @param {Object[]} options.openActionItems
  * @param {Object} options.conversationState
  * @returns {string}
  */
@@ -170,6 +222,8 @@ function buildAdaptiveConnectionPrompt(options) {
     tierGoals,
     otherAgentGreeting,
     personalityNotes,
+    contactMemory = [],
+    openActionItems = [],
     conversationState = {}
   } = options;
 
@@ -229,7 +283,7 @@ ${objectives !== '  (none specified)'
 ${otherAgentName} introduced the following about ${otherOwnerName}:
 ${otherAgentGreeting}
 
-== ADAPTIVE COLLABORATION GUIDELINES ==
+${formatContactMemory(contactMemory, otherAgentName)}${formatOpenActionItems(openActionItems, ownerName, otherOwnerName)}== ADAPTIVE COLLABORATION GUIDELINES ==
 
 Primary objective:
 - Find concrete overlap between owner interests and move from discovery to practical collaboration options.
@@ -348,8 +402,73 @@ function extractCollaborationState(responseText) {
   }
 }
 
+/**
+ * Strip collaboration metadata from text that arrives in pieces, so partial
+ * output can be streamed to the caller while the state block stays private.
+ * Text that might be the start of the opening tag is held back until the
+ * next chunk shows otherwise.
+ *
+ * @returns {{ push: (chunk: string) => string, flush: () => string }}
+ */
+function createCollaborationStateFilter() {
+  const openTag = `<${COLLAB_STATE_TAG}>`;
+  const closeTag = `</${COLLAB_STATE_TAG}>`;
+  let buffer = '';
+  let inside = false;
+
+  function drain(final) {
+    let out = '';
+    while (buffer) {
+      const lower = buffer.toLowerCase();
+      if (inside) {
+        const end = lower.indexOf(closeTag);
+        if (end === -1) {
+          buffer = final ? '' : buffer.slice(-(closeTag.length - 1));
+          return out;
+        }
+        buffer = buffer.slice(end + closeTag.length);
+        inside = false;
+        continue;
+      }
+
+      const start = lower.indexOf(openTag);
+      if (start !== -1) {
+        out += buffer.slice(0, start);
+        buffer = buffer.slice(start + openTag.length);
+        inside = true;
+        continue;
+      }
+
+      let keep = 0;
+      if (!final) {
+        for (let n = Math.min(openTag.length - 1, buffer.length); n > 0; n--) {
+          if (openTag.startsWith(lower.slice(-n))) {
+            keep = n;
+            break;
+          }
+        }
+      }
+      out += buffer.slice(0, buffer.length - keep);
+      buffer = buffer.slice(buffer.length - keep);
+      return out;
+    }
+    return out;
+  }
+
+  return {
+    push(chunk) {
+      buffer += String(chunk || '');
+      return drain(false);
+    },
+    flush() {
+      return drain(true);
+    }
+  };
+}
+
 module.exports = {
   buildConnectionPrompt,
   buildAdaptiveConnectionPrompt,
-  extractCollaborationState
+  extractCollaborationState,
+  createCollaborationStateFilter
 };
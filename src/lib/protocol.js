@@ -0,0 +1,167 @@
+/**
+ * Protocol versions and discovery
+ *
+ * Version "0" is the original wire format: /invoke takes message,
+ * conversation_id, caller, context and timeout_seconds, and /status lists
+ * ["invoke", "multi-turn"]. Version "1" adds the discovery document, capability
+ * scopes, return invites, streaming, async jobs, attachments and intents.
+ *
+ * Hosts publish GET /.well-known/a2a.json (also served under /api/a2a for
+ * proxies that only forward that prefix). v1 /status repeats the version list,
+ * so a client that cannot reach the well-known path still negotiates. A peer
+ * with neither is treated as v0.
+ *
+ * Clients send the version they picked in the X-A2A-Protocol header; hosts
+ * answer with the same header and reject versions they do not speak.
+ */
+
+const PROTOCOL_VERSIONS = ['1', '0']; // newest first
+const CURRENT_VERSION = PROTOCOL_VERSIONS[0];
+const PROTOCOL_HEADER = 'x-a2a-protocol';
+const DISCOVERY_PATH = '/.well-known/a2a.json';
+
+const V0_FEATURES = ['invoke', 'multi-turn'];
+
+// Caller profile fields /invoke keeps, with their maximum lengths.
+const CALLER_PROFILE_FIELDS = {
+  name: 100,
+  owner: 100,
+  instance: 200,
+  context: 500
+};
+
+// /invoke body fields each version understands.
+const INVOKE_FIELDS = {
+  0: ['message', 'conversation_id', 'caller', 'context', 'timeout_seconds'],
+  1: [
+    'message', 'conversation_id', 'caller', 'context', 'timeout_seconds',
+    'capabilities', 'topic', 'on_denied', 'return_invite', 'mode', 'callback', 'stream', 'attachments', 'intent'
+  ]
+};
+
+function versionNumber(version) {
+  const parsed = Number.parseInt(String(version), 10);
+  return Number.isFinite(parsed) ? parsed : -1;
+}
+
+function isSupportedVersion(version) {
+  return PROTOCOL_VERSIONS.includes(String(version));
+}
+
+/**
+ * Highest version both sides speak, or null when there is none.
+ */
+function negotiateVersion(remoteVersions, localVersions = PROTOCOL_VERSIONS) {
+  const remote = new Set((Array.isArray(remoteVersions) ? remoteVersions : [remoteVersions]).map(String));
+  const common = localVersions.map(String).filter(version => remote.has(version));
+  if (common.length === 0) return null;
+  return common.sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+}
+
+/**
+ * Keep the caller profile fields the protocol defines, truncated to their limits.
+ */
+function sanitizeCallerProfile(caller, fields = Object.keys(CALLER_PROFILE_FIELDS)) {
+  if (!caller || typeof caller !== 'object') return {};
+  const profile = {};
+  for (const field of fields) {
+    profile[field] = String(caller[field] || '').slice(0, CALLER_PROFILE_FIELDS[field]);
+  }
+  return profile;
+}
+
+/**
+ * The discovery document a host serves at /.well-known/a2a.json.
+ */
+function buildDiscoveryDocument({
+  softwareVersion, features, limits, signing = null, agentCard = null, intents = [], basePath = '/api/a2a'
+}) {
+  const profileFields = {};
+  for (const [field, maxLength] of Object.entries(CALLER_PROFILE_FIELDS)) {
+    profileFields[field] = { max_length: maxLength };
+  }
+  return {
+    a2a: true,
+    protocol_versions: PROTOCOL_VERSIONS.slice(),
+    current_version: CURRENT_VERSION,
+    software: {
+      name: 'a2acalling',
+      version: softwareVersion || null
+    },
+    endpoints: {
+      base: basePath,
+      status: `${basePath}/status`,
+      invoke: `${basePath}/invoke`,
+      end: `${basePath}/end`,
+      jobs: `${basePath}/jobs/{job_id}`,
+      callback: `${basePath}/callback`,
+      redeem: `${basePath}/redeem`,
+      reciprocate: `${basePath}/reciprocate`
+    },
+    features: features.slice(),
+    intents: intents.slice(),
+    limits,
+    profile_fields: profileFields,
+    signing,
+    agent_card: agentCard
+  };
+}
+
+/**
+ * Normalize a discovery document or a /status reply (any version) into what a
+ * client needs: the negotiated version, features and limits.
+ */
+function describePeer(document, source = 'discovery') {
+  const doc = document && typeof document === 'object' ? document : {};
+  const versions = Array.isArray(doc.protocol_versions) && doc.protocol_versions.length > 0
+    ? doc.protocol_versions.map(String)
+    : ['0'];
+  const version = negotiateVersion(versions);
+  let features = Array.isArray(doc.features) ? doc.features : doc.capabilities;
+  if (!Array.isArray(features)) features = V0_FEATURES;
+  return {
+    source,
+    versions,
+    version,
+    features: features.map(String),
+    limits: doc.limits || null,
+    profile_fields: doc.profile_fields || null,
+    signing: doc.signing || null,
+    agent_card: doc.agent_card || null,
+    intents: Array.isArray(doc.intents) ? doc.intents.map(String) : null,
+    software_version: (doc.software && doc.software.version) || doc.version || null
+  };
+}
+
+/**
+ * Drop /invoke fields the peer's version does not define. Returns the shaped
+ * body and the names of set fields that were dropped.
+ */
+function shapeInvokeBody(body, version) {
+  const allowed = INVOKE_FIELDS[versionNumber(version)] || INVOKE_FIELDS[0];
+  const shaped = {};
+  const dropped = [];
+  for (const [key, value] of Object.entries(body || {})) {
+    if (allowed.includes(key)) {
+      shaped[key] = value;
+    } else if (value !== undefined && value !== null) {
+      dropped.push(key);
+    }
+  }
+  return { body: shaped, dropped };
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  CURRENT_VERSION,
+  PROTOCOL_HEADER,
+  DISCOVERY_PATH,
+  V0_FEATURES,
+  CALLER_PROFILE_FIELDS,
+  isSupportedVersion,
+  negotiateVersion,
+  sanitizeCallerProfile,
+  buildDiscoveryDocument,
+  describePeer,
+  shapeInvokeBody
+};
@@ -0,0 +1,370 @@
+/**
+ * Rate limiting for A2A invoke calls
+ *
+ * Sliding-window limits (per minute / hour / day) keyed by token id.
+ *
+ * Backends:
+ * - sqlite: persisted at ~/.config/openclaw/a2a-rate-limits.db (or $A2A_CONFIG_DIR),
+ *   next to a2a-conversations.db, so limits survive restarts and crashes
+ * - memory: process-local fallback (tests, or when better-sqlite3 is unavailable)
+ *
+ * Both stores expose the same contract:
+ *   hit(key, limits, now?) -> { limited, error?, message?, retryAfter?, window?, remaining }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
+  process.env.OPENCLAW_CONFIG_DIR ||
+  path.join(process.env.HOME || '/tmp', '.config', 'openclaw');
+
+const DB_FILENAME = 'a2a-rate-limits.db';
+const logger = createLogger({ component: 'a2a.rate-limit' });
+
+const DEFAULT_LIMITS = { minute: 10, hour: 100, day: 1000 };
+// Per-address ceiling across all tokens, so one client cannot brute-force tokens or codes.
+const DEFAULT_CLIENT_LIMITS = { minute: 60, hour: 600, day: null };
+// clientRateLimit values already reported as unusable, so each warns once rather than per request.
+const reportedClientLimits = new Set();
+
+// Ordered shortest-first so the tightest window is reported when several trip at once.
+const WINDOWS = [
+  { name: 'minute', ms: 60 * 1000, label: 'minute' },
+  { name: 'hour', ms: 60 * 60 * 1000, label: 'hour' },
+  { name: 'day', ms: 24 * 60 * 60 * 1000, label: 'day' }
+];
+const LONGEST_WINDOW_MS = WINDOWS[WINDOWS.length - 1].ms;
+
+function toLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Normalize a limits object. Accepts both route-style ({ minute, hour, day })
+ * and config-style ({ perMinute, perHour, perDay }) keys.
+ * Missing or non-positive windows are unlimited (null).
+ */
+function normalizeLimits(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const out = {
+    minute: toLimit(raw.minute !== undefined ? raw.minute : raw.perMinute),
+    hour: toLimit(raw.hour !== undefined ? raw.hour : raw.perHour),
+    day: toLimit(raw.day !== undefined ? raw.day : raw.perDay)
+  };
+  if (out.minute === null && out.hour === null && out.day === null) return null;
+  return out;
+}
+
+function hasLimitKeys(raw) {
+  if (!raw || typeof raw !== 'object') return false;
+  return ['minute', 'hour', 'day', 'perMinute', 'perHour', 'perDay'].some(k => raw[k] !== undefined);
+}
+
+/**
+ * Resolve effective limits for a token tier.
+ *
+ * Precedence: explicit override > config tiers[tier].rateLimit > config defaults.rateLimit > built-ins.
+ * Override/tier values are merged per-window, so a tier may only tighten `minute`.
+ */
+function resolveTierLimits(tier, config = null, override = null) {
+  let tiers = {};
+  let defaults = {};
+  try {
+    tiers = (config && typeof config.getTiers === 'function' ? config.getTiers() : null) || {};
+    defaults = (config && typeof config.getDefaults === 'function' ? config.getDefaults() : null) || {};
+  } catch (err) {
+    tiers = {};
+    defaults = {};
+  }
+
+  const layers = [
+    DEFAULT_LIMITS,
+    normalizeLimits(defaults.rateLimit),
+    normalizeLimits(tiers[tier] && tiers[tier].rateLimit),
+    normalizeLimits(override)
+  ].filter(Boolean);
+
+  const resolved = { ...DEFAULT_LIMITS };
+  for (const layer of layers) {
+    for (const window of WINDOWS) {
+      if (layer[window.name] !== null && layer[window.name] !== undefined) {
+        resolved[window.name] = layer[window.name];
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the per-client-address limits, or null when they are disabled.
+ *
+ * Precedence: explicit override > config defaults.clientRateLimit > built-ins, merged
+ * per-window like tier limits. An override of false, or clientRateLimit: null in the
+ * config, turns the check off.
+ */
+function resolveClientLimits(config = null, override = null) {
+  if (override === false) return null;
+  let configured;
+  try {
+    const defaults = config && typeof config.getDefaults === 'function' ? config.getDefaults() : null;
+    configured = defaults ? defaults.clientRateLimit : undefined;
+  } catch (err) {
+    configured = undefined;
+  }
+  if (configured === null && !override) return null;
+  if (configured !== undefined && configured !== null && !normalizeLimits(configured)) {
+    const rejected = JSON.stringify(configured);
+    if (!reportedClientLimits.has(rejected)) {
+      reportedClientLimits.add(rejected);
+      logger.warn('Ignoring invalid clientRateLimit in config; using the built-in per-address limits', {
+        event: 'client_rate_limit_invalid',
+        error_code: 'CLIENT_RATE_LIMIT_INVALID',
+        hint: 'Set defaults.clientRateLimit to { perMinute, perHour, perDay } with positive numbers, or null to disable it.',
+        data: {
+          client_rate_limit: configured,
+          using: DEFAULT_CLIENT_LIMITS
+        }
+      });
+    }
+  }
+
+  const resolved = { ...DEFAULT_CLIENT_LIMITS };
+  for (const layer of [normalizeLimits(configured), normalizeLimits(override)].filter(Boolean)) {
+    for (const window of WINDOWS) {
+      if (layer[window.name] !== null && layer[window.name] !== undefined) {
+        resolved[window.name] = layer[window.name];
+      }
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Evaluate sliding windows over a sorted (ascending) list of hit timestamps.
+ * Returns the limit decision without recording a new hit.
+ */
+function evaluateWindows(hits, limits, now) {
+  const remaining = {};
+  for (const window of WINDOWS) {
+    const limit = limits[window.name];
+    if (!limit) {
+      remaining[window.name] = null;
+      continue;
+    }
+    const since = now - window.ms;
+    const inWindow = hits.filter(ts => ts > since);
+    if (inWindow.length >= limit) {
+      // The window frees a slot once the (count - limit)th oldest hit ages out.
+      const freeingHit = inWindow[inWindow.length - limit];
+      const retryAfter = Math.max(1, Math.ceil((freeingHit + window.ms - now) / 1000));
+      return {
+        limited: true,
+        error: 'rate_limited',
+        message: `Too many requests per ${window.label}`,
+        window: window.name,
+        retryAfter
+      };
+    }
+    remaining[window.name] = limit - inWindow.length - 1;
+  }
+  return { limited: false, remaining };
+}
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.backend = 'memory';
+    this.hits = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  hit(key, limits = DEFAULT_LIMITS, now = Date.now()) {
+    const effective = normalizeLimits(limits) || DEFAULT_LIMITS;
+    const cutoff = now - LONGEST_WINDOW_MS;
+    const hits = (this.hits.get(key) || []).filter(ts => ts > cutoff);
+
+    const decision = evaluateWindows(hits, effective, now);
+    if (!decision.limited) {
+      hits.push(now);
+    }
+    this.hits.set(key, hits);
+    return decision;
+  }
+
+  reset(key) {
+    if (key) this.hits.delete(key);
+    else this.hits.clear();
+  }
+
+  close() {}
+}
+
+class SqliteRateLimitStore {
+  constructor(configDir = DEFAULT_CONFIG_DIR, options = {}) {
+    this.backend = 'sqlite';
+    this.configDir = configDir;
+    this.dbPath = options.dbPath || path.join(configDir, DB_FILENAME);
+    this.db = null;
+    this._dbError = null;
+    this._stmts = null;
+    this._ensureDir();
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.configDir)) {
+      fs.mkdirSync(this.configDir, { recursive: true });
+    }
+  }
+
+  _initDb() {
+    if (this.db) return this.db;
+    if (this._dbError) return null;
+    try {
+      const Database = require('better-sqlite3');
+      this.db = new Database(this.dbPath);
+      try {
+        fs.chmodSync(this.dbPath, 0o600);
+      } catch (err) {
+        // best effort
+      }
+      this._migrate();
+      this._prepareStatements();
+      return this.db;
+    } catch (err) {
+      this._dbError = err && err.message ? err.message : 'failed_to_initialize_rate_limit_db';
+      return null;
+    }
+  }
+
+  _migrate() {
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bucket_key TEXT NOT NULL,
+        hit_at INTEGER NOT NULL -- epoch ms
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key_time ON rate_limit_hits(bucket_key, hit_at);
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_time ON rate_limit_hits(hit_at);
+    `);
+  }
+
+  _prepareStatements() {
+    this._stmts = {
+      prune: this.db.prepare(
+        `DELETE FROM rate_limit_hits WHERE hit_at <= ?`
+      ),
+      listHits: this.db.prepare(
+        `SELECT hit_at FROM rate_limit_hits WHERE bucket_key = ? AND hit_at > ? ORDER BY hit_at ASC`
+      ),
+      insertHit: this.db.prepare(
+        `INSERT INTO rate_limit_hits (bucket_key, hit_at) VALUES (?, ?)`
+      ),
+      resetKey: this.db.prepare(
+        `DELETE FROM rate_limit_hits WHERE bucket_key = ?`
+      ),
+      resetAll: this.db.prepare(
+        `DELETE FROM rate_limit_hits`
+      )
+    };
+  }
+
+  isAvailable() {
+    return Boolean(this._initDb());
+  }
+
+  getDbError() {
+    this._initDb();
+    return this._dbError;
+  }
+
+  hit(key, limits = DEFAULT_LIMITS, now = Date.now()) {
+    const db = this._initDb();
+    if (!db) {
+      throw new Error(this._dbError || 'rate_limit_storage_unavailable');
+    }
+    const effective = normalizeLimits(limits) || DEFAULT_LIMITS;
+    const cutoff = now - LONGEST_WINDOW_MS;
+
+    // IMMEDIATE so concurrent processes (server + CLI) serialize check-and-increment.
+    const tx = db.transaction(() => {
+      this._stmts.prune.run(cutoff);
+      const hits = this._stmts.listHits.all(String(key), cutoff).map(row => row.hit_at);
+      const decision = evaluateWindows(hits, effective, now);
+      if (!decision.limited) {
+        this._stmts.insertHit.run(String(key), now);
+      }
+      return decision;
+    });
+    return tx.immediate();
+  }
+
+  reset(key) {
+    const db = this._initDb();
+    if (!db) return;
+    if (key) this._stmts.resetKey.run(String(key));
+    else this._stmts.resetAll.run();
+  }
+
+  close() {
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch (err) {
+        // best effort
+      }
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Create a rate-limit store.
+ *
+ * @param {object} options
+ * @param {string} options.backend - 'sqlite' (default) or 'memory'
+ * @param {string} options.configDir - Directory for the SQLite file
+ */
+function createRateLimitStore(options = {}) {
+  const backend = String(options.backend || process.env.A2A_RATE_LIMIT_BACKEND || 'sqlite').trim().toLowerCase();
+  if (backend === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  const store = new SqliteRateLimitStore(options.configDir || DEFAULT_CONFIG_DIR, { dbPath: options.dbPath });
+  if (store.isAvailable()) {
+    return store;
+  }
+
+  logger.warn('Persistent rate-limit storage unavailable; falling back to in-memory limits', {
+    event: 'rate_limit_store_fallback',
+    error_code: 'RATE_LIMIT_STORE_UNAVAILABLE',
+    hint: 'Install better-sqlite3 and check write access to the config directory.',
+    data: {
+      db_path: store.dbPath,
+      error: store.getDbError()
+    }
+  });
+  return new MemoryRateLimitStore();
+}
+
+module.exports = {
+  DB_FILENAME,
+  DEFAULT_LIMITS,
+  DEFAULT_CLIENT_LIMITS,
+  MemoryRateLimitStore,
+  SqliteRateLimitStore,
+  createRateLimitStore,
+  normalizeLimits,
+  hasLimitKeys,
+  resolveClientLimits,
+  resolveTierLimits
+};
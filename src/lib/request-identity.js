@@ -0,0 +1,174 @@
+/**
+ * Request identity: who is really calling
+ *
+ * One place that decides the client address for rate limiting, logging,
+ * per-token IP policy, and the dashboard local-admin check.
+ *
+ * The socket peer is the only address we can trust outright. X-Forwarded-For is
+ * used only when the peer is a trusted proxy, and is walked right-to-left until
+ * the first hop that is not itself trusted, so a caller cannot prepend a fake
+ * address to the header.
+ *
+ * Trusted proxies ($A2A_TRUSTED_PROXIES or the trustedProxies option, comma-separated):
+ * - CIDRs or addresses: "10.0.0.0/8", "203.0.113.7", "2001:db8::/32"
+ * - loopback: 127.0.0.0/8 and ::1 (the default when nothing is configured)
+ * - gateway: the host of $OPENCLAW_GATEWAY_URL when it is an IP literal or localhost
+ * An invalid entry is skipped with a warning; the valid ones still apply.
+ */
+
+const { createAllowlist, normalizeAddress } = require('./ip-allowlist');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'a2a.request-identity' });
+
+const LOOPBACK_CIDRS = ['127.0.0.0/8', '::1'];
+const DEFAULT_TRUSTED_PROXIES = ['loopback'];
+// Rejected trusted-proxy values already reported, so a bad setting warns once, not per request.
+const reportedProxyErrors = new Set();
+
+// Headers a reverse proxy adds; any of them means the request did not come straight from a local client.
+const FORWARDING_HEADERS = [
+  'x-forwarded-for',
+  'x-forwarded-proto',
+  'x-forwarded-host',
+  'x-forwarded-by',
+  'x-real-ip',
+  'forwarded',
+  'cf-connecting-ip'
+];
+
+function isLoopbackAddress(ip) {
+  const address = normalizeAddress(ip);
+  if (!address) return false;
+  return address === '::1' || address.startsWith('127.');
+}
+
+function gatewayProxyEntries() {
+  const url = process.env.OPENCLAW_GATEWAY_URL;
+  if (!url) return [];
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (err) {
+    return [];
+  }
+  if (hostname === 'localhost') return LOOPBACK_CIDRS;
+  const address = normalizeAddress(hostname);
+  return address ? [address] : [];
+}
+
+function expandProxyEntries(value) {
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const entries = [];
+  for (const item of raw) {
+    const entry = String(item).trim();
+    if (!entry) continue;
+    if (entry === 'loopback') entries.push(...LOOPBACK_CIDRS);
+    else if (entry === 'gateway') entries.push(...gatewayProxyEntries());
+    else entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Build the trusted-proxy matcher. Explicit values replace the default, so
+ * include "loopback" when a same-host proxy should stay trusted.
+ */
+function createTrustedProxies(value) {
+  let source = value;
+  if (source === undefined || source === null) {
+    source = process.env.A2A_TRUSTED_PROXIES;
+  }
+  if (source === undefined || source === null || source === '') {
+    source = DEFAULT_TRUSTED_PROXIES;
+  }
+  if (source && typeof source.contains === 'function') {
+    return source;
+  }
+  const trusted = createAllowlist(expandProxyEntries(source));
+  const key = trusted.rejected.join(',');
+  if (key && !reportedProxyErrors.has(key)) {
+    reportedProxyErrors.add(key);
+    logger.warn('Ignoring invalid trusted proxy entries', {
+      event: 'trusted_proxies_invalid',
+      error_code: 'TRUSTED_PROXIES_INVALID',
+      hint: 'Fix A2A_TRUSTED_PROXIES; entries are addresses, CIDR blocks, "loopback" or "gateway".',
+      data: {
+        rejected: trusted.rejected,
+        trusted: trusted.cidrs
+      }
+    });
+  }
+  return trusted;
+}
+
+function hasForwardingHeaders(req) {
+  const headers = (req && req.headers) || {};
+  return FORWARDING_HEADERS.some(name => Boolean(headers[name]));
+}
+
+/**
+ * Resolve the caller address for a request.
+ *
+ * @returns {object} { peer, clientIp, viaTrustedProxy, forwarded }
+ *   peer - socket address
+ *   clientIp - best trusted client address (falls back to peer)
+ *   viaTrustedProxy - clientIp came from X-Forwarded-For
+ *   forwarded - any proxy forwarding header was present
+ */
+function resolveRequestIdentity(req, trustedProxies = createTrustedProxies()) {
+  const peer = normalizeAddress(req && req.socket && req.socket.remoteAddress) ||
+    normalizeAddress(req && req.ip) || null;
+  const forwarded = hasForwardingHeaders(req);
+  const identity = { peer, clientIp: peer, viaTrustedProxy: false, forwarded };
+
+  if (!peer || !trustedProxies.contains(peer)) {
+    return identity;
+  }
+  const header = req.headers['x-forwarded-for'];
+  if (typeof header !== 'string' || !header.trim()) {
+    return identity;
+  }
+
+  const hops = header.split(',');
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const hop = normalizeAddress(hops[i]);
+    if (!hop) break;
+    identity.clientIp = hop;
+    identity.viaTrustedProxy = true;
+    if (!trustedProxies.contains(hop)) break;
+  }
+  return identity;
+}
+
+function extractClientHost(req, trustedProxies) {
+  return resolveRequestIdentity(req, trustedProxies).clientIp;
+}
+
+/**
+ * True only for a browser or CLI on this machine talking to us directly:
+ * loopback peer, local Host header, and no proxy forwarding headers. A local
+ * reverse proxy that forgets X-Forwarded-For still adds a Host for the public
+ * name, so proxied traffic never counts as local admin.
+ */
+function isDirectLocalRequest(req) {
+  const { peer } = resolveRequestIdentity(req, createAllowlist([]));
+  if (!isLoopbackAddress(peer)) return false;
+  const host = String((req.headers && req.headers.host) || '').toLowerCase();
+  const isLocalHost = host.startsWith('localhost') ||
+    host.startsWith('127.') ||
+    host.startsWith('[::1]') ||
+    host.startsWith('::1');
+  if (!isLocalHost) return false;
+  return !hasForwardingHeaders(req);
+}
+
+module.exports = {
+  LOOPBACK_CIDRS,
+  createTrustedProxies,
+  resolveRequestIdentity,
+  extractClientHost,
+  isDirectLocalRequest,
+  isLoopbackAddress,
+  hasForwardingHeaders
+};
@@ -9,14 +9,29 @@
  * - A2A_RUNTIME=openclaw|generic|auto (default: auto)
  * - auto picks openclaw if CLI exists, otherwise generic
  *
+ * Turns and summaries run as child processes through a bounded worker pool
+ * (A2A_RUNTIME_CONCURRENCY, default 4), one at a time per conversation. At most
+ * A2A_RUNTIME_MAX_QUEUE calls (default 100) wait; beyond that they fail as runtime_busy.
+ *
  * Generic bridge hooks:
  * - A2A_AGENT_COMMAND   command that receives JSON payload on stdin and returns text or JSON
  * - A2A_SUMMARY_COMMAND command that receives JSON payload on stdin and returns summary text/JSON
  * - A2A_NOTIFY_COMMAND  command that receives JSON payload on stdin for owner notifications
  */
 
-const { execSync, spawnSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
 const { createLogger } = require('./logger');
+const { assertGranted, isGranted, permissionDeniedError } = require('./capabilities');
+const { requiredCapabilities: attachmentCapabilities } = require('./attachments');
+const { WorkerPool, abortError } = require('./worker-pool');
+
+const DEFAULT_CONCURRENCY = 4;
+// OpenClaw's own turn limit: sync turns stay under the 5-minute invoke ceiling,
+// async jobs may run up to the hour routes/a2a.js allows them.
+const MAX_TURN_SECONDS = 300;
+const MAX_ASYNC_TURN_SECONDS = 3600;
+// Every inbound turn puts the owner's context in front of the runtime.
+const TURN_CAPABILITY = 'context-read';
 
 function commandExists(command) {
   try {
@@ -99,18 +114,128 @@ function resolveRuntimeMode() {
   };
 }
 
+function isOpenClawNoiseLine(line) {
+  return line.includes('[telegram-topic-tracker]') || line.includes('Plugin registered');
+}
+
 function normalizeOpenClawOutput(raw) {
   const lines = String(raw || '')
     .split('\n')
-    .filter(line => {
-      if (!line.trim()) return false;
-      if (line.includes('[telegram-topic-tracker]')) return false;
-      if (line.includes('Plugin registered')) return false;
-      return true;
-    });
+    .filter(line => line.trim() && !isOpenClawNoiseLine(line));
   return lines.join('\n').trim();
 }
 
+/**
+ * Forward command output line by line, optionally dropping OpenClaw plugin noise.
+ * Returns a (chunk) => void sink; call .flush() for the unterminated tail.
+ */
+function createLineForwarder(onText, { dropNoise = false } = {}) {
+  let pending = '';
+  const emit = (line) => {
+    if (dropNoise && isOpenClawNoiseLine(line)) return;
+    onText(line);
+  };
+  function push(chunk) {
+    pending += chunk;
+    let idx;
+    while ((idx = pending.indexOf('\n')) !== -1) {
+      emit(pending.slice(0, idx + 1));
+      pending = pending.slice(idx + 1);
+    }
+  }
+  push.flush = () => {
+    if (pending) emit(pending);
+    pending = '';
+  };
+  return push;
+}
+
+/**
+ * Async spawn used by every runtime call, so a slow agent never blocks the event
+ * loop. Hands stdout to onStdout as it arrives and resolves with the collected
+ * output. With rejectOnExit, a non-zero exit rejects like execSync does.
+ * Aborting options.signal kills the child and rejects with an AbortError.
+ */
+function spawnProcess(command, args, options = {}) {
+  const timeoutMs = options.timeoutMs || 60000;
+  const { signal } = options;
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError(signal));
+  }
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd || process.cwd(),
+      env: options.env || process.env,
+      shell: Boolean(options.shell),
+      // Shell commands get their own process group so a kill reaches the whole pipeline.
+      detached: Boolean(options.shell),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const kill = () => {
+      try {
+        if (options.shell && child.pid) process.kill(-child.pid, 'SIGTERM');
+        else child.kill('SIGTERM');
+      } catch (err) {
+        // Already exited.
+      }
+    };
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    const onAbort = () => {
+      kill();
+      settle(abortError(signal));
+    };
+    const settle = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => {
+      kill();
+      const err = new Error(`Command timed out after ${timeoutMs}ms`);
+      err.code = 'ETIMEDOUT';
+      settle(err);
+    }, timeoutMs);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (options.maxBuffer && stdout.length > options.maxBuffer) {
+        kill();
+        const err = new Error(`Command output exceeded ${options.maxBuffer} bytes`);
+        err.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+        settle(err);
+        return;
+      }
+      if (options.onStdout) options.onStdout(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', (err) => settle(err));
+    child.on('close', (code) => {
+      if (options.rejectOnExit && code !== 0) {
+        const err = new Error(`Command failed with exit code ${code}: ${cleanText(stderr, 200)}`);
+        err.status = code;
+        return settle(err);
+      }
+      settle(null, { stdout, stderr, code });
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input || '');
+  });
+}
+
+function isAbortError(err) {
+  return Boolean(err) && err.name === 'AbortError';
+}
+
 function parseCommandTextOutput(rawOutput, keys = ['response', 'text', 'message']) {
   const output = String(rawOutput || '').trim();
   if (!output) {
@@ -163,20 +288,38 @@ function parseSummaryOutput(rawOutput) {
   };
 }
 
-function runCommand(command, payload, options = {}) {
+/**
+ * Run a bridge command with the JSON payload on stdin (and in A2A_PAYLOAD_JSON).
+ * With onOutput, plain-text output is forwarded line by line; JSON output is
+ * only parsed once the command exits.
+ */
+async function runCommand(command, payload, options = {}) {
   const payloadJson = JSON.stringify(payload || {});
-  const timeoutMs = options.timeoutMs || 60000;
-  return execSync(command, {
-    encoding: 'utf8',
-    timeout: timeoutMs,
-    stdio: ['pipe', 'pipe', 'pipe'],
+  let mode = null; // decided by the first non-blank output: 'json' or 'text'
+  const forward = options.onOutput ? createLineForwarder(options.onOutput) : null;
+  const { stdout } = await spawnProcess(command, [], {
+    shell: true,
+    rejectOnExit: true,
     input: payloadJson,
-    cwd: options.cwd || process.cwd(),
+    timeoutMs: options.timeoutMs || 60000,
+    signal: options.signal,
+    cwd: options.cwd,
     env: {
       ...process.env,
       A2A_PAYLOAD_JSON: payloadJson
-    }
+    },
+    onStdout: forward && ((chunk) => {
+      if (!mode) {
+        const lead = chunk.trimStart();
+        if (!lead) return;
+        mode = lead.startsWith('{') ? 'json' : 'text';
+        chunk = lead;
+      }
+      if (mode === 'text') forward(chunk);
+    })
   });
+  if (mode === 'text') forward.flush();
+  return stdout;
 }
 
 function escapeCliValue(value) {
@@ -256,6 +399,10 @@ function createRuntimeAdapter(options = {}) {
   const genericAgentCommand = process.env.A2A_AGENT_COMMAND || '';
   const genericSummaryCommand = process.env.A2A_SUMMARY_COMMAND || '';
   const genericNotifyCommand = process.env.A2A_NOTIFY_COMMAND || '';
+  const pool = new WorkerPool({
+    concurrency: options.concurrency || process.env.A2A_RUNTIME_CONCURRENCY || DEFAULT_CONCURRENCY,
+    maxQueue: options.maxQueue ?? process.env.A2A_RUNTIME_MAX_QUEUE
+  });
 
   logger.info('Runtime adapter initialized', {
     event: 'runtime_initialized',
@@ -264,51 +411,71 @@ function createRuntimeAdapter(options = {}) {
       requested_mode: modeInfo.requested,
       reason: modeInfo.reason,
       has_openclaw: modeInfo.hasOpenClaw,
-      failover_enabled: failoverEnabled
+      failover_enabled: failoverEnabled,
+      concurrency: pool.concurrency,
+      max_queue: pool.maxQueue
     }
   });
 
-  async function runOpenClawTurn({ sessionId, prompt, timeoutMs }) {
-    const timeoutSeconds = Math.max(5, Math.min(300, Math.round((timeoutMs || 65000) / 1000)));
-    // Use spawnSync with stdin to avoid shell escaping issues with complex prompts
-    const result = spawnSync('openclaw', [
+  /**
+   * Queue runtime work on the pool. Work for the same conversation runs in
+   * arrival order, one at a time.
+   */
+  function schedule(kind, ids, signal, task) {
+    return pool.run(ids.conversationId || null, task, {
+      signal,
+      onQueued: (depth) => {
+        logger.info('Runtime call queued', {
+          event: 'runtime_task_queued',
+          ...ids,
+          data: {
+            kind,
+            queue_depth: depth,
+            active: pool.stats().active,
+            concurrency: pool.concurrency
+          }
+        });
+      }
+    });
+  }
+
+  // Prompts go in argv (no shell), so complex prompts need no escaping.
+  async function runOpenClawTurn({ sessionId, prompt, timeoutMs, async = false, onOutput, signal }) {
+    const maxSeconds = async ? MAX_ASYNC_TURN_SECONDS : MAX_TURN_SECONDS;
+    const timeoutSeconds = Math.max(5, Math.min(maxSeconds, Math.round((timeoutMs || 65000) / 1000)));
+    const forward = onOutput ? createLineForwarder(onOutput, { dropNoise: true }) : null;
+    const result = await spawnProcess('openclaw', [
       'agent',
       '--session-id', sessionId,
       '--message', prompt,
       '--timeout', String(timeoutSeconds)
     ], {
-      encoding: 'utf8',
-      timeout: (timeoutMs || 65000) + 5000,
+      timeoutMs: (timeoutMs || 65000) + 5000,
       maxBuffer: 1024 * 1024,
       cwd: workspaceDir,
-      env: { ...process.env, FORCE_COLOR: '0' }
+      env: { ...process.env, FORCE_COLOR: '0' },
+      signal,
+      onStdout: forward
     });
-    const output = (result.stdout || '') + (result.stderr || '');
-    if (result.error) {
-      throw result.error;
-    }
-    return normalizeOpenClawOutput(output) || '[Sub-agent returned empty response]';
+    if (forward) forward.flush();
+    return normalizeOpenClawOutput(result.stdout + result.stderr) || '[Sub-agent returned empty response]';
   }
 
-  async function runOpenClawSummary({ sessionId, prompt, timeoutMs }) {
+  async function runOpenClawSummary({ sessionId, prompt, timeoutMs, signal }) {
     const timeoutSeconds = Math.max(5, Math.min(120, Math.round((timeoutMs || 35000) / 1000)));
-    // Use spawnSync with stdin to avoid shell escaping issues with complex prompts
-    const result = spawnSync('openclaw', [
+    const result = await spawnProcess('openclaw', [
       'agent',
       '--session-id', sessionId,
       '--message', prompt,
       '--timeout', String(timeoutSeconds)
     ], {
-      encoding: 'utf8',
-      timeout: (timeoutMs || 35000) + 5000,
+      timeoutMs: (timeoutMs || 35000) + 5000,
+      maxBuffer: 1024 * 1024,
       cwd: workspaceDir,
-      env: { ...process.env, FORCE_COLOR: '0' }
+      env: { ...process.env, FORCE_COLOR: '0' },
+      signal
     });
-    const output = (result.stdout || '') + (result.stderr || '');
-    if (result.error) {
-      throw result.error;
-    }
-    const summaryText = cleanText(normalizeOpenClawOutput(output), 1500);
+    const summaryText = cleanText(normalizeOpenClawOutput(result.stdout + result.stderr), 1500);
     if (!summaryText) {
       return null;
     }
@@ -320,15 +487,14 @@ function createRuntimeAdapter(options = {}) {
 
   async function runOpenClawNotify({ callerName, callerOwner, message }) {
     const notification = `🤝 **A2A Call**\nFrom: ${callerName}${callerOwner}\n> ${message.slice(0, 150)}...`;
-    // Use spawnSync to avoid shell escaping issues
-    spawnSync('openclaw', [
+    await spawnProcess('openclaw', [
       'message', 'send',
       '--channel', 'telegram',
       '--message', notification
-    ], { timeout: 10000, stdio: 'pipe' });
+    ], { timeoutMs: 10000 });
   }
 
-  async function runGenericTurn({ message, caller, context, runtimeError }) {
+  async function runGenericTurn({ message, caller, context, timeoutMs, runtimeError, onOutput, signal }) {
     const payload = {
       mode: 'a2a-turn',
       message,
@@ -353,8 +519,10 @@ function createRuntimeAdapter(options = {}) {
 
     if (genericAgentCommand) {
       try {
-        const output = runCommand(genericAgentCommand, payload, {
-          timeoutMs: context?.timeoutMs || 65000
+        const output = await runCommand(genericAgentCommand, payload, {
+          timeoutMs: timeoutMs || context?.timeoutMs || 65000,
+          onOutput,
+          signal
         });
         const text = parseCommandTextOutput(output);
         logger.debug('Generic agent command completed', {
@@ -372,6 +540,9 @@ function createRuntimeAdapter(options = {}) {
           return text;
         }
       } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
         runtimeError = err.message;
         logger.error('Generic agent command failed', {
           event: 'generic_agent_command_failed',
@@ -399,7 +570,7 @@ function createRuntimeAdapter(options = {}) {
     }, runtimeError);
   }
 
-  async function runGenericSummary({ messages, callerInfo, reason }) {
+  async function runGenericSummary({ messages, callerInfo, reason, signal }) {
     const payload = {
       mode: 'a2a-summary',
       messages,
@@ -412,7 +583,7 @@ function createRuntimeAdapter(options = {}) {
 
     if (genericSummaryCommand) {
       try {
-        const output = runCommand(genericSummaryCommand, payload, { timeoutMs: 35000 });
+        const output = await runCommand(genericSummaryCommand, payload, { timeoutMs: 35000, signal });
         const parsed = parseSummaryOutput(output);
         logger.debug('Generic summary command completed', {
           event: 'generic_summary_command_complete',
@@ -429,6 +600,9 @@ function createRuntimeAdapter(options = {}) {
           return parsed;
         }
       } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
         reason = err.message;
         logger.error('Generic summary command failed', {
           event: 'generic_summary_command_failed',
@@ -470,7 +644,7 @@ function createRuntimeAdapter(options = {}) {
       }
     });
     try {
-      runCommand(genericNotifyCommand, payload, { timeoutMs: 10000 });
+      await runCommand(genericNotifyCommand, payload, { timeoutMs: 10000 });
       logger.debug('Generic notify command completed', {
         event: 'generic_notify_command_complete',
         traceId,
@@ -501,12 +675,70 @@ function createRuntimeAdapter(options = {}) {
     }
   }
 
-  async function runTurn({ sessionId, prompt, message, caller, context = {}, timeoutMs }) {
+  /**
+   * Refuse to run an inbound turn that needs more than the token grants. Callers
+   * pass the grant as context.capabilities (an empty grant allows nothing); what
+   * the turn needs is worked out from the turn itself: the base turn capability,
+   * its attachments, context.intentCapability, context.topic, plus anything in
+   * context.requiredCapabilities. Local turns (no grant and no token) are not checked.
+   */
+  function enforceCapabilities(context, ids) {
+    if (!context || (!Array.isArray(context.capabilities) && !context.tokenId)) {
+      return;
+    }
+    const grant = Array.isArray(context.capabilities) ? context.capabilities : [];
+    const required = [
+      TURN_CAPABILITY,
+      ...attachmentCapabilities(context.attachments),
+      ...(context.intentCapability ? [context.intentCapability] : []),
+      ...(context.requiredCapabilities || [])
+    ].filter((cap, i, all) => all.indexOf(cap) === i);
+    try {
+      assertGranted(required, grant);
+      if (context.topic && !isGranted(context.topic, context.allowedTopics)) {
+        throw permissionDeniedError(`Topic not allowed: ${context.topic}`, { missing: [], topic: context.topic });
+      }
+    } catch (err) {
+      logger.warn('Runtime turn refused outside token grant', {
+        event: 'runtime_capability_denied',
+        ...ids,
+        error_code: 'RUNTIME_CAPABILITY_DENIED',
+        hint: 'The token grant must cover the turn, its attachments, intent and topic; widen the tier or drop them.',
+        data: {
+          missing: err.data?.missing || [],
+          topic: err.data?.topic || null,
+          granted: grant
+        }
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Run one agent turn. With onOutput, the runtime is spawned asynchronously and
+   * its text is forwarded as it is produced. The resolved text stays authoritative:
+   * a failover reply may replace text already forwarded.
+   *
+   * Turns wait for a pool slot and for earlier turns of the same conversation.
+   * Aborting `signal` drops a queued turn or kills the running one; the promise
+   * then rejects with an AbortError instead of failing over. Pass `async` for
+   * async-job turns so timeoutMs may exceed the sync ceiling.
+   */
+  async function runTurn({ sessionId, prompt, message, caller, context = {}, timeoutMs, async = false, onOutput, signal }) {
     const traceId = context?.traceId || context?.trace_id;
     const requestId = context?.requestId || context?.request_id;
     const conversationId = context?.conversationId || context?.conversation_id;
+    enforceCapabilities(context, { traceId, requestId, conversationId });
+    const ids = { traceId, requestId, conversationId };
+    return schedule('turn', ids, signal, () => executeTurn({
+      sessionId, prompt, message, caller, context, timeoutMs, async, onOutput, signal, ids
+    }));
+  }
+
+  async function executeTurn({ sessionId, prompt, message, caller, context, timeoutMs, async, onOutput, signal, ids }) {
+    const { traceId, requestId, conversationId } = ids;
     if (modeInfo.mode !== 'openclaw') {
-      return runGenericTurn({ message, caller, context });
+      return runGenericTurn({ message, caller, context, timeoutMs, onOutput, signal });
     }
 
     const startAt = Date.now();
@@ -517,12 +749,13 @@ function createRuntimeAdapter(options = {}) {
       conversationId,
       data: {
         session_id: sessionId,
-        timeout_ms: timeoutMs
+        timeout_ms: timeoutMs,
+        streaming: Boolean(onOutput)
       }
     });
 
     try {
-      const response = await runOpenClawTurn({ sessionId, prompt, timeoutMs });
+      const response = await runOpenClawTurn({ sessionId, prompt, timeoutMs, async, onOutput, signal });
       logger.debug('OpenClaw turn completed', {
         event: 'openclaw_turn_complete',
         traceId,
@@ -535,6 +768,9 @@ function createRuntimeAdapter(options = {}) {
       });
       return response;
     } catch (err) {
+      if (isAbortError(err)) {
+        throw err;
+      }
       if (!failoverEnabled) {
         logger.error('OpenClaw turn failed', {
           event: 'openclaw_turn_failed',
@@ -569,17 +805,28 @@ function createRuntimeAdapter(options = {}) {
         message,
         caller,
         context,
+        timeoutMs,
+        signal,
         runtimeError: `openclaw runtime unavailable: ${err.message}`
       });
     }
   }
 
-  async function summarize({ sessionId, prompt, messages, callerInfo, traceId, conversationId }) {
-    const effectiveTraceId = traceId || callerInfo?.trace_id || callerInfo?.traceId;
-    const requestId = callerInfo?.request_id || callerInfo?.requestId;
-    const effectiveConversationId = conversationId || callerInfo?.conversation_id || callerInfo?.conversationId;
+  async function summarize({ sessionId, prompt, messages, callerInfo, traceId, conversationId, signal }) {
+    const ids = {
+      traceId: traceId || callerInfo?.trace_id || callerInfo?.traceId,
+      requestId: callerInfo?.request_id || callerInfo?.requestId,
+      conversationId: conversationId || callerInfo?.conversation_id || callerInfo?.conversationId
+    };
+    return schedule('summary', ids, signal, () => executeSummary({
+      sessionId, prompt, messages, callerInfo, signal, ids
+    }));
+  }
+
+  async function executeSummary({ sessionId, prompt, messages, callerInfo, signal, ids }) {
+    const { traceId: effectiveTraceId, requestId, conversationId: effectiveConversationId } = ids;
     if (modeInfo.mode !== 'openclaw') {
-      return runGenericSummary({ messages, callerInfo });
+      return runGenericSummary({ messages, callerInfo, signal });
     }
     const startAt = Date.now();
     logger.debug('Invoking openclaw summary', {
@@ -597,7 +844,8 @@ function createRuntimeAdapter(options = {}) {
       const result = await runOpenClawSummary({
         sessionId,
         prompt,
-        timeoutMs: 35000
+        timeoutMs: 35000,
+        signal
       });
       if (result && result.summary) {
         logger.debug('OpenClaw summary completed', {
@@ -625,9 +873,13 @@ function createRuntimeAdapter(options = {}) {
       return runGenericSummary({
         messages,
         callerInfo,
+        signal,
         reason: 'empty summary from openclaw runtime'
       });
     } catch (err) {
+      if (isAbortError(err)) {
+        throw err;
+      }
       if (!failoverEnabled) {
         logger.error('OpenClaw summary failed', {
           event: 'openclaw_summary_failed',
@@ -661,6 +913,7 @@ function createRuntimeAdapter(options = {}) {
       return runGenericSummary({
         messages,
         callerInfo,
+        signal,
         reason: `openclaw summary unavailable: ${err.message}`
       });
     }
@@ -751,6 +1004,7 @@ function createRuntimeAdapter(options = {}) {
     runTurn,
     summarize,
     notify,
+    stats: () => pool.stats(),
     buildFallbackResponse
   };
 }
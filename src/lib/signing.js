@@ -0,0 +1,313 @@
+/**
+ * Request signing for A2A calls
+ *
+ * Optional hardening on top of bearer tokens: the caller signs each request
+ * with an Ed25519 key it advertises at /status. A leaked `fed_` token is then
+ * useless without the caller's private key once the token is bound to it.
+ *
+ * Signed material (one field per line, UTF-8):
+ *   a2a-sig-v1
+ *   <METHOD>
+ *   <path>            (no query string, e.g. /api/a2a/invoke)
+ *   <sha256(body) hex>
+ *   <timestamp>       (unix seconds)
+ *   <nonce>
+ *
+ * Headers:
+ *   x-a2a-signature   base64 Ed25519 signature
+ *   x-a2a-public-key  base64 SPKI DER public key
+ *   x-a2a-timestamp   unix seconds
+ *   x-a2a-nonce       random, single-use
+ *
+ * Storage:
+ * - Private key at ~/.config/openclaw/a2a-signing-key.pem (or $A2A_CONFIG_DIR), mode 0600.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR ||
+  process.env.OPENCLAW_CONFIG_DIR ||
+  path.join(process.env.HOME || '/tmp', '.config', 'openclaw');
+
+const KEY_FILENAME = 'a2a-signing-key.pem';
+const SIGNATURE_VERSION = 'a2a-sig-v1';
+const SIGNATURE_ALGORITHM = 'ed25519';
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+const HEADERS = {
+  signature: 'x-a2a-signature',
+  publicKey: 'x-a2a-public-key',
+  timestamp: 'x-a2a-timestamp',
+  nonce: 'x-a2a-nonce'
+};
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value || '').digest('hex');
+}
+
+function exportPublicKey(publicKey) {
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * Stable identifier for a public key: sha256 of the SPKI DER bytes.
+ */
+function fingerprintPublicKey(publicKeyB64) {
+  return sha256Hex(Buffer.from(String(publicKeyB64 || ''), 'base64'));
+}
+
+function buildIdentity(privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicKeyB64 = exportPublicKey(publicKey);
+  const fingerprint = fingerprintPublicKey(publicKeyB64);
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    privateKey,
+    publicKey: publicKeyB64,
+    fingerprint,
+    keyId: `key_${fingerprint.slice(0, 16)}`
+  };
+}
+
+/**
+ * Load the local signing identity, creating a new Ed25519 keypair on first use.
+ * Returns null when `create` is false and no key exists yet.
+ */
+function loadSigningIdentity(configDir = DEFAULT_CONFIG_DIR, options = {}) {
+  const keyPath = path.join(configDir, KEY_FILENAME);
+  if (fs.existsSync(keyPath)) {
+    const pem = fs.readFileSync(keyPath, 'utf8');
+    return buildIdentity(crypto.createPrivateKey(pem));
+  }
+  if (options.create === false) {
+    return null;
+  }
+
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+  }
+  const { privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const tmpPath = `${keyPath}.tmp.${process.pid}`;
+  fs.writeFileSync(tmpPath, pem, { mode: 0o600 });
+  fs.renameSync(tmpPath, keyPath);
+  try {
+    fs.chmodSync(keyPath, 0o600);
+  } catch (err) {
+    // Best effort - ignore on platforms without chmod support.
+  }
+  return buildIdentity(privateKey);
+}
+
+/**
+ * Public part of an identity, safe to advertise at /status.
+ */
+function describeIdentity(identity) {
+  if (!identity) return null;
+  return {
+    algorithm: identity.algorithm,
+    key_id: identity.keyId,
+    public_key: identity.publicKey,
+    fingerprint: identity.fingerprint,
+    version: SIGNATURE_VERSION
+  };
+}
+
+function buildSigningString({ method, path: requestPath, bodyHash, timestamp, nonce }) {
+  return [
+    SIGNATURE_VERSION,
+    String(method || '').toUpperCase(),
+    String(requestPath || '').split('?')[0],
+    String(bodyHash || ''),
+    String(timestamp || ''),
+    String(nonce || '')
+  ].join('\n');
+}
+
+/**
+ * Produce signature headers for an outbound request.
+ *
+ * @param {object} identity - From loadSigningIdentity()
+ * @param {object} request - { method, path, body } where body is the exact string sent
+ */
+function signRequest(identity, { method, path: requestPath, body = '' }, options = {}) {
+  const timestamp = String(options.timestamp || Math.floor(Date.now() / 1000));
+  const nonce = options.nonce || crypto.randomBytes(16).toString('base64url');
+  const signingString = buildSigningString({
+    method,
+    path: requestPath,
+    bodyHash: sha256Hex(body),
+    timestamp,
+    nonce
+  });
+  const signature = crypto.sign(null, Buffer.from(signingString, 'utf8'), identity.privateKey).toString('base64');
+  return {
+    [HEADERS.signature]: signature,
+    [HEADERS.publicKey]: identity.publicKey,
+    [HEADERS.timestamp]: timestamp,
+    [HEADERS.nonce]: nonce
+  };
+}
+
+/**
+ * Bounded single-use nonce memory. Entries expire after the skew window,
+ * after which the timestamp check rejects the request anyway. Live entries
+ * are never evicted: when the cache is full, new signed requests are refused
+ * until the oldest entry expires.
+ */
+class NonceCache {
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlSeconds || DEFAULT_MAX_SKEW_SECONDS) * 1000 * 2;
+    this.maxEntries = options.maxEntries || 50000;
+    this.entries = new Map(); // insertion order == expiry order
+  }
+
+  _prune(now) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now) break;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Seconds until a slot frees up, or 0 when there is room now.
+   */
+  retryAfter(now = Date.now()) {
+    this._prune(now);
+    if (this.entries.size < this.maxEntries) return 0;
+    const oldest = this.entries.values().next().value;
+    return Math.max(1, Math.ceil((oldest - now) / 1000));
+  }
+
+  /**
+   * Record a nonce. Returns false if it was already seen (replay).
+   * Callers check retryAfter() first to keep the cache bounded.
+   */
+  use(nonce, now = Date.now()) {
+    this._prune(now);
+    const key = String(nonce);
+    if (this.entries.has(key)) {
+      return false;
+    }
+    this.entries.set(key, now + this.ttlMs);
+    return true;
+  }
+}
+
+/**
+ * Express body-parser `verify` hook that keeps the raw bytes so signatures
+ * can be checked against exactly what the caller hashed.
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function resolveRawBody(req) {
+  if (req.rawBody) return req.rawBody;
+  // Fallback when the app's JSON parser did not capture raw bytes. Matches
+  // A2AClient, which sends JSON.stringify(body).
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    return JSON.stringify(req.body);
+  }
+  return '';
+}
+
+function hasSignatureHeaders(req) {
+  return Boolean(req.headers[HEADERS.signature]);
+}
+
+/**
+ * Verify a signed inbound request.
+ *
+ * Returns { signed: false } when no signature was sent, otherwise
+ * { signed: true, valid, error?, fingerprint?, publicKey? }.
+ */
+function verifyRequestSignature(req, options = {}) {
+  if (!hasSignatureHeaders(req)) {
+    return { signed: false };
+  }
+
+  const maxSkewSeconds = options.maxSkewSeconds || DEFAULT_MAX_SKEW_SECONDS;
+  const signature = String(req.headers[HEADERS.signature] || '');
+  const publicKeyB64 = String(req.headers[HEADERS.publicKey] || '');
+  const timestampRaw = String(req.headers[HEADERS.timestamp] || '');
+  const nonce = String(req.headers[HEADERS.nonce] || '');
+
+  if (!publicKeyB64 || !timestampRaw || !nonce) {
+    return { signed: true, valid: false, error: 'incomplete_signature' };
+  }
+
+  const timestamp = Number.parseInt(timestampRaw, 10);
+  const nowSeconds = Math.floor((options.now || Date.now()) / 1000);
+  if (!Number.isFinite(timestamp) || Math.abs(nowSeconds - timestamp) > maxSkewSeconds) {
+    return { signed: true, valid: false, error: 'signature_expired' };
+  }
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({
+      key: Buffer.from(publicKeyB64, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+  } catch (err) {
+    return { signed: true, valid: false, error: 'invalid_public_key' };
+  }
+  if (publicKey.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    return { signed: true, valid: false, error: 'unsupported_key_type' };
+  }
+
+  const signingString = buildSigningString({
+    method: req.method,
+    path: req.originalUrl || req.url,
+    bodyHash: sha256Hex(resolveRawBody(req)),
+    timestamp: timestampRaw,
+    nonce
+  });
+
+  let ok = false;
+  try {
+    ok = crypto.verify(null, Buffer.from(signingString, 'utf8'), publicKey, Buffer.from(signature, 'base64'));
+  } catch (err) {
+    ok = false;
+  }
+  if (!ok) {
+    return { signed: true, valid: false, error: 'invalid_signature' };
+  }
+
+  // Only burn the nonce once the signature is proven, so junk traffic cannot pre-poison it.
+  if (options.nonceCache) {
+    const nonceKey = `${fingerprintPublicKey(publicKeyB64)}:${nonce}`;
+    const retryAfter = options.nonceCache.retryAfter();
+    if (retryAfter > 0) {
+      return { signed: true, valid: false, error: 'nonce_cache_full', retryAfter };
+    }
+    if (!options.nonceCache.use(nonceKey)) {
+      return { signed: true, valid: false, error: 'replayed_nonce' };
+    }
+  }
+
+  return {
+    signed: true,
+    valid: true,
+    publicKey: publicKeyB64,
+    fingerprint: fingerprintPublicKey(publicKeyB64)
+  };
+}
+
+module.exports = {
+  KEY_FILENAME,
+  SIGNATURE_VERSION,
+  SIGNATURE_ALGORITHM,
+  HEADERS,
+  NonceCache,
+  buildSigningString,
+  captureRawBody,
+  describeIdentity,
+  fingerprintPublicKey,
+  loadSigningIdentity,
+  signRequest,
+  verifyRequestSignature
+};
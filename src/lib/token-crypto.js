@@ -0,0 +1,232 @@
+/**
+ * Encryption at rest for outbound contact tokens
+ *
+ * Contact tokens in the token store are sealed with AES-256-GCM:
+ *   token_enc = "v2:<key_id>:<base64(iv | tag | ciphertext)>"
+ *
+ * Master key sources (first match wins for new writes):
+ * - $A2A_MASTER_KEY: any secret string, stretched with HKDF-SHA256
+ * - ~/.config/openclaw/a2a-master.key (or $A2A_CONFIG_DIR): 32 random bytes, mode 0600,
+ *   created on first use
+ *
+ * Every known key stays available for decryption (matched by key_id), so switching
+ * sources or resuming an interrupted rotation never strands a ciphertext. The key
+ * files are re-read when they change on disk, so a long-running server follows an
+ * `a2a config rotate-key` run from another process; while a rotation is pending,
+ * new values are sealed with the pending key.
+ * Pre-v2 values are the legacy XOR obfuscation and are migrated by TokenStore.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MASTER_KEY_FILENAME = 'a2a-master.key';
+const PENDING_KEY_SUFFIX = '.next';
+const FORMAT_PREFIX = 'v2';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const AAD = Buffer.from('a2a-contact-token', 'utf8');
+
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function deriveKeyFromSecret(secret) {
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(String(secret), 'utf8'), AAD, 'a2a master key v1', 32));
+}
+
+function readKeyFile(keyPath) {
+  if (!fs.existsSync(keyPath)) return null;
+  const key = Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Master key at ${keyPath} is not a 32-byte base64 key`);
+  }
+  return key;
+}
+
+// Inode as well as mtime: key files are replaced by rename, and mtimes can be
+// too coarse to tell two writes in quick succession apart.
+function fileStamp(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.ino}:${stat.mtimeMs}`;
+  } catch (err) {
+    return 'missing';
+  }
+}
+
+function writeKeyFile(keyPath, key) {
+  const tmpPath = `${keyPath}.tmp.${process.pid}`;
+  fs.writeFileSync(tmpPath, key.toString('base64') + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, keyPath);
+  try {
+    fs.chmodSync(keyPath, 0o600);
+  } catch (err) {
+    // Best effort - ignore on platforms without chmod support.
+  }
+}
+
+/**
+ * Legacy XOR obfuscation used before v2. Kept only so old values can be migrated.
+ */
+function legacyXor(buffer, dbPath, suffix) {
+  const key = crypto.createHash('sha256').update(dbPath + suffix).digest();
+  const out = Buffer.alloc(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    out[i] = buffer[i] ^ key[i % key.length];
+  }
+  return out;
+}
+
+class ContactTokenCipher {
+  /**
+   * @param {object} options
+   * @param {string} options.configDir - Directory holding a2a-master.key
+   * @param {string} options.secret - Overrides $A2A_MASTER_KEY
+   */
+  constructor(options = {}) {
+    this.configDir = options.configDir;
+    this.keyPath = path.join(this.configDir, MASTER_KEY_FILENAME);
+    this.secret = options.secret !== undefined ? options.secret : (process.env.A2A_MASTER_KEY || null);
+    this._keyring = null;
+    this._primary = null;
+    this._stamp = null;
+  }
+
+  _keyFilesStamp() {
+    return `${fileStamp(this.keyPath)}|${fileStamp(this.keyPath + PENDING_KEY_SUFFIX)}`;
+  }
+
+  _loadKeys() {
+    if (this._keyring && this._stamp === this._keyFilesStamp()) return;
+    // Keys seen earlier stay usable for decryption after the files change.
+    const keyring = new Map(this._keyring || []);
+    let primary = null;
+
+    if (this.secret) {
+      primary = deriveKeyFromSecret(this.secret);
+      this.source = 'env';
+    }
+
+    const fileKey = readKeyFile(this.keyPath);
+    if (fileKey) {
+      keyring.set(keyIdFor(fileKey), fileKey);
+    }
+    if (!primary) {
+      primary = fileKey;
+      this.source = 'file';
+    }
+    if (!primary) {
+      if (!fs.existsSync(this.configDir)) {
+        fs.mkdirSync(this.configDir, { recursive: true });
+      }
+      primary = crypto.randomBytes(32);
+      writeKeyFile(this.keyPath, primary);
+      this.source = 'file';
+    }
+    keyring.set(keyIdFor(primary), primary);
+
+    // A rotation in progress (or one that crashed mid-way) may have sealed tokens
+    // with the pending key. New writes use it too, since it is about to be promoted.
+    const pendingKey = readKeyFile(this.keyPath + PENDING_KEY_SUFFIX);
+    if (pendingKey) {
+      keyring.set(keyIdFor(pendingKey), pendingKey);
+      if (this.source === 'file') primary = pendingKey;
+    }
+
+    this._keyring = keyring;
+    this._primary = primary;
+    this._stamp = this._keyFilesStamp();
+  }
+
+  get keyId() {
+    this._loadKeys();
+    return keyIdFor(this._primary);
+  }
+
+  static keyIdFor(key) {
+    return keyIdFor(key);
+  }
+
+  static isSealed(value) {
+    return typeof value === 'string' && value.startsWith(`${FORMAT_PREFIX}:`);
+  }
+
+  encrypt(plaintext, key = null) {
+    this._loadKeys();
+    const useKey = key || this._primary;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', useKey, iv);
+    cipher.setAAD(AAD);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    return `${FORMAT_PREFIX}:${keyIdFor(useKey)}:${payload}`;
+  }
+
+  /**
+   * Decrypt a v2 value. Returns null for unknown keys or failed authentication.
+   */
+  decrypt(value) {
+    if (!ContactTokenCipher.isSealed(value)) return null;
+    this._loadKeys();
+    const [, keyId, payloadB64] = value.split(':');
+    const key = this._keyring.get(keyId);
+    if (!key || !payloadB64) return null;
+
+    try {
+      const payload = Buffer.from(payloadB64, 'base64');
+      const iv = payload.subarray(0, IV_BYTES);
+      const tag = payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+      const ciphertext = payload.subarray(IV_BYTES + TAG_BYTES);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(AAD);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Start (or resume) a key rotation. Returns the pending key; callers re-encrypt
+   * with it and then call commitRotation().
+   */
+  beginRotation(newSecret = null) {
+    this._loadKeys();
+    if (newSecret) {
+      const key = deriveKeyFromSecret(newSecret);
+      this._keyring.set(keyIdFor(key), key);
+      return key;
+    }
+    if (this.source === 'env') {
+      throw new Error('Master key comes from A2A_MASTER_KEY; provide the new secret to rotate');
+    }
+    const pendingPath = this.keyPath + PENDING_KEY_SUFFIX;
+    let pending = readKeyFile(pendingPath);
+    if (!pending) {
+      pending = crypto.randomBytes(32);
+      writeKeyFile(pendingPath, pending);
+    }
+    this._keyring.set(keyIdFor(pending), pending);
+    return pending;
+  }
+
+  /**
+   * Promote the pending key file after all tokens were re-encrypted.
+   */
+  commitRotation() {
+    const pendingPath = this.keyPath + PENDING_KEY_SUFFIX;
+    if (fs.existsSync(pendingPath)) {
+      fs.renameSync(pendingPath, this.keyPath);
+    }
+    // Reload on next use; the retired key stays in this keyring for decryption.
+    this._stamp = null;
+  }
+}
+
+module.exports = {
+  MASTER_KEY_FILENAME,
+  ContactTokenCipher,
+  legacyXor
+};
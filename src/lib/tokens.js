@@ -1,18 +1,28 @@
 /**
  * Token management for A2A
+ *
+ * Storage:
+ * - SQLite at ~/.config/openclaw/a2a-tokens.db (or $A2A_CONFIG_DIR)
+ * - Records are stored as JSON rows keyed by id (and token_hash for tokens);
+ *   every read-modify-write runs in an IMMEDIATE transaction
+ * - A legacy a2a.json is imported once on first open, then deleted (it holds tokens in the clear)
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { createLogger } = require('./logger');
+const { ContactTokenCipher, legacyXor } = require('./token-crypto');
+const { normalizeAddress, parseCidrList } = require('./ip-allowlist');
+const { normalizeAgentCard } = require('./agent-card');
 
 // Default config path
 const DEFAULT_CONFIG_DIR = process.env.A2A_CONFIG_DIR || 
   process.env.OPENCLAW_CONFIG_DIR || 
   path.join(process.env.HOME || '/tmp', '.config', 'openclaw');
 
-const DB_FILENAME = 'a2a.json';
+const DB_FILENAME = 'a2a-tokens.db';
+const LEGACY_JSON_FILENAME = 'a2a.json';
 const logger = createLogger({ component: 'a2a.tokens' });
 
 function sanitizeCustomFields(fields, options = {}) {
@@ -60,90 +70,381 @@ class TokenStore {
   constructor(configDir = DEFAULT_CONFIG_DIR) {
     this.configDir = configDir;
     this.dbPath = path.join(configDir, DB_FILENAME);
+    // Pre-SQLite store; imported once, and its path still keys legacy XOR contact tokens.
+    this.legacyJsonPath = path.join(configDir, LEGACY_JSON_FILENAME);
+    this.db = null;
+    this._stmts = null;
+    this._cipher = null;
     this._ensureDir();
   }
 
+  _getCipher() {
+    if (!this._cipher) {
+      this._cipher = new ContactTokenCipher({ configDir: this.configDir });
+    }
+    return this._cipher;
+  }
+
   _ensureDir() {
     if (!fs.existsSync(this.configDir)) {
       fs.mkdirSync(this.configDir, { recursive: true });
     }
   }
 
-  _load() {
-    if (fs.existsSync(this.dbPath)) {
+  _initDb() {
+    if (this.db) return this.db;
+    try {
+      const Database = require('better-sqlite3');
+      this.db = new Database(this.dbPath);
       try {
-        const parsed = JSON.parse(fs.readFileSync(this.dbPath, 'utf8'));
-        const db = parsed && typeof parsed === 'object' ? parsed : {};
-        db.tokens = Array.isArray(db.tokens) ? db.tokens : [];
-        db.calls = Array.isArray(db.calls) ? db.calls : [];
-        db.contacts = Array.isArray(db.contacts) ? db.contacts : [];
-
-        // Backward compat: legacy "remotes" is now "contacts".
-        const legacyRemotes = Array.isArray(db.remotes) ? db.remotes : [];
-        if (legacyRemotes.length) {
-          const keyFor = (row) => {
-            if (!row || typeof row !== 'object') return null;
-            if (row.id) return `id:${row.id}`;
-            const host = row.host ? String(row.host) : '';
-            const hash = row.token_hash ? String(row.token_hash) : '';
-            if (host && hash) return `hosthash:${host}#${hash}`;
-            if (host) return `host:${host}`;
-            return null;
-          };
-
-          const merged = db.contacts.slice();
-          const seen = new Set();
-          for (const row of merged) {
-            const key = keyFor(row);
-            if (key) seen.add(key);
-          }
-          for (const row of legacyRemotes) {
-            const key = keyFor(row);
-            if (key && seen.has(key)) continue;
-            if (key) seen.add(key);
-            merged.push(row);
-          }
-          db.contacts = merged;
-        }
-
-        // Persisted schema is intentionally minimal during prototyping.
-        return { tokens: db.tokens, contacts: db.contacts, calls: db.calls };
-      } catch (e) {
-        // Corrupted file - backup and start fresh
-        const backupPath = `${this.dbPath}.corrupt.${Date.now()}`;
-        fs.renameSync(this.dbPath, backupPath);
-        logger.error('Token database was corrupted and moved to backup', {
-          event: 'token_db_corrupt_backup_created',
-          error: e,
-          error_code: 'TOKEN_DB_CORRUPTED',
-          hint: 'Inspect the backup file, then restore valid JSON schema in a2a.json.',
-          data: {
-            db_path: this.dbPath,
-            backup_path: backupPath
-          }
-        });
-        return { tokens: [], contacts: [], calls: [] };
+        fs.chmodSync(this.dbPath, 0o600);
+      } catch (err) {
+        // Best effort - ignore on platforms without chmod support.
       }
+      this._migrate();
+      this._prepareStatements();
+    } catch (err) {
+      this.db = null;
+      logger.error('Token database unavailable', {
+        event: 'token_db_init_failed',
+        error: err,
+        error_code: 'TOKEN_DB_UNAVAILABLE',
+        hint: 'Ensure better-sqlite3 is installed and the config directory is writable.',
+        data: {
+          db_path: this.dbPath
+        }
+      });
+      throw err;
     }
-    return { tokens: [], contacts: [], calls: [] };
+    this._importLegacyJson();
+    return this.db;
   }
 
-  _save(db) {
-    const persisted = {
-      tokens: Array.isArray(db.tokens) ? db.tokens : [],
-      contacts: Array.isArray(db.contacts) ? db.contacts : [],
-      calls: Array.isArray(db.calls) ? db.calls : []
+  _migrate() {
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+
+      CREATE TABLE IF NOT EXISTS tokens (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        token_hash TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL -- full record JSON
+      );
+
+      CREATE TABLE IF NOT EXISTS contacts (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS calls (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS invite_codes (
+        id TEXT PRIMARY KEY,
+        code_hash TEXT NOT NULL UNIQUE,
+        options TEXT NOT NULL, -- create() options applied at redemption
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        token_id TEXT,
+        redeemed_by TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_requests (
+        id TEXT PRIMARY KEY,
+        token_id TEXT NOT NULL,
+        caller TEXT,
+        host TEXT NOT NULL,
+        invite_enc TEXT, -- cleared on denial
+        status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | denied
+        contact_id TEXT,
+        created_at TEXT NOT NULL,
+        decided_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_contact_requests_status ON contact_requests(status, created_at);
+
+      CREATE TABLE IF NOT EXISTS store_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+  }
+
+  _prepareStatements() {
+    this._stmts = {
+      allTokens: this.db.prepare(`SELECT id, data FROM tokens ORDER BY seq ASC`),
+      tokenById: this.db.prepare(`SELECT data FROM tokens WHERE id = ?`),
+      tokenByHash: this.db.prepare(`SELECT data FROM tokens WHERE token_hash = ?`),
+      upsertToken: this.db.prepare(`
+        INSERT INTO tokens (id, token_hash, data) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET token_hash = excluded.token_hash, data = excluded.data
+      `),
+      deleteToken: this.db.prepare(`DELETE FROM tokens WHERE id = ?`),
+      allContacts: this.db.prepare(`SELECT id, data FROM contacts ORDER BY seq ASC`),
+      upsertContact: this.db.prepare(`
+        INSERT INTO contacts (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data
+      `),
+      deleteContact: this.db.prepare(`DELETE FROM contacts WHERE id = ?`),
+      allCalls: this.db.prepare(`SELECT data FROM calls ORDER BY seq ASC`),
+      insertCall: this.db.prepare(`INSERT INTO calls (data) VALUES (?)`),
+      deleteCalls: this.db.prepare(`DELETE FROM calls`),
+      insertInvite: this.db.prepare(`
+        INSERT INTO invite_codes (id, code_hash, options, created_at, expires_at)
+        VALUES (@id, @code_hash, @options, @created_at, @expires_at)
+      `),
+      inviteByHash: this.db.prepare(`SELECT * FROM invite_codes WHERE code_hash = ?`),
+      markInviteUsed: this.db.prepare(`
+        UPDATE invite_codes SET used_at = @used_at, token_id = @token_id, redeemed_by = @redeemed_by
+        WHERE id = @id AND used_at IS NULL
+      `),
+      // Plain prefix comparison: LIKE would read % and _ in the prefix as wildcards.
+      invitesByIdPrefix: this.db.prepare(`
+        SELECT id, options, used_at, token_id FROM invite_codes
+        WHERE substr(id, 1, length(?)) = ? ORDER BY created_at ASC LIMIT 2
+      `),
+      inviteById: this.db.prepare(`SELECT id, options, used_at, token_id FROM invite_codes WHERE id = ?`),
+      deleteUnusedInvite: this.db.prepare(`DELETE FROM invite_codes WHERE id = ? AND used_at IS NULL`),
+      pendingInvites: this.db.prepare(`
+        SELECT id, options, created_at, expires_at FROM invite_codes
+        WHERE used_at IS NULL AND expires_at > ? ORDER BY created_at ASC
+      `),
+      insertContactRequest: this.db.prepare(`
+        INSERT INTO contact_requests (id, token_id, caller, host, invite_enc, status, created_at)
+        VALUES (@id, @token_id, @caller, @host, @invite_enc, 'pending', @created_at)
+      `),
+      dropPendingContactRequests: this.db.prepare(`
+        DELETE FROM contact_requests WHERE token_id = ? AND status = 'pending'
+      `),
+      contactRequestById: this.db.prepare(`SELECT * FROM contact_requests WHERE id = ?`),
+      contactRequestsByStatus: this.db.prepare(`
+        SELECT * FROM contact_requests WHERE status = ? ORDER BY created_at DESC
+      `),
+      decideContactRequest: this.db.prepare(`
+        UPDATE contact_requests SET status = @status, contact_id = @contact_id, decided_at = @decided_at
+        WHERE id = @id AND status = 'pending'
+      `),
+      clearContactRequestInvite: this.db.prepare(`UPDATE contact_requests SET invite_enc = NULL WHERE id = ?`),
+      getMeta: this.db.prepare(`SELECT value FROM store_meta WHERE key = ?`),
+      setMeta: this.db.prepare(`
+        INSERT INTO store_meta (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+      `)
     };
+  }
+
+  /**
+   * Run fn inside a write (IMMEDIATE) transaction so read-modify-write cycles
+   * from the server and CLI serialize instead of losing updates.
+   */
+  _transaction(fn) {
+    const db = this._initDb();
+    if (db.inTransaction) {
+      return fn();
+    }
+    return db.transaction(fn).immediate();
+  }
+
+  /**
+   * One-shot import of the legacy a2a.json store. The file is renamed afterwards
+   * so it is never read again; re-running is a no-op.
+   */
+  _importLegacyJson() {
+    if (!fs.existsSync(this.legacyJsonPath)) return { imported: false };
 
-    // Atomic write: write to temp file, then rename
-    const tmpPath = `${this.dbPath}.tmp.${process.pid}`;
-    fs.writeFileSync(tmpPath, JSON.stringify(persisted, null, 2), { mode: 0o600 });
-    fs.renameSync(tmpPath, this.dbPath);
+    let parsed;
     try {
-      fs.chmodSync(this.dbPath, 0o600);
-    } catch (err) {
-      // Best effort - ignore on platforms without chmod support.
+      parsed = JSON.parse(fs.readFileSync(this.legacyJsonPath, 'utf8'));
+    } catch (e) {
+      // Corrupted file - backup and start fresh
+      const backupPath = `${this.legacyJsonPath}.corrupt.${Date.now()}`;
+      fs.renameSync(this.legacyJsonPath, backupPath);
+      logger.error('Legacy token file was corrupted and moved to backup', {
+        event: 'token_db_corrupt_backup_created',
+        error: e,
+        error_code: 'TOKEN_DB_CORRUPTED',
+        hint: 'Inspect the backup file, restore valid JSON as a2a.json, and restart to import it.',
+        data: {
+          db_path: this.legacyJsonPath,
+          backup_path: backupPath
+        }
+      });
+      return { imported: false, error: 'corrupt' };
+    }
+
+    const legacy = TokenStore.normalizeLegacyDocument(parsed);
+    const result = this._transaction(() => {
+      if (this._stmts.getMeta.get('legacy_json_imported_at')) {
+        return null;
+      }
+      const db = this._load();
+      const seenTokens = new Set(db.tokens.map(t => t.id));
+      const seenHashes = new Set(db.tokens.map(t => t.token_hash));
+      const seenContacts = new Set(db.contacts.map(c => c.id));
+      let tokens = 0;
+      let contacts = 0;
+
+      for (const record of legacy.tokens) {
+        if (!record || !record.id || !record.token_hash) continue;
+        if (seenTokens.has(record.id) || seenHashes.has(record.token_hash)) continue;
+        seenTokens.add(record.id);
+        seenHashes.add(record.token_hash);
+        db.tokens.push(record);
+        tokens++;
+      }
+      for (const contact of legacy.contacts) {
+        if (!contact || typeof contact !== 'object') continue;
+        contact.id = contact.id || crypto.randomBytes(8).toString('hex');
+        if (seenContacts.has(contact.id)) continue;
+        seenContacts.add(contact.id);
+        db.contacts.push(contact);
+        contacts++;
+      }
+      db.calls = db.calls.concat(legacy.calls);
+
+      this._migrateLegacyContactTokens(db);
+      this._save(db);
+      this._stmts.setMeta.run('legacy_json_imported_at', new Date().toISOString());
+      return { tokens, contacts };
+    });
+
+    // The JSON file holds contact tokens in the clear; once SQLite has them it goes,
+    // along with any `.imported` copy an earlier version left behind.
+    for (const leftover of [this.legacyJsonPath, `${this.legacyJsonPath}.imported`]) {
+      try {
+        fs.unlinkSync(leftover);
+      } catch (err) {
+        // Another process may have removed it already.
+      }
     }
+
+    if (!result) return { imported: false };
+    logger.info('Imported legacy a2a.json into SQLite token store', {
+      event: 'token_db_legacy_imported',
+      data: {
+        tokens: result.tokens,
+        contacts: result.contacts,
+        db_path: this.dbPath
+      }
+    });
+    return { imported: true, ...result };
+  }
+
+  /**
+   * Coerce a legacy a2a.json document into { tokens, contacts, calls }.
+   */
+  static normalizeLegacyDocument(parsed) {
+    const db = parsed && typeof parsed === 'object' ? parsed : {};
+    db.tokens = Array.isArray(db.tokens) ? db.tokens : [];
+    db.calls = Array.isArray(db.calls) ? db.calls : [];
+    db.contacts = Array.isArray(db.contacts) ? db.contacts : [];
+
+    // Backward compat: legacy "remotes" is now "contacts".
+    const legacyRemotes = Array.isArray(db.remotes) ? db.remotes : [];
+    if (legacyRemotes.length) {
+      const keyFor = (row) => {
+        if (!row || typeof row !== 'object') return null;
+        if (row.id) return `id:${row.id}`;
+        const host = row.host ? String(row.host) : '';
+        const hash = row.token_hash ? String(row.token_hash) : '';
+        if (host && hash) return `hosthash:${host}#${hash}`;
+        if (host) return `host:${host}`;
+        return null;
+      };
+
+      const merged = db.contacts.slice();
+      const seen = new Set();
+      for (const row of merged) {
+        const key = keyFor(row);
+        if (key) seen.add(key);
+      }
+      for (const row of legacyRemotes) {
+        const key = keyFor(row);
+        if (key && seen.has(key)) continue;
+        if (key) seen.add(key);
+        merged.push(row);
+      }
+      db.contacts = merged;
+    }
+
+    return { tokens: db.tokens, contacts: db.contacts, calls: db.calls };
+  }
+
+  _load() {
+    this._initDb();
+    const parse = (row) => {
+      try {
+        return JSON.parse(row.data);
+      } catch (err) {
+        return null;
+      }
+    };
+    return {
+      tokens: this._stmts.allTokens.all().map(parse).filter(Boolean),
+      contacts: this._stmts.allContacts.all().map(parse).filter(Boolean),
+      calls: this._stmts.allCalls.all().map(parse).filter(Boolean)
+    };
+  }
+
+  /**
+   * Persist a snapshot from _load(). Only changed rows are written and rows
+   * missing from the snapshot are deleted, so callers must hold _transaction().
+   */
+  _save(db) {
+    this._transaction(() => {
+      const storedTokens = new Map(this._stmts.allTokens.all().map(row => [row.id, row.data]));
+      for (const record of Array.isArray(db.tokens) ? db.tokens : []) {
+        if (!record || !record.id) continue;
+        const data = JSON.stringify(record);
+        const previous = storedTokens.get(record.id);
+        storedTokens.delete(record.id);
+        if (previous !== data) {
+          this._stmts.upsertToken.run(record.id, record.token_hash, data);
+        }
+      }
+      for (const id of storedTokens.keys()) {
+        this._stmts.deleteToken.run(id);
+      }
+
+      const storedContacts = new Map(this._stmts.allContacts.all().map(row => [row.id, row.data]));
+      for (const contact of Array.isArray(db.contacts) ? db.contacts : []) {
+        if (!contact || typeof contact !== 'object') continue;
+        contact.id = contact.id || crypto.randomBytes(8).toString('hex');
+        const data = JSON.stringify(contact);
+        const previous = storedContacts.get(contact.id);
+        storedContacts.delete(contact.id);
+        if (previous !== data) {
+          this._stmts.upsertContact.run(contact.id, data);
+        }
+      }
+      for (const id of storedContacts.keys()) {
+        this._stmts.deleteContact.run(id);
+      }
+
+      const calls = Array.isArray(db.calls) ? db.calls : [];
+      const storedCalls = this._stmts.allCalls.all().map(row => row.data);
+      const nextCalls = calls.map(call => JSON.stringify(call));
+      if (storedCalls.join('\n') !== nextCalls.join('\n')) {
+        this._stmts.deleteCalls.run();
+        nextCalls.forEach(data => this._stmts.insertCall.run(data));
+      }
+    });
+  }
+
+  _getToken(column, value) {
+    this._initDb();
+    const row = column === 'id'
+      ? this._stmts.tokenById.get(value)
+      : this._stmts.tokenByHash.get(value);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _putToken(record) {
+    this._stmts.upsertToken.run(record.id, record.token_hash, JSON.stringify(record));
   }
 
   /**
@@ -154,6 +455,17 @@ class TokenStore {
     return 'fed_' + bytes.toString('base64url');
   }
 
+  /**
+   * Generate a one-time invite code (redeemed for a token at /api/a2a/redeem)
+   */
+  static generateInviteCode() {
+    return 'inv_' + crypto.randomBytes(18).toString('base64url');
+  }
+
+  static isInviteCode(value) {
+    return typeof value === 'string' && value.startsWith('inv_');
+  }
+
   /**
    * Hash a token for storage
    */
@@ -184,6 +496,158 @@ class TokenStore {
    * - Timeout: 5-300 seconds (enforced server-side)
    */
   create(options = {}) {
+    const { token, record } = this._buildToken(options);
+
+    this._transaction(() => {
+      const db = this._load();
+      db.tokens.push(record);
+      this._save(db);
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Create a one-time invite code. The code stands in for the token in the
+   * invite URL (a2a://host/inv_...); the caller trades it at /api/a2a/redeem
+   * for a fresh token built from these create() options, and the code is burned.
+   *
+   * @param {object} options - create() options, plus codeTtl (1h, 1d; default 1d)
+   * @returns {{code: string, record: object, preview: object}} code is plaintext (show once);
+   *   preview is the token the code will turn into (its expiry counts from redemption)
+   */
+  createInviteCode(options = {}) {
+    const { codeTtl = '1d', ...tokenOptions } = options;
+    // Fail now, not at redemption, if the token options are invalid.
+    const { record: preview } = this._buildToken(tokenOptions);
+    delete preview.id;
+    delete preview.token_hash;
+
+    const ttlMs = TokenStore.parseDuration(codeTtl);
+    if (!ttlMs) {
+      throw new Error('Invite codes must expire; use a duration such as 1h or 1d');
+    }
+
+    const code = TokenStore.generateInviteCode();
+    const record = {
+      id: 'invc_' + crypto.randomBytes(8).toString('hex'),
+      code_hash: TokenStore.hashToken(code),
+      options: JSON.stringify(tokenOptions),
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + ttlMs).toISOString()
+    };
+    this._transaction(() => this._stmts.insertInvite.run(record));
+
+    return {
+      code,
+      record: {
+        id: record.id,
+        name: tokenOptions.name || 'unnamed',
+        tier: tokenOptions.permissions || 'public',
+        created_at: record.created_at,
+        expires_at: record.expires_at
+      },
+      preview
+    };
+  }
+
+  /**
+   * Exchange a one-time invite code for a new token. The code is marked used in
+   * the same transaction that stores the token, so concurrent redemptions of one
+   * code cannot both succeed.
+   *
+   * @param {string} code - inv_ code from the invite URL
+   * @param {object} options
+   * @param {object} options.caller - { name, owner, instance } of the redeeming agent
+   */
+  redeemInviteCode(code, options = {}) {
+    const raw = String(code || '').trim();
+    if (!raw) {
+      return { success: false, error: 'missing_code' };
+    }
+
+    return this._transaction(() => {
+      const found = this._stmts.inviteByHash.get(TokenStore.hashToken(raw));
+      if (!found) {
+        return { success: false, error: 'invalid_code' };
+      }
+      if (found.used_at) {
+        return { success: false, error: 'code_already_used' };
+      }
+      if (Date.parse(found.expires_at) <= Date.now()) {
+        return { success: false, error: 'code_expired' };
+      }
+
+      const { token, record } = this._buildToken(JSON.parse(found.options));
+      record.invite_code_id = found.id;
+      this._putToken(record);
+      this._stmts.markInviteUsed.run({
+        id: found.id,
+        used_at: new Date().toISOString(),
+        token_id: record.id,
+        redeemed_by: options.caller ? JSON.stringify(options.caller) : null
+      });
+
+      return { success: true, token, record, invite_id: found.id };
+    });
+  }
+
+  /**
+   * Withdraw an unredeemed invite code so it can never be redeemed. A redeemed
+   * code already became a token; revoke that token instead.
+   *
+   * @param {string} idPrefix - invc_ id, or a prefix matching exactly one, from listPendingInvites()
+   */
+  revokeInviteCode(idPrefix) {
+    const raw = String(idPrefix || '').trim();
+    if (!raw) return { success: false, error: 'not_found' };
+
+    return this._transaction(() => {
+      let found = this._stmts.inviteById.get(raw);
+      if (!found) {
+        const matches = this._stmts.invitesByIdPrefix.all(raw, raw);
+        if (matches.length > 1) {
+          return { success: false, error: 'ambiguous_id' };
+        }
+        found = matches[0];
+      }
+      if (!found) {
+        return { success: false, error: 'not_found' };
+      }
+      if (found.used_at) {
+        return { success: false, error: 'code_already_used', token_id: found.token_id };
+      }
+      this._stmts.deleteUnusedInvite.run(found.id);
+      const options = JSON.parse(found.options);
+      return {
+        success: true,
+        record: { id: found.id, name: options.name || 'unnamed', tier: options.permissions || 'public' }
+      };
+    });
+  }
+
+  /**
+   * Unredeemed, unexpired invite codes (without the codes themselves).
+   */
+  listPendingInvites() {
+    this._initDb();
+    return this._stmts.pendingInvites.all(new Date().toISOString()).map(row => {
+      const options = JSON.parse(row.options);
+      return {
+        id: row.id,
+        name: options.name || 'unnamed',
+        tier: options.permissions || 'public',
+        created_at: row.created_at,
+        expires_at: row.expires_at
+      };
+    });
+  }
+
+  /**
+   * Validate create() options and build the record without storing it.
+   * Throws on an invalid tier, duration, CIDR list, or pinned instance.
+   */
+  _buildToken(options = {}) {
     const {
       name = 'unnamed',
       owner = null,
@@ -196,7 +660,9 @@ class TokenStore {
       // Snapshot of actual capabilities at creation time
       allowedTopics = null,  // Array of topic strings, e.g. ['chat', 'calendar.read']
       allowedGoals = null,   // Array of goal strings, e.g. ['grow-network', 'find-collaborators']
-      tierSettings = null    // Object with tier-specific settings
+      tierSettings = null,   // Object with tier-specific settings
+      allowedCidrs = null,   // Caller networks allowed to use the token, e.g. ['203.0.113.0/24']
+      pinnedInstance = null  // Caller host the token is pinned to, e.g. 'alice.example.com'
     } = options;
 
     const tier = String(permissions || 'public').trim() || 'public';
@@ -204,6 +670,15 @@ class TokenStore {
       throw new Error(`Invalid permissions tier: ${tier}. Expected: ${TokenStore.VALID_TIERS.join('|')}`);
     }
 
+    const cidrCheck = parseCidrList(allowedCidrs);
+    if (cidrCheck.error) {
+      throw new Error(`Invalid allowed CIDRs: ${cidrCheck.error}`);
+    }
+    const pinned = TokenStore.normalizeInstance(pinnedInstance);
+    if (pinnedInstance && !pinned) {
+      throw new Error(`Invalid pinned instance: ${pinnedInstance}. Expected a hostname or IP address`);
+    }
+
     const token = TokenStore.generateToken();
     const tokenHash = TokenStore.hashToken(token);
     const durationMs = TokenStore.parseDuration(expires);
@@ -256,6 +731,8 @@ class TokenStore {
       allowed_topics: allowedTopics || defaultTopics[tier] || ['chat'],
       allowed_goals: allowedGoals || defaultGoals[tier] || [],
       tier_settings: tierSettings || {},  // Snapshot of settings at creation
+      allowed_cidrs: cidrCheck.cidrs.length ? cidrCheck.cidrs : null,
+      pinned_instance: pinned,
       disclosure,
       notify,
       max_calls: maxCalls,
@@ -265,10 +742,6 @@ class TokenStore {
       revoked: false
     };
 
-    const db = this._load();
-    db.tokens.push(record);
-    this._save(db);
-
     return { token, record };
   }
 
@@ -277,7 +750,9 @@ class TokenStore {
    */
   list(includeRevoked = false) {
     const db = this._load();
-    return includeRevoked ? db.tokens : db.tokens.filter(t => !t.revoked);
+    const tokens = includeRevoked ? db.tokens : db.tokens.filter(t => !t.revoked);
+    // Never surface the sealed successor outside the store.
+    return tokens.map(({ pending_successor_enc: _pending, ...rest }) => rest);
   }
 
   /**
@@ -288,34 +763,128 @@ class TokenStore {
     return db.tokens.find(t => t.id === idPrefix || t.id.startsWith(idPrefix));
   }
 
+  /**
+   * Network restrictions for a presented token, read without counting a call.
+   * Returns null for unknown tokens.
+   */
+  getCallerRestrictions(token) {
+    const record = this._getToken('token_hash', TokenStore.hashToken(token));
+    if (!record) return null;
+    return {
+      id: record.id,
+      allowed_cidrs: record.allowed_cidrs || null,
+      pinned_instance: record.pinned_instance || null
+    };
+  }
+
+  /**
+   * Authenticate a presented token without counting a call (e.g. polling an
+   * async job the token already paid for). Returns { valid, error } like validate().
+   */
+  checkToken(token) {
+    const record = this._getToken('token_hash', TokenStore.hashToken(token));
+    if (!record) return { valid: false, error: 'token_not_found' };
+    if (record.revoked) return { valid: false, error: 'token_revoked' };
+    if (record.expires_at && new Date(record.expires_at) < new Date()) {
+      return { valid: false, error: 'token_expired' };
+    }
+    if (record.rotation_grace_until && new Date(record.rotation_grace_until) < new Date()) {
+      return { valid: false, error: 'token_rotated' };
+    }
+    return {
+      valid: true,
+      id: record.id,
+      rotated_from: record.rotated_from || null,
+      bound_key_fingerprint: record.bound_key_fingerprint || null
+    };
+  }
+
+  /**
+   * Canonical form of a pinned caller host: lowercase hostname or IP, port dropped.
+   * Returns null for empty or malformed values.
+   */
+  static normalizeInstance(value) {
+    if (!value) return null;
+    let host = String(value).trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    host = host.split('/')[0];
+    const ip = normalizeAddress(host);
+    if (ip) return ip;
+    host = host.replace(/:\d+$/, '');
+    if (!/^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,62}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,62}[a-z0-9])?)*$/.test(host)) {
+      return null;
+    }
+    return host;
+  }
+
   /**
    * Validate an incoming token, returns validation result
    */
   validate(token) {
-    const db = this._load();
     const tokenHash = TokenStore.hashToken(token);
-    const record = db.tokens.find(t => t.token_hash === tokenHash);
 
-    if (!record) {
-      return { valid: false, error: 'token_not_found' };
-    }
+    // Check-and-increment touches only this token's row (plus a rotated predecessor)
+    // inside one IMMEDIATE transaction, so concurrent invokes never lose a count.
+    const outcome = this._transaction(() => {
+      const record = this._getToken('token_hash', tokenHash);
 
-    if (record.revoked) {
-      return { valid: false, error: 'token_revoked' };
-    }
+      if (!record) {
+        return { error: 'token_not_found' };
+      }
 
-    if (record.expires_at && new Date(record.expires_at) < new Date()) {
-      return { valid: false, error: 'token_expired' };
-    }
+      if (record.revoked) {
+        return { error: 'token_revoked' };
+      }
 
-    if (record.max_calls && record.calls_made >= record.max_calls) {
-      return { valid: false, error: 'max_calls_exceeded' };
-    }
+      if (record.expires_at && new Date(record.expires_at) < new Date()) {
+        return { error: 'token_expired' };
+      }
 
-    // Increment call count
-    record.calls_made++;
-    record.last_used = new Date().toISOString();
-    this._save(db);
+      if (record.rotation_grace_until && new Date(record.rotation_grace_until) < new Date()) {
+        return { error: 'token_rotated' };
+      }
+
+      if (record.max_calls && record.calls_made >= record.max_calls) {
+        return { error: 'max_calls_exceeded' };
+      }
+
+      // Increment call count
+      record.calls_made = (record.calls_made || 0) + 1;
+      record.last_used = new Date().toISOString();
+      this._putToken(record);
+
+      // First use of a successor proves the caller stored it: retire the predecessor now.
+      let rotationCompleted = null;
+      if (record.rotated_from) {
+        const predecessor = this._getToken('id', record.rotated_from);
+        if (predecessor && !predecessor.revoked) {
+          predecessor.revoked = true;
+          predecessor.revoked_at = record.last_used;
+          predecessor.revoked_reason = 'rotated';
+          delete predecessor.pending_successor_enc;
+          this._putToken(predecessor);
+          rotationCompleted = { predecessor_id: predecessor.id };
+        }
+      }
+      return { record, rotationCompleted };
+    });
+
+    if (outcome.error) {
+      return { valid: false, error: outcome.error };
+    }
+    const { record, rotationCompleted } = outcome;
+
+    // Still inside the grace window: hand the successor back so the caller can swap.
+    let rotation = null;
+    if (record.rotated_to && record.pending_successor_enc) {
+      const successorToken = this._getCipher().decrypt(record.pending_successor_enc);
+      if (successorToken) {
+        rotation = {
+          successor_id: record.rotated_to,
+          token: successorToken,
+          grace_until: record.rotation_grace_until || null
+        };
+      }
+    }
 
     const tier = record.tier || 'public';
     if (!TokenStore.VALID_TIERS.includes(tier)) {
@@ -338,31 +907,128 @@ class TokenStore {
       tier_settings: record.tier_settings || {},
       disclosure: record.disclosure,
       notify: record.notify,
-      calls_remaining: record.max_calls ? record.max_calls - record.calls_made : null
+      calls_remaining: record.max_calls ? record.max_calls - record.calls_made : null,
+      bound_key_fingerprint: record.bound_key_fingerprint || null,
+      reciprocal_requested: Boolean(record.reciprocal_requested_at),
+      rotation,
+      rotation_completed: rotationCompleted
     };
   }
 
+  /**
+   * Issue a successor for a token. The old token keeps working for the grace
+   * window; its next /invoke response carries the successor so the caller can
+   * swap credentials without a new invite.
+   *
+   * @param {string} idPrefix - Token ID (or prefix) to rotate
+   * @param {object} options
+   * @param {string} options.grace - Grace window for the old token (1h, 1d, 7d; default 1d)
+   */
+  rotate(idPrefix, options = {}) {
+    return this._transaction(() => {
+      const graceMs = TokenStore.parseDuration(options.grace || '1d');
+      if (!graceMs) {
+        throw new Error('Rotation grace window must be a duration like 1h or 7d');
+      }
+
+      const db = this._load();
+      const record = db.tokens.find(t => t.id === idPrefix || t.id.startsWith(idPrefix));
+      if (!record) {
+        return { success: false, error: 'not_found' };
+      }
+      if (record.revoked) {
+        return { success: false, error: 'token_revoked' };
+      }
+      if (record.rotated_to) {
+        return { success: false, error: 'already_rotated', successor_id: record.rotated_to };
+      }
+
+      const token = TokenStore.generateToken();
+      const now = new Date();
+      const {
+        rotated_from: _rotatedFrom,
+        last_used: _lastUsed,
+        ...inherited
+      } = record;
+      const successor = {
+        ...inherited,
+        id: 'tok_' + crypto.randomBytes(8).toString('hex'),
+        token_hash: TokenStore.hashToken(token),
+        created_at: now.toISOString(),
+        rotated_from: record.id,
+        revoked: false
+      };
+
+      record.rotated_to = successor.id;
+      record.rotated_at = now.toISOString();
+      record.rotation_grace_until = new Date(now.getTime() + graceMs).toISOString();
+      record.pending_successor_enc = this._getCipher().encrypt(token);
+
+      db.tokens.push(successor);
+      for (const contact of db.contacts || []) {
+        if (contact.linked_token_id === record.id) {
+          contact.linked_token_id = successor.id;
+        }
+      }
+      this._save(db);
+
+      logger.info('Token rotated; successor pending delivery', {
+        event: 'token_rotated',
+        tokenId: record.id,
+        data: {
+          successor_id: successor.id,
+          grace_until: record.rotation_grace_until
+        }
+      });
+
+      return { success: true, token, record: successor, previous: record };
+    });
+  }
+
+  /**
+   * Bind a token to the caller's signing key (first signed use wins).
+   * Returns the fingerprint the token is bound to after the call.
+   */
+  bindCallerKey(tokenId, { fingerprint, publicKey = null } = {}) {
+    return this._transaction(() => {
+      if (!fingerprint) return null;
+      const db = this._load();
+      const record = db.tokens.find(t => t.id === tokenId);
+      if (!record) return null;
+      if (record.bound_key_fingerprint) {
+        return record.bound_key_fingerprint;
+      }
+      record.bound_key_fingerprint = fingerprint;
+      record.bound_public_key = publicKey;
+      record.bound_at = new Date().toISOString();
+      this._save(db);
+      return fingerprint;
+    });
+  }
+
   /**
    * Revoke a token by ID
    */
   revoke(idPrefix) {
-    const db = this._load();
-    const record = db.tokens.find(t => t.id === idPrefix || t.id.startsWith(idPrefix));
+    return this._transaction(() => {
+      const db = this._load();
+      const record = db.tokens.find(t => t.id === idPrefix || t.id.startsWith(idPrefix));
     
-    if (!record) {
-      return { success: false, error: 'not_found' };
-    }
+      if (!record) {
+        return { success: false, error: 'not_found' };
+      }
 
-    record.revoked = true;
-    record.revoked_at = new Date().toISOString();
-    this._save(db);
+      record.revoked = true;
+      record.revoked_at = new Date().toISOString();
+      this._save(db);
 
-    return { success: true, record };
+      return { success: true, record };
+    });
   }
 
   /**
    * Add a remote agent endpoint (contact)
-   * Note: Token is encrypted at rest using a derived key
+   * Note: Token is encrypted at rest with AES-256-GCM (see token-crypto.js)
    * 
    * @param {string} inviteUrl - a2a://host/token format
    * @param {object} options - Contact metadata
@@ -375,67 +1041,63 @@ class TokenStore {
    * @param {string} options.trust - Trust level (trusted, verified, unknown)
    */
 	  addContact(inviteUrl, options = {}) {
-    const match = String(inviteUrl || '').match(/^a2a:\/\/([^/]+)\/(.+)$/);
-    if (!match) {
-      throw new Error(`Invalid invite URL: ${inviteUrl}. Expected format: a2a://host/token`);
-    }
-
-	    const [, host, token] = match;
-	    const agentName = options.name || host;
-	    const rawMine = options.is_mine !== undefined ? options.is_mine : options.isMine;
-	    const isMine = (() => {
-	      if (rawMine === null || rawMine === undefined) return false;
-	      if (typeof rawMine === 'boolean') return rawMine;
-	      if (typeof rawMine === 'string') {
-	        const s = rawMine.trim().toLowerCase();
-	        if (['true', '1', 'yes', 'y', 'on'].includes(s)) return true;
-	        if (['false', '0', 'no', 'n', 'off', ''].includes(s)) return false;
-	      }
-	      return Boolean(rawMine);
-	    })();
-
-    const db = this._load();
-
-    // Check for duplicate by host + token hash
-    const tokenHash = TokenStore.hashToken(token);
-    const existing = (db.contacts || []).find(r => r.host === host && r.token_hash === tokenHash);
-    if (existing) {
-      return { success: false, error: 'duplicate', existing };
-    }
-
-    // Encrypt token for storage (simple XOR with derived key - not production-grade but better than plaintext).
-    // Keep using the legacy key suffix so older "remotes" records remain decryptable.
-    const encryptionKey = crypto.createHash('sha256').update(this.dbPath + TokenStore.LEGACY_REMOTE_KEY_SUFFIX).digest();
-    const tokenBuffer = Buffer.from(token, 'utf8');
-    const encrypted = Buffer.alloc(tokenBuffer.length);
-    for (let i = 0; i < tokenBuffer.length; i++) {
-      encrypted[i] = tokenBuffer[i] ^ encryptionKey[i % encryptionKey.length];
-    }
+    return this._transaction(() => {
+      const match = String(inviteUrl || '').match(/^a2a:\/\/([^/]+)\/(.+)$/);
+      if (!match) {
+        throw new Error(`Invalid invite URL: ${inviteUrl}. Expected format: a2a://host/token`);
+      }
 
-	    const contact = {
-	      id: crypto.randomBytes(8).toString('hex'),
-	      name: agentName,
-	      owner: options.owner || null,
-	      is_mine: isMine,
-	      host,
-	      token_hash: tokenHash,
-	      token_enc: encrypted.toString('base64'),
-	      server_name: options.server_name || options.serverName || null,
-	      notes: options.notes || null,
-      tags: Array.isArray(options.tags) ? options.tags : [],
-      fields: sanitizeCustomFields(options.fields || options.custom_fields || options.customFields),
-      linked_token_id: options.linkedTokenId || options.linked_token_id || null,  // Token you gave them
-      status: 'unknown',
-      last_seen: null,
-      added_at: new Date().toISOString(),
-      updated_at: null
-    };
+  	    const [, host, token] = match;
+      if (TokenStore.isInviteCode(token)) {
+        throw new Error('This invite carries a one-time code; redeem it first (a2a add does this automatically)');
+      }
+  	    const agentName = options.name || host;
+  	    const rawMine = options.is_mine !== undefined ? options.is_mine : options.isMine;
+  	    const isMine = (() => {
+  	      if (rawMine === null || rawMine === undefined) return false;
+  	      if (typeof rawMine === 'boolean') return rawMine;
+  	      if (typeof rawMine === 'string') {
+  	        const s = rawMine.trim().toLowerCase();
+  	        if (['true', '1', 'yes', 'y', 'on'].includes(s)) return true;
+  	        if (['false', '0', 'no', 'n', 'off', ''].includes(s)) return false;
+  	      }
+  	      return Boolean(rawMine);
+  	    })();
+
+      const db = this._load();
+
+      // Check for duplicate by host + token hash
+      const tokenHash = TokenStore.hashToken(token);
+      const existing = (db.contacts || []).find(r => r.host === host && r.token_hash === tokenHash);
+      if (existing) {
+        return { success: false, error: 'duplicate', existing };
+      }
 
-    db.contacts = db.contacts || [];
-    db.contacts.push(contact);
-    this._save(db);
+  	    const contact = {
+  	      id: crypto.randomBytes(8).toString('hex'),
+  	      name: agentName,
+  	      owner: options.owner || null,
+  	      is_mine: isMine,
+  	      host,
+  	      token_hash: tokenHash,
+  	      token_enc: this._getCipher().encrypt(token),
+  	      server_name: options.server_name || options.serverName || null,
+  	      notes: options.notes || null,
+        tags: Array.isArray(options.tags) ? options.tags : [],
+        fields: sanitizeCustomFields(options.fields || options.custom_fields || options.customFields),
+        linked_token_id: options.linkedTokenId || options.linked_token_id || null,  // Token you gave them
+        status: 'unknown',
+        last_seen: null,
+        added_at: new Date().toISOString(),
+        updated_at: null
+      };
+
+      db.contacts = db.contacts || [];
+      db.contacts.push(contact);
+      this._save(db);
 
-    return { success: true, contact: { ...contact, token: undefined, token_enc: undefined } };
+      return { success: true, contact: { ...contact, token: undefined, token_enc: undefined } };
+    });
   }
 
   // Legacy wrapper.
@@ -451,9 +1113,25 @@ class TokenStore {
   _decryptContactToken(contact) {
     if (!contact.token_enc) return null;
 
+    const token = ContactTokenCipher.isSealed(contact.token_enc)
+      ? this._getCipher().decrypt(contact.token_enc)
+      : this._decryptLegacyContactToken(contact.token_enc);
+    if (!token) return null;
+
+    // Guard against ciphertexts pasted between records.
+    if (contact.token_hash && TokenStore.hashToken(token) !== contact.token_hash) {
+      return null;
+    }
+    return token;
+  }
+
+  /**
+   * Decode a pre-v2 XOR-obfuscated token (migration only).
+   */
+  _decryptLegacyContactToken(tokenEnc) {
     let encrypted;
     try {
-      encrypted = Buffer.from(contact.token_enc, 'base64');
+      encrypted = Buffer.from(tokenEnc, 'base64');
     } catch (err) {
       return null;
     }
@@ -465,12 +1143,7 @@ class TokenStore {
     ].filter(Boolean);
 
     for (const suffix of [...new Set(suffixes)]) {
-      const encryptionKey = crypto.createHash('sha256').update(this.dbPath + suffix).digest();
-      const decrypted = Buffer.alloc(encrypted.length);
-      for (let i = 0; i < encrypted.length; i++) {
-        decrypted[i] = encrypted[i] ^ encryptionKey[i % encryptionKey.length];
-      }
-      const token = decrypted.toString('utf8');
+      const token = legacyXor(encrypted, this.legacyJsonPath, suffix).toString('utf8');
       if (/^fed_[A-Za-z0-9_-]{10,}$/.test(token)) {
         return token;
       }
@@ -479,6 +1152,99 @@ class TokenStore {
     return null;
   }
 
+  /**
+   * Re-seal legacy XOR values with AES-GCM. Returns true if anything changed.
+   */
+  _migrateLegacyContactTokens(db) {
+    const legacy = (db.contacts || []).filter(c =>
+      c && c.token_enc && !ContactTokenCipher.isSealed(c.token_enc)
+    );
+    if (!legacy.length) return false;
+
+    let migrated = 0;
+    const failed = [];
+    for (const contact of legacy) {
+      const token = this._decryptLegacyContactToken(contact.token_enc);
+      if (!token) {
+        failed.push(contact.id || contact.host || null);
+        continue;
+      }
+      contact.token_enc = this._getCipher().encrypt(token);
+      migrated++;
+    }
+
+    if (migrated) {
+      logger.info('Migrated contact tokens to AES-256-GCM', {
+        event: 'contact_tokens_migrated',
+        data: {
+          migrated,
+          key_id: this._getCipher().keyId
+        }
+      });
+    }
+    if (failed.length) {
+      logger.warn('Some legacy contact tokens could not be decoded', {
+        event: 'contact_tokens_migration_failed',
+        error_code: 'CONTACT_TOKEN_LEGACY_UNREADABLE',
+        hint: 'Legacy tokens are bound to the a2a.json path; re-add these contacts from a fresh invite.',
+        data: {
+          contacts: failed
+        }
+      });
+    }
+    return migrated > 0;
+  }
+
+  /**
+   * Re-encrypt every contact token under a new master key.
+   *
+   * @param {object} options
+   * @param {string} options.newSecret - Rotate to a secret (for $A2A_MASTER_KEY setups)
+   */
+  rotateContactKey(options = {}) {
+    const cipher = this._getCipher();
+    const newKey = cipher.beginRotation(options.newSecret || null);
+
+    const { rotated, failed } = this._transaction(() => {
+      const db = this._load();
+      let rotated = 0;
+      const failed = [];
+      for (const contact of db.contacts || []) {
+        if (!contact.token_enc) continue;
+        const token = this._decryptContactToken(contact);
+        if (!token) {
+          failed.push(contact.id || contact.host || null);
+          continue;
+        }
+        contact.token_enc = cipher.encrypt(token, newKey);
+        rotated++;
+      }
+      // Successors awaiting delivery are sealed with the same master key.
+      for (const record of db.tokens || []) {
+        if (!record.pending_successor_enc) continue;
+        const successor = cipher.decrypt(record.pending_successor_enc);
+        if (successor) {
+          record.pending_successor_enc = cipher.encrypt(successor, newKey);
+        }
+      }
+      this._save(db);
+      return { rotated, failed };
+    });
+    cipher.commitRotation();
+
+    const keyId = ContactTokenCipher.keyIdFor(newKey);
+    logger.info('Rotated contact token master key', {
+      event: 'contact_key_rotated',
+      data: {
+        rotated,
+        failed: failed.length,
+        key_id: keyId,
+        source: options.newSecret ? 'env' : 'file'
+      }
+    });
+    return { success: failed.length === 0, rotated, failed, key_id: keyId };
+  }
+
   /**
    * List contacts (optionally with linked token info / secrets)
    */
@@ -515,20 +1281,198 @@ class TokenStore {
    * Link a token to a contact
    */
   linkTokenToContact(contactNameOrId, tokenId) {
-    const db = this._load();
-    const remote = (db.contacts || []).find(r =>
-      r.name === contactNameOrId || r.id === contactNameOrId
-    );
-    const token = db.tokens.find(t => 
-      t.id === tokenId || t.id.startsWith(tokenId)
-    );
+    return this._transaction(() => {
+      const db = this._load();
+      const remote = (db.contacts || []).find(r =>
+        r.name === contactNameOrId || r.id === contactNameOrId
+      );
+      const token = db.tokens.find(t => 
+        t.id === tokenId || t.id.startsWith(tokenId)
+      );
+
+      if (!remote) return { success: false, error: 'contact_not_found' };
+      if (!token) return { success: false, error: 'token_not_found' };
+
+      remote.linked_token_id = token.id;
+      this._save(db);
+      return { success: true, contact: remote, remote, token };
+    });
+  }
+
+  // ── Reciprocal contact exchange ─────────────────────────────
+  //
+  // A caller holding our token can hand us a return invite (a2a://their-host/fed_...)
+  // so we can call them back. Offers wait for owner approval; approving stores the
+  // invite on the inbound contact for that token and links the two.
+
+  /**
+   * Ask the holder of a token for a return invite. The next /invoke response
+   * carries reciprocal.requested until an offer arrives.
+   */
+  requestReciprocalInvite(tokenId) {
+    return this._transaction(() => {
+      const db = this._load();
+      const token = db.tokens.find(t => t.id === tokenId || t.id.startsWith(tokenId));
+      if (!token) return { success: false, error: 'token_not_found' };
+      token.reciprocal_requested_at = new Date().toISOString();
+      this._save(db);
+      return { success: true, token };
+    });
+  }
+
+  /**
+   * Store a return invite offered by the caller of tokenId, pending owner approval.
+   * A newer offer on the same token replaces a pending one.
+   *
+   * @param {string} tokenId - Our token the caller authenticated with
+   * @param {string} inviteUrl - a2a://host/fed_... or a one-time a2a://host/inv_...
+   * @param {object} caller - { name, owner, instance } as declared by the caller
+   */
+  offerReciprocalInvite(tokenId, inviteUrl, caller = null) {
+    const url = String(inviteUrl || '').trim();
+    const match = url.match(/^a2a:\/\/([^/\s]+)\/(fed|inv)_[A-Za-z0-9_-]{10,}$/);
+    if (!match) {
+      return { success: false, error: 'invalid_return_invite' };
+    }
+
+    return this._transaction(() => {
+      const db = this._load();
+      const token = db.tokens.find(t => t.id === tokenId);
+      if (!token) return { success: false, error: 'token_not_found' };
+      if (token.reciprocal_requested_at) {
+        delete token.reciprocal_requested_at;
+        this._save(db);
+      }
+
+      this._stmts.dropPendingContactRequests.run(tokenId);
+      const request = {
+        id: 'creq_' + crypto.randomBytes(8).toString('hex'),
+        token_id: tokenId,
+        caller: caller ? JSON.stringify({
+          name: caller.name ? String(caller.name).slice(0, 120) : null,
+          owner: caller.owner ? String(caller.owner).slice(0, 120) : null,
+          instance: caller.instance ? String(caller.instance).slice(0, 253) : null
+        }) : null,
+        host: match[1],
+        invite_enc: this._getCipher().encrypt(url),
+        created_at: new Date().toISOString()
+      };
+      this._stmts.insertContactRequest.run(request);
+      return { success: true, request: this._toContactRequest(request) };
+    });
+  }
+
+  _toContactRequest(row) {
+    return {
+      id: row.id,
+      token_id: row.token_id,
+      caller: row.caller ? JSON.parse(row.caller) : null,
+      host: row.host,
+      status: row.status || 'pending',
+      contact_id: row.contact_id || null,
+      created_at: row.created_at,
+      decided_at: row.decided_at || null
+    };
+  }
+
+  /**
+   * List contact requests (default: pending), without the invite itself
+   */
+  listContactRequests(status = 'pending') {
+    this._initDb();
+    return this._stmts.contactRequestsByStatus.all(status).map(row => this._toContactRequest(row));
+  }
+
+  /**
+   * Get a contact request with its decrypted return invite
+   */
+  getContactRequest(id) {
+    this._initDb();
+    const row = this._stmts.contactRequestById.get(id);
+    if (!row) return null;
+    return {
+      ...this._toContactRequest(row),
+      invite_url: row.invite_enc ? this._getCipher().decrypt(row.invite_enc) : null
+    };
+  }
 
-    if (!remote) return { success: false, error: 'contact_not_found' };
-    if (!token) return { success: false, error: 'token_not_found' };
+  /**
+   * Approve a pending request: save the return invite on the contact tied to the
+   * request's token (the inbound contact, or a new one) and link the two.
+   *
+   * @param {string} id - Contact request ID
+   * @param {object} options
+   * @param {string} options.inviteUrl - Invite to store instead of the offered one
+   *   (the redeemed a2a://host/fed_... when the offer was a one-time code)
+   */
+  approveContactRequest(id, options = {}) {
+    return this._transaction(() => {
+      const request = this.getContactRequest(id);
+      if (!request) return { success: false, error: 'not_found' };
+      if (request.status !== 'pending') return { success: false, error: 'already_decided' };
+
+      const inviteUrl = options.inviteUrl || request.invite_url;
+      const match = String(inviteUrl || '').match(/^a2a:\/\/([^/]+)\/(fed_[A-Za-z0-9_-]+)$/);
+      if (!match) return { success: false, error: 'invalid_return_invite' };
+      const [, host, token] = match;
+
+      const caller = request.caller || {};
+      // Only the contact linked to the token this caller holds may take the
+      // offered invite; matching on the caller-supplied host could hand another
+      // contact's slot to whoever made the request.
+      const db = this._load();
+      const existing = (db.contacts || []).find(c => c.linked_token_id === request.token_id);
+
+      let contactId;
+      if (existing) {
+        if (existing.host && existing.host !== 'inbound' && existing.host !== host) {
+          return { success: false, error: 'host_mismatch' };
+        }
+        existing.host = host;
+        existing.tags = (existing.tags || []).filter(t => t !== 'inbound');
+        this._save(db);
+        const updated = this.updateContact(existing.id, { token });
+        if (!updated.success) return updated;
+        contactId = existing.id;
+      } else {
+        const added = this.addContact(inviteUrl, {
+          name: caller.name || undefined,
+          owner: caller.owner || undefined,
+          linkedTokenId: request.token_id
+        });
+        if (!added.success) return { success: false, error: 'duplicate_contact' };
+        contactId = added.contact.id;
+      }
 
-    remote.linked_token_id = token.id;
-    this._save(db);
-    return { success: true, contact: remote, remote, token };
+      const linked = this.linkTokenToContact(contactId, request.token_id);
+      if (!linked.success) return linked;
+      this._stmts.decideContactRequest.run({
+        id,
+        status: 'approved',
+        contact_id: contactId,
+        decided_at: new Date().toISOString()
+      });
+      return { success: true, request: { ...request, status: 'approved', contact_id: contactId }, contact: linked.contact };
+    });
+  }
+
+  /**
+   * Deny a pending request; the offered invite is discarded.
+   */
+  denyContactRequest(id) {
+    return this._transaction(() => {
+      const row = this._stmts.contactRequestById.get(id);
+      if (!row) return { success: false, error: 'not_found' };
+      const changed = this._stmts.decideContactRequest.run({
+        id,
+        status: 'denied',
+        contact_id: null,
+        decided_at: new Date().toISOString()
+      }).changes;
+      if (!changed) return { success: false, error: 'already_decided' };
+      this._stmts.clearContactRequestInvite.run(id);
+      return { success: true };
+    });
   }
 
   /**
@@ -560,55 +1504,89 @@ class TokenStore {
 
   /**
    * Update a contact's metadata
+   *
+   * `updates.token` swaps the stored credential (token rotation); pass
+   * `updates.trace_id` so the swap can be correlated with the remote's logs.
+   * `updates.agent_card` caches the remote's public card (null clears it).
    */
 	  updateContact(nameOrHost, updates) {
-	    const db = this._load();
-	    const remote = (db.contacts || []).find(r =>
-	      r.name === nameOrHost || 
-	      r.host === nameOrHost ||
-	      r.id === nameOrHost
-	    );
+    return this._transaction(() => {
+  	    const db = this._load();
+  	    const remote = (db.contacts || []).find(r =>
+  	      r.name === nameOrHost || 
+  	      r.host === nameOrHost ||
+  	      r.id === nameOrHost
+  	    );
     
-    if (!remote) {
-      return { success: false, error: 'not_found' };
-	    }
-
-	    // Only allow updating specific fields
-	    const allowed = ['name', 'owner', 'is_mine', 'notes', 'tags', 'linked_token_id', 'server_name', 'fields'];
-	    for (const key of allowed) {
-	      if (updates[key] !== undefined) {
-	        if (key === 'fields') {
-	          if (updates.fields === null) {
-	            remote.fields = {};
-	          } else {
-	            remote.fields = {
-	              ...(remote.fields && typeof remote.fields === 'object' ? remote.fields : {}),
-	              ...sanitizeCustomFields(updates.fields)
-	            };
-	          }
-	        } else if (key === 'is_mine') {
-	          const raw = updates.is_mine;
-	          if (raw === null) {
-	            remote.is_mine = false;
-	          } else if (typeof raw === 'boolean') {
-	            remote.is_mine = raw;
-	          } else if (typeof raw === 'string') {
-	            const s = raw.trim().toLowerCase();
-	            if (['true', '1', 'yes', 'y', 'on'].includes(s)) remote.is_mine = true;
-	            else if (['false', '0', 'no', 'n', 'off', ''].includes(s)) remote.is_mine = false;
-	            else remote.is_mine = Boolean(raw);
-	          } else {
-	            remote.is_mine = Boolean(raw);
-	          }
-	        } else {
-	          remote[key] = updates[key];
-	        }
-	      }
-	    }
-    remote.updated_at = new Date().toISOString();
-
-    this._save(db);
-    return { success: true, contact: remote, remote };
+      if (!remote) {
+        return { success: false, error: 'not_found' };
+  	    }
+
+      if (updates.token !== undefined) {
+        const newToken = String(updates.token || '');
+        if (!/^fed_[A-Za-z0-9_-]{10,}$/.test(newToken)) {
+          return { success: false, error: 'invalid_token' };
+        }
+        const newHash = TokenStore.hashToken(newToken);
+        if (newHash !== remote.token_hash) {
+          const previousHash = remote.token_hash || null;
+          remote.token_hash = newHash;
+          remote.token_enc = this._getCipher().encrypt(newToken);
+          remote.token_rotated_at = new Date().toISOString();
+          logger.info('Contact token rotated', {
+            event: 'contact_token_rotated',
+            traceId: updates.trace_id || null,
+            data: {
+              contact_id: remote.id || null,
+              host: remote.host || null,
+              previous_token_hash: previousHash ? previousHash.slice(0, 12) : null,
+              token_hash: newHash.slice(0, 12)
+            }
+          });
+        }
+      }
+
+  	    // Only allow updating specific fields
+  	    const allowed = ['name', 'owner', 'is_mine', 'notes', 'tags', 'linked_token_id', 'server_name', 'fields', 'agent_card'];
+  	    for (const key of allowed) {
+  	      if (updates[key] !== undefined) {
+  	        if (key === 'fields') {
+  	          if (updates.fields === null) {
+  	            remote.fields = {};
+  	          } else {
+  	            remote.fields = {
+  	              ...(remote.fields && typeof remote.fields === 'object' ? remote.fields : {}),
+  	              ...sanitizeCustomFields(updates.fields)
+  	            };
+  	          }
+  	        } else if (key === 'agent_card') {
+  	          // Cards come from the remote host, so they are normalized before storing.
+  	          remote.agent_card = normalizeAgentCard(updates.agent_card);
+  	          remote.agent_card_fetched_at = remote.agent_card ? new Date().toISOString() : null;
+  	        } else if (key === 'is_mine') {
+  	          const raw = updates.is_mine;
+  	          if (raw === null) {
+  	            remote.is_mine = false;
+  	          } else if (typeof raw === 'boolean') {
+  	            remote.is_mine = raw;
+  	          } else if (typeof raw === 'string') {
+  	            const s = raw.trim().toLowerCase();
+  	            if (['true', '1', 'yes', 'y', 'on'].includes(s)) remote.is_mine = true;
+  	            else if (['false', '0', 'no', 'n', 'off', ''].includes(s)) remote.is_mine = false;
+  	            else remote.is_mine = Boolean(raw);
+  	          } else {
+  	            remote.is_mine = Boolean(raw);
+  	          }
+  	        } else {
+  	          remote[key] = updates[key];
+  	        }
+  	      }
+  	    }
+      remote.updated_at = new Date().toISOString();
+
+      this._save(db);
+      return { success: true, contact: remote, remote };
+    });
   }
 
   /**
@@ -622,21 +1600,23 @@ class TokenStore {
    * Update contact status after ping/call
    */
   updateContactStatus(nameOrHost, status, error = null) {
-    const db = this._load();
-    const remote = (db.contacts || []).find(r =>
-      r.name === nameOrHost || 
-      r.host === nameOrHost ||
-      r.id === nameOrHost
-    );
+    return this._transaction(() => {
+      const db = this._load();
+      const remote = (db.contacts || []).find(r =>
+        r.name === nameOrHost || 
+        r.host === nameOrHost ||
+        r.id === nameOrHost
+      );
     
-    if (!remote) return;
+      if (!remote) return;
 
-    remote.status = status; // 'online', 'offline', 'error'
-    remote.last_seen = status === 'online' ? new Date().toISOString() : remote.last_seen;
-    remote.last_error = error;
-    remote.last_check = new Date().toISOString();
+      remote.status = status; // 'online', 'offline', 'error'
+      remote.last_seen = status === 'online' ? new Date().toISOString() : remote.last_seen;
+      remote.last_error = error;
+      remote.last_check = new Date().toISOString();
     
-    this._save(db);
+      this._save(db);
+    });
   }
 
   /**
@@ -650,20 +1630,22 @@ class TokenStore {
    * Remove a contact
    */
   removeContact(nameOrHost) {
-    const db = this._load();
-    const idx = (db.contacts || []).findIndex(r =>
-      r.name === nameOrHost || 
-      r.host === nameOrHost ||
-      r.id === nameOrHost
-    );
+    return this._transaction(() => {
+      const db = this._load();
+      const idx = (db.contacts || []).findIndex(r =>
+        r.name === nameOrHost || 
+        r.host === nameOrHost ||
+        r.id === nameOrHost
+      );
     
-    if (idx === -1) {
-      return { success: false, error: 'not_found' };
-    }
+      if (idx === -1) {
+        return { success: false, error: 'not_found' };
+      }
 
-    const [removed] = db.contacts.splice(idx, 1);
-    this._save(db);
-    return { success: true, contact: removed, remote: removed };
+      const [removed] = db.contacts.splice(idx, 1);
+      this._save(db);
+      return { success: true, contact: removed, remote: removed };
+    });
   }
 
   // Legacy wrapper.
@@ -682,74 +1664,80 @@ class TokenStore {
    *
    * This allows mapping call history (SQLite contact_id=tok_...) to a contact
    * row in the dashboard via linked_token_id.
+   *
+   * With a token id the match is by that token only: caller name and owner
+   * are self-reported, and matching on them would hand one token the contact
+   * (and the memory and action items keyed by it) of another.
    */
 	  ensureInboundContact(caller, tokenId) {
-    if (!caller || !caller.name) {
-      return null;
-    }
-
-    const name = String(caller.name || '').trim().slice(0, 120);
-    const owner = caller.owner ? String(caller.owner).trim().slice(0, 120) : null;
+    return this._transaction(() => {
+      if (!caller || !caller.name) {
+        return null;
+      }
 
-    const db = this._load();
-    db.contacts = db.contacts || [];
+      const name = String(caller.name || '').trim().slice(0, 120);
+      const owner = caller.owner ? String(caller.owner).trim().slice(0, 120) : null;
 
-    // Prefer stable linking by the token used for inbound auth.
-    let remote = tokenId
-      ? db.contacts.find(r => r.linked_token_id === tokenId)
-      : null;
+      const db = this._load();
+      db.contacts = db.contacts || [];
 
-    // Fallback match by agent name/owner (less reliable, but helpful).
-    if (!remote) {
-      remote = db.contacts.find(r => r.name === name || (owner && r.owner === owner));
-    }
+      // Prefer stable linking by the token used for inbound auth.
+      let remote = tokenId
+        ? db.contacts.find(r => r.linked_token_id === tokenId)
+        : null;
 
-	    if (remote) {
-	      remote.name = remote.name || name;
-	      if (owner && !remote.owner) {
-	        remote.owner = owner;
-	      }
-	      if (remote.is_mine === undefined) {
-	        remote.is_mine = false;
-	      }
-	      if (tokenId && !remote.linked_token_id) {
-	        remote.linked_token_id = tokenId;
-	      }
-      remote.host = remote.host || 'inbound';
-      remote.tags = Array.isArray(remote.tags) ? remote.tags : [];
-      if (!remote.tags.includes('inbound')) {
-        remote.tags.push('inbound');
-      }
-      remote.fields = remote.fields && typeof remote.fields === 'object' ? remote.fields : {};
-      remote.server_name = remote.server_name || null;
-      remote.status = remote.status || 'unknown';
-      remote.updated_at = new Date().toISOString();
-      this._save(db);
-      return remote;
-    }
+      // Fallback match by agent name/owner, only for calls not tied to a token.
+      if (!remote && !tokenId) {
+        remote = db.contacts.find(r => r.name === name || (owner && r.owner === owner));
+      }
 
-	    const contact = {
-	      id: crypto.randomBytes(8).toString('hex'),
-	      name,
-	      owner,
-	      is_mine: false,
-	      host: 'inbound',
-	      token_hash: null,
-	      token_enc: null,
-	      server_name: null,
-      notes: tokenId ? `Inbound caller via token ${tokenId}` : 'Inbound caller',
-      tags: ['inbound'],
-      fields: {},
-      linked_token_id: tokenId || null,
-      status: 'unknown',
-      last_seen: null,
-      added_at: new Date().toISOString(),
-      updated_at: null
-    };
+  	    if (remote) {
+  	      remote.name = remote.name || name;
+  	      if (owner && !remote.owner) {
+  	        remote.owner = owner;
+  	      }
+  	      if (remote.is_mine === undefined) {
+  	        remote.is_mine = false;
+  	      }
+  	      if (tokenId && !remote.linked_token_id) {
+  	        remote.linked_token_id = tokenId;
+  	      }
+        remote.host = remote.host || 'inbound';
+        remote.tags = Array.isArray(remote.tags) ? remote.tags : [];
+        if (!remote.tags.includes('inbound')) {
+          remote.tags.push('inbound');
+        }
+        remote.fields = remote.fields && typeof remote.fields === 'object' ? remote.fields : {};
+        remote.server_name = remote.server_name || null;
+        remote.status = remote.status || 'unknown';
+        remote.updated_at = new Date().toISOString();
+        this._save(db);
+        return remote;
+      }
 
-    db.contacts.push(contact);
-    this._save(db);
-    return contact;
+  	    const contact = {
+  	      id: crypto.randomBytes(8).toString('hex'),
+  	      name,
+  	      owner,
+  	      is_mine: false,
+  	      host: 'inbound',
+  	      token_hash: null,
+  	      token_enc: null,
+  	      server_name: null,
+        notes: tokenId ? `Inbound caller via token ${tokenId}` : 'Inbound caller',
+        tags: ['inbound'],
+        fields: {},
+        linked_token_id: tokenId || null,
+        status: 'unknown',
+        last_seen: null,
+        added_at: new Date().toISOString(),
+        updated_at: null
+      };
+
+      db.contacts.push(contact);
+      this._save(db);
+      return contact;
+    });
   }
 }
 
@@ -761,7 +1749,7 @@ TokenStore.CONTACT_KEY_SUFFIX = 'contact-key';
 TokenStore.DEFAULT_CAPABILITIES = {
   'public': ['context-read'],
   'friends': ['context-read', 'calendar.read', 'email.read', 'search'],
-  'family': ['context-read', 'calendar', 'email', 'search', 'tools', 'memory'],
+  'family': ['context-read', 'calendar', 'email', 'search', 'tools', 'memory', 'attachments'],
   'custom': ['context-read']
 };
 
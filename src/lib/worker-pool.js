@@ -0,0 +1,169 @@
+/**
+ * Bounded worker pool for runtime calls
+ *
+ * At most `concurrency` tasks run at once. Tasks that share a key (the
+ * conversation id) run one at a time in arrival order, so two turns of the
+ * same conversation never race on its session. Tasks without a key only wait
+ * for a free slot.
+ *
+ * A task is `(signal) => Promise`. Aborting the signal passed to run() drops a
+ * queued task; a running task is expected to stop its own work when it sees the
+ * signal (runtime-adapter kills the child process).
+ *
+ * At most `maxQueue` tasks wait at once; a task that would wait beyond that is
+ * rejected with a `runtime_busy` error (statusCode 503) instead of queuing.
+ */
+
+const DEFAULT_MAX_QUEUE = 100;
+
+function abortError(signal) {
+  const err = new Error((signal && signal.reason && signal.reason.message) || 'Runtime call cancelled');
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+function busyError(maxQueue) {
+  const err = new Error(`Runtime is busy: ${maxQueue} calls are already waiting`);
+  err.code = 'runtime_busy';
+  err.statusCode = 503;
+  return err;
+}
+
+class WorkerPool {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, Number.parseInt(options.concurrency, 10) || 4);
+    const maxQueue = Number.parseInt(options.maxQueue, 10);
+    this.maxQueue = Number.isFinite(maxQueue) && maxQueue >= 0 ? maxQueue : DEFAULT_MAX_QUEUE;
+    this._queue = [];
+    this._activeKeys = new Set();
+    this._active = 0;
+    this._counters = { completed: 0, failed: 0, cancelled: 0, rejected: 0 };
+    this._maxQueueDepth = 0;
+    this._totalWaitMs = 0;
+    this._started = 0;
+  }
+
+  /**
+   * Queue a task. Resolves or rejects with the task's result; rejects with an
+   * AbortError if the signal fires before the task starts, or with a
+   * `runtime_busy` error if it would have to wait behind a full queue.
+   *
+   * @param {string|null} key - Serialization key (e.g. conversation id), or null
+   * @param {function} task - (signal) => Promise
+   * @param {object} options
+   * @param {AbortSignal} options.signal - Cancels the task while queued or running
+   * @param {function} options.onQueued - Called with the queue depth if the task has to wait
+   */
+  run(key, task, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      this._counters.cancelled += 1;
+      return Promise.reject(abortError(signal));
+    }
+    if (this._queue.length >= this.maxQueue && this._mustWait(key || null)) {
+      this._counters.rejected += 1;
+      return Promise.reject(busyError(this.maxQueue));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { key: key || null, task, signal, resolve, reject, queuedAt: Date.now() };
+      if (signal) {
+        entry.onAbort = () => {
+          const idx = this._queue.indexOf(entry);
+          if (idx === -1) return; // already running; the task handles the signal
+          this._queue.splice(idx, 1);
+          this._counters.cancelled += 1;
+          reject(abortError(signal));
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this._queue.push(entry);
+      this._maxQueueDepth = Math.max(this._maxQueueDepth, this._queue.length);
+      this._drain();
+      if (options.onQueued && this._queue.includes(entry)) {
+        options.onQueued(this._queue.length);
+      }
+    });
+  }
+
+  /**
+   * True when a task with this key could not start right away.
+   */
+  _mustWait(key) {
+    if (this._active >= this.concurrency) return true;
+    return Boolean(key) && (this._activeKeys.has(key) || this._queue.some(entry => entry.key === key));
+  }
+
+  _drain() {
+    while (this._active < this.concurrency) {
+      const idx = this._queue.findIndex(entry => !entry.key || !this._activeKeys.has(entry.key));
+      if (idx === -1) return;
+      const [entry] = this._queue.splice(idx, 1);
+      this._start(entry);
+    }
+  }
+
+  _start(entry) {
+    this._active += 1;
+    this._started += 1;
+    this._totalWaitMs += Date.now() - entry.queuedAt;
+    if (entry.key) this._activeKeys.add(entry.key);
+
+    const finish = () => {
+      if (entry.signal && entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      this._active -= 1;
+      if (entry.key) this._activeKeys.delete(entry.key);
+      this._drain();
+    };
+
+    Promise.resolve()
+      .then(() => entry.task(entry.signal))
+      .then((value) => {
+        this._counters.completed += 1;
+        finish();
+        entry.resolve(value);
+      }, (err) => {
+        if (err && err.name === 'AbortError') {
+          this._counters.cancelled += 1;
+        } else {
+          this._counters.failed += 1;
+        }
+        finish();
+        entry.reject(err);
+      });
+  }
+
+  /**
+   * Tasks waiting for a slot (or for an earlier task of the same conversation)
+   */
+  get queueDepth() {
+    return this._queue.length;
+  }
+
+  /**
+   * Snapshot for dashboards and logs
+   */
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      max_queue: this.maxQueue,
+      active: this._active,
+      queued: this._queue.length,
+      max_queue_depth: this._maxQueueDepth,
+      completed: this._counters.completed,
+      failed: this._counters.failed,
+      cancelled: this._counters.cancelled,
+      rejected: this._counters.rejected,
+      avg_wait_ms: this._started ? Math.round(this._totalWaitMs / this._started) : 0
+    };
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  abortError,
+  busyError
+};
@@ -4,13 +4,70 @@
  * Mount at: /api/a2a
  * 
  * Security notes:
- * - Rate limiting is in-memory (resets on restart) - for production, use Redis
+ * - Rate limiting uses sliding windows persisted in SQLite (see lib/rate-limit.js)
+ * - Optional signed request envelopes bind a token to the caller's key (see lib/signing.js)
+ * - Declared capabilities/topics are checked against the token grant (see lib/capabilities.js)
+ * - Tokens may be limited to caller networks (allowed_cidrs) or a caller host (pinned_instance);
+ *   the caller address comes from lib/request-identity.js (X-Forwarded-For only via trusted proxies)
+ * - One-time invite codes are burned on redemption (/redeem) and share the per-address limit
+ * - Return invites (return_invite on /invoke, or /reciprocate) are stored encrypted until the owner approves
+ * - /invoke can stream (SSE or NDJSON, see lib/invoke-stream.js) once auth and validation pass
+ * - mode: "async" queues the turn as a job in the conversation DB; callers poll /jobs/:id
+ *   (without spending calls) or receive the result signed with our key at their /callback
+ * - Signatures hash the raw body; mount express.json({ verify: captureRawBody })
  * - Body size should be limited by Express middleware (e.g., express.json({ limit: '100kb' }))
  */
 
 const { TokenStore } = require('../lib/tokens');
+const { A2AClient } = require('../lib/client');
+const { resolveStreamFormat, createStreamWriter } = require('../lib/invoke-stream');
+const {
+  PROTOCOL_VERSIONS,
+  CURRENT_VERSION,
+  PROTOCOL_HEADER,
+  DISCOVERY_PATH,
+  isSupportedVersion,
+  sanitizeCallerProfile,
+  buildDiscoveryDocument
+} = require('../lib/protocol');
 const crypto = require('crypto');
 const { createLogger, createTraceId } = require('../lib/logger');
+const {
+  MemoryRateLimitStore,
+  createRateLimitStore,
+  hasLimitKeys,
+  resolveClientLimits,
+  resolveTierLimits
+} = require('../lib/rate-limit');
+const {
+  NonceCache,
+  describeIdentity,
+  loadSigningIdentity,
+  verifyRequestSignature
+} = require('../lib/signing');
+const { evaluateRequest } = require('../lib/capabilities');
+const { loadAgentCard } = require('../lib/agent-card');
+const {
+  normalizeAttachments,
+  requiredCapabilities: attachmentCapabilities,
+  filterGranted: filterGrantedAttachments,
+  describeLimits: describeAttachmentLimits
+} = require('../lib/attachments');
+const { IntentRegistry } = require('../lib/intents');
+const {
+  HEADER: IDEMPOTENCY_HEADER,
+  createIdempotencyStore,
+  fingerprintRequest,
+  isValidKey: isValidIdempotencyKey
+} = require('../lib/idempotency');
+const { createAllowlist, normalizeAddress, isNonPublicAddress } = require('../lib/ip-allowlist');
+const {
+  createTrustedProxies,
+  isDirectLocalRequest,
+  isLoopbackAddress,
+  resolveRequestIdentity
+} = require('../lib/request-identity');
+const dns = require('dns');
 
 // Lazy-load conversation store (optional dependency)
 let ConversationStore = null;
@@ -49,22 +106,17 @@ function getCallMonitor(options = {}) {
   return callMonitor;
 }
 
-// Rate limiting state (in-memory - resets on restart)
-// For production: use Redis or persistent store
-const rateLimits = new Map();
+// Process-local store backing the standalone checkRateLimit() helper.
+// Routes use a persistent store selected via options.rateLimits.
+const defaultRateLimitStore = new MemoryRateLimitStore();
 
 // Constants
 const MAX_MESSAGE_LENGTH = 10000;  // 10KB max message
 const MAX_TIMEOUT_SECONDS = 300;   // 5 min max timeout
 const MIN_TIMEOUT_SECONDS = 5;     // 5 sec min timeout
-
-function isLoopbackAddress(ip) {
-  if (!ip) return false;
-  if (ip === '::1' || ip === '127.0.0.1' || ip === '::ffff:127.0.0.1') {
-    return true;
-  }
-  return ip.startsWith('::ffff:127.');
-}
+const MAX_ASYNC_TIMEOUT_SECONDS = 3600;     // async jobs may run up to an hour
+const DEFAULT_ASYNC_TIMEOUT_SECONDS = 600;
+const JOB_CALLBACK_RETRY_MS = [5000, 30000, 120000];
 
 function resolveTraceId(req) {
   const headerTrace = req.headers['x-trace-id'];
@@ -82,13 +134,8 @@ function resolveRequestId(req) {
   return createTraceId('req');
 }
 
-function extractClientHost(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (typeof forwarded === 'string' && forwarded.trim()) {
-    return forwarded.split(',')[0].trim();
-  }
-  return req.ip || null;
-}
+const PINNED_INSTANCE_CACHE_MS = 60 * 1000;
+const RUNTIME_BUSY_RETRY_SECONDS = 5;
 
 function normalizeRequestMetadata(req) {
   const body = req && typeof req.body === 'object' && req.body ? req.body : {};
@@ -100,44 +147,70 @@ function normalizeRequestMetadata(req) {
   };
 }
 
-function checkRateLimit(tokenId, limits = { minute: 10, hour: 100, day: 1000 }) {
-  const now = Date.now();
-  const minute = Math.floor(now / 60000);
-  const hour = Math.floor(now / 3600000);
-  const day = Math.floor(now / 86400000);
-
-  let state = rateLimits.get(tokenId);
-  if (!state) {
-    state = { 
-      minute: { count: 0, bucket: minute }, 
-      hour: { count: 0, bucket: hour }, 
-      day: { count: 0, bucket: day } 
-    };
-    rateLimits.set(tokenId, state);
-  }
+/**
+ * Canonical callback host ("host[:port]") from an a2a:// URL or bare host, or null.
+ */
+function normalizeCallbackHost(value) {
+  if (typeof value !== 'string' || value.length > 300) return null;
+  const host = value.trim().replace(/^a2a:\/\//i, '').replace(/\/+$/, '');
+  if (!host || !/^[A-Za-z0-9.\-:[\]]+$/.test(host)) return null;
+  return TokenStore.normalizeInstance(host) ? host : null;
+}
 
-  // Reset buckets if needed
-  if (state.minute.bucket !== minute) state.minute = { count: 0, bucket: minute };
-  if (state.hour.bucket !== hour) state.hour = { count: 0, bucket: hour };
-  if (state.day.bucket !== day) state.day = { count: 0, bucket: day };
+function checkRateLimit(tokenId, limits = { minute: 10, hour: 100, day: 1000 }, store = defaultRateLimitStore) {
+  return store.hit(tokenId, limits);
+}
 
-  // Check limits
-  if (state.minute.count >= limits.minute) {
-    return { limited: true, error: 'rate_limited', message: 'Too many requests per minute', retryAfter: 60 };
+/**
+ * Resolve the `rateLimits` route option into a backend store and optional limit override.
+ *
+ * Accepted shapes:
+ * - store instance (anything with hit())     -> use it as-is
+ * - 'sqlite' | 'memory'                      -> select backend
+ * - { store|backend, minute, hour, day }     -> backend + limits override for every tier
+ * - { minute, hour, day } (legacy)           -> limits override, default backend
+ */
+function resolveRateLimitOptions(raw, configDir) {
+  if (raw && typeof raw.hit === 'function') {
+    return { store: raw, override: null };
   }
-  if (state.hour.count >= limits.hour) {
-    return { limited: true, error: 'rate_limited', message: 'Too many requests per hour', retryAfter: 3600 };
+  if (typeof raw === 'string') {
+    return { store: createRateLimitStore({ backend: raw, configDir }), override: null };
   }
-  if (state.day.count >= limits.day) {
-    return { limited: true, error: 'rate_limited', message: 'Too many requests per day', retryAfter: 86400 };
+
+  const spec = raw && typeof raw === 'object' ? raw : {};
+  const selected = spec.store || spec.backend || null;
+  let store;
+  if (selected && typeof selected.hit === 'function') {
+    store = selected;
+  } else {
+    store = createRateLimitStore({ backend: selected || undefined, configDir });
   }
+  return { store, override: hasLimitKeys(spec) ? spec : null };
+}
 
-  // Increment
-  state.minute.count++;
-  state.hour.count++;
-  state.day.count++;
+/**
+ * Resolve the `idempotency` route option: a store instance (anything with begin()),
+ * 'sqlite' | 'memory', or { backend, ttlMs }.
+ */
+function resolveIdempotencyStore(raw, configDir) {
+  if (raw && typeof raw.begin === 'function') return raw;
+  const spec = typeof raw === 'string' ? { backend: raw } : (raw || {});
+  return createIdempotencyStore({ backend: spec.backend, ttlMs: spec.ttlMs, configDir });
+}
+
+// Responses worth replaying: a retry should get the same answer, not re-run the turn.
+// Rate limits, conflicts and server errors are left for the retry to try again.
+function isReplayableStatus(status) {
+  return status < 500 && status !== 408 && status !== 409 && status !== 429;
+}
 
-  return { limited: false };
+// The stored copy of a reply. A rotated successor token is never written to the
+// idempotency store; the caller gets it again on its next call in the grace window.
+function storableBody(body) {
+  if (!body || typeof body !== 'object' || !body.token_rotation) return body;
+  const { token_rotation: tokenRotation, ...rest } = body;
+  return rest;
 }
 
 /**
@@ -147,24 +220,585 @@ function checkRateLimit(tokenId, limits = { minute: 10, hour: 100, day: 1000 })
  * @param {TokenStore} options.tokenStore - Token store instance
  * @param {function} options.handleMessage - Async function to handle incoming messages
  * @param {function} options.notifyOwner - Async function to notify owner of calls
- * @param {object} options.rateLimits - Custom rate limits { minute, hour, day }
+ * @param {object|string} options.rateLimits - Rate-limit backend ('sqlite'|'memory'|store instance)
+ *   and/or limits override { minute, hour, day } applied to every tier
+ * @param {object|string} options.idempotency - Idempotency-Key backend ('sqlite'|'memory'|store
+ *   instance) or { backend, ttlMs } (default: sqlite in the config dir, 24h window)
+ * @param {A2AConfig} options.config - Config used for per-tier rate limits (default: reloaded per request)
+ * @param {object} options.signingIdentity - Local signing identity advertised at /status (default: config dir key)
+ * @param {boolean} options.requireSignatures - Reject unsigned invoke/end calls (default: $A2A_REQUIRE_SIGNED_REQUESTS)
+ * @param {string[]|string} options.trustedProxies - Proxies allowed to set X-Forwarded-For: CIDRs,
+ *   'loopback', 'gateway' (default: $A2A_TRUSTED_PROXIES, else loopback)
+ * @param {object|false} options.clientRateLimits - Per-client-IP limits { minute, hour, day } overriding
+ *   config defaults.clientRateLimit (false disables)
+ * @param {function} options.resolveHost - async (hostname) => [addresses], for pinned_instance
+ *   and callback host checks
+ * @param {boolean} options.allowPrivateCallbacks - Deliver async job callbacks to loopback/private
+ *   hosts (default: $A2A_ALLOW_PRIVATE_CALLBACKS)
  * @param {function} options.summarizer - Async function to summarize conversations
  * @param {object} options.ownerContext - Owner context for summaries
  * @param {number} options.idleTimeoutMs - Idle timeout for auto-conclude (default: 60000)
  * @param {number} options.maxDurationMs - Max call duration (default: 300000)
+ * @param {ConversationStore} options.conversationStore - Store for conversations and async jobs
+ *   (default: shared store in the config dir)
+ * @param {number[]} options.jobCallbackRetryMs - Delays between async job callback attempts
  */
 function createRoutes(options = {}) {
   const express = require('express');
   const router = express.Router();
 
   const tokenStore = options.tokenStore || new TokenStore();
+  const intentRegistry = options.intents || new IntentRegistry();
   const handleMessage = options.handleMessage || defaultMessageHandler;
   const notifyOwner = options.notifyOwner || (() => Promise.resolve());
-  const limits = options.rateLimits || { minute: 10, hour: 100, day: 1000 };
   const logger = options.logger || createLogger({ component: 'a2a.routes' });
+  const { store: rateLimitStore, override: rateLimitOverride } =
+    resolveRateLimitOptions(options.rateLimits, tokenStore.configDir);
+  const idempotencyStore = resolveIdempotencyStore(options.idempotency, tokenStore.configDir);
+  const pendingIdempotent = new Map(); // `${tokenId}\n${key}` -> Promise settled when the original answers
+  const nonceCache = options.nonceCache || new NonceCache();
+  const requireSignatures = options.requireSignatures !== undefined
+    ? Boolean(options.requireSignatures)
+    : String(process.env.A2A_REQUIRE_SIGNED_REQUESTS || '').toLowerCase() === 'true';
+  let signingIdentity = options.signingIdentity || null;
+  const trustedProxies = createTrustedProxies(options.trustedProxies);
+  const resolveHost = options.resolveHost || (async (hostname) => {
+    const results = await dns.promises.lookup(hostname, { all: true });
+    return results.map(r => r.address);
+  });
+  const pinnedHostCache = new Map();
+  const allowPrivateCallbacks = options.allowPrivateCallbacks !== undefined
+    ? Boolean(options.allowPrivateCallbacks)
+    : String(process.env.A2A_ALLOW_PRIVATE_CALLBACKS || '').toLowerCase() === 'true';
+
+  // Reload per call so tier limits edited from the dashboard apply without a restart.
+  function getConfig() {
+    if (options.config) return options.config;
+    try {
+      const { A2AConfig } = require('../lib/config');
+      return new A2AConfig();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Our signing key. Read-only callers (/status, discovery) pass { create: false } so
+   * advertising the key never writes one; signing a job result creates it on first use.
+   */
+  function getSigningIdentity({ create = true } = {}) {
+    if (signingIdentity) return signingIdentity;
+    try {
+      signingIdentity = loadSigningIdentity(tokenStore.configDir, { create });
+    } catch (err) {
+      logger.warn('Signing identity unavailable', {
+        event: 'signing_identity_unavailable',
+        error_code: 'SIGNING_KEY_UNAVAILABLE',
+        hint: 'Check read/write access to a2a-signing-key.pem in the config directory.',
+        error: err
+      });
+    }
+    return signingIdentity;
+  }
+
+  const SIGNATURE_MESSAGES = {
+    incomplete_signature: 'Signed requests must include public key, timestamp, and nonce headers',
+    signature_expired: 'Request timestamp is outside the allowed clock skew',
+    invalid_public_key: 'Signing public key could not be parsed',
+    unsupported_key_type: 'Signing key must be Ed25519',
+    invalid_signature: 'Request signature does not match',
+    replayed_nonce: 'Request nonce was already used',
+    nonce_cache_full: 'Too many signed requests right now; retry shortly',
+    signature_required: 'This token requires a signed request',
+    key_mismatch: 'Token is bound to a different caller key'
+  };
+
+  /**
+   * Check the signature envelope (before token validation, so replays do not
+   * consume calls). Returns the verification result, or null after responding.
+   */
+  function verifySignatureOrReject(req, res, reqLogger, withTracePayload) {
+    const signature = verifyRequestSignature(req, { nonceCache });
+    if (!signature.signed || signature.valid) {
+      return signature;
+    }
+    if (signature.error === 'nonce_cache_full') {
+      reqLogger.warn('Signed request refused: nonce cache is full', {
+        error_code: 'SIGNATURE_NONCE_CACHE_FULL',
+        status_code: 503,
+        hint: 'Signed traffic exceeds the replay cache; wait for entries to expire or raise NonceCache maxEntries.',
+        data: {
+          retry_after: signature.retryAfter
+        }
+      });
+      res.set('Retry-After', String(signature.retryAfter));
+      res.status(503).json(withTracePayload({
+        success: false,
+        error: signature.error,
+        message: SIGNATURE_MESSAGES[signature.error]
+      }));
+      return null;
+    }
+    reqLogger.warn('Request signature rejected', {
+      error_code: `SIGNATURE_${signature.error.toUpperCase()}`,
+      status_code: 401,
+      hint: 'Sign method, path, body hash, timestamp, and a fresh nonce with the caller key; check clock skew.',
+      data: {
+        reason: signature.error
+      }
+    });
+    res.status(401).json(withTracePayload({
+      success: false,
+      error: signature.error,
+      message: SIGNATURE_MESSAGES[signature.error] || 'Request signature rejected'
+    }));
+    return null;
+  }
+
+  /**
+   * Enforce token-to-key binding. The first signed call binds the token;
+   * afterwards only that key may use it. Returns false after responding.
+   */
+  function enforceKeyBinding(validation, signature, res, reqLogger, withTracePayload) {
+    let error = null;
+    if (validation.bound_key_fingerprint) {
+      if (!signature.signed) {
+        error = 'signature_required';
+      } else if (signature.fingerprint !== validation.bound_key_fingerprint) {
+        error = 'key_mismatch';
+      }
+    } else if (!signature.signed && requireSignatures) {
+      error = 'signature_required';
+    }
+
+    if (error) {
+      reqLogger.warn('Request rejected by token key binding', {
+        tokenId: validation.id,
+        error_code: error === 'key_mismatch' ? 'SIGNATURE_KEY_MISMATCH' : 'SIGNATURE_REQUIRED',
+        status_code: 401,
+        hint: error === 'key_mismatch'
+          ? 'This token was first used by another key; issue a new token if the caller rotated keys.'
+          : 'Send x-a2a-signature headers (a2a call --sign); bound tokens must use their original key.',
+        data: {
+          bound_key_fingerprint: validation.bound_key_fingerprint,
+          presented_fingerprint: signature.fingerprint || null
+        }
+      });
+      res.status(401).json(withTracePayload({
+        success: false,
+        error,
+        message: SIGNATURE_MESSAGES[error]
+      }));
+      return false;
+    }
+
+    if (signature.signed && !validation.bound_key_fingerprint) {
+      const bound = tokenStore.bindCallerKey(validation.id, {
+        fingerprint: signature.fingerprint,
+        publicKey: signature.publicKey
+      });
+      if (bound && bound !== signature.fingerprint) {
+        // Lost a race with another signed first use.
+        return enforceKeyBinding({ ...validation, bound_key_fingerprint: bound }, signature, res, reqLogger, withTracePayload);
+      }
+      reqLogger.info('Token bound to caller signing key', {
+        tokenId: validation.id,
+        event: 'token_key_bound',
+        data: {
+          fingerprint: signature.fingerprint
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Record the capability decision in the log store and reject denied calls.
+   * Returns true when the request may proceed.
+   */
+  function logCapabilityDecision(check, validation, res, reqLogger, withTracePayload) {
+    const data = {
+      decision: check.decision,
+      mode: check.mode,
+      requested: check.requested,
+      granted: check.granted,
+      denied: check.denied,
+      topic: check.requested_topic,
+      topic_allowed: check.topic_allowed,
+      tier: validation.tier
+    };
+
+    if (check.decision !== 'deny') {
+      reqLogger.info(check.decision === 'downgrade'
+        ? 'Invoke downgraded to granted capabilities'
+        : 'Invoke capabilities granted', {
+        tokenId: validation.id,
+        event: 'capability_check',
+        data
+      });
+      return true;
+    }
+
+    reqLogger.warn('Invoke request outside token grant', {
+      tokenId: validation.id,
+      event: 'capability_check',
+      error_code: 'CAPABILITY_DENIED',
+      status_code: 403,
+      hint: 'Request only capabilities/topics the token grants, send on_denied: "downgrade", or issue a token with a wider tier.',
+      data
+    });
+    res.status(403).json(withTracePayload({
+      success: false,
+      error: 'permission_denied',
+      message: check.topic_allowed
+        ? `Token does not grant: ${check.denied.join(', ')}`
+        : `Topic not allowed for this token: ${check.requested_topic}`,
+      denied: check.denied
+    }));
+    return false;
+  }
+
+  async function pinnedHostAddresses(hostname) {
+    const cached = pinnedHostCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.addresses;
+    }
+    const addresses = (await resolveHost(hostname)).map(normalizeAddress).filter(Boolean);
+    pinnedHostCache.set(hostname, { addresses, expiresAt: Date.now() + PINNED_INSTANCE_CACHE_MS });
+    return addresses;
+  }
+
+  /**
+   * Callbacks are POSTed from this host, so callers must not aim them at loopback or
+   * internal addresses. Literal hosts are refused on invoke; names are resolved again
+   * right before each delivery, and the delivery connects to the address that was
+   * checked so a second lookup cannot swap in an internal one.
+   */
+  function isPrivateCallbackHost(host) {
+    if (allowPrivateCallbacks) return false;
+    const hostname = TokenStore.normalizeInstance(host);
+    return hostname === 'localhost' || hostname.endsWith('.localhost') || isNonPublicAddress(hostname);
+  }
+
+  /**
+   * Resolve a callback host for one delivery: { private: true } when it must not be
+   * contacted, else { private: false, address } with the address to connect to
+   * (null when the host is an IP literal or private callbacks are allowed).
+   */
+  async function resolveCallbackAddress(host) {
+    if (allowPrivateCallbacks) return { private: false, address: null };
+    if (isPrivateCallbackHost(host)) return { private: true };
+    const hostname = TokenStore.normalizeInstance(host);
+    if (normalizeAddress(hostname)) return { private: false, address: null };
+    const addresses = (await resolveHost(hostname)).map(normalizeAddress).filter(Boolean);
+    if (addresses.length === 0 || addresses.some(isNonPublicAddress)) return { private: true };
+    return { private: false, address: addresses[0] };
+  }
+
+  /**
+   * Check a token's allowed_cidrs / pinned_instance against the caller before the
+   * call is counted. Returns true when the request may proceed.
+   */
+  async function enforceCallerSource(token, identity, req, res, reqLogger, withTracePayload) {
+    const restrictions = tokenStore.getCallerRestrictions(token);
+    if (!restrictions || (!restrictions.allowed_cidrs && !restrictions.pinned_instance)) {
+      return true;
+    }
+
+    const clientHost = identity.clientIp;
+    const declared = req.body && req.body.caller && req.body.caller.instance
+      ? TokenStore.normalizeInstance(req.body.caller.instance)
+      : null;
+    let denial = null;
+
+    if (restrictions.allowed_cidrs && !createAllowlist(restrictions.allowed_cidrs).contains(clientHost)) {
+      denial = {
+        error_code: 'CALLER_IP_NOT_ALLOWED',
+        hint: 'Call from a network in the token allowed_cidrs, or add a trusted proxy via A2A_TRUSTED_PROXIES.'
+      };
+    } else if (restrictions.pinned_instance) {
+      const pinned = restrictions.pinned_instance;
+      if (declared && declared !== pinned) {
+        denial = {
+          error_code: 'CALLER_INSTANCE_MISMATCH',
+          hint: `caller.instance must be ${pinned} for this token.`
+        };
+      } else if (normalizeAddress(pinned)) {
+        if (normalizeAddress(pinned) !== clientHost) {
+          denial = {
+            error_code: 'CALLER_HOST_NOT_PINNED',
+            hint: `Call from ${pinned}; this token is pinned to that address.`
+          };
+        }
+      } else {
+        let addresses = null;
+        try {
+          addresses = await pinnedHostAddresses(pinned);
+        } catch (err) {
+          denial = {
+            error_code: 'CALLER_INSTANCE_LOOKUP_FAILED',
+            hint: `Could not resolve pinned instance ${pinned}; check DNS on this host.`,
+            error: err
+          };
+        }
+        if (addresses && !addresses.includes(clientHost)) {
+          denial = {
+            error_code: 'CALLER_HOST_NOT_PINNED',
+            hint: `Call from an address that ${pinned} resolves to.`
+          };
+        }
+      }
+    }
+
+    if (!denial) return true;
+
+    const { error: lookupError, ...details } = denial;
+    reqLogger.warn('Caller source not allowed for token', {
+      tokenId: restrictions.id,
+      event: 'caller_source_denied',
+      status_code: 403,
+      ...details,
+      error: lookupError,
+      data: {
+        client_host: clientHost,
+        declared_instance: declared,
+        allowed_cidrs: restrictions.allowed_cidrs,
+        pinned_instance: restrictions.pinned_instance
+      }
+    });
+    res.status(403).json(withTracePayload({
+      success: false,
+      error: 'caller_not_allowed',
+      message: 'This token cannot be used from this caller'
+    }));
+    return false;
+  }
+
+  /**
+   * Per-client-IP limit, applied before token lookup on every authenticated route.
+   * Loopback is exempt (local CLI, same-host proxy). Returns true when the request may proceed.
+   */
+  function limitClientAddress(identity, res, reqLogger, withTracePayload) {
+    if (!identity.clientIp) {
+      // Nothing to key the limit on; allow, but leave a trace of what we could not read.
+      reqLogger.warn('Client address unreadable; skipping per-address limit', {
+        error_code: 'CLIENT_ADDRESS_UNPARSEABLE',
+        hint: 'The socket peer is not an IP address; check the listener or proxy in front of it.',
+        data: {
+          remote_address: (res.req && res.req.socket && res.req.socket.remoteAddress) || null
+        }
+      });
+      return true;
+    }
+    if (isLoopbackAddress(identity.clientIp)) {
+      return true;
+    }
+    const clientLimits = resolveClientLimits(getConfig(), options.clientRateLimits);
+    if (!clientLimits) return true;
+    let check = { limited: false };
+    try {
+      check = rateLimitStore.hit(`ip:${identity.clientIp}`, clientLimits);
+    } catch (err) {
+      // Fail open, same as the per-token limiter.
+      reqLogger.error('Client address rate limit check failed; allowing request', {
+        error_code: 'CLIENT_RATE_LIMIT_CHECK_FAILED',
+        hint: 'Check a2a-rate-limits.db write access, or set A2A_RATE_LIMIT_BACKEND=memory.',
+        error: err,
+        data: {
+          client_ip: identity.clientIp,
+          backend: rateLimitStore.backend || null
+        }
+      });
+      return true;
+    }
+    if (!check.limited) return true;
+
+    reqLogger.warn('Client address rate limited', {
+      error_code: 'CLIENT_IP_RATE_LIMITED',
+      status_code: 429,
+      hint: 'One address is sending too many requests; if this is a proxy, add it to A2A_TRUSTED_PROXIES.',
+      data: {
+        client_ip: identity.clientIp,
+        via_trusted_proxy: identity.viaTrustedProxy,
+        retry_after: check.retryAfter,
+        window: check.window
+      }
+    });
+    res.set('Retry-After', check.retryAfter);
+    res.status(429).json(withTracePayload({
+      success: false,
+      error: check.error,
+      message: check.message
+    }));
+    return false;
+  }
+
+  /**
+   * Count a call on the token only once its key binding passes, so a missing or
+   * wrong signature never spends one. Returns null when a refusal was already sent,
+   * else the validate() result for the route to check.
+   */
+  function validateBoundToken(token, signature, res, reqLogger, withTracePayload) {
+    const tokenCheck = tokenStore.checkToken(token);
+    if (tokenCheck.valid && !enforceKeyBinding(tokenCheck, signature, res, reqLogger, withTracePayload)) {
+      return null;
+    }
+    return tokenStore.validate(token);
+  }
+
+  /**
+   * Reserve or replay the request's Idempotency-Key (shared by /invoke and /end).
+   * Returns null when a response was already sent (replay or refusal), else { key }
+   * with key null when the request carries no usable key. A reserved key stores the
+   * JSON response sent for it, or is released when nothing replayable is sent.
+   */
+  async function beginIdempotentRequest(route, token, signature, req, res, reqLogger, withTracePayload) {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return { key: null };
+    if (!isValidIdempotencyKey(key)) {
+      reqLogger.warn('Request has invalid idempotency key', {
+        error_code: 'IDEMPOTENCY_KEY_INVALID',
+        status_code: 400,
+        hint: `Send ${IDEMPOTENCY_HEADER} as 1-255 printable ASCII characters, e.g. a UUID.`
+      });
+      res.status(400).json(withTracePayload({
+        success: false,
+        error: 'invalid_idempotency_key',
+        message: `${IDEMPOTENCY_HEADER} must be 1-255 printable ASCII characters`
+      }));
+      return null;
+    }
+
+    // Authenticate without counting a call; validate() rejects a bad token right after.
+    // A stored reply is only handed to a caller that also holds the bound signing key.
+    const tokenCheck = tokenStore.checkToken(token);
+    if (!tokenCheck.valid) return { key: null };
+    if (!enforceKeyBinding(tokenCheck, signature, res, reqLogger, withTracePayload)) return null;
+
+    const scope = tokenCheck.id;
+    const id = `${scope}\n${key}`;
+    const fingerprint = fingerprintRequest(route, req.body);
+    let decision;
+    try {
+      decision = idempotencyStore.begin(scope, key, fingerprint);
+      if (decision.state === 'in_progress' && pendingIdempotent.has(id)) {
+        // The original is running in this process: wait for it and answer the same way.
+        await pendingIdempotent.get(id);
+        decision = idempotencyStore.begin(scope, key, fingerprint);
+      }
+    } catch (err) {
+      // Fail open like the rate limiter: the request runs without replay protection.
+      reqLogger.error('Idempotency check failed; processing request without it', {
+        tokenId: scope,
+        error_code: 'IDEMPOTENCY_CHECK_FAILED',
+        hint: 'Check a2a-idempotency.db write access, or set A2A_IDEMPOTENCY_BACKEND=memory.',
+        error: err
+      });
+      return { key: null };
+    }
+
+    if (decision.state === 'replay') {
+      reqLogger.info('Replayed stored response for idempotency key', {
+        tokenId: scope,
+        event: 'idempotent_replay',
+        status_code: decision.response.status,
+        data: {
+          route
+        }
+      });
+      res.set('Idempotent-Replayed', 'true');
+      res.status(decision.response.status).json(decision.response.body);
+      return null;
+    }
+    if (decision.state === 'mismatch' || decision.state === 'in_progress') {
+      const reused = decision.state === 'mismatch';
+      reqLogger.warn(reused ? 'Idempotency key reused for a different request' : 'Idempotency key still in progress', {
+        tokenId: scope,
+        error_code: reused ? 'IDEMPOTENCY_KEY_REUSED' : 'IDEMPOTENCY_IN_PROGRESS',
+        status_code: reused ? 422 : 409,
+        hint: reused
+          ? 'Use a fresh Idempotency-Key for each distinct request.'
+          : 'The first request with this key has not finished; retry after Retry-After.',
+        data: {
+          route
+        }
+      });
+      if (!reused) res.set('Retry-After', '1');
+      res.status(reused ? 422 : 409).json(withTracePayload({
+        success: false,
+        error: reused ? 'idempotency_key_reused' : 'idempotency_in_progress',
+        message: reused
+          ? `${IDEMPOTENCY_HEADER} was already used for a different request`
+          : 'A request with this Idempotency-Key is still being processed'
+      }));
+      return null;
+    }
+
+    let settle;
+    pendingIdempotent.set(id, new Promise(resolve => { settle = resolve; }));
+    let settled = false;
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      try {
+        if (response && isReplayableStatus(response.status)) {
+          idempotencyStore.complete(scope, key, { status: response.status, body: storableBody(response.body) });
+        } else {
+          idempotencyStore.release(scope, key);
+        }
+      } catch (err) {
+        reqLogger.error('Failed to store idempotent response', {
+          tokenId: scope,
+          error_code: 'IDEMPOTENCY_STORE_FAILED',
+          hint: 'Check a2a-idempotency.db write access; retries with this key may run again.',
+          error: err
+        });
+      }
+      pendingIdempotent.delete(id);
+      settle();
+    };
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      finish({ status: res.statusCode, body });
+      return sendJson(body);
+    };
+    res.on('finish', () => finish(null));
+    return { key };
+  }
+
+  /**
+   * Store a caller's return invite for owner approval. Returns the `reciprocal`
+   * block for the response, or null when nothing was offered or requested.
+   */
+  function recordReciprocalOffer(returnInvite, validation, caller, reqLogger) {
+    if (!returnInvite) {
+      return validation.reciprocal_requested
+        ? { requested: true, endpoint: '/api/a2a/reciprocate' }
+        : null;
+    }
+    const offer = tokenStore.offerReciprocalInvite(validation.id, returnInvite, caller);
+    if (!offer.success) {
+      reqLogger.warn('Ignoring malformed return invite', {
+        tokenId: validation.id,
+        error_code: 'RETURN_INVITE_INVALID',
+        hint: 'Send return_invite as a2a://host/fed_... (or a one-time inv_ code).'
+      });
+      return { status: 'rejected', error: offer.error };
+    }
+    reqLogger.info('Caller offered a return invite; awaiting owner approval', {
+      tokenId: validation.id,
+      event: 'reciprocal_invite_offered',
+      data: {
+        contact_request_id: offer.request.id,
+        host: offer.request.host,
+        caller_name: caller && caller.name ? caller.name : null
+      }
+    });
+    return { status: 'pending_approval', request_id: offer.request.id };
+  }
 
   // Initialize conversation store and call monitor
-  const convStore = getConversationStore();
+  const convStore = options.conversationStore || getConversationStore();
   const monitor = getCallMonitor({
     convStore,
     summarizer: options.summarizer,
@@ -175,16 +809,422 @@ function createRoutes(options = {}) {
     logger: logger.child({ component: 'a2a.call-monitor' })
   });
 
+  // Runtime calls still in flight, by conversation, so /end can cancel them.
+  const inflightTurns = new Map(); // conversationId -> Set<{ controller, tokenId, reason }>
+
+  function trackInflightTurn(conversationId, tokenId, controller) {
+    const entry = { controller, tokenId, reason: null };
+    if (!inflightTurns.has(conversationId)) {
+      inflightTurns.set(conversationId, new Set());
+    }
+    inflightTurns.get(conversationId).add(entry);
+    return {
+      entry,
+      release() {
+        const entries = inflightTurns.get(conversationId);
+        if (!entries) return;
+        entries.delete(entry);
+        if (entries.size === 0) inflightTurns.delete(conversationId);
+      }
+    };
+  }
+
+  /**
+   * Abort the caller's in-flight turns for a conversation. Returns how many were cancelled.
+   */
+  function cancelInflightTurns(conversationId, tokenId, reason) {
+    const entries = inflightTurns.get(conversationId);
+    if (!entries) return 0;
+    let cancelled = 0;
+    for (const entry of entries) {
+      if (entry.tokenId !== tokenId || entry.controller.signal.aborted) continue;
+      entry.reason = reason;
+      entry.controller.abort();
+      cancelled += 1;
+    }
+    return cancelled;
+  }
+
+  function recordCancelledConversation(conversationId, turnLogger) {
+    if (!convStore) return;
+    try {
+      convStore.cancelConversation(conversationId);
+    } catch (err) {
+      turnLogger.error('Failed to record cancelled conversation', {
+        conversationId,
+        error_code: 'CONVERSATION_CANCEL_STORE_FAILED',
+        hint: 'Check SQLite conversation DB write access and disk availability.',
+        error: err,
+        data: {
+          phase: 'conversation_cancel'
+        }
+      });
+    }
+  }
+
+  /**
+   * Store the agent's reply and notify the owner. Shared by sync turns and async jobs.
+   */
+  function recordTurnResponse({ a2aContext, token, caller, context, message, responseText, turnLogger }) {
+    const conversationId = a2aContext.conversation_id;
+    if (convStore) {
+      try {
+        convStore.addMessage(conversationId, {
+          direction: 'outbound',
+          role: 'assistant',
+          content: responseText
+        });
+      } catch (err) {
+        turnLogger.error('Message storage error', {
+          conversationId,
+          tokenId: token.id,
+          error_code: 'CONVERSATION_MESSAGE_STORE_FAILED',
+          hint: 'Check SQLite conversation DB write access and disk availability.',
+          error: err,
+          data: {
+            phase: 'message_store'
+          }
+        });
+      }
+    }
+
+    if (token.notify !== 'none') {
+      notifyOwner({
+        level: token.notify,
+        token,
+        caller,
+        context,
+        message,
+        response: responseText,
+        conversation_id: conversationId,
+        trace_id: a2aContext.trace_id,
+        request_id: a2aContext.request_id
+      }).catch(err => {
+        turnLogger.error('Failed to notify owner', {
+          conversationId,
+          tokenId: token.id,
+          error_code: 'OWNER_NOTIFY_FAILED',
+          hint: 'Verify runtime notify channel settings and external notifier health.',
+          error: err,
+          data: {
+            phase: 'owner_notify'
+          }
+        });
+      });
+    }
+  }
+
+  const runningJobs = new Set();
+  const jobCallbackRetryMs = options.jobCallbackRetryMs || JOB_CALLBACK_RETRY_MS;
+
+  function jobLogger(job) {
+    const a2aContext = (job.context && job.context.a2a) || {};
+    return logger.child({
+      traceId: a2aContext.trace_id,
+      requestId: a2aContext.request_id,
+      conversationId: job.conversation_id,
+      tokenId: job.token_id,
+      event: 'async_job'
+    });
+  }
+
+  /**
+   * Public view of a job, as returned by GET /jobs/:id and sent to callbacks.
+   */
+  function jobEnvelope(job) {
+    const payload = {
+      job_id: job.id,
+      status: job.status,
+      conversation_id: job.conversation_id,
+      created_at: job.created_at,
+      started_at: job.started_at || null,
+      completed_at: job.completed_at || null
+    };
+    if (job.status === 'completed' && job.result) {
+      Object.assign(payload, job.result);
+    }
+    if (job.status === 'failed') {
+      payload.error = job.error;
+      payload.message = job.error_message;
+    }
+    return payload;
+  }
+
+  /**
+   * Run a queued inbound job to completion, then deliver its callback (if any).
+   */
+  async function runJob(jobId) {
+    const job = convStore.getJob(jobId);
+    if (!job || job.direction !== 'inbound' || !['queued', 'running'].includes(job.status)) return;
+    if (runningJobs.has(jobId)) return;
+    runningJobs.add(jobId);
+
+    const { a2a: a2aContext, token, caller, context } = job.context;
+    const turnLogger = jobLogger(job);
+    const startedAt = Date.now();
+    convStore.updateJob(jobId, { status: 'running', started_at: new Date(startedAt).toISOString() });
+
+    const abort = new AbortController();
+    const inflight = trackInflightTurn(job.conversation_id, job.token_id, abort);
+    let update;
+    try {
+      const response = await handleMessage(job.message, a2aContext, {
+        timeout: job.timeout_ms,
+        async: true,
+        signal: abort.signal
+      });
+      if (abort.signal.aborted) {
+        throw new Error('Turn cancelled');
+      }
+      recordTurnResponse({ a2aContext, token, caller, context, message: job.message, responseText: response.text, turnLogger });
+      const result = {
+        conversation_id: job.conversation_id,
+        response: response.text,
+        can_continue: response.canContinue !== false
+      };
+      if (response.collaboration) {
+        result.collaboration = response.collaboration;
+      }
+      update = { status: 'completed', result };
+      turnLogger.info('Async invoke job completed', {
+        event: 'async_job_completed',
+        data: {
+          job_id: jobId,
+          duration_ms: Date.now() - startedAt
+        }
+      });
+    } catch (err) {
+      if (abort.signal.aborted) {
+        update = {
+          status: 'failed',
+          error: 'turn_cancelled',
+          error_message: 'The turn was cancelled by /end'
+        };
+        turnLogger.info('Async invoke job cancelled', {
+          event: 'async_job_cancelled',
+          data: {
+            job_id: jobId,
+            reason: inflight.entry.reason,
+            duration_ms: Date.now() - startedAt
+          }
+        });
+      } else {
+        const denied = err.code === 'permission_denied';
+        const busy = err.code === 'runtime_busy';
+        update = {
+          status: 'failed',
+          error: denied || busy ? err.code : 'internal_error',
+          error_message: denied
+            ? 'This token does not grant the requested capability'
+            : busy ? 'The agent was handling too many calls; retry later' : 'Failed to process message'
+        };
+        turnLogger.error('Async invoke job failed', {
+          error_code: denied ? 'CAPABILITY_DENIED_BY_RUNTIME' : busy ? 'RUNTIME_BUSY' : 'ASYNC_JOB_FAILED',
+          hint: 'Inspect handler/runtime logs in this trace; the caller sees the failure when it polls.',
+          error: err,
+          data: {
+            job_id: jobId,
+            duration_ms: Date.now() - startedAt
+          }
+        });
+      }
+    } finally {
+      inflight.release();
+    }
+    convStore.updateJob(jobId, { ...update, completed_at: new Date().toISOString() });
+    runningJobs.delete(jobId);
+
+    if (job.callback_host) {
+      await deliverJobCallback(jobId);
+    }
+  }
+
+  function startJob(jobId) {
+    setImmediate(() => {
+      runJob(jobId).catch(err => {
+        runningJobs.delete(jobId);
+        logger.error('Async job runner crashed', {
+          event: 'async_job',
+          error_code: 'ASYNC_JOB_RUNNER_FAILED',
+          hint: 'Check a2a-conversations.db write access; the job resumes on the next restart.',
+          error: err,
+          data: {
+            job_id: jobId
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * POST the finished job, signed with our key, to the caller's /callback.
+   * Retries transient failures; the caller can always fall back to polling.
+   */
+  async function deliverJobCallback(jobId) {
+    const job = convStore.getJob(jobId);
+    if (!job || !job.callback_host || job.callback_status !== 'pending') return;
+    const turnLogger = jobLogger(job);
+    const identity = getSigningIdentity();
+    const client = new A2AClient({ signingIdentity: identity, timeout: 10000 });
+    const maxAttempts = jobCallbackRetryMs.length + 1;
+
+    let attempts = job.callback_attempts;
+    let lastError = identity ? null : new Error('No signing identity to sign the callback');
+    while (identity && attempts < maxAttempts) {
+      if (attempts > 0) {
+        await new Promise(resolve => setTimeout(resolve, jobCallbackRetryMs[attempts - 1]).unref());
+      }
+      attempts += 1;
+      try {
+        const target = await resolveCallbackAddress(job.callback_host);
+        if (target.private) {
+          lastError = new Error(`Callback host ${job.callback_host} resolves to a private address`);
+          convStore.updateJob(jobId, { callback_attempts: attempts });
+          break;
+        }
+        await client.sendJobCallback(job.callback_host, jobEnvelope(job), { address: target.address });
+        convStore.updateJob(jobId, { callback_status: 'delivered', callback_attempts: attempts });
+        turnLogger.info('Async job result delivered to caller', {
+          event: 'async_job_callback_delivered',
+          data: {
+            job_id: jobId,
+            callback_host: job.callback_host,
+            attempts
+          }
+        });
+        return;
+      } catch (err) {
+        lastError = err;
+        convStore.updateJob(jobId, { callback_attempts: attempts });
+        // The caller rejected the result outright; retrying will not change its mind.
+        if (err.statusCode && err.statusCode < 500 && err.statusCode !== 429) break;
+      }
+    }
+
+    convStore.updateJob(jobId, { callback_status: 'failed' });
+    turnLogger.warn('Async job callback failed; caller must poll for the result', {
+      error_code: 'ASYNC_JOB_CALLBACK_FAILED',
+      hint: 'Check that the caller A2A server is reachable at its callback host and accepts our signing key.',
+      error: lastError,
+      data: {
+        job_id: jobId,
+        callback_host: job.callback_host,
+        attempts
+      }
+    });
+  }
+
+  // Jobs outlive the process: pick up turns and callbacks a restart interrupted.
+  if (convStore) {
+    setImmediate(() => {
+      try {
+        const pending = convStore.listJobs({ direction: 'inbound', status: ['queued', 'running'], limit: 500 });
+        const undelivered = convStore.listJobs({ direction: 'inbound', status: ['completed', 'failed'], limit: 500 })
+          .filter(job => job.callback_status === 'pending');
+        if (pending.length === 0 && undelivered.length === 0) return;
+        logger.info('Resuming async jobs', {
+          event: 'async_jobs_resumed',
+          data: {
+            turns: pending.length,
+            callbacks: undelivered.length
+          }
+        });
+        pending.reverse().forEach(job => startJob(job.id));
+        undelivered.forEach(job => {
+          deliverJobCallback(job.id).catch(() => {});
+        });
+      } catch (err) {
+        logger.error('Failed to resume async jobs', {
+          event: 'async_jobs_resumed',
+          error_code: 'ASYNC_JOB_RESUME_FAILED',
+          hint: 'Check a2a-conversations.db; queued jobs stay queued until the next restart.',
+          error: err
+        });
+      }
+    });
+  }
+
+  // Callers name the protocol version they negotiated; unknown versions are refused
+  // before any route runs. Requests without the header are v0-compatible.
+  router.use((req, res, next) => {
+    const requested = req.headers[PROTOCOL_HEADER];
+    if (requested !== undefined && !isSupportedVersion(String(requested).trim())) {
+      const traceId = resolveTraceId(req);
+      const requestId = resolveRequestId(req);
+      logger.warn('Request named an unsupported protocol version', {
+        traceId,
+        requestId,
+        event: 'protocol_version_rejected',
+        error_code: 'PROTOCOL_VERSION_UNSUPPORTED',
+        status_code: 400,
+        hint: 'Fetch /.well-known/a2a.json and pick a version from protocol_versions.',
+        data: {
+          requested: String(requested).slice(0, 20),
+          supported: PROTOCOL_VERSIONS
+        }
+      });
+      return res.status(400).json({
+        success: false,
+        error: 'unsupported_protocol_version',
+        message: `Protocol version ${String(requested).slice(0, 20)} is not supported`,
+        supported_versions: PROTOCOL_VERSIONS,
+        trace_id: traceId,
+        request_id: requestId
+      });
+    }
+    res.set(PROTOCOL_HEADER, requested !== undefined ? String(requested).trim() : CURRENT_VERSION);
+    next();
+  });
+
+  function supportedFeatures() {
+    return [
+      'invoke', 'multi-turn', 'signed-requests', 'streaming', 'attachments', 'intents', 'idempotency',
+      ...(convStore ? ['async'] : [])
+    ];
+  }
+
+  // Rebuilt per request so profile edits and manifest changes show up without a restart.
+  function currentAgentCard() {
+    return loadAgentCard({ config: getConfig(), agentContext: options.agentContext || {} });
+  }
+
+  /**
+   * GET /.well-known/a2a.json
+   * Discovery document: protocol versions, features, limits and profile fields.
+   * server.js also serves it at the site root.
+   */
+  router.get(DISCOVERY_PATH, (req, res) => {
+    res.json(buildDiscoveryDocument({
+      softwareVersion: require('../../package.json').version,
+      features: supportedFeatures(),
+      limits: {
+        max_message_length: MAX_MESSAGE_LENGTH,
+        timeout_seconds: { min: MIN_TIMEOUT_SECONDS, max: MAX_TIMEOUT_SECONDS, default: 60 },
+        async_timeout_seconds: { max: MAX_ASYNC_TIMEOUT_SECONDS, default: DEFAULT_ASYNC_TIMEOUT_SECONDS },
+        attachments: describeAttachmentLimits(),
+        idempotency: { header: IDEMPOTENCY_HEADER, ttl_seconds: Math.round(idempotencyStore.ttlMs / 1000) },
+        rate_limits: resolveTierLimits('public', getConfig(), rateLimitOverride)
+      },
+      signing: describeIdentity(getSigningIdentity({ create: false })),
+      agentCard: currentAgentCard(),
+      intents: intentRegistry.types()
+    }));
+  });
+
   /**
    * GET /status
-   * Check if A2A is enabled
+   * Check if A2A is enabled. `version` and `capabilities` keep their v0 meaning.
    */
   router.get('/status', (req, res) => {
     res.json({
       a2a: true,
       version: require('../../package.json').version,
-      capabilities: ['invoke', 'multi-turn'],
-      rate_limits: limits
+      protocol_versions: PROTOCOL_VERSIONS,
+      discovery_url: DISCOVERY_PATH,
+      capabilities: supportedFeatures(),
+      rate_limits: resolveTierLimits('public', getConfig(), rateLimitOverride),
+      signing: describeIdentity(getSigningIdentity({ create: false })),
+      agent_card: currentAgentCard()
     });
   });
 
@@ -196,6 +1236,93 @@ function createRoutes(options = {}) {
     res.json({ pong: true, timestamp: new Date().toISOString() });
   });
 
+  /**
+   * POST /redeem
+   * Trade a one-time invite code (inv_...) for the caller's own token.
+   * The code is burned on first use; the new token's lifetime starts now.
+   */
+  router.post('/redeem', (req, res) => {
+    const traceId = resolveTraceId(req);
+    const requestId = resolveRequestId(req);
+    const reqLogger = logger.child({ traceId, requestId, event: 'redeem' });
+    const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
+    res.set('x-trace-id', traceId);
+    res.set('x-request-id', requestId);
+
+    // Codes are guessable only by brute force, so the per-address limit applies here too.
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const caller = body.caller && typeof body.caller === 'object' ? body.caller : null;
+    let result;
+    try {
+      result = tokenStore.redeemInviteCode(body.code, { caller });
+    } catch (err) {
+      reqLogger.error('Invite code redemption failed', {
+        error_code: 'INVITE_REDEEM_FAILED',
+        status_code: 500,
+        hint: 'Check a2a-tokens.db write access.',
+        error: err
+      });
+      return res.status(500).json(withTracePayload({
+        success: false,
+        error: 'internal_error',
+        message: 'Failed to redeem invite code'
+      }));
+    }
+
+    if (!result.success) {
+      const failures = {
+        missing_code: [400, 'INVITE_CODE_MISSING', 'Invite code required'],
+        invalid_code: [404, 'INVITE_CODE_INVALID', 'Unknown invite code'],
+        code_expired: [410, 'INVITE_CODE_EXPIRED', 'Invite code has expired'],
+        code_already_used: [410, 'INVITE_CODE_USED', 'Invite code has already been redeemed']
+      };
+      const [status, errorCode, message] = failures[result.error];
+      reqLogger.warn('Invite code rejected', {
+        error_code: errorCode,
+        status_code: status,
+        hint: 'Ask the agent owner for a fresh invite.',
+        data: {
+          client_host: identity.clientIp,
+          caller_name: caller && caller.name ? String(caller.name) : null
+        }
+      });
+      return res.status(status).json(withTracePayload({
+        success: false,
+        error: result.error,
+        message
+      }));
+    }
+
+    const { record } = result;
+    reqLogger.info('Invite code redeemed', {
+      tokenId: record.id,
+      event: 'invite_code_redeemed',
+      data: {
+        invite_id: result.invite_id,
+        client_host: identity.clientIp,
+        caller_name: caller && caller.name ? String(caller.name) : null,
+        caller_instance: caller && caller.instance ? String(caller.instance) : null
+      }
+    });
+    res.json(withTracePayload({
+      success: true,
+      token: result.token,
+      token_id: record.id,
+      name: record.name,
+      owner: record.owner,
+      tier: record.tier,
+      capabilities: record.capabilities,
+      allowed_topics: record.allowed_topics,
+      expires_at: record.expires_at,
+      max_calls: record.max_calls
+    }));
+  });
+
   /**
    * POST /invoke
    * Call the agent
@@ -206,13 +1333,15 @@ function createRoutes(options = {}) {
     const requestId = resolveRequestId(req);
     const reqLogger = logger.child({ traceId, requestId, event: 'invoke' });
     const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
     res.set('x-trace-id', traceId);
     res.set('x-request-id', requestId);
     reqLogger.info('Received invoke request', {
       data: {
-        ip: req.ip,
+        ip: identity.peer,
         request_id: requestId,
-        client_host: extractClientHost(req),
+        client_host: identity.clientIp,
+        via_trusted_proxy: identity.viaTrustedProxy,
         forwarded_for: req.headers['x-forwarded-for'] || null,
         user_agent: req.headers['user-agent'] || null,
         has_auth_header: Boolean(req.headers.authorization)
@@ -240,8 +1369,27 @@ function createRoutes(options = {}) {
 
     const token = authHeader.slice(7);
 
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const signature = verifySignatureOrReject(req, res, reqLogger, withTracePayload);
+    if (!signature) return;
+
+    if (!(await enforceCallerSource(token, identity, req, res, reqLogger, withTracePayload))) {
+      return;
+    }
+
+    // Retries with the same Idempotency-Key get the stored reply without counting another call.
+    // Streamed replies are not stored, so streams ignore the key.
+    const idempotency = resolveStreamFormat(req)
+      ? { key: null }
+      : await beginIdempotentRequest('invoke', token, signature, req, res, reqLogger, withTracePayload);
+    if (!idempotency) return;
+
     // Validate token
-    const validation = tokenStore.validate(token);
+    const validation = validateBoundToken(token, signature, res, reqLogger, withTracePayload);
+    if (!validation) return;
     if (!validation.valid) {
       // Use generic error to prevent token enumeration
       // All invalid token states return same response
@@ -257,8 +1405,33 @@ function createRoutes(options = {}) {
       }));
     }
 
-    // Check rate limit
-    const rateCheck = checkRateLimit(validation.id, limits);
+    if (validation.rotation_completed) {
+      reqLogger.info('Caller switched to rotated token; predecessor retired', {
+        tokenId: validation.id,
+        event: 'token_rotation_completed',
+        data: {
+          predecessor_id: validation.rotation_completed.predecessor_id
+        }
+      });
+    }
+
+    // Check rate limit (per-tier sliding windows, persisted across restarts)
+    const tierLimits = resolveTierLimits(validation.tier, getConfig(), rateLimitOverride);
+    let rateCheck = { limited: false };
+    try {
+      rateCheck = checkRateLimit(validation.id, tierLimits, rateLimitStore);
+    } catch (err) {
+      // Fail open: a broken limiter should not take the agent offline.
+      reqLogger.error('Rate limit check failed; allowing request', {
+        tokenId: validation.id,
+        error_code: 'RATE_LIMIT_CHECK_FAILED',
+        hint: 'Check a2a-rate-limits.db write access, or set A2A_RATE_LIMIT_BACKEND=memory.',
+        error: err,
+        data: {
+          backend: rateLimitStore.backend || null
+        }
+      });
+    }
     if (rateCheck.limited) {
       reqLogger.warn('Invoke request rate limited', {
         tokenId: validation.id,
@@ -266,7 +1439,11 @@ function createRoutes(options = {}) {
         status_code: 429,
         hint: 'Respect Retry-After and reduce invoke frequency for this token.',
         data: {
-          retry_after: rateCheck.retryAfter
+          retry_after: rateCheck.retryAfter,
+          window: rateCheck.window,
+          tier: validation.tier,
+          limits: tierLimits,
+          backend: rateLimitStore.backend || null
         }
       });
       res.set('Retry-After', rateCheck.retryAfter);
@@ -278,7 +1455,7 @@ function createRoutes(options = {}) {
     }
 
     // Extract and validate request
-    const { message, conversation_id, caller, context, timeout_seconds = 60 } = req.body;
+    const { message, conversation_id, caller, context, timeout_seconds } = req.body;
 
     if (!message) {
       reqLogger.warn('Invoke request missing message', {
@@ -313,16 +1490,134 @@ function createRoutes(options = {}) {
       }));
     }
 
+    const attachmentCheck = normalizeAttachments(req.body.attachments);
+    if (attachmentCheck.error) {
+      reqLogger.warn('Invoke request has invalid attachments', {
+        tokenId: validation.id,
+        error_code: 'REQUEST_INVALID_ATTACHMENTS',
+        status_code: 400,
+        hint: 'Send attachments as [{ type: json|text|binary, name, mime_type, data }] within the published limits.',
+        data: {
+          reason: attachmentCheck.message
+        }
+      });
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: attachmentCheck.error,
+        message: attachmentCheck.message
+      }));
+    }
+
+    const intentCheck = intentRegistry.normalize(req.body.intent);
+    if (intentCheck.error) {
+      reqLogger.warn('Invoke request has invalid intent', {
+        tokenId: validation.id,
+        error_code: 'REQUEST_INVALID_INTENT',
+        status_code: 400,
+        hint: `Send intent as { type, ...fields } with a type of ${intentRegistry.types().join(', ')}.`,
+        data: {
+          reason: intentCheck.message
+        }
+      });
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: intentCheck.error,
+        message: intentCheck.message
+      }));
+    }
+
+    // Enforce the token grant here; the prompt alone cannot keep the runtime in scope.
+    // Each attachment type and the intent count as capabilities the request needs.
+    const declaredCapabilities = req.body.capabilities === undefined || req.body.capabilities === null || req.body.capabilities === ''
+      ? []
+      : [].concat(req.body.capabilities);
+    const neededCapabilities = [
+      ...attachmentCapabilities(attachmentCheck.attachments),
+      ...(intentCheck.intent ? [intentCheck.capability] : [])
+    ].filter((cap, i, all) => !declaredCapabilities.includes(cap) && all.indexOf(cap) === i);
+    const capabilityCheck = evaluateRequest({
+      ...req.body,
+      capabilities: declaredCapabilities.concat(neededCapabilities)
+    }, validation);
+    if (capabilityCheck.error) {
+      reqLogger.warn('Invoke request has invalid capability declaration', {
+        tokenId: validation.id,
+        error_code: 'REQUEST_INVALID_CAPABILITIES',
+        status_code: 400,
+        hint: 'Send `capabilities` as an array of identifiers, `topic` as a string, and `on_denied` as reject|downgrade.',
+        data: {
+          reason: capabilityCheck.message
+        }
+      });
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: capabilityCheck.error,
+        message: capabilityCheck.message
+      }));
+    }
+    if (!logCapabilityDecision(capabilityCheck, validation, res, reqLogger, withTracePayload)) {
+      return;
+    }
+    const attachments = filterGrantedAttachments(attachmentCheck.attachments, capabilityCheck.granted);
+    // A downgraded call drops an intent the tier does not permit.
+    const intent = intentCheck.intent && capabilityCheck.granted.includes(intentCheck.capability)
+      ? intentCheck.intent
+      : null;
+
+    // Async jobs hand back a job id now and run the turn in the background.
+    const mode = req.body.mode === undefined ? 'sync' : req.body.mode;
+    const streamFormat = resolveStreamFormat(req);
+    let modeError = null;
+    if (mode !== 'sync' && mode !== 'async') {
+      modeError = ['invalid_mode', 'mode must be "sync" or "async"'];
+    } else if (mode === 'async' && streamFormat) {
+      modeError = ['invalid_mode', 'Async invokes cannot be streamed; poll the job or use a callback'];
+    } else if (req.body.callback !== undefined && mode !== 'async') {
+      modeError = ['invalid_callback', 'callback requires mode "async"'];
+    } else if (req.body.callback !== undefined && !normalizeCallbackHost(req.body.callback)) {
+      modeError = ['invalid_callback', 'callback must be your A2A host, e.g. a2a://your-host.com'];
+    } else if (req.body.callback !== undefined && isPrivateCallbackHost(normalizeCallbackHost(req.body.callback))) {
+      modeError = ['invalid_callback', 'callback must be a public host, not a loopback or private address'];
+    }
+    if (modeError) {
+      reqLogger.warn('Invoke request has invalid mode or callback', {
+        tokenId: validation.id,
+        error_code: 'REQUEST_INVALID_MODE',
+        status_code: 400,
+        hint: 'Send mode: "async" (optionally with callback: "a2a://your-host") without stream, or omit mode.',
+        data: {
+          reason: modeError[0]
+        }
+      });
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: modeError[0],
+        message: modeError[1]
+      }));
+    }
+    const isAsync = mode === 'async';
+    if (isAsync && !convStore) {
+      reqLogger.warn('Async invoke requested without conversation storage', {
+        tokenId: validation.id,
+        error_code: 'ASYNC_UNAVAILABLE',
+        status_code: 503,
+        hint: 'Install better-sqlite3 so jobs can be persisted, or call without mode: "async".'
+      });
+      return res.status(503).json(withTracePayload({
+        success: false,
+        error: 'async_unavailable',
+        message: 'Async invoke is not available on this agent'
+      }));
+    }
+    const callbackHost = isAsync ? normalizeCallbackHost(req.body.callback) : null;
+
     // Validate and bound timeout
-    const boundedTimeout = Math.max(MIN_TIMEOUT_SECONDS, Math.min(MAX_TIMEOUT_SECONDS, Number(timeout_seconds) || 60));
+    const boundedTimeout = isAsync
+      ? Math.max(MIN_TIMEOUT_SECONDS, Math.min(MAX_ASYNC_TIMEOUT_SECONDS, Number(timeout_seconds) || DEFAULT_ASYNC_TIMEOUT_SECONDS))
+      : Math.max(MIN_TIMEOUT_SECONDS, Math.min(MAX_TIMEOUT_SECONDS, Number(timeout_seconds) || 60));
 
     // Sanitize caller data (only allow expected fields)
-    const sanitizedCaller = caller ? {
-      name: String(caller.name || '').slice(0, 100),
-      owner: String(caller.owner || '').slice(0, 100),
-      instance: String(caller.instance || '').slice(0, 200),
-      context: String(caller.context || '').slice(0, 500)
-    } : {};
+    const sanitizedCaller = sanitizeCallerProfile(caller);
 
     // Build a2a context with secure conversation ID
     const isNewConversation = !conversation_id;
@@ -333,8 +1628,14 @@ function createRoutes(options = {}) {
       tier: validation.tier,
       capabilities: validation.capabilities,
       allowed_topics: validation.allowed_topics,
+      requested_capabilities: capabilityCheck.granted,
+      topic: capabilityCheck.topic,
+      capability_decision: capabilityCheck.decision,
       disclosure: validation.disclosure,
       caller: sanitizedCaller,
+      attachments,
+      intent,
+      intent_capability: intent ? intentCheck.capability : null,
       conversation_id: conversation_id || `conv_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
       trace_id: traceId,
       request_id: requestId
@@ -348,15 +1649,19 @@ function createRoutes(options = {}) {
       ensuredContact = null;
     }
 
+    const reciprocal = recordReciprocalOffer(req.body.return_invite, validation, sanitizedCaller, reqLogger);
+
     // Track conversation if store available
+    let trackedIntent = null;
     if (convStore) {
       try {
         convStore.startConversation({
           id: a2aContext.conversation_id,
-          // Standardize: store the local contact.id when available (fallback to token id otherwise).
-          contactId: ensuredContact?.id || validation.id,
+          // Standardize: store the contact linked to this token when there is one (token id otherwise).
+          contactId: ensuredContact && ensuredContact.linked_token_id === validation.id ? ensuredContact.id : validation.id,
           contactName: ensuredContact?.name || sanitizedCaller.name || validation.name,
           tokenId: validation.id,
+          tier: validation.tier,
           direction: 'inbound'
         });
         
@@ -370,11 +1675,20 @@ function createRoutes(options = {}) {
         }
         
         // Store incoming message
-        convStore.addMessage(a2aContext.conversation_id, {
+        const inboundMessage = convStore.addMessage(a2aContext.conversation_id, {
           direction: 'inbound',
           role: 'user',
-          content: message
+          content: message,
+          metadata: attachments.length > 0 ? { attachments } : null
         });
+        if (intent) {
+          trackedIntent = convStore.addIntent(a2aContext.conversation_id, {
+            intent,
+            direction: 'inbound',
+            messageId: inboundMessage.id
+          });
+          a2aContext.intent_id = trackedIntent ? trackedIntent.id : null;
+        }
       } catch (err) {
         reqLogger.error('Conversation tracking error', {
           conversationId: a2aContext.conversation_id,
@@ -389,58 +1703,159 @@ function createRoutes(options = {}) {
       }
     }
 
-    try {
-      // Handle the message
-      const response = await handleMessage(message, a2aContext, { timeout: boundedTimeout * 1000 });
-      
-      // Store outgoing response
-      if (convStore) {
-        try {
-          convStore.addMessage(a2aContext.conversation_id, {
-            direction: 'outbound',
-            role: 'assistant',
-            content: response.text
-          });
-        } catch (err) {
-          reqLogger.error('Message storage error', {
-            conversationId: a2aContext.conversation_id,
-            tokenId: validation.id,
-            error_code: 'CONVERSATION_MESSAGE_STORE_FAILED',
-            hint: 'Check SQLite conversation DB write access and disk availability.',
-            error: err,
-            data: {
-              phase: 'message_store'
-            }
-          });
-        }
+    // Grant details, return-invite status and a rotated token ride on the first response.
+    const addCallDetails = (payload) => {
+      if (capabilityCheck.requested.length > 0 || capabilityCheck.requested_topic) {
+        payload.permissions = {
+          decision: capabilityCheck.decision,
+          granted: capabilityCheck.granted,
+          denied: capabilityCheck.denied,
+          topic_allowed: capabilityCheck.topic_allowed
+        };
       }
 
-      // Notify owner if configured
-      if (validation.notify !== 'none') {
-        notifyOwner({
-          level: validation.notify,
-          token: validation,
-          caller,
-          context,
+      if (reciprocal) {
+        payload.reciprocal = reciprocal;
+      }
+
+      if (intent) {
+        payload.intent = {
+          id: trackedIntent ? trackedIntent.id : null,
+          type: intent.type,
+          status: trackedIntent ? trackedIntent.status : 'open'
+        };
+      }
+
+      if (validation.rotation) {
+        // Deliver the successor in the body (not a header) so proxies do not log it.
+        payload.token_rotation = {
+          token: validation.rotation.token,
+          token_id: validation.rotation.successor_id,
+          grace_until: validation.rotation.grace_until
+        };
+        if (!streamFormat) res.set('x-a2a-token-rotated', 'true');
+        reqLogger.info('Delivered rotated token to caller', {
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
+          event: 'token_rotation_offered',
+          data: {
+            successor_id: validation.rotation.successor_id,
+            grace_until: validation.rotation.grace_until
+          }
+        });
+      }
+      return payload;
+    };
+
+    if (isAsync) {
+      let job;
+      try {
+        job = convStore.createJob({
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
           message,
-          response: response.text,
-          conversation_id: a2aContext.conversation_id,
-          trace_id: traceId,
-          request_id: requestId
-        }).catch(err => {
-          reqLogger.error('Failed to notify owner', {
-            conversationId: a2aContext.conversation_id,
-            tokenId: validation.id,
-            error_code: 'OWNER_NOTIFY_FAILED',
-            hint: 'Verify runtime notify channel settings and external notifier health.',
-            error: err,
-            data: {
-              phase: 'owner_notify'
-            }
-          });
+          context: {
+            a2a: a2aContext,
+            token: { id: validation.id, name: validation.name, tier: validation.tier, notify: validation.notify },
+            caller: sanitizedCaller,
+            context: context || null
+          },
+          timeoutMs: boundedTimeout * 1000,
+          callbackHost
         });
+      } catch (err) {
+        reqLogger.error('Failed to queue async invoke job', {
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
+          error_code: 'ASYNC_JOB_CREATE_FAILED',
+          status_code: 500,
+          hint: 'Check SQLite conversation DB write access and disk availability.',
+          error: err
+        });
+        return res.status(500).json(withTracePayload({
+          success: false,
+          error: 'internal_error',
+          message: 'Failed to queue message'
+        }));
+      }
+      startJob(job.id);
+
+      reqLogger.info('Invoke queued as async job', {
+        conversationId: a2aContext.conversation_id,
+        tokenId: validation.id,
+        event: 'async_job_queued',
+        data: {
+          job_id: job.id,
+          callback_host: callbackHost,
+          timeout_seconds: boundedTimeout,
+          is_new_conversation: isNewConversation
+        }
+      });
+
+      const jobPayload = addCallDetails({
+        success: true,
+        trace_id: traceId,
+        request_id: requestId,
+        job_id: job.id,
+        status: job.status,
+        conversation_id: a2aContext.conversation_id,
+        poll_url: `/api/a2a/jobs/${job.id}`
+      });
+      if (callbackHost) {
+        // The caller pins this key and only accepts a callback signed with it.
+        jobPayload.callback = {
+          host: callbackHost,
+          status: 'pending',
+          signer: describeIdentity(getSigningIdentity())
+        };
+      }
+      return res.status(202).json(jobPayload);
+    }
+
+    // Streaming callers get progress and partial text; the final event carries the usual envelope.
+    const stream = streamFormat ? createStreamWriter(res, streamFormat) : null;
+    const sendError = (status, payload) => (stream
+      ? stream.fail(status, payload)
+      : res.status(status).json(payload));
+    if (stream) {
+      stream.open();
+      stream.progress('accepted', { conversation_id: a2aContext.conversation_id });
+    }
+
+    // A caller that disconnects (or sends /end) before the reply cancels the runtime call.
+    const abort = new AbortController();
+    const inflight = trackInflightTurn(a2aContext.conversation_id, validation.id, abort);
+    res.on('close', () => {
+      if (res.writableEnded || abort.signal.aborted) return;
+      // A caller that sent an Idempotency-Key will retry: finish the turn so the retry gets the reply.
+      if (idempotency.key) return;
+      inflight.entry.reason = 'disconnect';
+      abort.abort();
+    });
+
+    try {
+      // Handle the message
+      const handlerOptions = { timeout: boundedTimeout * 1000, signal: abort.signal };
+      if (stream) {
+        handlerOptions.onProgress = ({ stage, ...data }) => stream.progress(stage, data);
+        handlerOptions.onDelta = (text) => stream.delta(text);
+      }
+      const response = await handleMessage(message, a2aContext, handlerOptions);
+      if (abort.signal.aborted) {
+        throw new Error('Turn cancelled');
       }
 
+      // Store outgoing response and notify owner if configured
+      recordTurnResponse({
+        a2aContext,
+        token: validation,
+        caller,
+        context,
+        message,
+        responseText: response.text,
+        turnLogger: reqLogger
+      });
+
       reqLogger.info('Invoke request completed', {
         conversationId: a2aContext.conversation_id,
         tokenId: validation.id,
@@ -448,7 +1863,10 @@ function createRoutes(options = {}) {
         data: {
           duration_ms: Date.now() - startedAt,
           message_length: message.length,
-          is_new_conversation: isNewConversation
+          attachment_count: attachments.length,
+          intent_type: intent ? intent.type : null,
+          is_new_conversation: isNewConversation,
+          stream: streamFormat
         }
       });
 
@@ -466,9 +1884,76 @@ function createRoutes(options = {}) {
         responsePayload.collaboration = response.collaboration;
       }
 
-      res.json(responsePayload);
+      addCallDetails(responsePayload);
+
+      if (stream) {
+        stream.final(responsePayload);
+      } else {
+        res.json(responsePayload);
+      }
 
     } catch (err) {
+      if (abort.signal.aborted) {
+        const reason = inflight.entry.reason;
+        reqLogger.info('Invoke turn cancelled', {
+          event: 'invoke_cancelled',
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
+          data: {
+            reason,
+            duration_ms: Date.now() - startedAt,
+            stream: streamFormat
+          }
+        });
+        if (reason === 'disconnect') {
+          // Nobody is listening; /end records its own cancel.
+          recordCancelledConversation(a2aContext.conversation_id, reqLogger);
+          return;
+        }
+        return sendError(409, withTracePayload({
+          success: false,
+          error: 'turn_cancelled',
+          message: 'The turn was cancelled by /end'
+        }));
+      }
+      if (err.code === 'runtime_busy') {
+        reqLogger.warn('Runtime queue is full; turn refused', {
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
+          error_code: 'RUNTIME_BUSY',
+          status_code: 503,
+          hint: 'Too many turns are waiting for the runtime; raise A2A_RUNTIME_CONCURRENCY or A2A_RUNTIME_MAX_QUEUE.'
+        });
+        // A stream has already sent its headers; the error event carries the delay instead.
+        if (!stream) {
+          res.set('Retry-After', String(RUNTIME_BUSY_RETRY_SECONDS));
+        }
+        return sendError(503, withTracePayload({
+          success: false,
+          error: 'runtime_busy',
+          message: 'The agent is handling too many calls; retry shortly',
+          retry_after: RUNTIME_BUSY_RETRY_SECONDS
+        }));
+      }
+      if (err.code === 'permission_denied') {
+        reqLogger.warn('Runtime refused a turn outside the token grant', {
+          conversationId: a2aContext.conversation_id,
+          tokenId: validation.id,
+          event: 'capability_check',
+          error_code: 'CAPABILITY_DENIED_BY_RUNTIME',
+          status_code: 403,
+          hint: 'The handler asked for more than the route granted; check handleMessage capability wiring.',
+          data: {
+            decision: 'deny',
+            missing: err.data?.missing || []
+          }
+        });
+        return sendError(403, withTracePayload({
+          success: false,
+          error: 'permission_denied',
+          message: 'This token does not grant the requested capability'
+        }));
+      }
       reqLogger.error('Message handling error', {
         conversationId: a2aContext.conversation_id,
         tokenId: validation.id,
@@ -480,17 +1965,21 @@ function createRoutes(options = {}) {
           duration_ms: Date.now() - startedAt
         }
       });
-      res.status(500).json(withTracePayload({
+      sendError(500, withTracePayload({
         success: false,
         error: 'internal_error',
         message: 'Failed to process message'
       }));
+    } finally {
+      inflight.release();
     }
   });
 
   /**
    * POST /end
-   * End a conversation and trigger summary generation
+   * End a conversation and trigger summary generation. If the caller still has a
+   * turn running in this conversation, that turn is cancelled instead and the
+   * conversation is recorded as cancelled.
    */
   router.post('/end', async (req, res) => {
     const startedAt = Date.now();
@@ -498,13 +1987,15 @@ function createRoutes(options = {}) {
     const requestId = resolveRequestId(req);
     const reqLogger = logger.child({ traceId, requestId, event: 'end' });
     const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
     res.set('x-trace-id', traceId);
     res.set('x-request-id', requestId);
     reqLogger.info('Received end request', {
       data: {
         request_id: requestId,
-        ip: req.ip,
-        client_host: extractClientHost(req),
+        ip: identity.peer,
+        client_host: identity.clientIp,
+        via_trusted_proxy: identity.viaTrustedProxy,
         has_auth_header: Boolean(req.headers.authorization),
         has_conversation_id: Boolean(req.body && req.body.conversation_id)
       }
@@ -526,7 +2017,24 @@ function createRoutes(options = {}) {
     }
 
     const token = authHeader.slice(7);
-    const validation = tokenStore.validate(token);
+
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const signature = verifySignatureOrReject(req, res, reqLogger, withTracePayload);
+    if (!signature) return;
+
+    if (!(await enforceCallerSource(token, identity, req, res, reqLogger, withTracePayload))) {
+      return;
+    }
+
+    if (!(await beginIdempotentRequest('end', token, signature, req, res, reqLogger, withTracePayload))) {
+      return;
+    }
+
+    const validation = validateBoundToken(token, signature, res, reqLogger, withTracePayload);
+    if (!validation) return;
     if (!validation.valid) {
       reqLogger.warn('End request token validation failed', {
         error_code: 'TOKEN_INVALID_OR_EXPIRED',
@@ -555,7 +2063,29 @@ function createRoutes(options = {}) {
       }));
     }
 
-    const convStore = getConversationStore();
+    const cancelledTurns = cancelInflightTurns(conversation_id, validation.id, 'end');
+    if (cancelledTurns > 0) {
+      recordCancelledConversation(conversation_id, reqLogger);
+      if (monitor) {
+        await monitor.endConversation(conversation_id, 'cancelled');
+      }
+      reqLogger.info('End request cancelled in-flight turn', {
+        conversationId: conversation_id,
+        tokenId: validation.id,
+        event: 'turn_cancelled',
+        data: {
+          cancelled_turns: cancelledTurns,
+          duration_ms: Date.now() - startedAt
+        }
+      });
+      return res.json(withTracePayload({
+        success: true,
+        conversation_id,
+        status: 'cancelled',
+        cancelled_turns: cancelledTurns
+      }));
+    }
+
     if (!convStore) {
       return res.json(withTracePayload({ success: true, message: 'Conversation storage not enabled' }));
     }
@@ -632,6 +2162,296 @@ function createRoutes(options = {}) {
     }
   });
 
+  /**
+   * POST /reciprocate
+   * Offer a return invite outside a call (e.g. after reciprocal.requested).
+   * The offer waits for the owner's approval in the dashboard.
+   */
+  router.post('/reciprocate', async (req, res) => {
+    const traceId = resolveTraceId(req);
+    const requestId = resolveRequestId(req);
+    const reqLogger = logger.child({ traceId, requestId, event: 'reciprocate' });
+    const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
+    res.set('x-trace-id', traceId);
+    res.set('x-request-id', requestId);
+
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      reqLogger.warn('Reciprocate request missing bearer token', {
+        error_code: 'AUTH_MISSING_BEARER',
+        status_code: 401,
+        hint: 'Send Authorization: Bearer <a2a_token>.'
+      });
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'missing_token',
+        message: 'Authorization header required'
+      }));
+    }
+
+    const token = authHeader.slice(7);
+
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const signature = verifySignatureOrReject(req, res, reqLogger, withTracePayload);
+    if (!signature) return;
+
+    if (!(await enforceCallerSource(token, identity, req, res, reqLogger, withTracePayload))) {
+      return;
+    }
+
+    const validation = validateBoundToken(token, signature, res, reqLogger, withTracePayload);
+    if (!validation) return;
+    if (!validation.valid) {
+      reqLogger.warn('Reciprocate token validation failed', {
+        error_code: 'TOKEN_INVALID_OR_EXPIRED',
+        status_code: 401,
+        hint: 'Create a fresh invite token and retry with the new bearer token.'
+      });
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'unauthorized',
+        message: 'Invalid or expired token'
+      }));
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    if (!body.return_invite) {
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: 'missing_return_invite',
+        message: 'return_invite is required'
+      }));
+    }
+    const sanitizedCaller = sanitizeCallerProfile(body.caller, ['name', 'owner', 'instance']);
+    try {
+      tokenStore.ensureInboundContact(sanitizedCaller, validation.id);
+    } catch (err) {
+      // Best effort; approval creates the contact if it is still missing.
+    }
+
+    const reciprocal = recordReciprocalOffer(body.return_invite, validation, sanitizedCaller, reqLogger);
+    if (reciprocal.status === 'rejected') {
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: reciprocal.error,
+        message: 'return_invite must be an a2a:// invite URL'
+      }));
+    }
+    res.status(202).json(withTracePayload({ success: true, reciprocal }));
+  });
+
+  /**
+   * GET /jobs/:id
+   * State of an async invoke job. Authenticated with the token that queued it
+   * (or its rotated successor); polling does not count as a call.
+   */
+  router.get('/jobs/:id', async (req, res) => {
+    const traceId = resolveTraceId(req);
+    const requestId = resolveRequestId(req);
+    const reqLogger = logger.child({ traceId, requestId, event: 'job_status' });
+    const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
+    res.set('x-trace-id', traceId);
+    res.set('x-request-id', requestId);
+
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'missing_token',
+        message: 'Authorization header required'
+      }));
+    }
+    const token = authHeader.slice(7);
+
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const signature = verifySignatureOrReject(req, res, reqLogger, withTracePayload);
+    if (!signature) return;
+
+    if (!(await enforceCallerSource(token, identity, req, res, reqLogger, withTracePayload))) {
+      return;
+    }
+
+    const auth = tokenStore.checkToken(token);
+    if (!auth.valid) {
+      reqLogger.warn('Job status token validation failed', {
+        error_code: 'TOKEN_INVALID_OR_EXPIRED',
+        status_code: 401,
+        hint: 'Poll with the token that queued the job (or the successor it was rotated to).'
+      });
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'unauthorized',
+        message: 'Invalid or expired token'
+      }));
+    }
+
+    if (!enforceKeyBinding(auth, signature, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const job = convStore ? convStore.getJob(req.params.id) : null;
+    // Other tokens' jobs look the same as missing ones.
+    if (!job || job.direction !== 'inbound' || (job.token_id !== auth.id && job.token_id !== auth.rotated_from)) {
+      return res.status(404).json(withTracePayload({
+        success: false,
+        error: 'job_not_found',
+        message: 'Unknown job'
+      }));
+    }
+
+    const payload = { success: true, ...jobEnvelope(job) };
+    if (job.callback_host) {
+      payload.callback = {
+        host: job.callback_host,
+        status: job.callback_status,
+        attempts: job.callback_attempts
+      };
+    }
+    res.json(withTracePayload(payload));
+  });
+
+  /**
+   * POST /callback
+   * Receive the result of an async job we queued on another agent. Must be
+   * signed by the key that agent advertised when it accepted the job.
+   */
+  router.post('/callback', (req, res) => {
+    const traceId = resolveTraceId(req);
+    const requestId = resolveRequestId(req);
+    const reqLogger = logger.child({ traceId, requestId, event: 'job_callback' });
+    const withTracePayload = (payload) => ({ ...payload, trace_id: traceId, request_id: requestId });
+    const identity = resolveRequestIdentity(req, trustedProxies);
+    res.set('x-trace-id', traceId);
+    res.set('x-request-id', requestId);
+
+    if (!limitClientAddress(identity, res, reqLogger, withTracePayload)) {
+      return;
+    }
+
+    const signature = verifySignatureOrReject(req, res, reqLogger, withTracePayload);
+    if (!signature) return;
+    if (!signature.signed) {
+      reqLogger.warn('Unsigned job callback rejected', {
+        error_code: 'SIGNATURE_REQUIRED',
+        status_code: 401,
+        hint: 'Job callbacks must carry x-a2a-signature headers from the agent that ran the job.'
+      });
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'signature_required',
+        message: 'Job callbacks must be signed'
+      }));
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const job = convStore && typeof body.job_id === 'string' ? convStore.getJob(body.job_id) : null;
+    if (!job || job.direction !== 'outbound') {
+      reqLogger.warn('Callback for unknown job', {
+        error_code: 'JOB_CALLBACK_UNKNOWN',
+        status_code: 404,
+        hint: 'Only jobs queued with `a2a call --async --callback` are tracked here.',
+        data: {
+          job_id: typeof body.job_id === 'string' ? body.job_id.slice(0, 80) : null
+        }
+      });
+      return res.status(404).json(withTracePayload({
+        success: false,
+        error: 'job_not_found',
+        message: 'Unknown job'
+      }));
+    }
+
+    if (!job.signer_fingerprint || signature.fingerprint !== job.signer_fingerprint) {
+      reqLogger.warn('Job callback signed by the wrong key', {
+        error_code: 'SIGNATURE_KEY_MISMATCH',
+        status_code: 401,
+        hint: 'The callback must be signed with the key the remote advertised when it accepted the job.',
+        data: {
+          job_id: job.id,
+          expected_fingerprint: job.signer_fingerprint,
+          presented_fingerprint: signature.fingerprint
+        }
+      });
+      return res.status(401).json(withTracePayload({
+        success: false,
+        error: 'key_mismatch',
+        message: SIGNATURE_MESSAGES.key_mismatch
+      }));
+    }
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      return res.json(withTracePayload({ success: true, job_id: job.id, duplicate: true }));
+    }
+
+    if (body.status !== 'completed' && body.status !== 'failed') {
+      return res.status(400).json(withTracePayload({
+        success: false,
+        error: 'invalid_callback',
+        message: 'status must be "completed" or "failed"'
+      }));
+    }
+
+    const completed = body.status === 'completed';
+    const responseText = completed ? String(body.response || '') : null;
+    const update = {
+      status: body.status,
+      completed_at: new Date().toISOString()
+    };
+    if (completed) {
+      update.result = {
+        conversation_id: job.conversation_id,
+        response: responseText,
+        can_continue: body.can_continue !== false
+      };
+      if (body.collaboration && typeof body.collaboration === 'object') {
+        update.result.collaboration = body.collaboration;
+      }
+    } else {
+      update.error = String(body.error || 'job_failed').slice(0, 100);
+      update.error_message = String(body.message || '').slice(0, 500);
+    }
+    convStore.updateJob(job.id, update);
+
+    if (completed && job.conversation_id && convStore.getConversation(job.conversation_id, { includeMessages: false })) {
+      try {
+        convStore.addMessage(job.conversation_id, {
+          direction: 'inbound',
+          role: 'assistant',
+          content: responseText
+        });
+      } catch (err) {
+        reqLogger.error('Message storage error', {
+          conversationId: job.conversation_id,
+          error_code: 'CONVERSATION_MESSAGE_STORE_FAILED',
+          hint: 'Check SQLite conversation DB write access and disk availability.',
+          error: err,
+          data: {
+            phase: 'job_callback'
+          }
+        });
+      }
+    }
+
+    reqLogger.info('Async job result received', {
+      conversationId: job.conversation_id,
+      event: 'async_job_callback_received',
+      data: {
+        job_id: job.id,
+        status: body.status,
+        remote_host: job.remote_host
+      }
+    });
+    res.json(withTracePayload({ success: true, job_id: job.id }));
+  });
+
   /**
    * GET /conversations
    * List conversations (requires auth)
@@ -642,7 +2462,7 @@ function createRoutes(options = {}) {
     // For now, require an admin token or local access
     const expected = process.env.A2A_ADMIN_TOKEN;
     const adminToken = req.headers['x-admin-token'];
-    if (!isLoopbackAddress(req.ip)) {
+    if (!isDirectLocalRequest(req)) {
       if (!expected) {
         return res.status(401).json({
           error: 'admin_token_required',
@@ -654,7 +2474,6 @@ function createRoutes(options = {}) {
       }
     }
 
-    const convStore = getConversationStore();
     if (!convStore) {
       return res.json({ conversations: [], message: 'Conversation storage not enabled' });
     }
@@ -678,7 +2497,7 @@ function createRoutes(options = {}) {
   router.get('/conversations/:id', (req, res) => {
     const expected = process.env.A2A_ADMIN_TOKEN;
     const adminToken = req.headers['x-admin-token'];
-    if (!isLoopbackAddress(req.ip)) {
+    if (!isDirectLocalRequest(req)) {
       if (!expected) {
         return res.status(401).json({
           error: 'admin_token_required',
@@ -690,7 +2509,6 @@ function createRoutes(options = {}) {
       }
     }
 
-    const convStore = getConversationStore();
     if (!convStore) {
       return res.status(404).json({ error: 'conversation_storage_disabled' });
     }
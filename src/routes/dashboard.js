@@ -3,7 +3,11 @@
  *
  * Provides a minimal management dashboard for:
  * - contacts and per-contact call summaries
- * - call history with contact context
+ * - what the agent remembers about each contact (view, edit, forget)
+ * - reciprocal contact requests (return invites awaiting approval)
+ * - call history with contact context and full-text search
+ * - action items from call summaries, tracked until done
+ * - the outbound queue (messages waiting for unreachable contacts)
  * - tier/topic/goal settings management
  * - invite generation and revocation
  */
@@ -18,18 +22,14 @@ const { A2AConfig } = require('../lib/config');
 const { loadManifest, saveManifest } = require('../lib/disclosure');
 const { resolveInviteHost } = require('../lib/invite-host');
 const { CallbookStore } = require('../lib/callbook');
+const { OutboundQueue, isRetryableError } = require('../lib/outbound-queue');
 const { createLogger } = require('../lib/logger');
+const { parseCidrList } = require('../lib/ip-allowlist');
+const { isDirectLocalRequest } = require('../lib/request-identity');
+const { loadSigningIdentity } = require('../lib/signing');
 
 const DASHBOARD_STATIC_DIR = path.join(__dirname, '..', 'dashboard', 'public');
 
-function isLoopbackAddress(ip) {
-  if (!ip) return false;
-  if (ip === '::1' || ip === '127.0.0.1' || ip === '::ffff:127.0.0.1') {
-    return true;
-  }
-  return ip.startsWith('::ffff:127.');
-}
-
 function parseCookieHeader(headerValue) {
   const raw = String(headerValue || '').trim();
   if (!raw) return {};
@@ -45,25 +45,6 @@ function parseCookieHeader(headerValue) {
   return cookies;
 }
 
-function isDirectLocalRequest(req) {
-  const ip = (req && req.socket && req.socket.remoteAddress) ? req.socket.remoteAddress : req.ip;
-  if (!isLoopbackAddress(ip)) return false;
-  const host = String(req.headers.host || '').toLowerCase();
-  const isLocalHost = host.startsWith('localhost') ||
-    host.startsWith('127.0.0.1') ||
-    host.startsWith('[::1]') ||
-    host.startsWith('::1');
-  if (!isLocalHost) return false;
-  // Avoid treating proxy-forwarded traffic as "local".
-  const forwarded = req.headers['x-forwarded-for'] ||
-    req.headers['x-forwarded-proto'] ||
-    req.headers['x-forwarded-host'] ||
-    req.headers['cf-connecting-ip'] ||
-    req.headers['x-forwarded-by'];
-  if (forwarded) return false;
-  return true;
-}
-
 function isHttpsRequest(req) {
   const proto = String(req.headers['x-forwarded-proto'] || '')
     .split(',')[0]
@@ -94,6 +75,25 @@ function sanitizeString(value, maxLength = 200) {
     .slice(0, maxLength);
 }
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Control characters cannot appear in escaped output, so they mark hits safely.
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+
+function highlightSnippet(snippet) {
+  return escapeHtml(snippet)
+    .split(SNIPPET_OPEN).join('<mark>')
+    .split(SNIPPET_CLOSE).join('</mark>');
+}
+
 function parseBoolean(value) {
   if (value === null || value === undefined) return false;
   if (typeof value === 'boolean') return value;
@@ -205,13 +205,26 @@ function buildContext(options = {}) {
     }
   }
 
+  // server.js passes the queue it runs; standalone routers get one for manual retries.
+  const outboundQueue = options.outboundQueue || (convStore
+    ? new OutboundQueue({
+      convStore,
+      tokenStore,
+      caller: { name: agentContext.name, owner: agentContext.owner },
+      signingIdentity: () => loadSigningIdentity(tokenStore.configDir),
+      logger: logger.child({ component: 'a2a.outbound-queue' })
+    })
+    : null);
+
   return {
     tokenStore,
     config,
     convStore,
     callbookStore,
+    outboundQueue,
     logger,
     agentContext,
+    runtimeStats: typeof options.runtimeStats === 'function' ? options.runtimeStats : null,
     staticDir: DASHBOARD_STATIC_DIR
   };
 }
@@ -278,10 +291,38 @@ function toDashboardContact(contact) {
     last_error: contact.last_error || null,
     added_at: contact.added_at || null,
     updated_at: contact.updated_at || null,
+    agent_card: contact.agent_card || null,
+    agent_card_fetched_at: contact.agent_card_fetched_at || null,
     can_call: canCall
   };
 }
 
+/**
+ * A contact's rolling memory. Calls that came in before the contact was
+ * saved are remembered under its linked token id instead.
+ */
+function findContactMemory(convStore, contact) {
+  for (const key of [contact.id, contact.linked_token_id]) {
+    if (!key) continue;
+    const memory = convStore.getContactMemory(key);
+    if (memory) return memory;
+  }
+  return null;
+}
+
+const AGENT_CARD_TIMEOUT_MS = 5000;
+
+/**
+ * Fetch a contact's public agent card and cache it on the contact.
+ * Returns the stored card, or null when the host publishes none.
+ */
+async function refreshContactAgentCard(context, contact) {
+  const client = new A2AClient({ timeout: AGENT_CARD_TIMEOUT_MS });
+  const card = await client.fetchAgentCard({ host: contact.host });
+  context.tokenStore.updateContact(contact.id, { agent_card: card });
+  return card;
+}
+
 function makeEnsureDashboardAccess(context) {
   return function ensureDashboardAccess(req, res, next) {
     const adminToken = process.env.A2A_ADMIN_TOKEN;
@@ -537,7 +578,9 @@ function createDashboardApiRouter(options = {}) {
       callbook: {
         enabled: Boolean(context.callbookStore && context.callbookStore.isAvailable()),
         device_count: Array.isArray(devices) ? devices.length : 0
-      }
+      },
+      // Worker pool queue depth and counters; null when the dashboard runs without a runtime.
+      runtime: context.runtimeStats ? context.runtimeStats() : null
     });
   });
 
@@ -786,9 +829,9 @@ function createDashboardApiRouter(options = {}) {
     res.json({ success: true, contacts: result });
   });
 
-  router.post('/contacts', (req, res) => {
+  router.post('/contacts', async (req, res) => {
     const body = req.body || {};
-    const inviteUrl = sanitizeString(
+    let inviteUrl = sanitizeString(
       body.invite_url || body.inviteUrl || body.web_address || body.webAddress || body.url || '',
       600
     );
@@ -804,6 +847,27 @@ function createDashboardApiRouter(options = {}) {
       return res.status(400).json({ success: false, error: 'invite_url_required' });
     }
 
+    // One-time invites are traded for the real token before the contact is stored.
+    if (A2AClient.isOneTimeInvite(inviteUrl)) {
+      const client = new A2AClient({
+        caller: {
+          name: context.agentContext?.name || 'Dashboard',
+          owner: context.agentContext?.owner || 'Agent Owner',
+          instance: context.config.getAgent?.().hostname || null
+        }
+      });
+      try {
+        inviteUrl = (await client.redeem(inviteUrl)).invite_url;
+      } catch (err) {
+        return res.status(502).json({
+          success: false,
+          error: 'invite_redeem_failed',
+          reason: err.code || null,
+          message: err.message || 'Could not redeem one-time invite'
+        });
+      }
+    }
+
     try {
       const result = context.tokenStore.addContact(inviteUrl, {
         name: name || undefined,
@@ -817,6 +881,18 @@ function createDashboardApiRouter(options = {}) {
       if (!result.success) {
         return res.status(409).json({ success: false, error: result.error || 'contact_add_failed', contact: result.existing || null });
       }
+      // The card is a nice-to-have; an unreachable host still gets added.
+      try {
+        await refreshContactAgentCard(context, result.contact);
+      } catch (err) {
+        context.logger.warn('Could not fetch agent card for new contact', {
+          event: 'contact_agent_card_failed',
+          error: err,
+          error_code: 'CONTACT_AGENT_CARD_FAILED',
+          hint: 'The contact was added; refresh its card once the host is reachable.',
+          data: { contact_id: result.contact.id, host: result.contact.host }
+        });
+      }
       const stored = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: true })
         .find(c => c.id === result.contact.id);
       return res.json({ success: true, contact: stored ? toDashboardContact(stored) : toDashboardContact(result.contact) });
@@ -859,6 +935,30 @@ function createDashboardApiRouter(options = {}) {
     return res.json({ success: true, contact: stored ? toDashboardContact(stored) : toDashboardContact(result.contact) });
   });
 
+  router.post('/contacts/:contactId/agent-card', async (req, res) => {
+    const contactId = sanitizeString(req.params.contactId, 120);
+    if (!contactId) {
+      return res.status(400).json({ success: false, error: 'contact_id_required' });
+    }
+
+    const contact = context.tokenStore.getContact(contactId);
+    if (!contact) {
+      return res.status(404).json({ success: false, error: 'contact_not_found' });
+    }
+
+    try {
+      const card = await refreshContactAgentCard(context, contact);
+      return res.json({ success: true, agent_card: card });
+    } catch (err) {
+      return res.status(502).json({
+        success: false,
+        error: 'agent_card_fetch_failed',
+        reason: err.code || null,
+        message: err.message || 'Could not fetch agent card'
+      });
+    }
+  });
+
   router.delete('/contacts/:contactId', (req, res) => {
     const contactId = sanitizeString(req.params.contactId, 120);
     if (!contactId) {
@@ -900,6 +1000,9 @@ function createDashboardApiRouter(options = {}) {
         name: context.agentContext?.name || 'Dashboard',
         owner: context.agentContext?.owner || 'Agent Owner',
         instance: context.config.getAgent?.().hostname || null
+      },
+      onTokenRotation: (rotation) => {
+        context.tokenStore.updateContact(contact.id, { token: rotation.token, trace_id: rotation.traceId });
       }
     });
 
@@ -911,6 +1014,8 @@ function createDashboardApiRouter(options = {}) {
           contactId: contact.id,
           contactName: contact.name || contact.host,
           tokenId: null,
+          // The tier we granted them, which scopes what this call adds to their memory.
+          tier: (contact.linked_token_id && context.tokenStore.findById(contact.linked_token_id)?.tier) || null,
           direction: 'outbound'
         });
         context.convStore.addMessage(conversationId, {
@@ -952,6 +1057,23 @@ function createDashboardApiRouter(options = {}) {
       });
     } catch (err) {
       context.tokenStore.updateContactStatus(contact.id, 'offline', err.message);
+      // An unreachable contact gets the message later instead of losing it (opt out with queue: false).
+      if (context.outboundQueue && body.queue !== false && isRetryableError(err)) {
+        const item = context.outboundQueue.enqueue({
+          contact,
+          message,
+          callOptions: { conversationId, timeoutSeconds },
+          error: err
+        });
+        return res.status(202).json({
+          success: true,
+          queued: true,
+          queue_id: item.id,
+          conversation_id: conversationId,
+          next_attempt_at: item.next_attempt_at,
+          message: `Contact unreachable (${err.message || 'call failed'}); queued for retry`
+        });
+      }
       return res.status(502).json({
         success: false,
         error: 'contact_call_failed',
@@ -960,6 +1082,42 @@ function createDashboardApiRouter(options = {}) {
     }
   });
 
+  router.get('/queue', (req, res) => {
+    if (!context.outboundQueue) {
+      return res.json({ success: true, items: [], message: 'Conversation storage not enabled' });
+    }
+    const limit = Number.parseInt(req.query.limit || '100', 10) || 100;
+    const status = req.query.status ? sanitizeString(req.query.status, 20) : null;
+    const items = context.convStore.listOutbound({
+      status,
+      contactId: req.query.contact_id ? sanitizeString(req.query.contact_id, 120) : null,
+      limit: Math.min(500, Math.max(1, limit))
+    });
+    return res.json({ success: true, items });
+  });
+
+  router.post('/queue/:itemId/retry', async (req, res) => {
+    if (!context.outboundQueue) {
+      return res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+    }
+    const result = await context.outboundQueue.retry(sanitizeString(req.params.itemId, 80));
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 409).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, item: result.item });
+  });
+
+  router.delete('/queue/:itemId', (req, res) => {
+    if (!context.outboundQueue) {
+      return res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+    }
+    const result = context.outboundQueue.drop(sanitizeString(req.params.itemId, 80));
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 409).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, item: result.item });
+  });
+
   router.get('/contacts/:contactId/calls', (req, res) => {
     if (!context.convStore) {
       return res.json({ success: true, calls: [], message: 'Conversation storage not enabled' });
@@ -992,6 +1150,83 @@ function createDashboardApiRouter(options = {}) {
     return res.json({ success: true, contact, calls });
   });
 
+  function memoryContact(req, res) {
+    if (!context.convStore) {
+      res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+      return null;
+    }
+    const contacts = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: false });
+    const contact = buildContactIndex(contacts).byId.get(sanitizeString(req.params.contactId, 120));
+    if (!contact) {
+      res.status(404).json({ success: false, error: 'contact_not_found' });
+      return null;
+    }
+    return contact;
+  }
+
+  router.get('/contacts/:contactId/memory', (req, res) => {
+    if (!context.convStore) {
+      return res.json({ success: true, memory: null, message: 'Conversation storage not enabled' });
+    }
+    const contact = memoryContact(req, res);
+    if (!contact) return;
+    return res.json({ success: true, memory: findContactMemory(context.convStore, contact) });
+  });
+
+  router.put('/contacts/:contactId/memory/:conversationId', (req, res) => {
+    const contact = memoryContact(req, res);
+    if (!contact) return;
+    const memory = findContactMemory(context.convStore, contact);
+    if (!memory) {
+      return res.status(404).json({ success: false, error: 'not_found' });
+    }
+    const body = req.body || {};
+    const updates = {};
+    if (body.summary !== undefined) updates.summary = sanitizeString(body.summary, 2000);
+    for (const field of ['threads', 'collaborations', 'open_questions']) {
+      if (body[field] === undefined) continue;
+      updates[field] = Array.isArray(body[field])
+        ? body[field].map(item => sanitizeString(item, 300))
+        : body[field];
+    }
+    const result = context.convStore.updateContactMemoryEntry(
+      memory.contact_id,
+      sanitizeString(req.params.conversationId, 120),
+      updates
+    );
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 400).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, memory: result.memory });
+  });
+
+  router.delete('/contacts/:contactId/memory/:conversationId', (req, res) => {
+    const contact = memoryContact(req, res);
+    if (!contact) return;
+    const memory = findContactMemory(context.convStore, contact);
+    if (!memory) {
+      return res.status(404).json({ success: false, error: 'not_found' });
+    }
+    const result = context.convStore.forgetContactMemory(memory.contact_id, sanitizeString(req.params.conversationId, 120));
+    if (!result.success) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, memory: result.memory });
+  });
+
+  router.delete('/contacts/:contactId/memory', (req, res) => {
+    const contact = memoryContact(req, res);
+    if (!contact) return;
+    let forgotten = 0;
+    for (const key of [contact.id, contact.linked_token_id]) {
+      if (key && context.convStore.forgetContactMemory(key).success) forgotten++;
+    }
+    if (!forgotten) {
+      return res.status(404).json({ success: false, error: 'not_found' });
+    }
+    return res.json({ success: true, memory: null });
+  });
+
   router.get('/calls', (req, res) => {
     if (!context.convStore) {
       return res.json({ success: true, calls: [], message: 'Conversation storage not enabled' });
@@ -1015,6 +1250,39 @@ function createDashboardApiRouter(options = {}) {
     return res.json({ success: true, calls: enriched });
   });
 
+  router.get('/search', (req, res) => {
+    if (!context.convStore) {
+      return res.json({ success: true, results: [], message: 'Conversation storage not enabled' });
+    }
+
+    const query = sanitizeString(req.query.q, 500);
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'missing_query' });
+    }
+    const limit = Number.parseInt(req.query.limit || '20', 10) || 20;
+    const results = context.convStore.search(query, {
+      contactId: req.query.contact || null,
+      status: req.query.status || null,
+      since: req.query.since || null,
+      until: req.query.until || null,
+      limit: Math.min(100, Math.max(1, limit)),
+      highlight: [SNIPPET_OPEN, SNIPPET_CLOSE]
+    });
+
+    const contacts = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: false });
+    const contactIndex = buildContactIndex(contacts);
+    return res.json({
+      success: true,
+      query,
+      results: results.map(result => ({
+        ...result,
+        contact: resolveConversationContact(result, contactIndex),
+        // Snippet text is HTML-escaped; matched terms are wrapped in <mark>.
+        matches: result.matches.map(match => ({ ...match, snippet: highlightSnippet(match.snippet) }))
+      }))
+    });
+  });
+
   router.get('/calls/:conversationId', (req, res) => {
     if (!context.convStore) {
       return res.status(404).json({
@@ -1041,6 +1309,84 @@ function createDashboardApiRouter(options = {}) {
     return res.json({ success: true, call: { ...contextData, contact } });
   });
 
+  router.put('/intents/:intentId', (req, res) => {
+    if (!context.convStore) {
+      return res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+    }
+    const intentId = sanitizeString(req.params.intentId, 80);
+    const status = sanitizeString((req.body || {}).status || '', 20);
+    const result = context.convStore.updateIntentStatus(intentId, status);
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 400).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, intent: result.intent });
+  });
+
+  router.get('/action-items', (req, res) => {
+    if (!context.convStore) {
+      return res.json({ success: true, items: [], message: 'Conversation storage not enabled' });
+    }
+    const limit = Number.parseInt(req.query.limit || '200', 10) || 200;
+    const status = req.query.status ? sanitizeString(req.query.status, 20) : 'open';
+    const items = context.convStore.listActionItems({
+      status: status === 'all' ? null : status,
+      owner: req.query.owner ? sanitizeString(req.query.owner, 20) : null,
+      contactId: req.query.contact_id ? sanitizeString(req.query.contact_id, 120) : null,
+      limit: Math.min(500, Math.max(1, limit))
+    });
+
+    const contacts = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: false });
+    const contactIndex = buildContactIndex(contacts);
+    return res.json({
+      success: true,
+      items: items.map(item => ({ ...item, contact: resolveConversationContact(item, contactIndex) }))
+    });
+  });
+
+  router.post('/action-items', (req, res) => {
+    if (!context.convStore) {
+      return res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+    }
+    const body = req.body || {};
+    let contact = null;
+    if (body.contact_id) {
+      const contacts = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: false });
+      contact = buildContactIndex(contacts).byId.get(sanitizeString(body.contact_id, 120)) || null;
+      if (!contact) {
+        return res.status(404).json({ success: false, error: 'contact_not_found' });
+      }
+    }
+    const result = context.convStore.addActionItem({
+      text: sanitizeString(body.text, 500),
+      owner: body.owner ? sanitizeString(body.owner, 20) : 'owner',
+      dueAt: body.due_at ? sanitizeString(body.due_at, 40) : null,
+      conversationId: body.conversation_id ? sanitizeString(body.conversation_id, 120) : null,
+      contactId: contact ? contact.id : null,
+      contactName: contact ? contact.name : null
+    });
+    if (!result.success) {
+      return res.status(result.error === 'conversation_not_found' ? 404 : 400).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, item: result.item });
+  });
+
+  router.put('/action-items/:itemId', (req, res) => {
+    if (!context.convStore) {
+      return res.status(404).json({ success: false, error: 'conversation_storage_disabled' });
+    }
+    const body = req.body || {};
+    const updates = {};
+    if (body.status !== undefined) updates.status = sanitizeString(body.status, 20);
+    if (body.owner !== undefined) updates.owner = sanitizeString(body.owner, 20);
+    if (body.text !== undefined) updates.text = sanitizeString(body.text, 500);
+    if (body.due_at !== undefined) updates.dueAt = body.due_at ? sanitizeString(body.due_at, 40) : null;
+    const result = context.convStore.updateActionItem(sanitizeString(req.params.itemId, 80), updates);
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 400).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, item: result.item });
+  });
+
   router.get('/settings', (req, res) => {
     const cfg = context.config.getAll();
     const manifest = loadManifest();
@@ -1060,6 +1406,7 @@ function createDashboardApiRouter(options = {}) {
         goals: sanitizeStringArray(configTier.goals || []),
         disclosure: configTier.disclosure || 'minimal',
         examples: sanitizeStringArray(configTier.examples || [], 20, 120),
+        rate_limit: configTier.rateLimit || null,
         manifest: {
           topics: manifestTier.topics || [],
           objectives: manifestTier.objectives || [],
@@ -1097,6 +1444,8 @@ function createDashboardApiRouter(options = {}) {
     if (body.examples !== undefined) update.examples = sanitizeStringArray(body.examples, 20, 120);
     if (body.topics !== undefined) update.topics = sanitizeStringArray(body.topics, 200, 160);
     if (body.goals !== undefined) update.goals = sanitizeStringArray(body.goals, 200, 160);
+    if (body.rate_limit !== undefined) update.rateLimit = body.rate_limit;
+    if (body.rateLimit !== undefined) update.rateLimit = body.rateLimit;
 
     try {
       context.config.setTier(tierId, update);
@@ -1249,7 +1598,23 @@ function createDashboardApiRouter(options = {}) {
 
     const allowedTopics = sanitizeStringArray(body.topics || tier.topics || []);
     const allowedGoals = sanitizeStringArray(body.goals || tier.goals || []);
-    const { token, record } = context.tokenStore.create({
+
+    const cidrCheck = parseCidrList(body.allowed_cidrs);
+    if (cidrCheck.error) {
+      return res.status(400).json({ success: false, error: 'invalid_allowed_cidrs', message: cidrCheck.error });
+    }
+    const pinnedInstance = sanitizeString(body.pinned_instance || '', 253) || null;
+    if (pinnedInstance && !TokenStore.normalizeInstance(pinnedInstance)) {
+      return res.status(400).json({ success: false, error: 'invalid_pinned_instance', message: 'Pinned instance must be a hostname or IP address' });
+    }
+
+    const oneTime = body.one_time === true || body.one_time === 'true';
+    const codeTtl = sanitizeString(body.code_ttl || '1d', 20);
+    if (oneTime && !TokenStore.parseDuration(codeTtl)) {
+      return res.status(400).json({ success: false, error: 'invalid_code_ttl', message: 'Code TTL must be a duration such as 1h or 1d' });
+    }
+
+    const tokenOptions = {
       name,
       owner,
       expires,
@@ -1259,11 +1624,19 @@ function createDashboardApiRouter(options = {}) {
       maxCalls,
       allowedTopics: allowedTopics.length ? allowedTopics : null,
       allowedGoals: allowedGoals.length ? allowedGoals : null,
+      allowedCidrs: cidrCheck.cidrs,
+      pinnedInstance,
       tierSettings: {
         tierId,
         ...tier
       }
-    });
+    };
+    // One-time invites carry a short-lived code; the token is minted when the caller redeems it.
+    const created = oneTime
+      ? context.tokenStore.createInviteCode({ ...tokenOptions, codeTtl })
+      : context.tokenStore.create(tokenOptions);
+    const token = oneTime ? created.code : created.token;
+    const record = oneTime ? created.preview : created.record;
 
     const resolvedHost = await resolveInviteHost({
       config: context.config,
@@ -1288,7 +1661,8 @@ function createDashboardApiRouter(options = {}) {
       invite_url: inviteUrl,
       invite_message: message,
       warnings: resolvedHost.warnings || [],
-      token: record
+      token: record,
+      ...(oneTime ? { one_time: true, invite: created.record } : {})
     });
   });
 
@@ -1306,6 +1680,83 @@ function createDashboardApiRouter(options = {}) {
     return res.json({ success: true, token: result.record });
   });
 
+  // Ask whoever holds this token to send a return invite on their next call.
+  router.post('/invites/:tokenId/request-reciprocal', (req, res) => {
+    const tokenId = sanitizeString(req.params.tokenId, 80);
+    const result = context.tokenStore.requestReciprocalInvite(tokenId);
+    if (!result.success) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true, token_id: result.token.id });
+  });
+
+  router.get('/contact-requests', (req, res) => {
+    const status = sanitizeString(req.query.status || 'pending', 20);
+    if (!['pending', 'approved', 'denied'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'invalid_status' });
+    }
+    return res.json({ success: true, requests: context.tokenStore.listContactRequests(status) });
+  });
+
+  router.post('/contact-requests/:requestId/approve', async (req, res) => {
+    const requestId = sanitizeString(req.params.requestId, 80);
+    const pending = context.tokenStore.getContactRequest(requestId);
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'not_found' });
+    }
+    if (pending.status !== 'pending') {
+      return res.status(409).json({ success: false, error: 'already_decided' });
+    }
+
+    // A one-time return invite is redeemed now, so only the real token is stored.
+    let inviteUrl = pending.invite_url;
+    if (A2AClient.isOneTimeInvite(inviteUrl)) {
+      const client = new A2AClient({
+        caller: {
+          name: context.agentContext?.name || 'Dashboard',
+          owner: context.agentContext?.owner || 'Agent Owner',
+          instance: context.config.getAgent?.().hostname || null
+        }
+      });
+      try {
+        inviteUrl = (await client.redeem(inviteUrl)).invite_url;
+      } catch (err) {
+        return res.status(502).json({
+          success: false,
+          error: 'invite_redeem_failed',
+          reason: err.code || null,
+          message: err.message || 'Could not redeem one-time invite'
+        });
+      }
+    }
+
+    const result = context.tokenStore.approveContactRequest(requestId, { inviteUrl });
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+    context.logger.info('Reciprocal contact approved', {
+      event: 'reciprocal_contact_approved',
+      tokenId: result.request.token_id,
+      data: {
+        contact_request_id: requestId,
+        contact_id: result.contact.id,
+        host: result.request.host
+      }
+    });
+    const stored = context.tokenStore.listContacts({ includeLinkedToken: false, includeSecrets: true })
+      .find(c => c.id === result.contact.id);
+    return res.json({ success: true, contact: toDashboardContact(stored || result.contact) });
+  });
+
+  router.post('/contact-requests/:requestId/deny', (req, res) => {
+    const requestId = sanitizeString(req.params.requestId, 80);
+    const result = context.tokenStore.denyContactRequest(requestId);
+    if (!result.success) {
+      return res.status(result.error === 'not_found' ? 404 : 409).json({ success: false, error: result.error });
+    }
+    return res.json({ success: true });
+  });
+
   return router;
 }
 
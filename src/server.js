@@ -13,12 +13,18 @@ const { createRoutes } = require('./routes/a2a');
 const { createDashboardApiRouter, createDashboardUiRouter } = require('./routes/dashboard');
 const { createCallbookRouter } = require('./routes/callbook');
 const { TokenStore } = require('./lib/tokens');
+const { captureRawBody, loadSigningIdentity } = require('./lib/signing');
 const { createRuntimeAdapter } = require('./lib/runtime-adapter');
+const { DISCOVERY_PATH } = require('./lib/protocol');
+const { formatAttachmentsForPrompt } = require('./lib/attachments');
+const { IntentRegistry } = require('./lib/intents');
+const { OutboundQueue } = require('./lib/outbound-queue');
 const { getTopicsForTier, formatTopicsForPrompt, loadManifest } = require('./lib/disclosure');
 const {
   buildConnectionPrompt,
   buildAdaptiveConnectionPrompt,
-  extractCollaborationState
+  extractCollaborationState,
+  createCollaborationStateFilter
 } = require('./lib/prompt-template');
 const { findAvailablePort } = require('./lib/port-scanner');
 const { createLogger } = require('./lib/logger');
@@ -60,6 +66,7 @@ function loadAgentContext() {
 
 const agentContext = loadAgentContext();
 const tokenStore = new TokenStore();
+const intentRegistry = new IntentRegistry();
 const runtime = createRuntimeAdapter({
   workspaceDir,
   agentContext,
@@ -504,16 +511,48 @@ function ensureContact(caller, tokenId) {
   }
 }
 
+/**
+ * What we know about this contact from earlier calls, for the prompt: the
+ * rolling memory and open action items, both limited to what this call's tier may see.
+ * contactId is the contact linked to the calling token, or the token id without one;
+ * items are matched by that id only, never by the contact name callers report.
+ */
+function loadContactContext(contactId, tier) {
+  const convStore = getServerConvStore();
+  if (!convStore || !contactId) return { contactMemory: [], openActionItems: [] };
+  try {
+    const memory = convStore.getContactMemory(contactId, { tier });
+    return {
+      contactMemory: memory ? memory.entries : [],
+      openActionItems: convStore.listActionItems({ exactContactId: contactId, status: 'open', tier, limit: 10 })
+    };
+  } catch (err) {
+    logger.warn('Failed to load contact context', {
+      event: 'contact_context_load_failed',
+      error: err,
+      error_code: 'CONTACT_CONTEXT_LOAD_FAILED',
+      hint: 'Check the conversation database; the call continues without memory or open items.',
+      data: { contact_id: contactId }
+    });
+    return { contactMemory: [], openActionItems: [] };
+  }
+}
+
 /**
  * Spawn OpenClaw sub-agent to handle the call
+ *
+ * @param {object} turn - Optional { onProgress, onDelta } for streaming /invoke,
+ *   timeoutMs and async for long async jobs (never below the default runtime timeout), and
+ *   signal to cancel the runtime call when the caller goes away
  */
-async function callAgent(message, a2aContext) {
+async function callAgent(message, a2aContext, turn = {}) {
   const callerName = a2aContext.caller?.name || 'Unknown Agent';
   const callerOwner = a2aContext.caller?.owner || '';
   const tierInfo = a2aContext.tier || 'public';
   const conversationId = a2aContext.conversation_id || `conv_${Date.now()}`;
   const traceId = a2aContext.trace_id || null;
   const requestId = a2aContext.request_id || null;
+  const attachments = Array.isArray(a2aContext.attachments) ? a2aContext.attachments : [];
   const callLogger = logger.child({
     traceId,
     requestId,
@@ -528,7 +567,10 @@ async function callAgent(message, a2aContext) {
   });
 
   // Auto-add caller as contact
-  ensureContact(a2aContext.caller, a2aContext.token_id);
+  const contact = ensureContact(a2aContext.caller, a2aContext.token_id);
+  // Only the contact linked to the authenticated token; the caller's name is self-reported.
+  const contactKey = contact && contact.linked_token_id === a2aContext.token_id ? contact.id : a2aContext.token_id;
+  const { contactMemory, openActionItems } = loadContactContext(contactKey, tierInfo);
 
   // Build prompt from disclosure manifest
   const manifest = loadManifest();
@@ -565,8 +607,15 @@ async function callAgent(message, a2aContext) {
     accessTier: tierInfo,
     tierTopics: formattedTopics,
     tierGoals,
-    otherAgentGreeting: message,
-    personalityNotes: manifest.personality_notes || ''
+    // The intent and attachments the token allowed ride along with the message text.
+    otherAgentGreeting: [
+      message,
+      a2aContext.intent ? intentRegistry.describe(a2aContext.intent) : '',
+      formatAttachmentsForPrompt(attachments)
+    ].filter(Boolean).join('\n\n'),
+    personalityNotes: manifest.personality_notes || '',
+    contactMemory,
+    openActionItems
   };
 
   const prompt = collabMode === 'adaptive'
@@ -577,6 +626,20 @@ async function callAgent(message, a2aContext) {
     : buildConnectionPrompt(promptOptions);
 
   const sessionId = `a2a-${conversationId}`;
+
+  // Partial text for streaming callers, with collaboration metadata held back.
+  let onOutput;
+  let flushOutput = () => {};
+  if (typeof turn.onDelta === 'function') {
+    const filter = collabMode === 'adaptive' ? createCollaborationStateFilter() : null;
+    const forward = (text) => {
+      if (text) turn.onDelta(text);
+    };
+    onOutput = (chunk) => forward(filter ? filter.push(chunk) : chunk);
+    flushOutput = () => {
+      if (filter) forward(filter.flush());
+    };
+  }
   
   try {
     callLogger.info('Handling inbound call turn', {
@@ -589,21 +652,35 @@ async function callAgent(message, a2aContext) {
       }
     });
 
+      if (typeof turn.onProgress === 'function') {
+        turn.onProgress({ stage: 'runtime_started', runtime: runtime.mode });
+      }
       const rawResponse = await runtime.runTurn({
         sessionId,
         prompt,
         message,
         caller: a2aContext.caller || {},
-        timeoutMs: 65000,
+        timeoutMs: Math.max(65000, Number(turn.timeoutMs) || 0),
+        async: Boolean(turn.async),
+        onOutput,
+        signal: turn.signal,
         context: {
           conversationId,
           tier: tierInfo,
           ownerName: agentContext.owner,
           allowedTopics: a2aContext.allowed_topics || [],
+          tokenId: a2aContext.token_id || null,
+          capabilities: a2aContext.capabilities || [],
+          requiredCapabilities: a2aContext.requested_capabilities || [],
+          intentCapability: a2aContext.intent_capability || null,
+          topic: a2aContext.topic || null,
+          attachments,
+          intent: a2aContext.intent || null,
           traceId,
           requestId
         }
       });
+      flushOutput();
 
     if (collabMode !== 'adaptive') {
       return rawResponse;
@@ -673,6 +750,11 @@ async function callAgent(message, a2aContext) {
       return cleanResponse || '[Sub-agent returned empty response]';
     
   } catch (err) {
+    if (err.code === 'permission_denied' || err.code === 'runtime_busy' || err.name === 'AbortError') {
+      // Never paper over a grant violation with a fallback reply, let a caller turned
+      // away by a full queue retry, and nobody is waiting for a reply after a cancel.
+      throw err;
+    }
     callLogger.error('Runtime turn handling failed; using fallback response', {
       event: 'call_turn_failed_fallback',
       error_code: 'RUNTIME_TURN_FAILED',
@@ -774,14 +856,29 @@ async function notifyOwner({ level, token, caller, message, conversation_id, tra
   });
 }
 
+// Messages to contacts that were unreachable are retried from this process.
+const outboundQueue = getServerConvStore()
+  ? new OutboundQueue({
+    convStore: getServerConvStore(),
+    tokenStore,
+    caller: { name: agentContext.name, owner: agentContext.owner },
+    signingIdentity: () => loadSigningIdentity(tokenStore.configDir),
+    notifyOwner,
+    logger: logger.child({ component: 'a2a.outbound-queue' })
+  })
+  : null;
+
 const app = express();
-app.use(express.json());
+// Room for a full-size message plus base64 attachments (see src/lib/attachments.js).
+app.use(express.json({ limit: '256kb', verify: captureRawBody }));
 
 // Minimal owner dashboard (local by default unless A2A_ADMIN_TOKEN is provided)
 // All routes under /api/a2a/* so reverse proxy config stays simple.
 app.use('/api/a2a/dashboard', createDashboardApiRouter({
   tokenStore,
   agentContext,
+  outboundQueue,
+  runtimeStats: () => runtime.stats(),
   logger: logger.child({ component: 'a2a.dashboard' })
 }));
 app.use('/api/a2a/dashboard', createDashboardUiRouter({
@@ -802,8 +899,16 @@ app.use('/dashboard', createDashboardUiRouter({
 }));
 app.use('/callbook', createCallbookRouter());
 
+// Discovery document at the conventional root path; the A2A router below serves it.
+app.get(DISCOVERY_PATH, (req, res, next) => {
+  req.url = `/api/a2a${DISCOVERY_PATH}`;
+  next();
+});
+
 app.use('/api/a2a', createRoutes({
   tokenStore,
+  agentContext,
+  intents: intentRegistry,
   logger: logger.child({ component: 'a2a.routes' }),
   
   async handleMessage(message, context, options) {
@@ -821,7 +926,13 @@ app.use('/api/a2a', createRoutes({
       }
     });
 
-    const response = await callAgent(message, context);
+    const response = await callAgent(message, context, {
+      onProgress: options?.onProgress,
+      onDelta: options?.onDelta,
+      timeoutMs: options?.async ? options.timeout : undefined,
+      async: Boolean(options?.async),
+      signal: options?.signal
+    });
 
     // Check close conditions from collab state
     const collabState = collaborationSessions.get(conversationId);
@@ -922,6 +1033,10 @@ async function startServer() {
     }
     throw err;
   });
+
+  if (outboundQueue) {
+    outboundQueue.start();
+  }
 }
 
 startServer();
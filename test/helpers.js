@@ -100,6 +100,7 @@ function writeA2AConfig(dir, config) {
 function createTestApp(options = {}) {
   delete require.cache[require.resolve('../src/routes/a2a')];
   delete require.cache[require.resolve('../src/lib/tokens')];
+  delete require.cache[require.resolve('../src/lib/config')];
 
   const express = require('express');
   const { createRoutes } = require('../src/routes/a2a');
@@ -109,7 +110,8 @@ function createTestApp(options = {}) {
   const tokenStore = new TokenStore(dir);
 
   const app = express();
-  app.use(express.json({ limit: '100kb' }));
+  const { captureRawBody } = require('../src/lib/signing');
+  app.use(express.json({ limit: '256kb', verify: captureRawBody }));
 
   const handleMessage = options.handleMessage || async function (message, context) {
     return {
@@ -118,11 +120,26 @@ function createTestApp(options = {}) {
     };
   };
 
+  // Same root alias for the discovery document as src/server.js.
+  app.get('/.well-known/a2a.json', (req, res, next) => {
+    req.url = '/api/a2a/.well-known/a2a.json';
+    next();
+  });
+
   app.use('/api/a2a', createRoutes({
     tokenStore,
     handleMessage,
     notifyOwner: options.notifyOwner || (() => Promise.resolve()),
-    summarizer: options.summarizer || null
+    summarizer: options.summarizer || null,
+    rateLimits: options.rateLimits,
+    idempotency: options.idempotency,
+    requireSignatures: options.requireSignatures,
+    trustedProxies: options.trustedProxies,
+    clientRateLimits: options.clientRateLimits,
+    resolveHost: options.resolveHost,
+    allowPrivateCallbacks: options.allowPrivateCallbacks,
+    conversationStore: options.conversationStore,
+    jobCallbackRetryMs: options.jobCallbackRetryMs
   }));
 
   return { app, tokenStore, dir, cleanup };
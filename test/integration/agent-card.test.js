@@ -0,0 +1,79 @@
+/**
+ * Agent Card Integration Tests
+ *
+ * Covers: the card served in /status and the discovery document (public-tier
+ * topics only), and A2AClient fetching it for caching on a contact.
+ */
+
+module.exports = function (test, assert, helpers) {
+  const http = require('http');
+
+  // createTestApp points A2A_CONFIG_DIR at a fresh directory; reload the
+  // config and disclosure modules so they write there too.
+  function writeProfile() {
+    delete require.cache[require.resolve('../../src/lib/config')];
+    delete require.cache[require.resolve('../../src/lib/disclosure')];
+    const { A2AConfig } = require('../../src/lib/config');
+    const { saveManifest } = require('../../src/lib/disclosure');
+
+    new A2AConfig().setAgent({
+      name: 'Golda',
+      description: 'Scheduling help',
+      languages: ['en', 'fr'],
+      availability: { timezone: 'Europe/Paris', hours: '09-18 weekdays' },
+      contact_policy: { mode: 'open', note: 'Introduce yourself' }
+    });
+    saveManifest({
+      tiers: {
+        public: { topics: [{ topic: 'Scheduling', description: 'Finding a time' }] },
+        friends: { topics: [{ topic: 'Family plans', description: 'Private' }] }
+      }
+    });
+  }
+
+  test('/status and the discovery document carry the agent card', async () => {
+    const appCtx = helpers.createTestApp();
+    writeProfile();
+    const client = helpers.request(appCtx.app);
+
+    const status = await client.get('/api/a2a/status');
+    const card = status.body.agent_card;
+    assert.equal(card.name, 'Golda');
+    assert.equal(card.description, 'Scheduling help');
+    assert.deepEqual(card.languages, ['en', 'fr']);
+    assert.deepEqual(card.topics.map(t => t.topic), ['Scheduling']);
+    assert.equal(card.availability.hours, '09-18 weekdays');
+    assert.equal(card.contact_policy.mode, 'open');
+
+    const discovery = await client.get('/.well-known/a2a.json');
+    assert.deepEqual(discovery.body.agent_card, card);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('client fetches the card and the contact caches it', async () => {
+    const appCtx = helpers.createTestApp();
+    writeProfile();
+    const server = await new Promise((resolve) => {
+      const s = http.createServer(appCtx.app);
+      s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const host = `127.0.0.1:${server.address().port}`;
+    const { token } = appCtx.tokenStore.create({ name: 'Card Reader' });
+    const { A2AClient } = require('../../src/lib/client');
+
+    const card = await new A2AClient().fetchAgentCard(`a2a://${host}/${token}`);
+    assert.equal(card.name, 'Golda');
+
+    const added = appCtx.tokenStore.addContact(`a2a://${host}/${token}`, { name: 'Golda' });
+    appCtx.tokenStore.updateContact(added.contact.id, { agent_card: { ...card, avatar_url: 'data:image/png;base64,AAAA' } });
+    const stored = appCtx.tokenStore.getContact(added.contact.id);
+    assert.equal(stored.agent_card.description, 'Scheduling help');
+    assert.equal(stored.agent_card.avatar_url, null);
+    assert.ok(stored.agent_card_fetched_at);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+};
@@ -0,0 +1,308 @@
+/**
+ * Async Invoke Integration Tests
+ *
+ * Covers: mode "async" returning 202 + job id, polling /jobs/:id without
+ * spending calls, signed callbacks accepted only from the pinned key, callbacks
+ * refused for loopback/private/multicast hosts and sent to the address that
+ * was checked, and queued jobs resuming when the routes start again.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-jobs');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  function listen(app) {
+    return new Promise((resolve) => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  }
+
+  async function waitFor(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const value = await check();
+      if (value) return value;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+  }
+
+  test('async invoke returns a job that polling resolves without spending calls', async () => {
+    const conv = conversationStore();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Slow Caller', maxCalls: 1 });
+    const { token: otherToken } = appCtx.tokenStore.create({ name: 'Someone Else' });
+
+    const queued = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'take your time', mode: 'async' }
+    });
+    assert.equal(queued.statusCode, 202);
+    assert.match(queued.body.job_id, /^job_/);
+    assert.equal(queued.body.poll_url, `/api/a2a/jobs/${queued.body.job_id}`);
+    assert.ok(queued.body.conversation_id);
+
+    const done = await waitFor(async () => {
+      const res = await client.get(queued.body.poll_url, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      assert.equal(res.statusCode, 200);
+      return res.body.status === 'completed' ? res.body : null;
+    });
+    assert.equal(done.response, 'Echo from test: take your time');
+    assert.equal(done.conversation_id, queued.body.conversation_id);
+    assert.ok(done.completed_at);
+
+    const stored = conv.store.getConversation(queued.body.conversation_id);
+    assert.deepEqual(stored.messages.map(m => m.role), ['user', 'assistant']);
+
+    const foreign = await client.get(queued.body.poll_url, {
+      headers: { Authorization: `Bearer ${otherToken}` }
+    });
+    assert.equal(foreign.statusCode, 404);
+
+    // The single call was spent on the invoke, not on polling.
+    const again = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'one more' }
+    });
+    assert.equal(again.statusCode, 401);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('async mode rejects bad modes, callbacks and streaming', async () => {
+    const conv = conversationStore();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Caller' });
+    const invoke = (body, headers = {}) => client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+      body: { message: 'hi', ...body }
+    });
+
+    assert.equal((await invoke({ mode: 'later' })).body.error, 'invalid_mode');
+    assert.equal((await invoke({ mode: 'async', stream: true })).body.error, 'invalid_mode');
+    assert.equal((await invoke({ callback: 'a2a://bob.example.com' })).body.error, 'invalid_callback');
+    const badHost = await invoke({ mode: 'async', callback: 'https://bob.example.com/steal?x=1' });
+    assert.equal(badHost.statusCode, 400);
+    assert.equal(badHost.body.error, 'invalid_callback');
+    for (const host of ['127.0.0.1:3001', 'localhost', '10.0.0.5', '169.254.169.254', '[::1]:80']) {
+      const internal = await invoke({ mode: 'async', callback: `a2a://${host}` });
+      assert.equal(internal.statusCode, 400);
+      assert.equal(internal.body.error, 'invalid_callback');
+    }
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('callback is signed by the callee and accepted only from the pinned key', async () => {
+    const callerConv = conversationStore();
+    const callerCtx = helpers.createTestApp({ conversationStore: callerConv.store });
+    const callerServer = await listen(callerCtx.app);
+    const callerHost = `127.0.0.1:${callerServer.address().port}`;
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const calleeConv = conversationStore();
+    const calleeCtx = helpers.createTestApp({
+      conversationStore: calleeConv.store,
+      jobCallbackRetryMs: [],
+      allowPrivateCallbacks: true,
+      handleMessage: async (message) => {
+        await gate;
+        return { text: `Done: ${message}`, canContinue: true };
+      }
+    });
+    const calleeServer = await listen(calleeCtx.app);
+    const calleeHost = `127.0.0.1:${calleeServer.address().port}`;
+    const { token } = calleeCtx.tokenStore.create({ name: 'Caller' });
+
+    const { A2AClient } = require('../../src/lib/client');
+    const queued = await new A2AClient({ caller: { name: 'Caller' } }).call(
+      `a2a://${calleeHost}/${token}`,
+      'long task',
+      { mode: 'async', callback: `a2a://${callerHost}` }
+    );
+    assert.equal(queued.callback.host, callerHost);
+    assert.ok(queued.callback.signer.fingerprint);
+
+    // What `a2a call --async --callback` records before the result can arrive.
+    callerConv.store.startConversation({ id: queued.conversation_id, direction: 'outbound' });
+    callerConv.store.createJob({
+      id: queued.job_id,
+      direction: 'outbound',
+      conversationId: queued.conversation_id,
+      remoteHost: calleeHost,
+      signerFingerprint: queued.callback.signer.fingerprint
+    });
+
+    const caller = helpers.request(callerCtx.app);
+    const unsigned = await caller.post('/api/a2a/callback', {
+      body: { job_id: queued.job_id, status: 'completed', response: 'forged' }
+    });
+    assert.equal(unsigned.statusCode, 401);
+    assert.equal(unsigned.body.error, 'signature_required');
+
+    const crypto = require('crypto');
+    const { signRequest } = require('../../src/lib/signing');
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const impostor = {
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64')
+    };
+    const forgedBody = { job_id: queued.job_id, status: 'completed', response: 'forged' };
+    const forged = await caller.post('/api/a2a/callback', {
+      headers: signRequest(impostor, { method: 'POST', path: '/api/a2a/callback', body: JSON.stringify(forgedBody) }),
+      body: forgedBody
+    });
+    assert.equal(forged.statusCode, 401);
+    assert.equal(forged.body.error, 'key_mismatch');
+
+    release();
+    const job = await waitFor(() => {
+      const current = callerConv.store.getJob(queued.job_id);
+      return current.status === 'completed' ? current : null;
+    });
+    assert.equal(job.result.response, 'Done: long task');
+    const conversation = callerConv.store.getConversation(queued.conversation_id);
+    assert.equal(conversation.messages[0].content, 'Done: long task');
+
+    const delivered = await waitFor(() => {
+      const inbound = calleeConv.store.getJob(queued.job_id);
+      return inbound.callback_status === 'delivered' ? inbound : null;
+    });
+    assert.equal(delivered.callback_attempts, 1);
+
+    await caller.close();
+    await new Promise(resolve => calleeServer.close(resolve));
+    await new Promise(resolve => callerServer.close(resolve));
+    calleeCtx.cleanup();
+    callerCtx.cleanup();
+    calleeConv.cleanup();
+    callerConv.cleanup();
+  });
+
+  test('callbacks are never sent to a name that resolves to a private address', async () => {
+    const conv = conversationStore();
+    const lookups = [];
+    const appCtx = helpers.createTestApp({
+      conversationStore: conv.store,
+      jobCallbackRetryMs: [],
+      resolveHost: async (hostname) => {
+        lookups.push(hostname);
+        return ['10.0.0.5'];
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Rebinder' });
+
+    const queued = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hi', mode: 'async', callback: 'a2a://internal.example.com' }
+    });
+    assert.equal(queued.statusCode, 202);
+    const failed = await waitFor(() => {
+      const job = conv.store.getJob(queued.body.job_id);
+      return job.callback_status === 'failed' ? job : null;
+    });
+    assert.equal(failed.status, 'completed');
+    assert.deepEqual(lookups, ['internal.example.com']);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('a callback is delivered to the address that passed the check', async () => {
+    const { A2AClient } = require('../../src/lib/client');
+    const conv = conversationStore();
+    const answers = [['198.51.100.7'], ['10.0.0.5']];
+    const lookups = [];
+    const appCtx = helpers.createTestApp({
+      conversationStore: conv.store,
+      jobCallbackRetryMs: [],
+      resolveHost: async (hostname) => {
+        lookups.push(hostname);
+        return answers.shift() || ['ff02::1'];
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Rebinder' });
+    const sent = [];
+    const originalSend = A2AClient.prototype.sendJobCallback;
+    A2AClient.prototype.sendJobCallback = async (host, payload, options) => {
+      sent.push({ host, address: options.address });
+      return { success: true };
+    };
+    try {
+      const queue = (callback) => client.post('/api/a2a/invoke', {
+        headers: { Authorization: `Bearer ${token}` },
+        body: { message: 'hi', mode: 'async', callback }
+      });
+      const first = await queue('a2a://bob.example.com');
+      const delivered = await waitFor(() => {
+        const job = conv.store.getJob(first.body.job_id);
+        return job.callback_status === 'delivered' ? job : null;
+      });
+      assert.ok(delivered);
+      // The request connects to the checked address, never to a fresh lookup.
+      assert.deepEqual(sent, [{ host: 'bob.example.com', address: '198.51.100.7' }]);
+
+      for (const callback of ['a2a://rebound.example.com', 'a2a://multicast.example.com']) {
+        const queued = await queue(callback);
+        await waitFor(() => {
+          const job = conv.store.getJob(queued.body.job_id);
+          return job.callback_status === 'failed' ? job : null;
+        });
+      }
+      assert.equal(sent.length, 1);
+      assert.equal(lookups.length, 3);
+    } finally {
+      A2AClient.prototype.sendJobCallback = originalSend;
+    }
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('queued jobs left by a restart run when the routes start', async () => {
+    const conv = conversationStore();
+    conv.store.startConversation({ id: 'conv_restart', tokenId: 'tok_restart', direction: 'inbound' });
+    const job = conv.store.createJob({
+      conversationId: 'conv_restart',
+      tokenId: 'tok_restart',
+      status: 'running',
+      message: 'are you still there?',
+      context: {
+        a2a: { mode: 'a2a', conversation_id: 'conv_restart', token_id: 'tok_restart' },
+        token: { id: 'tok_restart', name: 'Restart', tier: 'public', notify: 'none' },
+        caller: { name: 'Patient' },
+        context: null
+      },
+      timeoutMs: 60000
+    });
+
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store });
+    const finished = await waitFor(() => {
+      const current = conv.store.getJob(job.id);
+      return current.status === 'completed' ? current : null;
+    });
+    assert.equal(finished.result.response, 'Echo from test: are you still there?');
+    assert.ok(finished.started_at);
+
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * Caller Restriction Integration Tests
+ *
+ * Covers: allowed_cidrs and pinned_instance enforcement on /invoke,
+ * trusted-proxy X-Forwarded-For handling, and denial log codes.
+ * Test requests arrive from loopback, which is a trusted proxy, so
+ * X-Forwarded-For stands in for the real caller address.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function denialLogs(dir) {
+    const { createLogger } = require('../../src/lib/logger');
+    return createLogger({ configDir: dir, stdout: false }).list({ event: 'caller_source_denied' });
+  }
+
+  function invoke(client, token, forwardedFor, body = {}) {
+    return client.post('/api/a2a/invoke', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {})
+      },
+      body: { message: 'hello', ...body }
+    });
+  }
+
+  test('allowed_cidrs admits listed networks and rejects others before counting', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { token, record } = appCtx.tokenStore.create({
+      name: 'Office only',
+      allowedCidrs: ['203.0.113.0/24']
+    });
+
+    const allowed = await invoke(client, token, '203.0.113.9');
+    assert.equal(allowed.statusCode, 200);
+
+    const denied = await invoke(client, token, '198.51.100.4');
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.body.error, 'caller_not_allowed');
+    assert.equal(appCtx.tokenStore.findById(record.id).calls_made, 1);
+
+    const logs = denialLogs(appCtx.dir);
+    assert.equal(logs[0].error_code, 'CALLER_IP_NOT_ALLOWED');
+    assert.equal(logs[0].data.client_host, '198.51.100.4');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('spoofed X-Forwarded-For from an untrusted hop is ignored', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({
+      name: 'Office only',
+      allowedCidrs: ['203.0.113.0/24']
+    });
+
+    // The caller claims an office address, but the hop that reached our proxy is outside it.
+    const res = await invoke(client, token, '203.0.113.9, 198.51.100.4');
+    assert.equal(res.statusCode, 403);
+    assert.equal(denialLogs(appCtx.dir)[0].data.client_host, '198.51.100.4');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('pinned_instance requires a matching caller address and declared instance', async () => {
+    const appCtx = helpers.createTestApp({
+      resolveHost: async (hostname) => (hostname === 'alice.example.com' ? ['203.0.113.20'] : [])
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({
+      name: 'Alice',
+      pinnedInstance: 'alice.example.com'
+    });
+
+    const ok = await invoke(client, token, '203.0.113.20', { caller: { instance: 'alice.example.com' } });
+    assert.equal(ok.statusCode, 200);
+
+    const wrongHost = await invoke(client, token, '198.51.100.4');
+    assert.equal(wrongHost.statusCode, 403);
+
+    const wrongInstance = await invoke(client, token, '203.0.113.20', { caller: { instance: 'mallory.example.com' } });
+    assert.equal(wrongInstance.statusCode, 403);
+
+    const codes = denialLogs(appCtx.dir).map(l => l.error_code);
+    assert.includes(codes, 'CALLER_HOST_NOT_PINNED');
+    assert.includes(codes, 'CALLER_INSTANCE_MISMATCH');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+};
@@ -0,0 +1,102 @@
+/**
+ * Capability Enforcement Integration Tests
+ *
+ * Covers: permission_denied on /invoke, downgrade mode, the grant passed to
+ * the handler, and capability decisions recorded in the log store.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function capabilityLogs(dir) {
+    const { createLogger } = require('../../src/lib/logger');
+    return createLogger({ configDir: dir, stdout: false }).list({ event: 'capability_check' });
+  }
+
+  test('invoke outside the token grant returns permission_denied and is logged', async () => {
+    let handled = 0;
+    const appCtx = helpers.createTestApp({
+      handleMessage: async () => {
+        handled++;
+        return { text: 'should not run', canContinue: true };
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token, record } = appCtx.tokenStore.create({ name: 'Public', permissions: 'public' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'What is on the calendar?', capabilities: ['calendar.read'] }
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'permission_denied');
+    assert.deepEqual(res.body.denied, ['calendar.read']);
+    assert.equal(handled, 0);
+
+    const logs = capabilityLogs(appCtx.dir);
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].token_id, record.id);
+    assert.equal(logs[0].error_code, 'CAPABILITY_DENIED');
+    assert.equal(logs[0].data.decision, 'deny');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('downgrade continues with the granted subset only', async () => {
+    let seenContext = null;
+    const appCtx = helpers.createTestApp({
+      handleMessage: async (message, context) => {
+        seenContext = context;
+        return { text: 'ok', canContinue: true };
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Friend', permissions: 'friends' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: {
+        message: 'Check calendar and run a tool',
+        capabilities: ['calendar.read', 'tools'],
+        on_denied: 'downgrade'
+      }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.permissions.decision, 'downgrade');
+    assert.deepEqual(res.body.permissions.denied, ['tools']);
+    assert.deepEqual(seenContext.requested_capabilities, ['calendar.read']);
+    assert.equal(seenContext.capability_decision, 'downgrade');
+
+    const logs = capabilityLogs(appCtx.dir);
+    assert.equal(logs[0].data.decision, 'downgrade');
+    assert.deepEqual(logs[0].data.denied, ['tools']);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('a handler that exceeds the grant is answered with permission_denied', async () => {
+    const { assertGranted } = require('../../src/lib/capabilities');
+    const appCtx = helpers.createTestApp({
+      handleMessage: async (message, context) => {
+        assertGranted(['email.read'], context.capabilities);
+        return { text: 'leaked', canContinue: true };
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Public', permissions: 'public' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hello' }
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'permission_denied');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+};
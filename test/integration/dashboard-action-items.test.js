@@ -0,0 +1,64 @@
+/**
+ * Dashboard Action Items API Integration Tests
+ *
+ * Verifies listing, adding and completing action items through the dashboard.
+ */
+
+module.exports = function (test, assert, helpers) {
+  test('action items can be listed, added and marked done', async () => {
+    const tmp = helpers.tmpConfigDir('dash-todo');
+    delete require.cache[require.resolve('../../src/routes/dashboard')];
+    delete require.cache[require.resolve('../../src/lib/tokens')];
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+
+    const express = require('express');
+    const { createDashboardApiRouter } = require('../../src/routes/dashboard');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const { ConversationStore } = require('../../src/lib/conversations');
+
+    const tokenStore = new TokenStore(tmp.dir);
+    const { contact } = tokenStore.addContact('a2a://bramble.example.com/fed_bramble1', { name: 'Bramble' });
+    const convStore = new ConversationStore(tmp.dir);
+    convStore.startConversation({ id: 'conv_grant', contactId: contact.id, contactName: 'Bramble', direction: 'inbound' });
+    convStore.addMessage('conv_grant', { direction: 'inbound', role: 'user', content: 'Shall we apply together?' });
+    await convStore.concludeConversation('conv_grant', {
+      summarizer: async () => ({ summary: 'Grant talk.', ownerActionItems: ['Draft the budget'] })
+    });
+
+    const app = express();
+    app.use('/api/a2a/dashboard', createDashboardApiRouter({ tokenStore, convStore }));
+    const client = helpers.request(app);
+
+    const listed = await client.get('/api/a2a/dashboard/action-items');
+    assert.equal(listed.statusCode, 200);
+    assert.equal(listed.body.items.length, 1);
+    assert.equal(listed.body.items[0].text, 'Draft the budget');
+    assert.equal(listed.body.items[0].contact.name, 'Bramble');
+
+    const added = await client.post('/api/a2a/dashboard/action-items', {
+      body: { text: 'Send the orchard photos', contact_id: contact.id, due_at: '2026-03-01' }
+    });
+    assert.equal(added.statusCode, 200);
+    assert.equal(added.body.item.contact_name, 'Bramble');
+
+    const bad = await client.post('/api/a2a/dashboard/action-items', { body: { text: 'x', due_at: 'someday' } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(bad.body.error, 'invalid_due');
+
+    const done = await client.put(`/api/a2a/dashboard/action-items/${added.body.item.id}`, { body: { status: 'done' } });
+    assert.equal(done.statusCode, 200);
+    assert.equal(done.body.item.status, 'done');
+
+    const open = await client.get('/api/a2a/dashboard/action-items?status=open');
+    assert.deepEqual(open.body.items.map(i => i.text), ['Draft the budget']);
+    const all = await client.get('/api/a2a/dashboard/action-items?status=all');
+    assert.equal(all.body.items.length, 2);
+
+    const missing = await client.put('/api/a2a/dashboard/action-items/act_missing', { body: { status: 'done' } });
+    assert.equal(missing.statusCode, 404);
+
+    await client.close();
+    convStore.close();
+    tmp.cleanup();
+  });
+};
@@ -0,0 +1,66 @@
+/**
+ * Dashboard Contact Memory API Integration Tests
+ *
+ * Verifies viewing, editing, forgetting and wiping a contact's memory
+ * through the dashboard.
+ */
+
+module.exports = function (test, assert, helpers) {
+  test('contact memory can be viewed, edited, forgotten and wiped', async () => {
+    const tmp = helpers.tmpConfigDir('dash-memory');
+    delete require.cache[require.resolve('../../src/routes/dashboard')];
+    delete require.cache[require.resolve('../../src/lib/tokens')];
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+
+    const express = require('express');
+    const { createDashboardApiRouter } = require('../../src/routes/dashboard');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const { ConversationStore } = require('../../src/lib/conversations');
+
+    const tokenStore = new TokenStore(tmp.dir);
+    const { contact } = tokenStore.addContact('a2a://bramble.example.com/fed_bramble1', { name: 'Bramble' });
+    const convStore = new ConversationStore(tmp.dir);
+    for (const id of ['conv_one', 'conv_two']) {
+      convStore.startConversation({ id, contactId: contact.id, contactName: 'Bramble', direction: 'outbound', tier: 'friends' });
+      convStore.addMessage(id, { direction: 'outbound', role: 'assistant', content: 'Shall we apply together?' });
+      await convStore.concludeConversation(id, { summarizer: async () => ({ summary: `Grant talk (${id}).` }) });
+    }
+
+    const app = express();
+    app.use('/api/a2a/dashboard', createDashboardApiRouter({ tokenStore, convStore }));
+    const client = helpers.request(app);
+    const base = `/api/a2a/dashboard/contacts/${contact.id}/memory`;
+
+    const viewed = await client.get(base);
+    assert.equal(viewed.statusCode, 200);
+    assert.deepEqual(viewed.body.memory.entries.map(e => e.summary), ['Grant talk (conv_one).', 'Grant talk (conv_two).']);
+
+    const edited = await client.put(`${base}/conv_one`, {
+      body: { summary: 'Owner notes on the grant.', open_questions: ['Budget owner?'] }
+    });
+    assert.equal(edited.statusCode, 200);
+    const entry = edited.body.memory.entries.find(e => e.conversation_id === 'conv_one');
+    assert.equal(entry.summary, 'Owner notes on the grant.');
+    assert.deepEqual(entry.open_questions, ['Budget owner?']);
+    assert.equal(entry.edited, true);
+
+    const bad = await client.put(`${base}/conv_one`, { body: { threads: 'grant' } });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(bad.body.error, 'invalid_threads');
+
+    const forgot = await client.delete(`${base}/conv_two`);
+    assert.equal(forgot.statusCode, 200);
+    assert.deepEqual(forgot.body.memory.entries.map(e => e.conversation_id), ['conv_one']);
+    assert.equal((await client.delete(`${base}/conv_two`)).statusCode, 404);
+
+    const wiped = await client.delete(base);
+    assert.equal(wiped.statusCode, 200);
+    assert.equal((await client.get(base)).body.memory, null);
+    assert.equal((await client.delete(base)).statusCode, 404);
+    assert.equal((await client.get('/api/a2a/dashboard/contacts/contact_missing/memory')).statusCode, 404);
+
+    await client.close();
+    convStore.close();
+    tmp.cleanup();
+  });
+};
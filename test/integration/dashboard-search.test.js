@@ -0,0 +1,55 @@
+/**
+ * Dashboard Search API Integration Tests
+ *
+ * Verifies full-text search over call history with escaped, highlighted snippets.
+ */
+
+module.exports = function (test, assert, helpers) {
+  test('GET /search returns matching calls with highlighted snippets', async () => {
+    const tmp = helpers.tmpConfigDir('dash-search');
+    delete require.cache[require.resolve('../../src/routes/dashboard')];
+    delete require.cache[require.resolve('../../src/lib/tokens')];
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+
+    const express = require('express');
+    const { createDashboardApiRouter } = require('../../src/routes/dashboard');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const { ConversationStore } = require('../../src/lib/conversations');
+
+    const tokenStore = new TokenStore(tmp.dir);
+    tokenStore.addContact('a2a://bramble.example.com/fed_bramble1', { name: 'Bramble' });
+    const convStore = new ConversationStore(tmp.dir);
+    convStore.startConversation({ id: 'conv_grant', contactName: 'Bramble', direction: 'inbound' });
+    convStore.addMessage('conv_grant', {
+      direction: 'inbound',
+      role: 'user',
+      content: 'The <script> grant funding came through'
+    });
+
+    const app = express();
+    app.use('/api/a2a/dashboard', createDashboardApiRouter({ tokenStore, convStore }));
+    const client = helpers.request(app);
+
+    const res = await client.get('/api/a2a/dashboard/search?q=grant');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.results.length, 1);
+    assert.equal(res.body.results[0].id, 'conv_grant');
+    assert.equal(res.body.results[0].contact.name, 'Bramble');
+    assert.equal(
+      res.body.results[0].matches[0].snippet,
+      'The &lt;script&gt; <mark>grant</mark> funding came through'
+    );
+
+    const none = await client.get('/api/a2a/dashboard/search?q=telescope');
+    assert.equal(none.body.results.length, 0);
+
+    const missing = await client.get('/api/a2a/dashboard/search');
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.error, 'missing_query');
+
+    await client.close();
+    convStore.close();
+    tmp.cleanup();
+  });
+};
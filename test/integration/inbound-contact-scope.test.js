@@ -0,0 +1,92 @@
+/**
+ * Inbound Contact Scope Integration Tests
+ *
+ * Covers: inbound calls being recorded under the contact linked to the
+ * authenticated token, so a second token that claims an existing contact's
+ * name gets its own contact and none of the first contact's memory or open
+ * action items.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-contact-scope');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  test('a token claiming another contact\'s name gets no memory of it', async () => {
+    const conv = conversationStore();
+    const appCtx = helpers.createTestApp({
+      conversationStore: conv.store,
+      handleMessage: async () => ({ text: 'Noted.', canContinue: true })
+    });
+    const client = helpers.request(appCtx.app);
+    const bramble = appCtx.tokenStore.create({ name: 'Bramble', permissions: 'friends' });
+    const stranger = appCtx.tokenStore.create({ name: 'Stranger', permissions: 'friends' });
+    const invoke = (token, conversationId) => client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'About the orchard grant', conversation_id: conversationId, caller: { name: 'Bramble', owner: 'Bea' } }
+    });
+
+    assert.equal((await invoke(bramble.token, 'conv_bramble')).statusCode, 200);
+    await conv.store.concludeConversation('conv_bramble', {
+      summarizer: async () => ({ summary: 'Bramble shared the grant budget.' })
+    });
+    const brambleId = conv.store.getConversation('conv_bramble').contact_id;
+    assert.equal(conv.store.getContactMemory(brambleId).entries.length, 1);
+
+    assert.equal((await invoke(stranger.token, 'conv_stranger')).statusCode, 200);
+    const strangerId = conv.store.getConversation('conv_stranger').contact_id;
+    assert.ok(strangerId !== brambleId);
+    assert.equal(conv.store.getContactMemory(strangerId), null);
+
+    const contacts = appCtx.tokenStore.listContacts();
+    assert.equal(contacts.length, 2);
+    assert.deepEqual(contacts.map(c => c.linked_token_id).sort(), [bramble.record.id, stranger.record.id].sort());
+    assert.equal(contacts.find(c => c.id === brambleId).linked_token_id, bramble.record.id);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('open action items stay with the token\'s own contact', async () => {
+    const conv = conversationStore();
+    const appCtx = helpers.createTestApp({
+      conversationStore: conv.store,
+      handleMessage: async () => ({ text: 'Noted.', canContinue: true })
+    });
+    const client = helpers.request(appCtx.app);
+    const bramble = appCtx.tokenStore.create({ name: 'Bramble', permissions: 'friends' });
+    const stranger = appCtx.tokenStore.create({ name: 'Stranger', permissions: 'friends' });
+    const invoke = (token, conversationId, name) => client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'Follow-ups?', conversation_id: conversationId, caller: { name } }
+    });
+    const conclude = (id, text) => conv.store.concludeConversation(id, {
+      summarizer: async () => ({ summary: 'Agreed next steps.', ownerActionItems: [text] })
+    });
+
+    await invoke(bramble.token, 'conv_bramble', 'Bramble');
+    await conclude('conv_bramble', 'Send Bramble the budget');
+    const brambleId = conv.store.getConversation('conv_bramble').contact_id;
+
+    // The stranger reports Bramble's contact id as its name, then Bramble's name.
+    await invoke(stranger.token, 'conv_stranger', brambleId);
+    await conclude('conv_stranger', 'Planted by the stranger');
+    await invoke(stranger.token, 'conv_stranger_2', 'Bramble');
+    const strangerId = conv.store.getConversation('conv_stranger_2').contact_id;
+
+    const open = (exactContactId) => conv.store.listActionItems({ exactContactId, status: 'open', tier: 'friends' })
+      .map(item => item.text);
+    assert.deepEqual(open(brambleId), ['Send Bramble the budget']);
+    assert.deepEqual(open(strangerId), ['Planted by the stranger']);
+    // The owner-facing filter still matches by name as well.
+    assert.equal(conv.store.listActionItems({ contactId: brambleId }).length, 2);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+};
@@ -0,0 +1,84 @@
+/**
+ * Invite Redemption Integration Tests
+ *
+ * Covers: /redeem trading a one-time code for a working token, burning the
+ * code on first use, expired codes, and the per-address limit on guesses.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function redeem(client, code, forwardedFor) {
+    return client.post('/api/a2a/redeem', {
+      headers: forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {},
+      body: { code, caller: { name: 'Bob', instance: 'bob.example.com' } }
+    });
+  }
+
+  test('one-time code redeems for a token that can invoke, then is burned', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { code } = appCtx.tokenStore.createInviteCode({ name: 'Bob', permissions: 'friends' });
+
+    const first = await redeem(client, code);
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.success, true);
+    assert.match(first.body.token, /^fed_/);
+    assert.equal(first.body.tier, 'friends');
+    assert.ok(first.body.trace_id);
+
+    const invoke = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${first.body.token}` },
+      body: { message: 'hello' }
+    });
+    assert.equal(invoke.statusCode, 200);
+
+    const second = await redeem(client, code);
+    assert.equal(second.statusCode, 410);
+    assert.equal(second.body.error, 'code_already_used');
+
+    const { createLogger } = require('../../src/lib/logger');
+    const logs = createLogger({ configDir: appCtx.dir, stdout: false });
+    assert.equal(logs.list({ event: 'invite_code_redeemed' })[0].data.caller_name, 'Bob');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('expired and unknown codes are rejected', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { code, record } = appCtx.tokenStore.createInviteCode({ name: 'Late' });
+    appCtx.tokenStore.db.prepare('UPDATE invite_codes SET expires_at = ? WHERE id = ?')
+      .run(new Date(Date.now() - 1000).toISOString(), record.id);
+
+    const expired = await redeem(client, code);
+    assert.equal(expired.statusCode, 410);
+    assert.equal(expired.body.error, 'code_expired');
+
+    const unknown = await redeem(client, 'inv_not_a_real_code');
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(unknown.body.error, 'invalid_code');
+
+    const missing = await client.post('/api/a2a/redeem', { body: {} });
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.error, 'missing_code');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('code guessing is limited per client address', async () => {
+    const appCtx = helpers.createTestApp({
+      rateLimits: 'memory',
+      clientRateLimits: { minute: 2 }
+    });
+    const client = helpers.request(appCtx.app);
+
+    assert.equal((await redeem(client, 'inv_guess_one', '198.51.100.4')).statusCode, 404);
+    assert.equal((await redeem(client, 'inv_guess_two', '198.51.100.4')).statusCode, 404);
+    assert.equal((await redeem(client, 'inv_guess_three', '198.51.100.4')).statusCode, 429);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+};
@@ -0,0 +1,133 @@
+/**
+ * Invoke Attachments Integration Tests
+ *
+ * Covers: attachments reaching the handler and the stored inbound message,
+ * capability gating (reject and downgrade), validation errors, and
+ * A2AClient sending attachments (and refusing peers that cannot take them).
+ */
+
+module.exports = function (test, assert, helpers) {
+  const http = require('http');
+
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-attach');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  function recordingHandler() {
+    const seen = [];
+    const handleMessage = async (message, context) => {
+      seen.push(context.attachments);
+      return { text: `Got ${context.attachments.length} attachment(s)`, canContinue: true };
+    };
+    return { handleMessage, seen };
+  }
+
+  const slots = { type: 'json', name: 'slots.json', data: { slots: ['Mon 10:00', 'Tue 14:00'] } };
+  const logo = { type: 'binary', name: 'logo.png', mime_type: 'image/png', data: Buffer.from('png').toString('base64') };
+
+  test('granted attachments reach the handler and are stored with the message', async () => {
+    const conv = conversationStore();
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Scheduler', capabilities: ['context-read', 'attachments'] });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'Do any of these work?', conversation_id: 'conv_attach_ok', attachments: [slots, logo] }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.response, 'Got 2 attachment(s)');
+    assert.deepEqual(res.body.permissions.granted, ['attachments.json', 'attachments.binary']);
+    assert.deepEqual(handler.seen[0].map(a => a.name), ['slots.json', 'logo.png']);
+
+    const stored = conv.store.getConversation('conv_attach_ok');
+    const metadata = JSON.parse(stored.messages[0].metadata);
+    assert.deepEqual(metadata.attachments[0].data, slots.data);
+    assert.equal(metadata.attachments[1].mime_type, 'image/png');
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('attachments outside the grant are refused or dropped per on_denied', async () => {
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Texter', capabilities: ['context-read', 'attachments.json'] });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const rejected = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'See attached', attachments: [slots, logo] }
+    });
+    assert.equal(rejected.statusCode, 403);
+    assert.equal(rejected.body.error, 'permission_denied');
+    assert.deepEqual(rejected.body.denied, ['attachments.binary']);
+    assert.equal(handler.seen.length, 0);
+
+    const downgraded = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'See attached', attachments: [slots, logo], on_denied: 'downgrade' }
+    });
+    assert.equal(downgraded.statusCode, 200);
+    assert.deepEqual(downgraded.body.permissions.denied, ['attachments.binary']);
+    assert.deepEqual(handler.seen[0].map(a => a.type), ['json']);
+
+    const invalid = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'See attached', attachments: [{ type: 'json' }] }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'invalid_attachments');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('client sends attachments and refuses peers without the feature', async () => {
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const server = await new Promise((resolve) => {
+      const s = http.createServer(appCtx.app);
+      s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const endpoint = `a2a://127.0.0.1:${server.address().port}/${appCtx.tokenStore.create({
+      name: 'Client Test',
+      capabilities: ['attachments']
+    }).token}`;
+    const { A2AClient } = require('../../src/lib/client');
+
+    const discovery = await new A2AClient().discover(endpoint);
+    assert.includes(discovery.features, 'attachments');
+    assert.equal(discovery.limits.attachments.max_count, 5);
+
+    const result = await new A2AClient().call(endpoint, 'hi', { attachments: [slots] });
+    assert.equal(result.response, 'Got 1 attachment(s)');
+    assert.equal(handler.seen[0][0].name, 'slots.json');
+
+    let invalidError = null;
+    try {
+      await new A2AClient().call(endpoint, 'hi', { attachments: [{ type: 'video', data: 'x' }] });
+    } catch (err) {
+      invalidError = err;
+    }
+    assert.equal(invalidError.code, 'invalid_attachments');
+
+    let legacyError = null;
+    try {
+      await new A2AClient({ protocolVersion: '0' }).call(endpoint, 'hi', { attachments: [slots] });
+    } catch (err) {
+      legacyError = err;
+    }
+    assert.equal(legacyError.code, 'unsupported_feature');
+    assert.equal(handler.seen.length, 1);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+};
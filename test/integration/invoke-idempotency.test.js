@@ -0,0 +1,205 @@
+/**
+ * Idempotency Key Integration Tests
+ *
+ * Covers: retried /invoke and /end requests replaying the stored reply
+ * without re-running the turn or counting another call, reused and invalid
+ * keys, a retry arriving while the original is still running, and
+ * A2AClient retrying a timed-out call.
+ */
+
+module.exports = function (test, assert, helpers) {
+  const http = require('http');
+
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-idem');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  function countingHandler(delayMs = 0) {
+    const state = { calls: 0 };
+    state.handleMessage = async (message) => {
+      state.calls += 1;
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      return { text: `Reply ${state.calls} to ${message}`, canContinue: true };
+    };
+    return state;
+  }
+
+  test('a retried invoke replays the stored reply and counts once', async () => {
+    const conv = conversationStore();
+    const handler = countingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token, record } = appCtx.tokenStore.create({ name: 'Retrier' });
+    const headers = { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'invoke-key-1' };
+
+    const first = await client.post('/api/a2a/invoke', { headers, body: { message: 'hello' } });
+    const second = await client.post('/api/a2a/invoke', { headers, body: { message: 'hello' } });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.headers['idempotent-replayed'], 'true');
+    assert.equal(first.headers['idempotent-replayed'], undefined);
+    assert.equal(second.body.response, 'Reply 1 to hello');
+    assert.equal(second.body.conversation_id, first.body.conversation_id);
+    assert.equal(handler.calls, 1);
+    assert.equal(appCtx.tokenStore.findById(record.id).calls_made, 1);
+    assert.equal(conv.store.getConversation(first.body.conversation_id).messages.length, 2);
+
+    const end = { conversation_id: first.body.conversation_id };
+    const endHeaders = { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'end-key-1' };
+    const ended = await client.post('/api/a2a/end', { headers: endHeaders, body: end });
+    const endedAgain = await client.post('/api/a2a/end', { headers: endHeaders, body: end });
+    assert.equal(ended.body.status, 'concluded');
+    assert.equal(endedAgain.headers['idempotent-replayed'], 'true');
+    assert.deepEqual(endedAgain.body, ended.body);
+    assert.equal(appCtx.tokenStore.findById(record.id).calls_made, 2);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('reused and malformed keys are refused', async () => {
+    const handler = countingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Sloppy' });
+    const headers = { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'shared-key' };
+
+    await client.post('/api/a2a/invoke', { headers, body: { message: 'first' } });
+    const reused = await client.post('/api/a2a/invoke', { headers, body: { message: 'second' } });
+    assert.equal(reused.statusCode, 422);
+    assert.equal(reused.body.error, 'idempotency_key_reused');
+
+    const invalid = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'has spaces' },
+      body: { message: 'third' }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'invalid_idempotency_key');
+
+    // Failed turns are not stored, so the retry runs again.
+    const failing = helpers.createTestApp({
+      handleMessage: async () => {
+        handler.calls += 1;
+        if (handler.calls === 2) throw new Error('runtime down');
+        return { text: 'recovered', canContinue: true };
+      }
+    });
+    const failingClient = helpers.request(failing.app);
+    const retryHeaders = {
+      Authorization: `Bearer ${failing.tokenStore.create({ name: 'Flaky' }).token}`,
+      'Idempotency-Key': 'flaky-key'
+    };
+    const failed = await failingClient.post('/api/a2a/invoke', { headers: retryHeaders, body: { message: 'x' } });
+    const retried = await failingClient.post('/api/a2a/invoke', { headers: retryHeaders, body: { message: 'x' } });
+    assert.equal(failed.statusCode, 500);
+    assert.equal(retried.statusCode, 200);
+    assert.equal(retried.body.response, 'recovered');
+
+    await client.close();
+    await failingClient.close();
+    appCtx.cleanup();
+    failing.cleanup();
+  });
+
+  test('replays require the bound key and never carry a rotated token', async () => {
+    const handler = countingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { signRequest, loadSigningIdentity } = require('../../src/lib/signing');
+    const keys = helpers.tmpConfigDir('idem-signer');
+    const identity = loadSigningIdentity(keys.dir);
+    const { token, record } = appCtx.tokenStore.create({ name: 'Bound Retrier' });
+    appCtx.tokenStore.rotate(record.id);
+
+    const body = { message: 'hello' };
+    const signed = () => ({
+      Authorization: `Bearer ${token}`,
+      'Idempotency-Key': 'bound-key',
+      ...signRequest(identity, { method: 'POST', path: '/api/a2a/invoke', body: JSON.stringify(body) })
+    });
+
+    const first = await client.post('/api/a2a/invoke', { headers: signed(), body });
+    assert.equal(first.statusCode, 200);
+    assert.ok(first.body.token_rotation.token);
+
+    // A leaked bearer token alone gets nothing back.
+    const stolen = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'bound-key' },
+      body
+    });
+    assert.equal(stolen.statusCode, 401);
+    assert.equal(stolen.body.error, 'signature_required');
+    assert.equal(stolen.body.response, undefined);
+
+    const retried = await client.post('/api/a2a/invoke', { headers: signed(), body });
+    assert.equal(retried.headers['idempotent-replayed'], 'true');
+    assert.equal(retried.body.response, first.body.response);
+    assert.equal(retried.body.token_rotation, undefined);
+    assert.equal(handler.calls, 1);
+
+    await client.close();
+    appCtx.cleanup();
+    keys.cleanup();
+  });
+
+  test('a retry sent while the original runs waits for its reply', async () => {
+    const handler = countingHandler(150);
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Impatient' });
+    const headers = { Authorization: `Bearer ${token}`, 'Idempotency-Key': 'overlap-key' };
+
+    const [first, second] = await Promise.all([
+      client.post('/api/a2a/invoke', { headers, body: { message: 'slow' } }),
+      new Promise(resolve => setTimeout(resolve, 30))
+        .then(() => client.post('/api/a2a/invoke', { headers, body: { message: 'slow' } }))
+    ]);
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 200);
+    assert.equal(second.headers['idempotent-replayed'], 'true');
+    assert.equal(second.body.response, first.body.response);
+    assert.equal(handler.calls, 1);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('client retries a timed-out call and gets the original reply', async () => {
+    const handler = countingHandler(400);
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const server = await new Promise((resolve) => {
+      const s = http.createServer(appCtx.app);
+      s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const { token } = appCtx.tokenStore.create({ name: 'Client Retrier' });
+    const endpoint = `a2a://127.0.0.1:${server.address().port}/${token}`;
+    const { A2AClient } = require('../../src/lib/client');
+
+    const peer = await new A2AClient().discover(endpoint);
+    assert.includes(peer.features, 'idempotency');
+    assert.equal(peer.limits.idempotency.header, 'Idempotency-Key');
+
+    const client = new A2AClient({ timeout: 250, retries: 2, retryDelayMs: 20 });
+    const result = await client.call(endpoint, 'slow question');
+    assert.equal(result.response, 'Reply 1 to slow question');
+    assert.equal(handler.calls, 1);
+
+    let error = null;
+    try {
+      await new A2AClient({ timeout: 100, retries: 0 }).call(endpoint, 'no retries');
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.code, 'timeout');
+
+    // Let the abandoned turn finish before closing the server.
+    await new Promise(resolve => setTimeout(resolve, 450));
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+};
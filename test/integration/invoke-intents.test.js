@@ -0,0 +1,126 @@
+/**
+ * Invoke Intents Integration Tests
+ *
+ * Covers: intents reaching the handler and being tracked on the conversation,
+ * tier gating (reject and downgrade), validation errors, and A2AClient
+ * sending intents only to hosts that handle them.
+ */
+
+module.exports = function (test, assert, helpers) {
+  const http = require('http');
+
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-intent');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  function recordingHandler() {
+    const seen = [];
+    const handleMessage = async (message, context) => {
+      seen.push(context.intent);
+      return { text: context.intent ? `Handling ${context.intent.type}` : 'No intent', canContinue: true };
+    };
+    return { handleMessage, seen };
+  }
+
+  const meeting = {
+    type: 'schedule_meeting',
+    title: 'Kickoff',
+    slots: [{ start: '2026-03-02T10:00:00Z', end: '2026-03-02T11:00:00Z' }]
+  };
+
+  test('a permitted intent reaches the handler and is tracked on the conversation', async () => {
+    const conv = conversationStore();
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Friend', permissions: 'friends' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'Can we meet?', conversation_id: 'conv_intent_ok', intent: meeting }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.response, 'Handling schedule_meeting');
+    assert.equal(res.body.intent.type, 'schedule_meeting');
+    assert.equal(res.body.intent.status, 'open');
+    assert.equal(handler.seen[0].slots[0].start, '2026-03-02T10:00:00.000Z');
+
+    const stored = conv.store.getConversation('conv_intent_ok');
+    assert.equal(stored.intents.length, 1);
+    assert.equal(stored.intents[0].id, res.body.intent.id);
+    assert.equal(stored.intents[0].payload.title, 'Kickoff');
+    assert.equal(stored.intents[0].message_id, stored.messages[0].id);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('intents the tier does not permit are refused or dropped', async () => {
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Stranger', permissions: 'public' });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const rejected = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'Can we meet?', intent: meeting }
+    });
+    assert.equal(rejected.statusCode, 403);
+    assert.deepEqual(rejected.body.denied, ['calendar.read']);
+
+    const downgraded = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'Can we meet?', intent: meeting, on_denied: 'downgrade' }
+    });
+    assert.equal(downgraded.statusCode, 200);
+    assert.equal(downgraded.body.response, 'No intent');
+    assert.equal(downgraded.body.intent, undefined);
+
+    const invalid = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'Hi', intent: { type: 'launch_rocket' } }
+    });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'invalid_intent');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('client sends intents the host lists and refuses others', async () => {
+    const handler = recordingHandler();
+    const appCtx = helpers.createTestApp({ handleMessage: handler.handleMessage });
+    const server = await new Promise((resolve) => {
+      const s = http.createServer(appCtx.app);
+      s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const { token } = appCtx.tokenStore.create({ name: 'Client Friend', permissions: 'friends' });
+    const endpoint = `a2a://127.0.0.1:${server.address().port}/${token}`;
+    const { A2AClient } = require('../../src/lib/client');
+
+    const peer = await new A2AClient().discover(endpoint);
+    assert.includes(peer.intents, 'request_intro');
+
+    const result = await new A2AClient().call(endpoint, 'Know anyone in compilers?', {
+      intent: { type: 'request_intro', person: 'Grace', reason: 'Compiler question' }
+    });
+    assert.equal(result.response, 'Handling request_intro');
+
+    let error = null;
+    try {
+      await new A2AClient().call(endpoint, 'hi', { intent: { type: 'launch_rocket' } });
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.code, 'unsupported_feature');
+    assert.equal(handler.seen.length, 1);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+};
@@ -0,0 +1,195 @@
+/**
+ * Streaming Invoke Integration Tests
+ *
+ * Covers: SSE and NDJSON framing on /invoke, A2AClient.callStream
+ * consuming progress/delta/final events, errors raised mid-stream (including a
+ * full runtime queue), auth
+ * failures that still arrive as plain JSON, and cancelling the turn when the
+ * caller disconnects.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  async function streamingHandler(message, context, options) {
+    options.onProgress({ stage: 'runtime_started', runtime: 'test' });
+    options.onDelta('Hello ');
+    options.onDelta('there.');
+    return {
+      text: 'Hello there.',
+      canContinue: true,
+      collaboration: { phase: 'explore', turnCount: 1 }
+    };
+  }
+
+  function listen(app) {
+    return new Promise((resolve) => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  }
+
+  test('SSE stream emits progress, deltas and the final envelope', async () => {
+    const appCtx = helpers.createTestApp({ handleMessage: streamingHandler });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Streamer' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      body: { message: 'hi' }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.includes(res.headers['content-type'], 'text/event-stream');
+
+    const { createStreamParser } = require('../../src/lib/invoke-stream');
+    const events = [];
+    const parser = createStreamParser('sse', (event) => events.push(event));
+    parser.push(res.body);
+    parser.end();
+
+    assert.deepEqual(events.map(e => e.type), ['progress', 'progress', 'delta', 'delta', 'final']);
+    assert.equal(events[0].stage, 'accepted');
+    assert.equal(events[1].stage, 'runtime_started');
+    const final = events[events.length - 1];
+    assert.equal(final.response, 'Hello there.');
+    assert.equal(final.conversation_id, events[0].conversation_id);
+    assert.equal(final.collaboration.phase, 'explore');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('callStream delivers deltas and resolves with the final envelope', async () => {
+    const appCtx = helpers.createTestApp({ handleMessage: streamingHandler });
+    const server = await listen(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Streamer' });
+    const { A2AClient } = require('../../src/lib/client');
+
+    const deltas = [];
+    const stages = [];
+    const client = new A2AClient({ caller: { name: 'Tester' } });
+    const result = await client.callStream(`a2a://127.0.0.1:${server.address().port}/${token}`, 'hi', {
+      onDelta: (text) => deltas.push(text),
+      onProgress: (event) => stages.push(event.stage)
+    });
+    assert.deepEqual(deltas, ['Hello ', 'there.']);
+    assert.deepEqual(stages, ['accepted', 'runtime_started']);
+    assert.equal(result.response, 'Hello there.');
+    assert.equal(result.type, undefined);
+
+    let authError = null;
+    try {
+      await client.callStream(`a2a://127.0.0.1:${server.address().port}/fed_not_a_real_token`, 'hi');
+    } catch (err) {
+      authError = err;
+    }
+    assert.equal(authError.code, 'unauthorized');
+    assert.equal(authError.statusCode, 401);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+
+  test('handler failure after the stream opens becomes an error event', async () => {
+    const appCtx = helpers.createTestApp({
+      handleMessage: async (message, context, options) => {
+        options.onDelta('partial');
+        throw new Error('runtime exploded');
+      }
+    });
+    const server = await listen(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Streamer' });
+    const { A2AClient } = require('../../src/lib/client');
+
+    let error = null;
+    try {
+      await new A2AClient().callStream(`a2a://127.0.0.1:${server.address().port}/${token}`, 'hi');
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.code, 'internal_error');
+    assert.equal(error.statusCode, 500);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+
+  test('a full runtime queue ends the stream with a runtime_busy event', async () => {
+    const { WorkerPool } = require('../../src/lib/worker-pool');
+    const pool = new WorkerPool({ concurrency: 1, maxQueue: 0 });
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const appCtx = helpers.createTestApp({
+      handleMessage: (message) => pool.run(null, async () => {
+        if (message === 'hold') await held;
+        return { text: 'done', canContinue: true };
+      })
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Crowded Streamer' });
+    const headers = { Authorization: `Bearer ${token}` };
+
+    const holding = client.post('/api/a2a/invoke', { headers, body: { message: 'hold' } });
+    while (pool.stats().active === 0) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { ...headers, Accept: 'application/x-ndjson' },
+      body: { message: 'hi' }
+    });
+    assert.equal(res.statusCode, 200);
+    const { createStreamParser } = require('../../src/lib/invoke-stream');
+    const events = [];
+    const parser = createStreamParser('ndjson', (event) => events.push(event));
+    parser.push(res.body);
+    parser.end();
+    const last = events[events.length - 1];
+    assert.equal(last.type, 'error');
+    assert.equal(last.error, 'runtime_busy');
+    assert.equal(last.status_code, 503);
+    assert.ok(last.retry_after > 0);
+
+    release();
+    assert.equal((await holding).statusCode, 200);
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('caller disconnect aborts the handler signal', async () => {
+    let aborted;
+    const abortSeen = new Promise(resolve => { aborted = resolve; });
+    const appCtx = helpers.createTestApp({
+      handleMessage: (message, context, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          aborted(true);
+          const err = new Error('cancelled');
+          err.name = 'AbortError';
+          reject(err);
+        });
+      })
+    });
+    const server = await listen(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Quitter' });
+
+    const http = require('http');
+    const body = JSON.stringify({ message: 'never mind', stream: true });
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: '/api/a2a/invoke',
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (res) => {
+      // Hang up as soon as the stream confirms the turn was accepted.
+      res.once('data', () => req.destroy());
+    });
+    req.on('error', () => {});
+    req.end(body);
+
+    assert.equal(await abortSeen, true);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+};
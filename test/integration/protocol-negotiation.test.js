@@ -0,0 +1,175 @@
+/**
+ * Protocol Negotiation Integration Tests
+ *
+ * Covers: the discovery document (root and /api/a2a paths), the
+ * X-A2A-Protocol header, A2AClient negotiating v1 with current hosts, and
+ * compatibility with v0 peers that only know the original /invoke shape.
+ */
+
+module.exports = function (test, assert, helpers) {
+  const http = require('http');
+
+  function listen(server) {
+    return new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+  }
+
+  // A host as it looked before discovery existed: no well-known document,
+  // a /status with the original fields, and an /invoke that records what it got.
+  async function startV0Peer(statusBody = null) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => data += chunk);
+      req.on('end', () => {
+        if (req.method === 'GET' && req.url === '/api/a2a/status') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify(statusBody || {
+            a2a: true,
+            version: '0.3.0',
+            capabilities: ['invoke', 'multi-turn']
+          }));
+        }
+        if (req.method === 'POST' && req.url === '/api/a2a/invoke') {
+          received.push({ headers: req.headers, body: JSON.parse(data) });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({
+            success: true,
+            conversation_id: 'conv_v0',
+            response: 'hello from the past',
+            can_continue: true
+          }));
+        }
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<h1>Not Found</h1>');
+      });
+    });
+    await listen(server);
+    return { server, received, host: `127.0.0.1:${server.address().port}` };
+  }
+
+  test('discovery document lists versions, features, limits and profile fields', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+
+    const root = await client.get('/.well-known/a2a.json');
+    assert.equal(root.statusCode, 200);
+    assert.deepEqual(root.body.protocol_versions, ['1', '0']);
+    assert.equal(root.body.current_version, '1');
+    assert.includes(root.body.features, 'streaming');
+    assert.equal(root.body.limits.max_message_length, 10000);
+    assert.equal(root.body.limits.timeout_seconds.max, 300);
+    assert.equal(root.body.profile_fields.name.max_length, 100);
+    assert.equal(root.body.endpoints.invoke, '/api/a2a/invoke');
+
+    const proxied = await client.get('/api/a2a/.well-known/a2a.json');
+    assert.deepEqual(proxied.body.protocol_versions, root.body.protocol_versions);
+
+    const status = await client.get('/api/a2a/status');
+    assert.deepEqual(status.body.protocol_versions, ['1', '0']);
+    assert.includes(status.body.capabilities, 'invoke');
+    assert.equal(status.headers['x-a2a-protocol'], '1');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('host rejects protocol versions it does not speak', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Time Traveller' });
+
+    const future = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, 'X-A2A-Protocol': '7' },
+      body: { message: 'hi' }
+    });
+    assert.equal(future.statusCode, 400);
+    assert.equal(future.body.error, 'unsupported_protocol_version');
+    assert.deepEqual(future.body.supported_versions, ['1', '0']);
+
+    const legacy = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}`, 'X-A2A-Protocol': '0' },
+      body: { message: 'hi' }
+    });
+    assert.equal(legacy.statusCode, 200);
+    assert.equal(legacy.headers['x-a2a-protocol'], '0');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('client negotiates v1 with a current host', async () => {
+    const appCtx = helpers.createTestApp();
+    const server = await listen(http.createServer(appCtx.app));
+    const host = `127.0.0.1:${server.address().port}`;
+    const { token } = appCtx.tokenStore.create({ name: 'Modern' });
+    const { A2AClient } = require('../../src/lib/client');
+
+    const client = new A2AClient({ caller: { name: 'Tester' } });
+    const peer = await client.discover(`a2a://${host}/${token}`);
+    assert.equal(peer.version, '1');
+    assert.equal(peer.source, 'discovery');
+    assert.includes(peer.features, 'streaming');
+    assert.equal(peer.limits.max_message_length, 10000);
+
+    const result = await client.call(`a2a://${host}/${token}`, 'hi');
+    assert.equal(result.response, 'Echo from test: hi');
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+  });
+
+  test('client falls back to the v0 request shape for v0 peers', async () => {
+    const peer = await startV0Peer();
+    const { A2AClient } = require('../../src/lib/client');
+    const client = new A2AClient({ caller: { name: 'Tester' } });
+    const endpoint = `a2a://${peer.host}/fed_legacy`;
+
+    const described = await client.discover(endpoint);
+    assert.equal(described.version, '0');
+    assert.equal(described.source, 'status');
+
+    const result = await client.call(endpoint, 'hello', {
+      capabilities: ['calendar.read'],
+      topic: 'scheduling',
+      returnInvite: 'a2a://me.example.com/fed_back'
+    });
+    assert.equal(result.response, 'hello from the past');
+    assert.deepEqual(Object.keys(peer.received[0].body).sort(), ['caller', 'message', 'timeout_seconds']);
+    assert.equal(peer.received[0].headers['x-a2a-protocol'], undefined);
+
+    const deltas = [];
+    const streamed = await client.callStream(endpoint, 'again', { onDelta: (text) => deltas.push(text) });
+    assert.equal(streamed.response, 'hello from the past');
+    assert.deepEqual(deltas, ['hello from the past']);
+    assert.equal(peer.received[1].body.stream, undefined);
+
+    let asyncError = null;
+    try {
+      await client.call(endpoint, 'later', { mode: 'async' });
+    } catch (err) {
+      asyncError = err;
+    }
+    assert.equal(asyncError.code, 'unsupported_feature');
+    assert.equal(peer.received.length, 2);
+
+    await new Promise(resolve => peer.server.close(resolve));
+  });
+
+  test('client refuses peers with no common protocol version', async () => {
+    const peer = await startV0Peer({ a2a: true, version: '9.0.0', protocol_versions: ['2'], capabilities: ['invoke'] });
+    const { A2AClient } = require('../../src/lib/client');
+
+    let error = null;
+    try {
+      await new A2AClient().call(`a2a://${peer.host}/fed_future`, 'hi');
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.code, 'unsupported_protocol_version');
+    assert.equal(peer.received.length, 0);
+
+    await new Promise(resolve => peer.server.close(resolve));
+  });
+};
@@ -2,7 +2,8 @@
  * Rate Limiting Integration Tests
  *
  * Covers: per-minute rate limits, retry-after headers,
- * and rate limiting function directly.
+ * rate limiting function directly, persistence across restarts,
+ * per-tier limits from config, and the runtime queue limit.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -71,4 +72,90 @@ module.exports = function (test, assert, helpers) {
     await client.close();
     appCtx.cleanup();
   });
+
+  test('rate limit survives a route restart (persistent store)', async () => {
+    const appCtx = helpers.createTestApp({ rateLimits: { minute: 2 } });
+    const { token } = appCtx.tokenStore.create({ name: 'RestartProbe' });
+    let client = helpers.request(appCtx.app);
+
+    for (let i = 0; i < 2; i++) {
+      await client.post('/api/a2a/invoke', {
+        headers: { Authorization: `Bearer ${token}` },
+        body: { message: `Call ${i + 1}` }
+      });
+    }
+    await client.close();
+
+    // Simulate a restart: fresh routes module, same config dir.
+    delete require.cache[require.resolve('../../src/routes/a2a')];
+    const express = require('express');
+    const { createRoutes } = require('../../src/routes/a2a');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/a2a', createRoutes({
+      tokenStore: appCtx.tokenStore,
+      rateLimits: { minute: 2 },
+      handleMessage: async () => ({ text: 'ok', canContinue: true })
+    }));
+    client = helpers.request(app);
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'After restart' }
+    });
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.error, 'rate_limited');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('per-tier rate limits are read from config tiers', async () => {
+    const appCtx = helpers.createTestApp();
+    helpers.writeA2AConfig(appCtx.dir, {
+      tiers: {
+        public: { rateLimit: { perMinute: 1 } },
+        friends: { rateLimit: { perMinute: 3 } }
+      }
+    });
+    const client = helpers.request(appCtx.app);
+    const pub = appCtx.tokenStore.create({ name: 'PublicTier', permissions: 'public' });
+    const fr = appCtx.tokenStore.create({ name: 'FriendsTier', permissions: 'friends' });
+
+    const call = (token) => client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hi' }
+    });
+
+    assert.equal((await call(pub.token)).statusCode, 200);
+    assert.equal((await call(pub.token)).statusCode, 429);
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await call(fr.token)).statusCode, 200);
+    }
+    assert.equal((await call(fr.token)).statusCode, 429);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('a full runtime queue answers 503 with Retry-After', async () => {
+    const { busyError } = require('../../src/lib/worker-pool');
+    const appCtx = helpers.createTestApp({
+      handleMessage: async () => { throw busyError(100); }
+    });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Crowded' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hi' }
+    });
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.error, 'runtime_busy');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+
+    await client.close();
+    appCtx.cleanup();
+  });
 };
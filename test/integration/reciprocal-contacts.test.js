@@ -0,0 +1,119 @@
+/**
+ * Reciprocal Contact Integration Tests
+ *
+ * Covers: return invites offered on /invoke and /reciprocate, the
+ * reciprocal.requested hint, and dashboard approve/deny linking the
+ * inbound contact to the token it called with.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function dashboardClient(appCtx) {
+    const express = require('express');
+    const { createDashboardApiRouter } = require('../../src/routes/dashboard');
+    const { createLogger } = require('../../src/lib/logger');
+    const app = express();
+    app.use('/api/a2a/dashboard', createDashboardApiRouter({
+      tokenStore: appCtx.tokenStore,
+      logger: createLogger({ configDir: appCtx.dir, stdout: false })
+    }));
+    return helpers.request(app);
+  }
+
+  const RETURN_INVITE = 'a2a://bob.example.com/fed_bobs_return_token_123';
+
+  test('return invite on /invoke waits for approval, then links the inbound contact', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const dashboard = dashboardClient(appCtx);
+    const { token, record } = appCtx.tokenStore.create({ name: 'For Bob' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: {
+        message: 'hello',
+        caller: { name: 'Bob Agent', owner: 'Bob' },
+        return_invite: RETURN_INVITE
+      }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.reciprocal.status, 'pending_approval');
+
+    // Nothing callable until the owner approves.
+    const inbound = appCtx.tokenStore.listContacts().find(c => c.linked_token_id === record.id);
+    assert.equal(inbound.host, 'inbound');
+
+    const pending = await dashboard.get('/api/a2a/dashboard/contact-requests');
+    assert.equal(pending.body.requests.length, 1);
+    assert.equal(pending.body.requests[0].host, 'bob.example.com');
+    assert.equal(pending.body.requests[0].invite_url, undefined);
+
+    const approved = await dashboard.post(`/api/a2a/dashboard/contact-requests/${res.body.reciprocal.request_id}/approve`);
+    assert.equal(approved.statusCode, 200);
+
+    const contact = appCtx.tokenStore.getContact(inbound.id);
+    assert.equal(contact.host, 'bob.example.com');
+    assert.equal(contact.token, 'fed_bobs_return_token_123');
+    assert.equal(contact.linked_token_id, record.id);
+    assert.equal(appCtx.tokenStore.listContacts().length, 1);
+
+    const again = await dashboard.post(`/api/a2a/dashboard/contact-requests/${res.body.reciprocal.request_id}/approve`);
+    assert.equal(again.statusCode, 409);
+
+    await dashboard.close();
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('callee can ask for a return invite and the caller answers at /reciprocate', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const dashboard = dashboardClient(appCtx);
+    const { token, record } = appCtx.tokenStore.create({ name: 'For Bob' });
+
+    await dashboard.post(`/api/a2a/dashboard/invites/${record.id}/request-reciprocal`);
+    const call = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hello', caller: { name: 'Bob Agent' } }
+    });
+    assert.equal(call.body.reciprocal.requested, true);
+
+    const offer = await client.post('/api/a2a/reciprocate', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { return_invite: RETURN_INVITE, caller: { name: 'Bob Agent' } }
+    });
+    assert.equal(offer.statusCode, 202);
+    assert.equal(offer.body.reciprocal.status, 'pending_approval');
+    assert.equal(appCtx.tokenStore.validate(token).reciprocal_requested, false);
+
+    const denied = await dashboard.post(`/api/a2a/dashboard/contact-requests/${offer.body.reciprocal.request_id}/deny`);
+    assert.equal(denied.statusCode, 200);
+    assert.equal(appCtx.tokenStore.getContactRequest(offer.body.reciprocal.request_id).invite_url, null);
+
+    // The caller profile is bounded the same way as on /invoke.
+    const { CALLER_PROFILE_FIELDS } = require('../../src/lib/protocol');
+    const long = await client.post('/api/a2a/reciprocate', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { return_invite: RETURN_INVITE, caller: { name: 'B'.repeat(300), instance: 'i'.repeat(300) } }
+    });
+    const stored = appCtx.tokenStore.getContactRequest(long.body.reciprocal.request_id).caller;
+    assert.equal(stored.name.length, CALLER_PROFILE_FIELDS.name);
+    assert.equal(stored.instance.length, CALLER_PROFILE_FIELDS.instance);
+
+    const bad = await client.post('/api/a2a/reciprocate', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { return_invite: 'https://bob.example.com' }
+    });
+    assert.equal(bad.statusCode, 400);
+    assert.equal(bad.body.error, 'invalid_return_invite');
+
+    const unauthenticated = await client.post('/api/a2a/reciprocate', {
+      body: { return_invite: RETURN_INVITE }
+    });
+    assert.equal(unauthenticated.statusCode, 401);
+
+    await dashboard.close();
+    await client.close();
+    appCtx.cleanup();
+  });
+};
@@ -0,0 +1,79 @@
+/**
+ * Request Identity Integration Tests
+ *
+ * Covers: per-client-IP rate limiting keyed by the resolved address,
+ * spoofed X-Forwarded-For against the limiter, and the local-admin check
+ * on conversation admin routes.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function invoke(client, token, forwardedFor) {
+    return client.post('/api/a2a/invoke', {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'X-Forwarded-For': forwardedFor
+      },
+      body: { message: 'hello' }
+    });
+  }
+
+  test('client IP limit follows the resolved address, not the proxy', async () => {
+    const appCtx = helpers.createTestApp({
+      rateLimits: 'memory',
+      clientRateLimits: { minute: 2 }
+    });
+    const client = helpers.request(appCtx.app);
+
+    // Unknown tokens still count against the address, which is what stops brute forcing.
+    assert.equal((await invoke(client, 'fed_guess_one', '198.51.100.4')).statusCode, 401);
+    assert.equal((await invoke(client, 'fed_guess_two', '198.51.100.4')).statusCode, 401);
+    const limited = await invoke(client, 'fed_guess_three', '198.51.100.4');
+    assert.equal(limited.statusCode, 429);
+    assert.ok(limited.headers['retry-after']);
+
+    // A different client behind the same proxy has its own budget.
+    assert.equal((await invoke(client, 'fed_guess_four', '203.0.113.9')).statusCode, 401);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('prepending a fresh address to X-Forwarded-For does not reset the limit', async () => {
+    const appCtx = helpers.createTestApp({
+      rateLimits: 'memory',
+      clientRateLimits: { minute: 1 }
+    });
+    const client = helpers.request(appCtx.app);
+
+    await invoke(client, 'fed_guess_one', '198.51.100.4');
+    const spoofed = await invoke(client, 'fed_guess_two', '192.0.2.77, 198.51.100.4');
+    assert.equal(spoofed.statusCode, 429);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('conversation admin routes reject proxied requests without an admin token', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const original = process.env.A2A_ADMIN_TOKEN;
+    delete process.env.A2A_ADMIN_TOKEN;
+
+    try {
+      const local = await client.get('/api/a2a/conversations');
+      assert.equal(local.statusCode, 200);
+
+      const proxied = await client.get('/api/a2a/conversations', {
+        headers: { 'X-Forwarded-For': '203.0.113.9' }
+      });
+      assert.equal(proxied.statusCode, 401);
+      assert.equal(proxied.body.error, 'admin_token_required');
+    } finally {
+      if (original !== undefined) process.env.A2A_ADMIN_TOKEN = original;
+    }
+
+    await client.close();
+    appCtx.cleanup();
+  });
+};
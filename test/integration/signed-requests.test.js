@@ -0,0 +1,186 @@
+/**
+ * Signed Request Integration Tests
+ *
+ * Covers: /status key advertisement, token binding on first signed use,
+ * key mismatch and unsigned use of a bound token (without spending calls),
+ * replay over HTTP, signed /end, and the require-signatures mode.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function loadSigning() {
+    return require('../../src/lib/signing');
+  }
+
+  function signedHeaders(identity, token, urlPath, body) {
+    const { signRequest } = loadSigning();
+    return {
+      Authorization: `Bearer ${token}`,
+      ...signRequest(identity, { method: 'POST', path: urlPath, body: JSON.stringify(body) })
+    };
+  }
+
+  function callerIdentity(label) {
+    const tmp = helpers.tmpConfigDir(label);
+    const identity = loadSigning().loadSigningIdentity(tmp.dir);
+    return { identity, cleanup: tmp.cleanup };
+  }
+
+  test('/status advertises the host signing key without creating one', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const keyPath = path.join(appCtx.dir, loadSigning().KEY_FILENAME);
+
+    const before = await client.get('/api/a2a/status');
+    assert.equal(before.statusCode, 200);
+    assert.equal(before.body.signing, null);
+    assert.ok(!fs.existsSync(keyPath), 'GET /status must not write a signing key');
+
+    loadSigning().loadSigningIdentity(appCtx.dir);
+    const res = await client.get('/api/a2a/status');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.signing.algorithm, 'ed25519');
+    assert.ok(res.body.signing.public_key);
+    assert.includes(res.body.capabilities, 'signed-requests');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('first signed invoke binds the token; other keys and unsigned calls are rejected', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const alice = callerIdentity('caller-a');
+    const mallory = callerIdentity('caller-m');
+    const { token, record } = appCtx.tokenStore.create({ name: 'Bound' });
+
+    const body = { message: 'hello' };
+    const first = await client.post('/api/a2a/invoke', {
+      headers: signedHeaders(alice.identity, token, '/api/a2a/invoke', body),
+      body
+    });
+    assert.equal(first.statusCode, 200);
+    assert.equal(appCtx.tokenStore.findById(record.id).bound_key_fingerprint, alice.identity.fingerprint);
+
+    const again = await client.post('/api/a2a/invoke', {
+      headers: signedHeaders(alice.identity, token, '/api/a2a/invoke', body),
+      body
+    });
+    assert.equal(again.statusCode, 200);
+
+    const stolen = await client.post('/api/a2a/invoke', {
+      headers: signedHeaders(mallory.identity, token, '/api/a2a/invoke', body),
+      body
+    });
+    assert.equal(stolen.statusCode, 401);
+    assert.equal(stolen.body.error, 'key_mismatch');
+
+    const unsigned = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body
+    });
+    assert.equal(unsigned.statusCode, 401);
+    assert.equal(unsigned.body.error, 'signature_required');
+    // Refused calls are turned away before the call is counted.
+    assert.equal(appCtx.tokenStore.findById(record.id).calls_made, 2);
+
+    await client.close();
+    alice.cleanup();
+    mallory.cleanup();
+    appCtx.cleanup();
+  });
+
+  test('replayed signed invoke is rejected without consuming a call', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const alice = callerIdentity('caller-r');
+    const { token, record } = appCtx.tokenStore.create({ name: 'Replay' });
+
+    const body = { message: 'once' };
+    const headers = signedHeaders(alice.identity, token, '/api/a2a/invoke', body);
+    const first = await client.post('/api/a2a/invoke', { headers, body });
+    assert.equal(first.statusCode, 200);
+
+    const replay = await client.post('/api/a2a/invoke', { headers, body });
+    assert.equal(replay.statusCode, 401);
+    assert.equal(replay.body.error, 'replayed_nonce');
+    assert.equal(appCtx.tokenStore.findById(record.id).calls_made, 1);
+
+    await client.close();
+    alice.cleanup();
+    appCtx.cleanup();
+  });
+
+  test('signed /end verifies against the same binding', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const alice = callerIdentity('caller-e');
+    const mallory = callerIdentity('caller-x');
+    const { token } = appCtx.tokenStore.create({ name: 'EndSigned' });
+
+    const invokeBody = { message: 'start' };
+    const invoke = await client.post('/api/a2a/invoke', {
+      headers: signedHeaders(alice.identity, token, '/api/a2a/invoke', invokeBody),
+      body: invokeBody
+    });
+    assert.equal(invoke.statusCode, 200);
+
+    const endBody = { conversation_id: invoke.body.conversation_id || 'conv_missing' };
+    const wrongKey = await client.post('/api/a2a/end', {
+      headers: signedHeaders(mallory.identity, token, '/api/a2a/end', endBody),
+      body: endBody
+    });
+    assert.equal(wrongKey.statusCode, 401);
+    assert.equal(wrongKey.body.error, 'key_mismatch');
+
+    const ok = await client.post('/api/a2a/end', {
+      headers: signedHeaders(alice.identity, token, '/api/a2a/end', endBody),
+      body: endBody
+    });
+    assert.equal(ok.statusCode, 200);
+
+    await client.close();
+    alice.cleanup();
+    mallory.cleanup();
+    appCtx.cleanup();
+  });
+
+  test('requireSignatures rejects unsigned calls on unbound tokens', async () => {
+    const appCtx = helpers.createTestApp({ requireSignatures: true });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Strict' });
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hello' }
+    });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'signature_required');
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('A2AClient signs invoke when given a signing identity', async () => {
+    const { A2AClient } = require('../../src/lib/client');
+    const appCtx = helpers.createTestApp();
+    const alice = callerIdentity('caller-c');
+    const { token, record } = appCtx.tokenStore.create({ name: 'ClientSigned' });
+
+    const server = await new Promise((resolve) => {
+      const s = appCtx.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const host = `127.0.0.1:${server.address().port}`;
+
+    const a2a = new A2AClient({ caller: { name: 'Alice' }, signingIdentity: alice.identity });
+    const response = await a2a.call({ host, token }, 'hi from a signed client');
+    assert.equal(response.success, true);
+    assert.equal(appCtx.tokenStore.findById(record.id).bound_key_fingerprint, alice.identity.fingerprint);
+
+    await new Promise(resolve => server.close(resolve));
+    alice.cleanup();
+    appCtx.cleanup();
+  });
+};
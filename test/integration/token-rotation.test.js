@@ -0,0 +1,86 @@
+/**
+ * Token Rotation Integration Tests
+ *
+ * Covers: successor delivery in /invoke, transparent client swap,
+ * persistence via updateContact, and predecessor retirement.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  async function listen(app) {
+    const server = await new Promise((resolve) => {
+      const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    return { server, host: `127.0.0.1:${server.address().port}` };
+  }
+
+  test('/invoke with a rotated token returns the successor', async () => {
+    const appCtx = helpers.createTestApp();
+    const client = helpers.request(appCtx.app);
+    const { token, record } = appCtx.tokenStore.create({ name: 'Rotated' });
+    const rotation = appCtx.tokenStore.rotate(record.id);
+
+    const res = await client.post('/api/a2a/invoke', {
+      headers: { Authorization: `Bearer ${token}` },
+      body: { message: 'hello' }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['x-a2a-token-rotated'], 'true');
+    assert.equal(res.body.token_rotation.token, rotation.token);
+    assert.equal(res.body.token_rotation.token_id, rotation.record.id);
+    assert.ok(res.body.token_rotation.grace_until);
+
+    await client.close();
+    appCtx.cleanup();
+  });
+
+  test('A2AClient swaps to the successor and persists it via the callback', async () => {
+    const { A2AClient } = require('../../src/lib/client');
+    const appCtx = helpers.createTestApp();
+    const { token, record } = appCtx.tokenStore.create({ name: 'ClientRotation' });
+    const rotation = appCtx.tokenStore.rotate(record.id);
+    const { server, host } = await listen(appCtx.app);
+
+    // The caller side keeps its own contact book.
+    const callerDir = helpers.tmpConfigDir('rotation-caller');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const callerStore = new TokenStore(callerDir.dir);
+    callerStore.addContact(`a2a://${host}/${token}`, { name: 'Host' });
+
+    const seen = [];
+    const a2a = new A2AClient({
+      caller: { name: 'Caller' },
+      onTokenRotation: (info) => {
+        seen.push(info);
+        callerStore.updateContact('Host', { token: info.token, trace_id: info.traceId });
+      }
+    });
+
+    const first = await a2a.call({ host, token }, 'first');
+    assert.equal(first.success, true);
+    assert.equal(seen.length, 1);
+    assert.equal(seen[0].token, rotation.token);
+    assert.equal(seen[0].traceId, first.trace_id);
+    assert.equal(callerStore.getContact('Host').token, rotation.token);
+
+    // Same endpoint object: the client now uses the successor, which retires the old token.
+    const second = await a2a.call({ host, token }, 'second', { conversationId: first.conversation_id });
+    assert.equal(second.success, true);
+    assert.equal(second.token_rotation, undefined);
+    assert.equal(appCtx.tokenStore.findById(record.id).revoked, true);
+
+    const stale = new A2AClient();
+    let error = null;
+    try {
+      await stale.call({ host, token }, 'stale');
+    } catch (err) {
+      error = err;
+    }
+    assert.ok(error);
+    assert.equal(error.statusCode, 401);
+
+    await new Promise(resolve => server.close(resolve));
+    callerDir.cleanup();
+    appCtx.cleanup();
+  });
+};
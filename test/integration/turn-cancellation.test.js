@@ -0,0 +1,155 @@
+/**
+ * Turn Cancellation Integration Tests
+ *
+ * Covers: /end aborting the caller's in-flight turn (sync and async), the
+ * conversation recorded as cancelled, other tokens unable to cancel, and a
+ * caller disconnect cancelling the turn.
+ */
+
+module.exports = function (test, assert, helpers) {
+
+  function conversationStore() {
+    const tmp = helpers.tmpConfigDir('a2a-cancel');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    return { store: new ConversationStore(tmp.dir), cleanup: tmp.cleanup };
+  }
+
+  // Handler that runs until its signal aborts; `started` resolves once a turn is in flight.
+  function blockingHandler() {
+    let markStarted;
+    const started = new Promise(resolve => { markStarted = resolve; });
+    const handleMessage = (message, context, options) => new Promise((resolve, reject) => {
+      markStarted();
+      options.signal.addEventListener('abort', () => {
+        const err = new Error('cancelled');
+        err.name = 'AbortError';
+        reject(err);
+      });
+    });
+    return { handleMessage, started };
+  }
+
+  async function waitFor(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const value = await check();
+      if (value) return value;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+  }
+
+  test('/end cancels the in-flight turn and records the conversation as cancelled', async () => {
+    const conv = conversationStore();
+    const handler = blockingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Impatient' });
+    const { token: otherToken } = appCtx.tokenStore.create({ name: 'Bystander' });
+    const auth = (t) => ({ Authorization: `Bearer ${t}` });
+
+    const pending = client.post('/api/a2a/invoke', {
+      headers: auth(token),
+      body: { message: 'think hard', conversation_id: 'conv_cancel_end' }
+    });
+    await handler.started;
+
+    // Another token cannot cancel someone else's turn.
+    const foreign = await client.post('/api/a2a/end', {
+      headers: auth(otherToken),
+      body: { conversation_id: 'conv_cancel_end' }
+    });
+    assert.notEqual(foreign.body.status, 'cancelled');
+
+    const ended = await client.post('/api/a2a/end', {
+      headers: auth(token),
+      body: { conversation_id: 'conv_cancel_end' }
+    });
+    assert.equal(ended.statusCode, 200);
+    assert.equal(ended.body.status, 'cancelled');
+    assert.equal(ended.body.cancelled_turns, 1);
+
+    const invoked = await pending;
+    assert.equal(invoked.statusCode, 409);
+    assert.equal(invoked.body.error, 'turn_cancelled');
+
+    const stored = conv.store.getConversation('conv_cancel_end');
+    assert.equal(stored.status, 'cancelled');
+    assert.deepEqual(stored.messages.map(m => m.role), ['user']);
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('/end cancels a running async job', async () => {
+    const conv = conversationStore();
+    const handler = blockingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const client = helpers.request(appCtx.app);
+    const { token } = appCtx.tokenStore.create({ name: 'Async Caller' });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const queued = await client.post('/api/a2a/invoke', {
+      headers: auth,
+      body: { message: 'take a while', mode: 'async' }
+    });
+    assert.equal(queued.statusCode, 202);
+    await handler.started;
+
+    const ended = await client.post('/api/a2a/end', {
+      headers: auth,
+      body: { conversation_id: queued.body.conversation_id }
+    });
+    assert.equal(ended.body.status, 'cancelled');
+
+    const job = await waitFor(() => {
+      const current = conv.store.getJob(queued.body.job_id);
+      return current.status === 'failed' ? current : null;
+    });
+    assert.equal(job.error, 'turn_cancelled');
+
+    await client.close();
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+
+  test('caller disconnect cancels the turn', async () => {
+    const conv = conversationStore();
+    const handler = blockingHandler();
+    const appCtx = helpers.createTestApp({ conversationStore: conv.store, handleMessage: handler.handleMessage });
+    const server = await new Promise((resolve) => {
+      const s = appCtx.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const { token } = appCtx.tokenStore.create({ name: 'Quitter' });
+
+    const http = require('http');
+    const body = JSON.stringify({ message: 'never mind', conversation_id: 'conv_cancel_drop' });
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path: '/api/a2a/invoke',
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    });
+    req.on('error', () => {});
+    req.end(body);
+    await handler.started;
+    req.destroy();
+
+    const stored = await waitFor(() => {
+      const current = conv.store.getConversation('conv_cancel_drop', { includeMessages: false });
+      return current && current.status === 'cancelled' ? current : null;
+    });
+    assert.ok(stored.ended_at);
+
+    await new Promise(resolve => server.close(resolve));
+    appCtx.cleanup();
+    conv.cleanup();
+  });
+};
@@ -0,0 +1,128 @@
+/**
+ * Action Item Tests
+ *
+ * Covers: promoting summarized action items to tracked rows on conclusion
+ * (without duplicates), manual items, filtering (including by the reading call's
+ * tier), status/due updates, and backfilling the JSON lists of conversations
+ * concluded before the table existed.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function freshStore() {
+    const tmp = helpers.tmpConfigDir('action-items');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const store = new ConversationStore(tmp.dir);
+    return {
+      store,
+      dir: tmp.dir,
+      cleanup() {
+        store.close();
+        tmp.cleanup();
+      }
+    };
+  }
+
+  const summarizer = async () => ({
+    summary: 'Talked grants.',
+    ownerSummary: 'Worth pursuing.',
+    ownerActionItems: ['Draft the budget', { text: 'Email the foundation', due: '2026-03-01' }, ''],
+    callerActionItems: [{ task: 'Send the orchard photos' }],
+    jointActionItems: ['Pick a kickoff date']
+  });
+
+  test('concluding a conversation tracks its action items once', async () => {
+    const ctx = freshStore();
+    ctx.store.startConversation({ id: 'conv_grant', contactId: 'contact_bramble', contactName: 'Bramble', direction: 'inbound' });
+    ctx.store.addMessage('conv_grant', { direction: 'inbound', role: 'user', content: 'Shall we apply together?' });
+
+    await ctx.store.concludeConversation('conv_grant', { summarizer });
+    const items = ctx.store.listActionItems({ conversationId: 'conv_grant' });
+    assert.equal(items.length, 4);
+    // Dated items first.
+    assert.equal(items[0].text, 'Email the foundation');
+    assert.equal(items[0].due_at, '2026-03-01');
+    assert.equal(items[0].owner, 'owner');
+    assert.equal(items[0].contact_id, 'contact_bramble');
+    assert.equal(items[0].status, 'open');
+    assert.match(items[0].id, /^act_/);
+    assert.deepEqual(
+      ctx.store.listActionItems({ owner: 'caller' }).map(i => i.text),
+      ['Send the orchard photos']
+    );
+
+    await ctx.store.concludeConversation('conv_grant', { summarizer });
+    assert.equal(ctx.store.listActionItems({ conversationId: 'conv_grant' }).length, 4);
+    assert.equal(ctx.store.listActionItems({ contactId: 'Bramble', owner: 'joint' }).length, 1);
+    ctx.cleanup();
+  });
+
+  test('items can be added by hand, updated and filtered', () => {
+    const ctx = freshStore();
+    ctx.store.startConversation({ id: 'conv_a', contactId: 'contact_bob', contactName: 'Bob', direction: 'outbound' });
+
+    const added = ctx.store.addActionItem({ text: 'Call Bob back', conversationId: 'conv_a', dueAt: '2020-01-01' });
+    assert.ok(added.success);
+    assert.equal(added.item.contact_name, 'Bob');
+    assert.equal(ctx.store.addActionItem({ text: ' ' }).error, 'missing_text');
+    assert.equal(ctx.store.addActionItem({ text: 'x', owner: 'boss' }).error, 'invalid_owner');
+    assert.equal(ctx.store.addActionItem({ text: 'x', dueAt: 'someday' }).error, 'invalid_due');
+    assert.equal(ctx.store.addActionItem({ text: 'x', conversationId: 'conv_missing' }).error, 'conversation_not_found');
+    ctx.store.addActionItem({ text: 'Read the paper' });
+
+    assert.equal(ctx.store.listActionItems({ dueBefore: new Date().toISOString() }).length, 1);
+    assert.equal(ctx.store.listActionItems({ contactId: 'contact_bob' }).length, 1);
+
+    const done = ctx.store.updateActionItem(added.item.id, { status: 'done' });
+    assert.equal(done.item.status, 'done');
+    assert.ok(done.item.completed_at);
+    assert.deepEqual(ctx.store.listActionItems({ status: 'open' }).map(i => i.text), ['Read the paper']);
+
+    const reopened = ctx.store.updateActionItem(added.item.id, { status: 'open', dueAt: null, owner: 'joint' });
+    assert.equal(reopened.item.completed_at, null);
+    assert.equal(reopened.item.due_at, null);
+    assert.equal(reopened.item.owner, 'joint');
+    assert.equal(ctx.store.updateActionItem(added.item.id, { status: 'finished' }).error, 'invalid_status');
+    assert.equal(ctx.store.updateActionItem('act_missing', { status: 'done' }).error, 'not_found');
+    ctx.cleanup();
+  });
+
+  test('tier filter keeps items from more trusted calls out of less trusted ones', () => {
+    const ctx = freshStore();
+    for (const tier of ['public', 'friends', 'family', 'partners', null]) {
+      const id = `conv_${tier || 'untiered'}`;
+      ctx.store.startConversation({ id, contactId: 'contact_bob', direction: 'inbound', tier });
+      ctx.store.addActionItem({ text: `From ${tier || 'untiered'}`, conversationId: id });
+    }
+    ctx.store.addActionItem({ text: 'By hand', contactId: 'contact_bob' });
+    const visible = (tier) => ctx.store.listActionItems({ contactId: 'contact_bob', tier }).map(i => i.text).sort();
+
+    assert.deepEqual(visible('public'), ['From public']);
+    assert.deepEqual(visible('friends'), ['From friends', 'From public']);
+    assert.deepEqual(visible('family'), ['By hand', 'From family', 'From friends', 'From public', 'From untiered']);
+    assert.deepEqual(visible('partners'), ['From partners']);
+    assert.deepEqual(visible(null), []);
+    assert.equal(ctx.store.listActionItems({ contactId: 'contact_bob' }).length, 6);
+    ctx.cleanup();
+  });
+
+  test('migration promotes action items stored as JSON by earlier versions', () => {
+    const ctx = freshStore();
+    ctx.store.startConversation({ id: 'conv_old', contactName: 'Old Friend', direction: 'inbound' });
+    const db = ctx.store.db;
+    db.prepare(`UPDATE conversations SET owner_action_items = ?, caller_action_items = ?, ended_at = ? WHERE id = ?`)
+      .run(JSON.stringify(['Send the deck']), JSON.stringify(['Intro to Sam']), '2025-05-01T00:00:00Z', 'conv_old');
+    db.exec('DROP TABLE action_items');
+    db.prepare('DELETE FROM schema_version WHERE version >= 7').run();
+    ctx.store.close();
+
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const reopened = new ConversationStore(ctx.dir);
+    const items = reopened.listActionItems({ contactId: 'Old Friend' });
+    assert.deepEqual(items.map(i => [i.owner, i.text]), [['owner', 'Send the deck'], ['caller', 'Intro to Sam']]);
+    assert.equal(items[0].created_at, '2025-05-01T00:00:00Z');
+    reopened.close();
+    ctx.cleanup();
+  });
+};
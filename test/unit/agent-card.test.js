@@ -0,0 +1,71 @@
+/**
+ * Agent Card Tests
+ *
+ * Covers: building the card from the agent config and public topics, and
+ * normalizing untrusted cards fetched from other hosts.
+ */
+
+module.exports = function (test, assert) {
+  const { buildAgentCard, normalizeAgentCard } = require('../../src/lib/agent-card');
+
+  test('buildAgentCard combines config, workspace identity and public topics', () => {
+    const card = buildAgentCard({
+      agent: {
+        name: '',
+        description: 'Scheduling and travel help',
+        avatar_url: 'https://example.com/avatar.png',
+        languages: ['en', 'de', 'EN'],
+        availability: { timezone: 'Europe/Berlin', hours: '09-17 Mon-Fri' },
+        contact_policy: { mode: 'open', note: 'Say hi' }
+      },
+      agentContext: { name: 'Golda', owner: 'Ada' },
+      publicTopics: [{ topic: 'Travel', description: 'Trips and itineraries' }]
+    });
+
+    assert.equal(card.name, 'Golda');
+    assert.equal(card.owner, 'Ada');
+    assert.equal(card.description, 'Scheduling and travel help');
+    assert.deepEqual(card.languages, ['en', 'de']);
+    assert.deepEqual(card.topics, [{ topic: 'Travel', description: 'Trips and itineraries' }]);
+    assert.equal(card.availability.timezone, 'Europe/Berlin');
+    assert.deepEqual(card.contact_policy, { mode: 'open', note: 'Say hi' });
+  });
+
+  test('buildAgentCard defaults to an invite-only policy with empty fields', () => {
+    const card = buildAgentCard({ agentContext: { name: 'Bare' } });
+    assert.equal(card.name, 'Bare');
+    assert.equal(card.description, null);
+    assert.equal(card.avatar_url, null);
+    assert.deepEqual(card.languages, []);
+    assert.deepEqual(card.topics, []);
+    assert.deepEqual(card.availability, { timezone: null, hours: null });
+    assert.equal(card.contact_policy.mode, 'invite_only');
+  });
+
+  test('normalizeAgentCard caps and cleans remote cards', () => {
+    const card = normalizeAgentCard({
+      name: 'x'.repeat(300),
+      description: 'line one\n\nline two',
+      avatar_url: 'javascript:alert(1)',
+      languages: Array.from({ length: 30 }, (_, i) => `l${i}`),
+      topics: ['Plain', { topic: '' }, { topic: 'Rich', description: 42 }, null],
+      availability: 'always',
+      contact_policy: { mode: 'everyone' },
+      extra: 'dropped'
+    });
+
+    assert.equal(card.name.length, 100);
+    assert.equal(card.description, 'line one line two');
+    assert.equal(card.avatar_url, null);
+    assert.equal(card.languages.length, 10);
+    assert.deepEqual(card.topics, [
+      { topic: 'Plain', description: null },
+      { topic: 'Rich', description: '42' }
+    ]);
+    assert.deepEqual(card.availability, { timezone: null, hours: null });
+    assert.equal(card.contact_policy.mode, 'invite_only');
+    assert.equal(card.extra, undefined);
+    assert.equal(normalizeAgentCard('nope'), null);
+    assert.equal(normalizeAgentCard(null), null);
+  });
+};
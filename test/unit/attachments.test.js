@@ -0,0 +1,78 @@
+/**
+ * Attachment Tests
+ *
+ * Covers: validating typed attachments and their limits, the capability each
+ * type needs, and how attachments are rendered for the runtime prompt.
+ */
+
+module.exports = function (test, assert) {
+  const {
+    LIMITS,
+    normalizeAttachments,
+    requiredCapabilities,
+    filterGranted,
+    formatAttachmentsForPrompt
+  } = require('../../src/lib/attachments');
+
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64');
+
+  test('normalizeAttachments accepts json, text and binary attachments', () => {
+    const { attachments, error } = normalizeAttachments([
+      { type: 'json', name: 'slots.json', data: { slots: ['Mon 10:00'] } },
+      { type: 'text', name: '../../etc/notes.md', mime_type: 'text/markdown', data: '# Agenda' },
+      { type: 'binary', name: 'logo.png', mime_type: 'image/png', data: png }
+    ]);
+
+    assert.equal(error, undefined);
+    assert.equal(attachments.length, 3);
+    assert.match(attachments[0].id, /^att_[0-9a-f]{12}$/);
+    assert.equal(attachments[0].mime_type, 'application/json');
+    assert.equal(attachments[1].name, 'notes.md');
+    assert.equal(attachments[2].size, 4);
+    assert.deepEqual(normalizeAttachments(undefined), { attachments: [] });
+  });
+
+  test('normalizeAttachments rejects malformed and oversized attachments', () => {
+    const cases = [
+      'not-an-array',
+      [{ type: 'video', data: 'x' }],
+      [{ type: 'text', data: 42 }],
+      [{ type: 'text', mime_type: 'application/x-sh', data: 'echo hi' }],
+      [{ type: 'binary', mime_type: 'image/png', data: 'not base64!' }],
+      [{ type: 'binary', mime_type: 'application/x-msdownload', data: png }],
+      [{ type: 'text', data: 'x'.repeat(LIMITS.max_bytes.text + 1) }],
+      Array.from({ length: LIMITS.max_count + 1 }, () => ({ type: 'json', data: {} })),
+      [
+        { type: 'text', data: 'x'.repeat(LIMITS.max_bytes.text) },
+        { type: 'text', data: 'y'.repeat(LIMITS.max_bytes.text) },
+        { type: 'json', data: 'z' }
+      ]
+    ];
+    for (const value of cases) {
+      assert.equal(normalizeAttachments(value).error, 'invalid_attachments');
+    }
+  });
+
+  test('each attachment type maps to its own capability', () => {
+    const { attachments } = normalizeAttachments([
+      { type: 'json', data: 1 },
+      { type: 'json', data: 2 },
+      { type: 'binary', data: png }
+    ]);
+    assert.deepEqual(requiredCapabilities(attachments), ['attachments.json', 'attachments.binary']);
+    assert.deepEqual(filterGranted(attachments, ['attachments.json']).map(a => a.data), [1, 2]);
+    assert.deepEqual(filterGranted(attachments, []), []);
+  });
+
+  test('formatAttachmentsForPrompt shows text content but only describes binary', () => {
+    const { attachments } = normalizeAttachments([
+      { type: 'json', name: 'slots.json', data: { day: 'Mon' } },
+      { type: 'binary', name: 'logo.png', mime_type: 'image/png', data: png }
+    ]);
+    const text = formatAttachmentsForPrompt(attachments);
+    assert.includes(text, '"day": "Mon"');
+    assert.includes(text, 'logo.png (image/png, 4 bytes; binary content not shown)');
+    assert.ok(!text.includes(png));
+    assert.equal(formatAttachmentsForPrompt([]), '');
+  });
+};
@@ -2,7 +2,7 @@
  * Call Monitor Tests
  *
  * Covers: activity tracking, idle detection, max duration,
- * explicit end, and conversation counting.
+ * explicit end, cancelled conversations, and conversation counting.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -118,6 +118,90 @@ module.exports = function (test, assert, helpers) {
     tmp.cleanup();
   });
 
+  test('endConversation skips summarizing a cancelled conversation', async () => {
+    let summarized = false;
+
+    const tmp = helpers.tmpConfigDir('mon');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const convStore = new ConversationStore(tmp.dir);
+
+    if (!convStore.isAvailable()) {
+      tmp.cleanup();
+      return; // skip if sqlite not available
+    }
+
+    convStore.startConversation({ id: 'conv_cancelled', direction: 'inbound' });
+    convStore.addMessage('conv_cancelled', {
+      direction: 'inbound', role: 'user', content: 'Are you there?'
+    });
+    convStore.cancelConversation('conv_cancelled');
+
+    const monitor = createMonitor({
+      convStore,
+      summarizer: async () => {
+        summarized = true;
+        return { summary: 'Should not run' };
+      }
+    });
+
+    monitor.trackActivity('conv_cancelled', { name: 'Golda Deluxe' });
+    const result = await monitor.endConversation('conv_cancelled', 'idle_timeout');
+
+    assert.equal(result.skipped, true);
+    assert.equal(summarized, false);
+    assert.equal(monitor.getActiveCount(), 0);
+    assert.equal(convStore.getConversation('conv_cancelled').status, 'cancelled');
+
+    convStore.close();
+    monitor.stop();
+    tmp.cleanup();
+  });
+
+  test('endConversation summarizes the answered turns of a cancelled conversation', async () => {
+    let summarized = null;
+    const notified = [];
+
+    const tmp = helpers.tmpConfigDir('mon');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const convStore = new ConversationStore(tmp.dir);
+
+    if (!convStore.isAvailable()) {
+      tmp.cleanup();
+      return; // skip if sqlite not available
+    }
+
+    convStore.startConversation({ id: 'conv_partial', direction: 'inbound' });
+    convStore.addMessage('conv_partial', { direction: 'inbound', role: 'user', content: 'Lunch Friday?' });
+    convStore.addMessage('conv_partial', { direction: 'outbound', role: 'assistant', content: 'Friday works.' });
+    convStore.addMessage('conv_partial', { direction: 'inbound', role: 'user', content: 'And Saturday?' });
+    convStore.cancelConversation('conv_partial');
+
+    const monitor = createMonitor({
+      convStore,
+      summarizer: async (messages) => {
+        summarized = messages.map(m => m.content);
+        return { summary: 'Lunch on Friday' };
+      },
+      notifyOwner: async (event) => { notified.push(event); }
+    });
+
+    const result = await monitor.endConversation('conv_partial', 'cancelled');
+
+    assert.equal(result.success, true);
+    assert.equal(result.skipped, undefined);
+    assert.deepEqual(summarized, ['Lunch Friday?', 'Friday works.']);
+    assert.equal(notified.length, 1);
+    const stored = convStore.getConversation('conv_partial', { includeMessages: false });
+    assert.equal(stored.status, 'cancelled');
+    assert.equal(stored.summary, 'Lunch on Friday');
+
+    convStore.close();
+    monitor.stop();
+    tmp.cleanup();
+  });
+
   // ── Start/Stop ────────────────────────────────────────────────
 
   test('start and stop manage interval', () => {
@@ -0,0 +1,81 @@
+/**
+ * Capability enforcement tests
+ *
+ * Covers: hierarchical grants, request normalization, reject vs downgrade
+ * decisions, topic checks, and the runtime assertion helper.
+ */
+
+module.exports = function (test, assert) {
+
+  function loadCapabilities() {
+    return require('../../src/lib/capabilities');
+  }
+
+  const friendsGrant = {
+    capabilities: ['context-read', 'calendar.read', 'email.read', 'search'],
+    allowed_topics: ['chat', 'calendar.read', 'email.read', 'search']
+  };
+
+  test('parent grants cover children, not the reverse', () => {
+    const { isGranted } = loadCapabilities();
+    assert.ok(isGranted('calendar.read', ['calendar']));
+    assert.ok(isGranted('calendar.write', ['calendar.*']));
+    assert.ok(isGranted('tools.shell', ['*']));
+    assert.ok(!isGranted('calendar', ['calendar.read']));
+    assert.ok(!isGranted('calendar.write', ['calendar.read']));
+    assert.ok(!isGranted('calendarx.read', ['calendar']));
+  });
+
+  test('requests inside the grant are allowed', () => {
+    const { evaluateRequest } = loadCapabilities();
+    const check = evaluateRequest({ capabilities: ['calendar.read'], topic: 'chat' }, friendsGrant);
+    assert.equal(check.decision, 'allow');
+    assert.deepEqual(check.granted, ['calendar.read']);
+    assert.deepEqual(check.denied, []);
+  });
+
+  test('requests outside the grant are denied by default', () => {
+    const { evaluateRequest } = loadCapabilities();
+    const check = evaluateRequest({ capabilities: ['calendar.read', 'tools'] }, friendsGrant);
+    assert.equal(check.decision, 'deny');
+    assert.deepEqual(check.denied, ['tools']);
+
+    const topicCheck = evaluateRequest({ topic: 'tools' }, friendsGrant);
+    assert.equal(topicCheck.decision, 'deny');
+    assert.equal(topicCheck.topic_allowed, false);
+  });
+
+  test('downgrade keeps only the granted subset', () => {
+    const { evaluateRequest } = loadCapabilities();
+    const check = evaluateRequest({
+      capabilities: 'calendar.read',
+      topic: 'tools',
+      on_denied: 'downgrade'
+    }, { capabilities: ['context-read'], allowed_topics: ['chat'] });
+    assert.equal(check.decision, 'downgrade');
+    assert.deepEqual(check.granted, []);
+    assert.deepEqual(check.denied, ['calendar.read']);
+    assert.equal(check.topic, null);
+  });
+
+  test('malformed declarations are rejected', () => {
+    const { evaluateRequest } = loadCapabilities();
+    assert.equal(evaluateRequest({ capabilities: [42] }, friendsGrant).error, 'invalid_capabilities');
+    assert.equal(evaluateRequest({ capabilities: ['a b'] }, friendsGrant).error, 'invalid_capabilities');
+    assert.equal(evaluateRequest({ on_denied: 'ignore' }, friendsGrant).error, 'invalid_capabilities');
+  });
+
+  test('assertGranted throws permission_denied with the missing list', () => {
+    const { assertGranted } = loadCapabilities();
+    assertGranted(['calendar.read'], ['calendar']);
+    let error = null;
+    try {
+      assertGranted(['calendar.read', 'memory'], ['calendar']);
+    } catch (err) {
+      error = err;
+    }
+    assert.ok(error);
+    assert.equal(error.code, 'permission_denied');
+    assert.deepEqual(error.data.missing, ['memory']);
+  });
+};
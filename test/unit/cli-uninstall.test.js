@@ -1,7 +1,8 @@
 /**
  * CLI Uninstall Tests
  *
- * Covers: a2a uninstall --force and --keep-config behavior.
+ * Covers: a2a uninstall --force and --keep-config behavior, including key
+ * files and SQLite WAL/SHM files.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -47,6 +48,31 @@ module.exports = function (test, assert, helpers) {
     tmp.cleanup();
   });
 
+  test('a2a uninstall --force removes keys and every database with its WAL files', () => {
+    const tmp = helpers.tmpConfigDir('cli-uninstall-keys');
+    const secrets = [
+      'a2a-master.key', 'a2a-master.key.next', 'a2a-signing-key.pem',
+      'a2a-tokens.db', 'a2a-tokens.db-wal', 'a2a-tokens.db-shm',
+      'a2a-rate-limits.db', 'a2a-rate-limits.db-wal',
+      'a2a-idempotency.db', 'a2a-idempotency.db-shm',
+      'a2a-conversations.db-wal'
+    ].map(name => path.join(tmp.dir, name));
+    for (const file of secrets) fs.writeFileSync(file, 'secret');
+
+    const res = spawnSync(process.execPath, ['bin/cli.js', 'uninstall', '--force'], {
+      env: { ...process.env, A2A_CONFIG_DIR: tmp.dir },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(res.status, 0, `expected exit 0, got ${res.status}. stderr=${(res.stderr || '').trim()}`);
+    for (const file of secrets) {
+      assert.ok(!fs.existsSync(file), `expected ${path.basename(file)} to be removed`);
+    }
+
+    tmp.cleanup();
+  });
+
   test('a2a uninstall --keep-config preserves config and db files', () => {
     const tmp = helpers.tmpConfigDir('cli-uninstall-keep');
     const { configFile, disclosureFile, dbFile } = writeDummyFiles(tmp.dir);
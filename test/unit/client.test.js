@@ -2,7 +2,7 @@
  * A2A Client Tests
  *
  * Covers: invite URL parsing, protocol detection,
- * localhost handling, and error types.
+ * localhost handling, error types, and job callbacks pinned to a checked address.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -109,4 +109,34 @@ module.exports = function (test, assert, helpers) {
     const client = new A2AClient();
     await assert.rejects(() => client.end('a2a://host/fed_tok', null));
   });
+
+  // ── Job callbacks ─────────────────────────────────────────────
+
+  test('sendJobCallback connects to the pinned address without resolving the host', async () => {
+    delete require.cache[require.resolve('../../src/lib/client')];
+    const { A2AClient } = require('../../src/lib/client');
+    const { loadSigningIdentity } = require('../../src/lib/signing');
+    const http = require('http');
+    const keys = helpers.tmpConfigDir('client-callback');
+    const seen = [];
+    const server = await new Promise((resolve) => {
+      const s = http.createServer((req, res) => {
+        seen.push(req.headers.host);
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{"success":true}');
+      });
+      s.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    try {
+      const client = new A2AClient({ signingIdentity: loadSigningIdentity(keys.dir), timeout: 2000 });
+      // .invalid never resolves, so only the pinned address can reach the server.
+      const host = `callback.invalid:${server.address().port}`;
+      const result = await client.sendJobCallback(host, { job_id: 'job_1' }, { address: '127.0.0.1' });
+      assert.equal(result.success, true);
+      assert.deepEqual(seen, [host]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      keys.cleanup();
+    }
+  });
 };
@@ -156,6 +156,23 @@ module.exports = function (test, assert, helpers) {
     tmp.cleanup();
   });
 
+  test('setTier accepts a per-tier rateLimit and rejects invalid windows', () => {
+    const config = freshConfig();
+
+    config.setTier('friends', { rateLimit: { perMinute: 30, perHour: 300 } });
+    assert.deepEqual(config.getTiers().friends.rateLimit, { perMinute: 30, perHour: 300 });
+
+    let err = null;
+    try {
+      config.setTier('friends', { rateLimit: { perMinute: 0 } });
+    } catch (e) {
+      err = e;
+    }
+    assert.ok(err, 'expected invalid rateLimit to throw');
+    assert.equal(err.code, 'A2A_CONFIG_INVALID_RATE_LIMIT');
+    tmp.cleanup();
+  });
+
   // ── Persistence ───────────────────────────────────────────────
 
   test('config persists across instances', () => {
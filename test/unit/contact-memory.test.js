@@ -0,0 +1,144 @@
+/**
+ * Contact Memory Tests
+ *
+ * Covers: remembering concluded calls per contact, the rolling window,
+ * tier scoping, owner edits surviving re-conclusion, forgetting one call or
+ * everything, and seeding memory from calls concluded before the table existed.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function freshStore() {
+    const tmp = helpers.tmpConfigDir('contact-memory');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const store = new ConversationStore(tmp.dir);
+    return {
+      store,
+      dir: tmp.dir,
+      cleanup() {
+        store.close();
+        tmp.cleanup();
+      }
+    };
+  }
+
+  async function concludedCall(store, id, { tier = 'friends', summary = `Summary of ${id}.`, contactId = 'contact_bramble' } = {}) {
+    store.startConversation({ id, contactId, contactName: 'Bramble', direction: 'inbound', tier });
+    store.addMessage(id, { direction: 'inbound', role: 'user', content: 'Shall we apply together?' });
+    store.saveCollabState(id, {
+      phase: 'deep_dive',
+      turnCount: 4,
+      overlapScore: 0.7,
+      activeThreads: ['orchard grant'],
+      candidateCollaborations: ['joint application'],
+      openQuestions: ['who writes the budget?'],
+      closeSignal: true,
+      confidence: 0.8
+    });
+    await store.concludeConversation(id, { summarizer: async () => ({ summary }) });
+  }
+
+  test('concluded calls are remembered per contact in a rolling window', async () => {
+    const ctx = freshStore();
+    const { CONTACT_MEMORY_MAX_ENTRIES } = require('../../src/lib/conversations');
+    await concludedCall(ctx.store, 'conv_first', { summary: 'Talked about the grant.' });
+
+    const memory = ctx.store.getContactMemory('contact_bramble');
+    assert.equal(memory.contact_name, 'Bramble');
+    assert.equal(memory.entries.length, 1);
+    const [entry] = memory.entries;
+    assert.equal(entry.conversation_id, 'conv_first');
+    assert.equal(entry.tier, 'friends');
+    assert.equal(entry.summary, 'Talked about the grant.');
+    assert.deepEqual(entry.threads, ['orchard grant']);
+    assert.deepEqual(entry.collaborations, ['joint application']);
+    assert.deepEqual(entry.open_questions, ['who writes the budget?']);
+
+    // Concluding again refreshes the entry instead of adding another.
+    await ctx.store.concludeConversation('conv_first', { summarizer: async () => ({ summary: 'Grant, revised.' }) });
+    assert.equal(ctx.store.getContactMemory('contact_bramble').entries.length, 1);
+    assert.equal(ctx.store.getContactMemory('contact_bramble').entries[0].summary, 'Grant, revised.');
+
+    for (let i = 0; i < CONTACT_MEMORY_MAX_ENTRIES; i++) {
+      await concludedCall(ctx.store, `conv_more_${i}`);
+    }
+    const entries = ctx.store.getContactMemory('contact_bramble').entries;
+    assert.equal(entries.length, CONTACT_MEMORY_MAX_ENTRIES);
+    assert.ok(!entries.some(e => e.conversation_id === 'conv_first'));
+    assert.equal(ctx.store.listContactMemories().length, 1);
+    assert.equal(ctx.store.getContactMemory('contact_nobody'), null);
+    ctx.cleanup();
+  });
+
+  test('memory is scoped by the tier of the call reading it', async () => {
+    const ctx = freshStore();
+    const { memoryVisibleAtTier } = require('../../src/lib/conversations');
+    await concludedCall(ctx.store, 'conv_public', { tier: 'public' });
+    await concludedCall(ctx.store, 'conv_family', { tier: 'family' });
+    await concludedCall(ctx.store, 'conv_custom', { tier: 'custom' });
+
+    const ids = tier => ctx.store.getContactMemory('contact_bramble', { tier }).entries.map(e => e.conversation_id);
+    assert.deepEqual(ids('public'), ['conv_public']);
+    assert.deepEqual(ids('family'), ['conv_public', 'conv_family']);
+    assert.deepEqual(ids('custom'), ['conv_custom']);
+    assert.equal(ctx.store.getContactMemory('contact_bramble').entries.length, 3);
+
+    // Entries from before calls recorded a tier are only shown at the top of the ladder.
+    assert.equal(memoryVisibleAtTier(null, 'family'), true);
+    assert.equal(memoryVisibleAtTier(null, 'friends'), false);
+    ctx.cleanup();
+  });
+
+  test('owner edits survive re-conclusion and memory can be forgotten', async () => {
+    const ctx = freshStore();
+    await concludedCall(ctx.store, 'conv_a');
+    await concludedCall(ctx.store, 'conv_b');
+
+    const edited = ctx.store.updateContactMemoryEntry('contact_bramble', 'conv_a', {
+      summary: 'Owner rewrote this.',
+      threads: ['grant', ' ', 'orchard']
+    });
+    assert.ok(edited.success);
+    const entry = edited.memory.entries.find(e => e.conversation_id === 'conv_a');
+    assert.equal(entry.summary, 'Owner rewrote this.');
+    assert.deepEqual(entry.threads, ['grant', 'orchard']);
+    assert.equal(entry.edited, true);
+    assert.equal(ctx.store.updateContactMemoryEntry('contact_bramble', 'conv_a', { threads: 'grant' }).error, 'invalid_threads');
+    assert.equal(ctx.store.updateContactMemoryEntry('contact_bramble', 'conv_missing', { summary: 'x' }).error, 'not_found');
+
+    await ctx.store.concludeConversation('conv_a', { summarizer: async () => ({ summary: 'Machine summary.' }) });
+    const kept = ctx.store.getContactMemory('contact_bramble').entries.find(e => e.conversation_id === 'conv_a');
+    assert.equal(kept.summary, 'Owner rewrote this.');
+
+    const forgot = ctx.store.forgetContactMemory('contact_bramble', 'conv_a');
+    assert.deepEqual(forgot.memory.entries.map(e => e.conversation_id), ['conv_b']);
+    assert.equal(ctx.store.forgetContactMemory('contact_bramble', 'conv_a').error, 'not_found');
+
+    assert.ok(ctx.store.forgetContactMemory('contact_bramble').success);
+    assert.equal(ctx.store.getContactMemory('contact_bramble'), null);
+    assert.equal(ctx.store.forgetContactMemory('contact_bramble').error, 'not_found');
+    ctx.cleanup();
+  });
+
+  test('migration seeds memory from calls concluded by earlier versions', () => {
+    const ctx = freshStore();
+    ctx.store.startConversation({ id: 'conv_old', contactId: 'contact_old', contactName: 'Old Friend', direction: 'inbound' });
+    ctx.store.startConversation({ id: 'conv_open', contactId: 'contact_old', contactName: 'Old Friend', direction: 'inbound' });
+    const db = ctx.store.db;
+    db.prepare(`UPDATE conversations SET summary = ?, status = 'concluded', ended_at = ? WHERE id = ?`)
+      .run('Remembered the orchard.', '2025-05-01T00:00:00Z', 'conv_old');
+    db.exec('DROP TABLE contact_memory');
+    db.prepare('DELETE FROM schema_version WHERE version >= 8').run();
+    ctx.store.close();
+
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const reopened = new ConversationStore(ctx.dir);
+    const memory = reopened.getContactMemory('contact_old');
+    assert.deepEqual(memory.entries.map(e => e.conversation_id), ['conv_old']);
+    assert.equal(memory.entries[0].tier, null);
+    assert.equal(memory.updated_at, '2025-05-01T00:00:00Z');
+    reopened.close();
+    ctx.cleanup();
+  });
+};
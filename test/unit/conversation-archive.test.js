@@ -0,0 +1,185 @@
+/**
+ * Conversation Export/Import Tests
+ *
+ * Covers: exporting summaries, owner context, collaboration state, intents and
+ * compressed messages; JSONL, Markdown and tar.gz archive round trips; tracked
+ * action items keeping their status; and the skip, rename and merge strategies
+ * for ID collisions on import.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function freshStores() {
+    const tmp = helpers.tmpConfigDir('conv-archive');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const path = require('path');
+    const source = new ConversationStore(path.join(tmp.dir, 'source'));
+    const target = new ConversationStore(path.join(tmp.dir, 'target'));
+    return {
+      source,
+      target,
+      cleanup() {
+        source.close();
+        target.close();
+        tmp.cleanup();
+      }
+    };
+  }
+
+  function seed(store) {
+    store.startConversation({ id: 'conv_shared', contactName: 'Bramble', direction: 'inbound' });
+    const first = store.addMessage('conv_shared', { direction: 'inbound', role: 'user', content: 'Can we plan the orchard grant?' });
+    store.addMessage('conv_shared', { direction: 'outbound', role: 'assistant', content: 'Yes, Thursday works.' });
+    store.addIntent('conv_shared', {
+      intent: { type: 'schedule_meeting', title: 'Grant kickoff' },
+      messageId: first.id
+    });
+    store.saveCollabState('conv_shared', {
+      phase: 'explore',
+      turnCount: 2,
+      overlapScore: 0.6,
+      activeThreads: ['grant'],
+      candidateCollaborations: [],
+      openQuestions: ['budget?'],
+      closeSignal: false,
+      confidence: 0.5
+    });
+    store.db.prepare(`
+      UPDATE conversations SET summary = ?, owner_summary = ?, owner_action_items = ?, joint_action_items = ?
+      WHERE id = ?
+    `).run('Planned the grant.', 'Worth pursuing.', JSON.stringify(['Draft budget']), JSON.stringify(['Meet Thursday']), 'conv_shared');
+  }
+
+  test('export includes summaries, action items, collab state, intents and decompressed messages', () => {
+    const ctx = freshStores();
+    seed(ctx.source);
+    ctx.source.db.prepare(`UPDATE messages SET timestamp = '2020-01-01T00:00:00Z'`).run();
+    ctx.source.compressOldMessages(1);
+
+    const record = ctx.source.exportConversation('conv_shared');
+    assert.equal(record.summary, 'Planned the grant.');
+    assert.equal(record.owner_context.summary, 'Worth pursuing.');
+    assert.deepEqual(record.action_items.owner, ['Draft budget']);
+    assert.deepEqual(record.action_items.joint, ['Meet Thursday']);
+    assert.equal(record.collab_state.phase, 'explore');
+    assert.equal(record.intents.length, 1);
+    assert.equal(record.intents[0].payload.title, 'Grant kickoff');
+    assert.deepEqual(record.messages.map(m => m.content), ['Can we plan the orchard grant?', 'Yes, Thursday works.']);
+    assert.equal(ctx.source.exportConversation('conv_missing'), null);
+    ctx.cleanup();
+  });
+
+  test('jsonl and archive exports round trip into another store', () => {
+    const ctx = freshStores();
+    seed(ctx.source);
+    const archive = require('../../src/lib/conversation-archive');
+    const records = ctx.source.listConversationIds().map(id => ctx.source.exportConversation(id));
+
+    const jsonl = archive.toJsonLines(records);
+    assert.includes(jsonl.split('\n')[0], '"kind":"a2a-conversations"');
+    assert.deepEqual(archive.readExport(Buffer.from(jsonl)), records);
+
+    const tarball = archive.createArchive(records);
+    assert.equal(tarball[0], 0x1f);
+    const restored = archive.readExport(tarball);
+    assert.deepEqual(restored, records);
+
+    const markdown = archive.toMarkdownDocument(records);
+    assert.includes(markdown, '# Bramble — conv_shared');
+    assert.includes(markdown, 'Can we plan the orchard grant?');
+
+    const result = ctx.target.importConversation(restored[0]);
+    assert.equal(result.status, 'imported');
+    assert.equal(result.messages, 2);
+    const copy = ctx.target.exportConversation('conv_shared');
+    assert.deepEqual(copy.messages, records[0].messages);
+    assert.equal(copy.intents[0].message_id, records[0].intents[0].message_id);
+    assert.equal(copy.collab_state.overlapScore, 0.6);
+    assert.equal(copy.owner_context.summary, 'Worth pursuing.');
+    assert.equal(ctx.target.getConversation('conv_shared').message_count, 2);
+    assert.equal(ctx.target.search('orchard').length, 1);
+
+    assert.throws(() => archive.parseJsonLines('{"kind":"a2a-conversations","version":99}'));
+    assert.equal(ctx.target.importConversation({ id: 'x' }).error, 'invalid_record');
+    ctx.cleanup();
+  });
+
+  test('ID collisions are skipped, renamed or merged', () => {
+    const ctx = freshStores();
+    seed(ctx.source);
+    const record = ctx.source.exportConversation('conv_shared');
+
+    // The other side of the same call: one shared message, one of its own, no summary.
+    ctx.target.startConversation({ id: 'conv_shared', contactName: 'Bramble', direction: 'inbound' });
+    ctx.target.addMessage('conv_shared', { direction: 'inbound', role: 'user', content: 'Local note' });
+    const shared = record.messages[0];
+    ctx.target.db.prepare(`
+      INSERT INTO messages (id, conversation_id, direction, role, content, timestamp) VALUES (?, ?, ?, ?, ?, ?)
+    `).run('msg_localcopy', 'conv_shared', shared.direction, shared.role, shared.content, shared.timestamp);
+
+    const skipped = ctx.target.importConversation(record);
+    assert.equal(skipped.status, 'skipped');
+    assert.equal(ctx.target.getConversation('conv_shared').messages.length, 2);
+
+    const renamed = ctx.target.importConversation(record, { onConflict: 'rename' });
+    assert.equal(renamed.status, 'renamed');
+    assert.match(renamed.id, /^conv_shared_/);
+    // Message and intent ids already used by the first import are reissued.
+    const again = ctx.target.importConversation({ ...record, id: 'conv_other' });
+    assert.equal(again.messages, 2);
+    const other = ctx.target.exportConversation('conv_other');
+    assert.ok(other.messages.every(m => !record.messages.some(r => r.id === m.id)));
+    assert.ok(other.intents[0].id !== record.intents[0].id);
+    assert.ok(other.intents[0].message_id && other.intents[0].message_id !== record.intents[0].message_id);
+
+    const merged = ctx.target.importConversation(record, { onConflict: 'merge' });
+    assert.equal(merged.status, 'merged');
+    assert.equal(merged.messages, 1);
+    const conv = ctx.target.getConversation('conv_shared');
+    assert.equal(conv.message_count, 3);
+    assert.equal(conv.summary, 'Planned the grant.');
+    assert.equal(ctx.target.listIntents({ conversationId: 'conv_shared' }).length, 1);
+
+    const twice = ctx.target.importConversation(record, { onConflict: 'merge' });
+    assert.equal(twice.messages, 0);
+    assert.equal(ctx.target.listIntents({ conversationId: 'conv_shared' }).length, 1);
+    assert.equal(ctx.target.importConversation(record, { onConflict: 'clobber' }).error, 'invalid_conflict_mode');
+    ctx.cleanup();
+  });
+
+  test('tracked action items keep their status through export and import', () => {
+    const ctx = freshStores();
+    seed(ctx.source);
+    const done = ctx.source.addActionItem({ conversationId: 'conv_shared', text: 'Draft budget' }).item;
+    const dropped = ctx.source.addActionItem({ conversationId: 'conv_shared', owner: 'joint', text: 'Meet Thursday' }).item;
+    ctx.source.addActionItem({ conversationId: 'conv_shared', text: 'Call the bank', dueAt: '2026-04-01' });
+    ctx.source.updateActionItem(done.id, { status: 'done' });
+    ctx.source.updateActionItem(dropped.id, { status: 'dropped', text: 'Meet Friday' });
+
+    const record = ctx.source.exportConversation('conv_shared');
+    assert.equal(record.tracked_action_items.length, 3);
+    ctx.target.importConversation(record);
+    const byText = (conversationId) => Object.fromEntries(
+      ctx.target.listActionItems({ conversationId }).map(i => [i.text, i.status])
+    );
+    // The summary list still says 'Meet Thursday'; the edited row is not re-added as open.
+    assert.deepEqual(byText('conv_shared'), { 'Call the bank': 'open', 'Draft budget': 'done', 'Meet Friday': 'dropped' });
+    assert.ok(ctx.target.getActionItem(done.id).completed_at);
+    assert.equal(ctx.target.getActionItem(done.id).contact_name, 'Bramble');
+
+    // Merging again adds nothing; a renamed copy gets fresh item ids.
+    ctx.target.importConversation(record, { onConflict: 'merge' });
+    assert.equal(ctx.target.listActionItems({ conversationId: 'conv_shared' }).length, 3);
+    const renamed = ctx.target.importConversation(record, { onConflict: 'rename' });
+    const copies = ctx.target.listActionItems({ conversationId: renamed.id });
+    assert.equal(copies.filter(i => i.status === 'done').length, 1);
+    assert.ok(copies.every(i => !record.tracked_action_items.some(r => r.id === i.id)));
+
+    // Exports from before the rows were included are tracked from the summary lists.
+    const legacy = { ...record, id: 'conv_legacy' };
+    delete legacy.tracked_action_items;
+    ctx.target.importConversation(legacy);
+    assert.deepEqual(byText('conv_legacy'), { 'Draft budget': 'open', 'Meet Thursday': 'open' });
+    ctx.cleanup();
+  });
+};
@@ -257,6 +257,60 @@ module.exports = function (test, assert, helpers) {
     assert.equal(inbound.content, 'Got it');
   });
 
+  test('driver links the contact and recalls its memory at the call tier', async () => {
+    const { ConversationDriver } = require('../../src/lib/conversation-driver');
+
+    let started = null;
+    let memoryQuery = null;
+    const mockConvStore = {
+      getContactMemory: (contactId, options) => {
+        memoryQuery = { contactId, ...options };
+        return { entries: [{ at: '2026-02-10T09:00:00Z', summary: 'Discussed the orchard grant.' }] };
+      },
+      startConversation: (opts) => {
+        started = opts;
+        return { id: opts.id };
+      },
+      addMessage: () => ({ id: 'msg_test' }),
+      saveCollabState: () => ({ success: true }),
+      concludeConversation: async () => ({ success: true })
+    };
+
+    const prompts = [];
+    const runtime = {
+      mode: 'mock',
+      runTurn: async ({ prompt }) => {
+        prompts.push(prompt);
+        return 'Following up on the grant.';
+      }
+    };
+
+    const driver = new ConversationDriver({
+      runtime,
+      agentContext: { name: 'test-agent', owner: 'tester' },
+      caller: { name: 'Bramble' },
+      endpoint: 'a2a://localhost:9999/fake_token',
+      convStore: mockConvStore,
+      contact: { id: 'contact_bramble', name: 'Bramble' },
+      tier: 'friends',
+      minTurns: 1,
+      maxTurns: 2
+    });
+    driver.client = createMockClient([
+      { response: 'Hi again', can_continue: true, conversation_id: 'conv_memory' },
+      { response: 'Talk soon', can_continue: false, conversation_id: 'conv_memory' }
+    ]);
+
+    await driver.run('Hello!');
+
+    assert.deepEqual(memoryQuery, { contactId: 'contact_bramble', tier: 'friends' });
+    assert.equal(started.contactId, 'contact_bramble');
+    assert.equal(started.contactName, 'Bramble');
+    assert.equal(started.tier, 'friends');
+    assert.ok(prompts.length >= 1, 'runtime should have been prompted');
+    assert.includes(prompts[0], 'Discussed the orchard grant.');
+  });
+
   test('driver handles runtime failure gracefully', async () => {
     const { ConversationDriver } = require('../../src/lib/conversation-driver');
 
@@ -3,7 +3,7 @@
  *
  * Covers: SQLite initialization, conversation lifecycle,
  * message storage, summarization, listing, timeout,
- * compression, and context retrieval.
+ * compression, context retrieval, and full-text search.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -522,4 +522,127 @@ module.exports = function (test, assert, helpers) {
     store.close();
     tmp.cleanup();
   });
+
+  // ── Async Jobs ────────────────────────────────────────────────
+
+  test('async jobs persist state and results across reopen', () => {
+    const store = freshStore();
+    const job = store.createJob({
+      conversationId: 'conv_job',
+      tokenId: 'tok_job',
+      message: 'slow question',
+      context: { a2a: { conversation_id: 'conv_job' } },
+      timeoutMs: 600000,
+      callbackHost: 'bob.example.com'
+    });
+    assert.match(job.id, /^job_/);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.callback_status, 'pending');
+    assert.equal(job.context.a2a.conversation_id, 'conv_job');
+
+    store.updateJob(job.id, { status: 'completed', result: { response: 'answer' }, token_id: 'tok_other' });
+    store.close();
+
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const reopened = new ConversationStore(tmp.dir);
+    const loaded = reopened.getJob(job.id);
+    assert.equal(loaded.status, 'completed');
+    assert.equal(loaded.result.response, 'answer');
+    assert.equal(loaded.token_id, 'tok_job');
+    assert.equal(reopened.listJobs({ direction: 'inbound', status: ['queued', 'running'] }).length, 0);
+    assert.equal(reopened.listJobs({ status: 'completed' }).length, 1);
+    assert.equal(reopened.getJob('job_missing'), null);
+
+    reopened.close();
+    tmp.cleanup();
+  });
+
+  test('intents are tracked on the conversation and move through statuses', () => {
+    const store = freshStore();
+    store.startConversation({ id: 'conv_intent', contactName: 'Planner', direction: 'inbound' });
+    const msg = store.addMessage('conv_intent', { direction: 'inbound', role: 'user', content: 'Meet?' });
+
+    const intent = store.addIntent('conv_intent', {
+      intent: { type: 'schedule_meeting', title: 'Kickoff', slots: [{ start: '2026-03-02T10:00:00.000Z', end: null }] },
+      messageId: msg.id
+    });
+    assert.match(intent.id, /^int_/);
+    assert.equal(intent.status, 'open');
+    assert.equal(intent.payload.title, 'Kickoff');
+    assert.equal(intent.message_id, msg.id);
+
+    const conv = store.getConversation('conv_intent');
+    assert.deepEqual(conv.intents.map(i => i.type), ['schedule_meeting']);
+    assert.equal(store.getConversationContext('conv_intent').intents.length, 1);
+
+    assert.equal(store.updateIntentStatus(intent.id, 'accepted').intent.status, 'accepted');
+    assert.equal(store.updateIntentStatus(intent.id, 'maybe').error, 'invalid_status');
+    assert.equal(store.updateIntentStatus('int_missing', 'done').error, 'not_found');
+    assert.equal(store.listIntents({ status: 'open' }).length, 0);
+
+    store.close();
+    tmp.cleanup();
+  });
+
+  // ── Search ────────────────────────────────────────────────────
+
+  test('search finds messages and summaries with highlighted snippets', async () => {
+    const store = freshStore();
+    store.startConversation({ id: 'conv_grant', contactId: 'bramble', contactName: 'Bramble', direction: 'inbound' });
+    store.addMessage('conv_grant', { direction: 'inbound', role: 'user', content: 'We landed grant funding for the compiler work.' });
+    store.addMessage('conv_grant', { direction: 'outbound', role: 'assistant', content: 'Congratulations!' });
+    store.startConversation({ id: 'conv_lunch', contactId: 'nyx', contactName: 'Nyx', direction: 'outbound' });
+    store.addMessage('conv_lunch', { direction: 'outbound', role: 'user', content: 'Lunch on Friday? Bring the grant notes.' });
+    await store.concludeConversation('conv_lunch', {
+      summarizer: async () => ({ summary: 'Planned a lunch about compilers', ownerSummary: 'Nyx may co-author' })
+    });
+
+    const hits = store.search('grant funding');
+    assert.deepEqual(hits.map(h => h.id), ['conv_grant']);
+    assert.equal(hits[0].contact_name, 'Bramble');
+    assert.equal(hits[0].matches[0].type, 'message');
+    assert.equal(hits[0].matches[0].role, 'user');
+    assert.includes(hits[0].matches[0].snippet, '[grant] [funding]');
+
+    const both = store.search('compil*', { highlight: ['<b>', '</b>'] });
+    assert.deepEqual(both.map(h => h.id).sort(), ['conv_grant', 'conv_lunch']);
+    const summaryHit = both.find(h => h.id === 'conv_lunch').matches[0];
+    assert.equal(summaryHit.type, 'summary');
+    assert.includes(summaryHit.snippet, '<b>compilers</b>');
+
+    assert.deepEqual(store.search('grant', { contactId: 'Nyx' }).map(h => h.id), ['conv_lunch']);
+    assert.deepEqual(store.search('grant', { status: 'concluded' }).map(h => h.id), ['conv_lunch']);
+    assert.equal(store.search('"funding for the compiler"').length, 1);
+    assert.equal(store.search('"compiler funding"').length, 0);
+    // FTS syntax in user input is matched as text, not parsed.
+    assert.equal(store.search('grant AND (NEAR "').length, 0);
+    assert.equal(store.search('   ').length, 0);
+
+    store.close();
+    tmp.cleanup();
+  });
+
+  test('search indexes existing history and keeps compressed messages findable', () => {
+    const store = freshStore();
+    store.startConversation({ id: 'conv_old', contactName: 'Archivist', direction: 'inbound' });
+    store.addMessage('conv_old', { direction: 'inbound', role: 'user', content: 'Telescope time is booked for March' });
+    store.addMessage('conv_old', { direction: 'inbound', role: 'user', content: 'Bring the spectrograph' });
+    store.db.prepare(`UPDATE messages SET timestamp = datetime('now', '-30 days') WHERE content LIKE 'Telescope%'`).run();
+    assert.equal(store.compressOldMessages(7).compressed, 1);
+    assert.equal(store.search('telescope').length, 1);
+
+    // A database from before search existed (schema version 5) is indexed when it is opened.
+    store.db.exec(`
+      DROP TABLE messages_fts;
+      DROP TABLE conversations_fts;
+      DELETE FROM schema_version WHERE version >= 6;
+    `);
+    store.close();
+    const reopened = new (require('../../src/lib/conversations').ConversationStore)(tmp.dir);
+    assert.equal(reopened.search('telescope').length, 1);
+    assert.equal(reopened.search('spectrograph').length, 1);
+
+    reopened.close();
+    tmp.cleanup();
+  });
 };
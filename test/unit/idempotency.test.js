@@ -0,0 +1,68 @@
+/**
+ * Idempotency Store Tests
+ *
+ * Covers: reserve / replay / mismatch / release decisions for both backends,
+ * SQLite persistence across instances, expiry, and request fingerprints.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function loadModule() {
+    delete require.cache[require.resolve('../../src/lib/idempotency')];
+    return require('../../src/lib/idempotency');
+  }
+
+  function exerciseStore(store) {
+    const fp = 'fp_one';
+    assert.equal(store.begin('tok_a', 'key-1', fp).state, 'new');
+    assert.equal(store.begin('tok_a', 'key-1', fp).state, 'in_progress');
+    assert.equal(store.begin('tok_a', 'key-1', 'fp_two').state, 'mismatch');
+    // Keys are scoped per token.
+    assert.equal(store.begin('tok_b', 'key-1', fp).state, 'new');
+
+    store.complete('tok_a', 'key-1', { status: 200, body: { success: true, response: 'hi' } });
+    const replay = store.begin('tok_a', 'key-1', fp);
+    assert.equal(replay.state, 'replay');
+    assert.equal(replay.response.status, 200);
+    assert.deepEqual(replay.response.body, { success: true, response: 'hi' });
+
+    // Released reservations free the key; completed ones stay.
+    store.release('tok_b', 'key-1');
+    assert.equal(store.begin('tok_b', 'key-1', fp).state, 'new');
+    store.release('tok_a', 'key-1');
+    assert.equal(store.begin('tok_a', 'key-1', fp).state, 'replay');
+  }
+
+  test('memory store reserves, replays and refuses reused keys', () => {
+    const { MemoryIdempotencyStore } = loadModule();
+    exerciseStore(new MemoryIdempotencyStore());
+  });
+
+  test('sqlite store keeps replies across instances until they expire', () => {
+    const tmp = helpers.tmpConfigDir('idempotency');
+    const { SqliteIdempotencyStore, DEFAULT_TTL_MS } = loadModule();
+    const first = new SqliteIdempotencyStore(tmp.dir);
+    exerciseStore(first);
+    first.close();
+
+    const reopened = new SqliteIdempotencyStore(tmp.dir);
+    assert.equal(reopened.begin('tok_a', 'key-1', 'fp_one').state, 'replay');
+    const later = Date.now() + DEFAULT_TTL_MS + 1000;
+    assert.equal(reopened.begin('tok_a', 'key-1', 'fp_one', later).state, 'new');
+    reopened.close();
+    tmp.cleanup();
+  });
+
+  test('fingerprints ignore key order but not route or values', () => {
+    const { fingerprintRequest, isValidKey } = loadModule();
+    const a = fingerprintRequest('invoke', { message: 'hi', caller: { name: 'A', owner: 'B' } });
+    const b = fingerprintRequest('invoke', { caller: { owner: 'B', name: 'A' }, message: 'hi' });
+    assert.equal(a, b);
+    assert.notEqual(a, fingerprintRequest('end', { message: 'hi', caller: { name: 'A', owner: 'B' } }));
+    assert.notEqual(a, fingerprintRequest('invoke', { message: 'hello', caller: { name: 'A', owner: 'B' } }));
+
+    assert.ok(isValidKey('0b6f5e4e-5d1c-4a4b-9a43-2d7d6f1f0c11'));
+    assert.ok(!isValidKey(''));
+    assert.ok(!isValidKey('has space'));
+    assert.ok(!isValidKey('x'.repeat(256)));
+  });
+};
@@ -0,0 +1,80 @@
+/**
+ * Intent Registry Tests
+ *
+ * Covers: validating the built-in intents, registering custom handlers,
+ * and the prompt text for an accepted intent.
+ */
+
+module.exports = function (test, assert) {
+  const { IntentRegistry } = require('../../src/lib/intents');
+
+  test('built-in intents normalize their fields and name a capability', () => {
+    const registry = new IntentRegistry();
+    assert.deepEqual(registry.types(), ['schedule_meeting', 'request_intro', 'ask_resource']);
+
+    const meeting = registry.normalize({
+      type: 'schedule_meeting',
+      title: '  Kickoff  ',
+      duration_minutes: '30',
+      slots: ['2026-03-02T10:00:00Z', { start: '2026-03-03T14:00:00Z', end: '2026-03-03T15:00:00Z' }],
+      extra: 'ignored'
+    });
+    assert.equal(meeting.capability, 'calendar.read');
+    assert.equal(meeting.intent.title, 'Kickoff');
+    assert.equal(meeting.intent.duration_minutes, 30);
+    assert.deepEqual(meeting.intent.slots[0], { start: '2026-03-02T10:00:00.000Z', end: null });
+    assert.equal(meeting.intent.extra, undefined);
+
+    const intro = registry.normalize({ type: 'request_intro', person: 'Grace', reason: 'Compilers' });
+    assert.equal(intro.capability, 'context-read');
+    assert.equal(intro.intent.person, 'Grace');
+
+    assert.deepEqual(registry.normalize(undefined), { intent: null });
+  });
+
+  test('invalid intents are rejected with a reason', () => {
+    const registry = new IntentRegistry();
+    const cases = [
+      'schedule_meeting',
+      { type: 'launch_rocket' },
+      { type: 'schedule_meeting', slots: [] },
+      { type: 'schedule_meeting', slots: ['not a date'] },
+      { type: 'schedule_meeting', slots: [{ start: '2026-03-02T10:00:00Z', end: '2026-03-02T09:00:00Z' }] },
+      { type: 'schedule_meeting', slots: ['2026-03-02T10:00:00Z'], duration_minutes: 2 },
+      { type: 'request_intro' },
+      { type: 'ask_resource', resource: 'Slides', needed_by: 'soon' }
+    ];
+    for (const value of cases) {
+      const result = registry.normalize(value);
+      assert.equal(result.error, 'invalid_intent');
+      assert.type(result.message, 'string');
+    }
+  });
+
+  test('custom handlers can be registered', () => {
+    const registry = new IntentRegistry({ builtins: false });
+    registry.register('share_doc', {
+      capability: 'docs.read',
+      normalize: (fields) => (fields.url ? { fields: { url: String(fields.url) } } : { error: 'url required' }),
+      describe: (intent) => [`They want to share ${intent.url}.`]
+    });
+    assert.deepEqual(registry.types(), ['share_doc']);
+    const result = registry.normalize({ type: 'share_doc', url: 'https://example.com/doc' });
+    assert.equal(result.capability, 'docs.read');
+    assert.equal(registry.normalize({ type: 'share_doc' }).message, 'url required');
+    assert.throws(() => registry.register('Bad Type', { capability: 'x', normalize: () => ({}) }));
+  });
+
+  test('describe renders the intent for the runtime prompt', () => {
+    const registry = new IntentRegistry();
+    const { intent } = registry.normalize({
+      type: 'schedule_meeting',
+      title: 'Kickoff',
+      slots: [{ start: '2026-03-02T10:00:00Z', end: '2026-03-02T11:00:00Z' }]
+    });
+    const text = registry.describe(intent);
+    assert.includes(text, 'Structured request (schedule_meeting):');
+    assert.includes(text, 'They want to schedule a meeting: Kickoff.');
+    assert.includes(text, '2026-03-02T10:00:00.000Z to 2026-03-02T11:00:00.000Z');
+  });
+};
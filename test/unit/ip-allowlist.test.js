@@ -0,0 +1,59 @@
+/**
+ * IP allowlist tests
+ *
+ * Covers: address normalization, CIDR validation, IPv4/IPv6 matching,
+ * IPv4-mapped peers, and the non-public ranges callbacks refuse.
+ */
+
+module.exports = function (test, assert) {
+
+  function loadAllowlist() {
+    return require('../../src/lib/ip-allowlist');
+  }
+
+  test('normalizeAddress strips mapped prefixes, brackets, and zones', () => {
+    const { normalizeAddress } = loadAllowlist();
+    assert.equal(normalizeAddress('::ffff:10.1.2.3'), '10.1.2.3');
+    assert.equal(normalizeAddress('[2001:DB8::1]'), '2001:db8::1');
+    assert.equal(normalizeAddress('fe80::1%eth0'), 'fe80::1');
+    assert.equal(normalizeAddress('example.com'), null);
+  });
+
+  test('parseCidrList canonicalizes entries and rejects bad input', () => {
+    const { parseCidrList } = loadAllowlist();
+    assert.deepEqual(parseCidrList('10.0.0.0/8, 203.0.113.7').cidrs, ['10.0.0.0/8', '203.0.113.7/32']);
+    assert.deepEqual(parseCidrList(null).cidrs, []);
+    assert.ok(parseCidrList(['10.0.0.0/40']).error);
+    assert.ok(parseCidrList(['nope/8']).error);
+  });
+
+  test('allowlist matches IPv4, IPv6, and mapped addresses', () => {
+    const { createAllowlist } = loadAllowlist();
+    const list = createAllowlist(['10.0.0.0/8', '2001:db8::/32']);
+    assert.ok(list.contains('10.20.30.40'));
+    assert.ok(list.contains('::ffff:10.20.30.40'));
+    assert.ok(list.contains('2001:db8:1::5'));
+    assert.ok(!list.contains('11.0.0.1'));
+    assert.ok(!list.contains('2001:db9::1'));
+    assert.ok(!list.contains(null));
+  });
+
+  test('non-public ranges include multicast and broadcast', () => {
+    const { isNonPublicAddress } = loadAllowlist();
+    for (const ip of ['10.1.2.3', '127.0.0.1', '224.0.0.251', '239.255.255.250', '255.255.255.255', 'ff02::1', '::ffff:192.168.1.1']) {
+      assert.ok(isNonPublicAddress(ip), ip);
+    }
+    for (const ip of ['8.8.8.8', '203.0.113.7', '2001:4860:4860::8888']) {
+      assert.ok(!isNonPublicAddress(ip), ip);
+    }
+  });
+
+  test('allowlist skips only the invalid entries', () => {
+    const { createAllowlist } = loadAllowlist();
+    const list = createAllowlist('10.0.0.0/8, 10.0.0.0/33, not-an-ip, ::1');
+    assert.deepEqual(list.cidrs, ['10.0.0.0/8', '::1/128']);
+    assert.deepEqual(list.rejected, ['10.0.0.0/33', 'not-an-ip']);
+    assert.ok(list.contains('10.1.2.3'));
+    assert.ok(list.contains('::1'));
+  });
+};
@@ -0,0 +1,193 @@
+/**
+ * Schema Migration Tests
+ *
+ * Covers: ordered application and version tracking, dry runs, concurrent
+ * openers, rollback of a failing step, refusing newer schemas,
+ * A2A_AUTO_MIGRATE=false, and upgrading pre-versioning conversation and log
+ * databases without losing rows.
+ */
+
+module.exports = function (test, assert, helpers) {
+  const path = require('path');
+
+  function loadModule() {
+    delete require.cache[require.resolve('../../src/lib/migrations')];
+    return require('../../src/lib/migrations');
+  }
+
+  function openDb(dir, file = 'test.db') {
+    const Database = require('better-sqlite3');
+    return new Database(path.join(dir, file));
+  }
+
+  const steps = [
+    { version: 1, name: 'notes', up: db => db.exec('CREATE TABLE IF NOT EXISTS notes (id INTEGER PRIMARY KEY, body TEXT)') },
+    { version: 2, name: 'notes_author', up: db => require('../../src/lib/migrations').addColumnIfMissing(db, 'notes', 'author', 'TEXT') }
+  ];
+
+  test('migrate applies pending steps in order and records them', () => {
+    const tmp = helpers.tmpConfigDir('migrate');
+    const { migrate, getSchemaStatus } = loadModule();
+    const db = openDb(tmp.dir);
+
+    const preview = migrate(db, steps, { dryRun: true });
+    assert.equal(preview.dryRun, true);
+    assert.deepEqual(preview.applied.map(m => m.version), [1, 2]);
+    assert.equal(getSchemaStatus(db, steps).current, 0);
+
+    const result = migrate(db, steps);
+    assert.equal(result.from, 0);
+    assert.equal(result.to, 2);
+    db.prepare('INSERT INTO notes (body, author) VALUES (?, ?)').run('kept', 'ada');
+
+    const again = migrate(db, steps);
+    assert.equal(again.applied.length, 0);
+    const status = getSchemaStatus(db, steps);
+    assert.equal(status.current, 2);
+    assert.deepEqual(status.applied.map(m => m.name), ['notes', 'notes_author']);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM notes').get().n, 1);
+
+    db.close();
+    tmp.cleanup();
+  });
+
+  test('a step another connection applied first is skipped, not repeated', () => {
+    const tmp = helpers.tmpConfigDir('migrate-race');
+    const { migrate, getSchemaStatus } = loadModule();
+    const first = openDb(tmp.dir);
+    const second = openDb(tmp.dir);
+
+    // The second process catches up between the first one's steps.
+    const logger = {
+      info: (msg, { data }) => {
+        if (data.version === 1) migrate(second, steps);
+      }
+    };
+    const result = migrate(first, steps, { logger });
+    assert.deepEqual(result.applied.map(m => m.version), [1]);
+    assert.equal(result.to, 2);
+    assert.deepEqual(getSchemaStatus(first, steps).applied.map(m => m.version), [1, 2]);
+
+    first.close();
+    second.close();
+    tmp.cleanup();
+  });
+
+  test('a failing step rolls back and newer schemas are refused', () => {
+    const tmp = helpers.tmpConfigDir('migrate-fail');
+    const { migrate, getSchemaStatus } = loadModule();
+    const db = openDb(tmp.dir);
+    const broken = [...steps, {
+      version: 3,
+      name: 'broken',
+      up: (conn) => {
+        conn.exec('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('boom');
+      }
+    }];
+
+    assert.throws(() => migrate(db, broken));
+    assert.equal(getSchemaStatus(db, broken).current, 2);
+    assert.ok(!db.prepare(`SELECT name FROM sqlite_master WHERE name = 'half_done'`).get());
+
+    let error = null;
+    try {
+      migrate(db, steps.slice(0, 1), { database: 'notes' });
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.code, 'schema_too_new');
+
+    assert.throws(() => migrate(db, [steps[1], steps[0]]));
+
+    db.close();
+    tmp.cleanup();
+  });
+
+  test('A2A_AUTO_MIGRATE=false sets up new files but leaves existing ones alone', () => {
+    const tmp = helpers.tmpConfigDir('migrate-manual');
+    const { ensureMigrated, migrate } = loadModule();
+    process.env.A2A_AUTO_MIGRATE = 'false';
+    try {
+      const fresh = openDb(tmp.dir, 'fresh.db');
+      assert.equal(ensureMigrated(fresh, steps).to, 2);
+      fresh.close();
+
+      const existing = openDb(tmp.dir, 'existing.db');
+      migrate(existing, steps.slice(0, 1));
+      let error = null;
+      try {
+        ensureMigrated(existing, steps);
+      } catch (err) {
+        error = err;
+      }
+      assert.equal(error.code, 'schema_migration_pending');
+      assert.includes(error.message, 'a2a db migrate');
+      existing.close();
+    } finally {
+      delete process.env.A2A_AUTO_MIGRATE;
+    }
+    tmp.cleanup();
+  });
+
+  test('pre-versioning conversation and log databases are upgraded in place', () => {
+    const tmp = helpers.tmpConfigDir('migrate-legacy');
+    const legacyConversations = openDb(tmp.dir, 'a2a-conversations.db');
+    legacyConversations.exec(`
+      CREATE TABLE conversations (
+        id TEXT PRIMARY KEY, contact_id TEXT, contact_name TEXT, token_id TEXT,
+        direction TEXT NOT NULL, started_at TEXT NOT NULL, ended_at TEXT,
+        last_message_at TEXT, message_count INTEGER DEFAULT 0, status TEXT DEFAULT 'active',
+        summary TEXT, summary_at TEXT
+      );
+      CREATE TABLE messages (
+        id TEXT PRIMARY KEY, conversation_id TEXT NOT NULL, direction TEXT NOT NULL,
+        role TEXT NOT NULL, content TEXT NOT NULL, timestamp TEXT NOT NULL
+      );
+      INSERT INTO conversations (id, contact_name, direction, started_at, last_message_at, message_count)
+        VALUES ('conv_legacy', 'Old Friend', 'inbound', '2025-01-01T00:00:00Z', '2025-01-01T00:00:00Z', 1);
+      INSERT INTO messages (id, conversation_id, direction, role, content, timestamp)
+        VALUES ('msg_legacy', 'conv_legacy', 'inbound', 'user', 'Remember the orchard grant?', '2025-01-01T00:00:00Z');
+    `);
+    legacyConversations.close();
+
+    const legacyLogs = openDb(tmp.dir, 'a2a-logs.db');
+    legacyLogs.exec(`
+      CREATE TABLE logs (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT NOT NULL,
+        level TEXT NOT NULL, component TEXT NOT NULL, message TEXT NOT NULL);
+      INSERT INTO logs (timestamp, level, component, message) VALUES ('2025-01-01T00:00:00Z', 'info', 'old', 'kept');
+    `);
+    legacyLogs.close();
+
+    const { listDatabases, inspectDatabase } = loadModule();
+    const databases = listDatabases(tmp.dir);
+    const before = inspectDatabase(databases[0]);
+    assert.equal(before.legacy, true);
+    assert.equal(before.current, 0);
+    assert.equal(inspectDatabase(databases[0], { apply: true, dryRun: true }).to, before.latest);
+    assert.equal(inspectDatabase(databases[0]).current, 0);
+
+    const logsResult = inspectDatabase(databases[1], { apply: true });
+    assert.equal(logsResult.from, 0);
+    assert.equal(logsResult.to, 2);
+    const logsDb = openDb(tmp.dir, 'a2a-logs.db');
+    const row = logsDb.prepare('SELECT * FROM logs').get();
+    assert.equal(row.message, 'kept');
+    assert.equal(row.error_code, null);
+    logsDb.close();
+
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const store = new ConversationStore(tmp.dir);
+    assert.ok(store.isAvailable());
+    const conv = store.getConversation('conv_legacy');
+    assert.equal(conv.contact_name, 'Old Friend');
+    assert.equal(conv.collab_phase, 'handshake');
+    assert.equal(conv.messages[0].content, 'Remember the orchard grant?');
+    assert.equal(store.search('orchard').length, 1);
+    store.close();
+
+    assert.equal(inspectDatabase(databases[2]).exists, false);
+    tmp.cleanup();
+  });
+};
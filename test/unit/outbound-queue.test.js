@@ -0,0 +1,206 @@
+/**
+ * Outbound Queue Tests
+ *
+ * Covers: queueing after a failed call, exponential backoff, delivery with a
+ * stable idempotency key, giving up (refusal, attempt limit, expiry) with an
+ * owner notification, signed retries, manual retry and drop.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function setup(outcomes, queueOptions = {}) {
+    const tmp = helpers.tmpConfigDir('outbound');
+    delete require.cache[require.resolve('../../src/lib/conversations')];
+    delete require.cache[require.resolve('../../src/lib/tokens')];
+    const { ConversationStore } = require('../../src/lib/conversations');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const { OutboundQueue } = require('../../src/lib/outbound-queue');
+
+    const convStore = new ConversationStore(tmp.dir);
+    const tokenStore = new TokenStore(tmp.dir);
+    const { contact } = tokenStore.addContact('a2a://bob.example.com/fed_bob123', { name: 'Bob' });
+    const calls = [];
+    const notifications = [];
+    const queue = new OutboundQueue({
+      convStore,
+      tokenStore,
+      caller: { name: 'Alice' },
+      notifyOwner: async (payload) => { notifications.push(payload); },
+      createClient: (clientOptions) => ({
+        call: async (endpoint, message, options) => {
+          calls.push({ endpoint, message, options, signingIdentity: clientOptions.signingIdentity });
+          const next = outcomes.shift();
+          if (next instanceof Error) throw next;
+          return next;
+        }
+      }),
+      ...queueOptions
+    });
+    return {
+      queue, convStore, tokenStore, contact, calls, notifications,
+      cleanup() {
+        convStore.close();
+        tmp.cleanup();
+      }
+    };
+  }
+
+  function failure(code, statusCode) {
+    const err = new Error(`call failed: ${code}`);
+    err.code = code;
+    if (statusCode) err.statusCode = statusCode;
+    return err;
+  }
+
+  // Make a pending item due now.
+  function makeDue(ctx, id) {
+    ctx.convStore.updateOutbound(id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+  }
+
+  test('isRetryableError accepts outages and refuses client errors', () => {
+    const { isRetryableError } = require('../../src/lib/outbound-queue');
+    assert.ok(isRetryableError(failure('network_error')));
+    assert.ok(isRetryableError(failure('timeout')));
+    assert.ok(isRetryableError(failure('internal_error', 503)));
+    assert.ok(!isRetryableError(failure('unauthorized', 401)));
+    assert.ok(!isRetryableError(failure('permission_denied', 403)));
+    assert.ok(!isRetryableError(null));
+  });
+
+  test('enqueue counts the failed call and backs off exponentially', () => {
+    const ctx = setup([], { retryDelayMs: 1000 });
+    assert.equal(ctx.queue.backoffMs(1), 1000);
+    assert.equal(ctx.queue.backoffMs(2), 2000);
+    assert.equal(ctx.queue.backoffMs(4), 8000);
+    assert.equal(ctx.queue.backoffMs(40), 60 * 60 * 1000);
+
+    const before = Date.now();
+    const item = ctx.queue.enqueue({
+      contact: ctx.contact,
+      message: 'Are you free Friday?',
+      callOptions: { topic: 'calendar', stream: true, returnInvite: 'a2a://x/y' },
+      error: failure('network_error')
+    });
+    assert.equal(item.status, 'pending');
+    assert.equal(item.attempts, 1);
+    assert.equal(item.contact_name, 'Bob');
+    assert.equal(item.last_error, 'network_error');
+    assert.deepEqual(item.options, { topic: 'calendar' });
+    assert.ok(Date.parse(item.next_attempt_at) >= before + 1000);
+    assert.match(item.id, /^out_/);
+    assert.ok(item.idempotency_key);
+    ctx.cleanup();
+  });
+
+  test('due items are retried with the same key until delivered', async () => {
+    const ctx = setup([
+      failure('timeout'),
+      { response: 'Friday works.', conversation_id: 'conv_remote_1' }
+    ]);
+    const item = ctx.queue.enqueue({ contact: ctx.contact, message: 'Are you free Friday?', error: failure('network_error') });
+
+    assert.equal((await ctx.queue.processDue()).length, 0);
+
+    makeDue(ctx, item.id);
+    const [retried] = await ctx.queue.processDue();
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.attempts, 2);
+    assert.equal(retried.last_error, 'timeout');
+    assert.equal(ctx.tokenStore.getContact('Bob').status, 'offline');
+
+    makeDue(ctx, item.id);
+    const [delivered] = await ctx.queue.processDue();
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.attempts, 3);
+    assert.equal(delivered.response.response, 'Friday works.');
+    assert.equal(ctx.calls.length, 2);
+    assert.equal(ctx.calls[0].endpoint, 'a2a://bob.example.com/fed_bob123');
+    assert.equal(ctx.calls[0].options.idempotencyKey, item.idempotency_key);
+    assert.equal(ctx.calls[1].options.idempotencyKey, item.idempotency_key);
+    assert.equal(ctx.tokenStore.getContact('Bob').status, 'online');
+
+    const conv = ctx.convStore.getConversation('conv_remote_1');
+    assert.deepEqual(conv.messages.map(m => m.content), ['Are you free Friday?', 'Friday works.']);
+    assert.equal(ctx.notifications.length, 0);
+    ctx.cleanup();
+  });
+
+  test('items queued from signed calls are retried signed', async () => {
+    const identity = { fingerprint: 'sha256:local' };
+    const ctx = setup([{ response: 'ok' }, { response: 'ok' }], { signingIdentity: () => identity });
+    const signed = ctx.queue.enqueue({ contact: ctx.contact, message: 'signed', sign: true, error: failure('timeout') });
+    const plain = ctx.queue.enqueue({ contact: ctx.contact, message: 'plain', error: failure('timeout') });
+    assert.equal(signed.options.sign, true);
+    makeDue(ctx, signed.id);
+    makeDue(ctx, plain.id);
+    await ctx.queue.processDue();
+
+    const byMessage = Object.fromEntries(ctx.calls.map(c => [c.message, c]));
+    assert.equal(byMessage.signed.signingIdentity, identity);
+    assert.equal(byMessage.signed.options.sign, undefined);
+    assert.equal(byMessage.plain.signingIdentity, null);
+    ctx.cleanup();
+
+    const unsigned = setup([{ response: 'ok' }]);
+    const item = unsigned.queue.enqueue({ contact: unsigned.contact, message: 'signed', sign: true });
+    const [failed] = await unsigned.queue.processDue();
+    assert.equal(failed.id, item.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.last_error, 'signing_unavailable');
+    assert.equal(unsigned.calls.length, 0);
+    unsigned.cleanup();
+  });
+
+  test('refused, exhausted and expired items fail and notify the owner', async () => {
+    const ctx = setup([failure('unauthorized', 401), failure('network_error')]);
+
+    const refused = ctx.queue.enqueue({ contact: ctx.contact, message: 'one', error: failure('timeout') });
+    makeDue(ctx, refused.id);
+    const exhausted = ctx.queue.enqueue({ contact: ctx.contact, message: 'two', error: failure('timeout'), maxAttempts: 2 });
+    makeDue(ctx, exhausted.id);
+    const expired = ctx.queue.enqueue({ contact: ctx.contact, message: 'three', error: failure('timeout'), ttlMs: 1 });
+    makeDue(ctx, expired.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await ctx.queue.processDue();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(ctx.convStore.getOutbound(refused.id).status, 'failed');
+    assert.equal(ctx.convStore.getOutbound(refused.id).last_error, 'unauthorized');
+    assert.equal(ctx.convStore.getOutbound(exhausted.id).status, 'failed');
+    assert.equal(ctx.convStore.getOutbound(exhausted.id).attempts, 2);
+    assert.equal(ctx.convStore.getOutbound(expired.id).last_error, 'expired');
+    // The expired item was never sent again.
+    assert.equal(ctx.calls.length, 2);
+
+    assert.equal(ctx.notifications.length, 3);
+    assert.equal(ctx.notifications[0].type, 'outbound_failed');
+    assert.equal(ctx.notifications[0].caller.name, 'Bob');
+    assert.includes(ctx.notifications[0].message, `a2a queue retry ${refused.id}`);
+    ctx.cleanup();
+  });
+
+  test('manual retry and drop', async () => {
+    const ctx = setup([failure('network_error'), { response: 'Got it.' }]);
+    const item = ctx.queue.enqueue({ contact: ctx.contact, message: 'ping', error: failure('timeout') });
+
+    const dropped = ctx.queue.drop(item.id);
+    assert.ok(dropped.success);
+    assert.equal(dropped.item.status, 'dropped');
+    assert.equal(ctx.queue.drop(item.id).error, 'not_droppable');
+    assert.equal((await ctx.queue.retry(item.id)).error, 'not_retryable');
+    assert.equal((await ctx.queue.retry('out_missing')).error, 'not_found');
+
+    // A failed item retried by hand stays failed without a second notification.
+    const failed = ctx.queue.enqueue({ contact: ctx.contact, message: 'again', error: failure('timeout') });
+    ctx.convStore.updateOutbound(failed.id, { status: 'failed' });
+    const stillFailed = await ctx.queue.retry(failed.id);
+    assert.ok(stillFailed.success);
+    assert.equal(stillFailed.item.status, 'failed');
+    assert.equal(ctx.notifications.length, 0);
+
+    const delivered = await ctx.queue.retry(failed.id);
+    assert.equal(delivered.item.status, 'delivered');
+    assert.equal(ctx.convStore.listOutbound({ status: 'delivered' }).length, 1);
+    ctx.cleanup();
+  });
+};
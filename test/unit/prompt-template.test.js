@@ -3,7 +3,7 @@
  *
  * Covers: buildConnectionPrompt with full Golda Deluxe profile,
  * phase structure, information boundaries, personality injection,
- * and edge cases.
+ * streaming collaboration-state filtering, and edge cases.
  */
 
 module.exports = function (test, assert, helpers) {
@@ -265,4 +265,85 @@ module.exports = function (test, assert, helpers) {
     assert.includes(prompt, 'AI-powered authentication');
     assert.includes(prompt, 'friends');
   });
+
+  test('collaboration state filter hides the metadata block across chunk boundaries', () => {
+    delete require.cache[require.resolve('../../src/lib/prompt-template')];
+    const { createCollaborationStateFilter } = require('../../src/lib/prompt-template');
+    const filter = createCollaborationStateFilter();
+
+    const chunks = ['Happy to help. <col', 'lab_state>{"phase":"explore"', '}</collab_st', 'ate> Talk soon.'];
+    let visible = chunks.map(chunk => filter.push(chunk)).join('');
+    visible += filter.flush();
+    assert.equal(visible, 'Happy to help.  Talk soon.');
+
+    // A "<" that never becomes the tag is released on flush.
+    const plain = createCollaborationStateFilter();
+    assert.equal(plain.push('a < b <co') + plain.flush(), 'a < b <co');
+  });
+
+  test('open action items from earlier calls are listed in both prompts', () => {
+    delete require.cache[require.resolve('../../src/lib/prompt-template')];
+    const { buildConnectionPrompt, buildAdaptiveConnectionPrompt } = require('../../src/lib/prompt-template');
+    const options = {
+      agentName: 'TestAgent',
+      ownerName: 'Owner',
+      otherAgentName: 'Other',
+      otherOwnerName: 'OtherOwner',
+      roleContext: 'They called you.',
+      accessTier: 'friends',
+      tierTopics: {},
+      otherAgentGreeting: 'Hello again!'
+    };
+
+    assert.ok(!buildConnectionPrompt(options).includes('OPEN ITEMS FROM EARLIER CALLS'));
+
+    const openActionItems = [
+      { owner: 'owner', text: 'Send the budget draft', due_at: '2026-03-01T00:00:00Z' },
+      { owner: 'caller', text: 'Share the grant contact', due_at: null },
+      { owner: 'joint', text: 'Pick a kickoff date', due_at: null }
+    ];
+    for (const prompt of [
+      buildConnectionPrompt({ ...options, openActionItems }),
+      buildAdaptiveConnectionPrompt({ ...options, openActionItems })
+    ]) {
+      assert.includes(prompt, 'OPEN ITEMS FROM EARLIER CALLS');
+      assert.includes(prompt, '[Owner] Send the budget draft (due 2026-03-01)');
+      assert.includes(prompt, '[OtherOwner] Share the grant contact');
+      assert.includes(prompt, '[Both] Pick a kickoff date');
+    }
+  });
+
+  test('contact memory is recalled in both prompts ahead of open items', () => {
+    delete require.cache[require.resolve('../../src/lib/prompt-template')];
+    const { buildConnectionPrompt, buildAdaptiveConnectionPrompt } = require('../../src/lib/prompt-template');
+    const options = {
+      agentName: 'TestAgent',
+      ownerName: 'Owner',
+      otherAgentName: 'Other',
+      otherOwnerName: 'OtherOwner',
+      roleContext: 'They called you.',
+      accessTier: 'friends',
+      tierTopics: {},
+      otherAgentGreeting: 'Hello again!',
+      openActionItems: [{ owner: 'owner', text: 'Send the budget draft', due_at: null }]
+    };
+
+    assert.ok(!buildConnectionPrompt(options).includes('WHAT YOU REMEMBER FROM EARLIER CALLS'));
+
+    const contactMemory = [{
+      at: '2026-02-10T09:00:00Z',
+      summary: 'Discussed a joint orchard grant.',
+      threads: ['orchard grant'],
+      collaborations: ['joint application'],
+      open_questions: ['Who writes the budget?']
+    }];
+    for (const prompt of [
+      buildConnectionPrompt({ ...options, contactMemory }),
+      buildAdaptiveConnectionPrompt({ ...options, contactMemory })
+    ]) {
+      assert.includes(prompt, 'You have spoken with Other before.');
+      assert.includes(prompt, '- 2026-02-10: Discussed a joint orchard grant. Threads: orchard grant. Possible collaborations: joint application. Open questions: Who writes the budget?');
+      assert.ok(prompt.indexOf('WHAT YOU REMEMBER FROM EARLIER CALLS') < prompt.indexOf('OPEN ITEMS FROM EARLIER CALLS'));
+    }
+  });
 };
@@ -0,0 +1,54 @@
+/**
+ * Protocol Tests
+ *
+ * Covers: version negotiation, reading v0 and v1 status/discovery replies,
+ * and trimming /invoke bodies to what a version defines.
+ */
+
+module.exports = function (test, assert) {
+  const {
+    negotiateVersion,
+    describePeer,
+    shapeInvokeBody,
+    sanitizeCallerProfile
+  } = require('../../src/lib/protocol');
+
+  test('negotiateVersion picks the highest common version', () => {
+    assert.equal(negotiateVersion(['0', '1', '2']), '1');
+    assert.equal(negotiateVersion(['0']), '0');
+    assert.equal(negotiateVersion('1'), '1');
+    assert.equal(negotiateVersion(['3', '2']), null);
+  });
+
+  test('describePeer treats a /status without protocol_versions as v0', () => {
+    const peer = describePeer({ a2a: true, version: '0.3.0', capabilities: ['invoke', 'multi-turn'] }, 'status');
+    assert.equal(peer.version, '0');
+    assert.deepEqual(peer.features, ['invoke', 'multi-turn']);
+    assert.equal(peer.software_version, '0.3.0');
+
+    const modern = describePeer({ protocol_versions: ['1', '0'], features: ['invoke', 'async'], limits: { max_message_length: 10 } });
+    assert.equal(modern.version, '1');
+    assert.deepEqual(modern.features, ['invoke', 'async']);
+    assert.equal(modern.limits.max_message_length, 10);
+  });
+
+  test('shapeInvokeBody drops fields the version does not define', () => {
+    const body = { message: 'hi', caller: {}, topic: 'x', mode: undefined, capabilities: ['a'] };
+    const v0 = shapeInvokeBody(body, '0');
+    assert.deepEqual(Object.keys(v0.body), ['message', 'caller']);
+    assert.deepEqual(v0.dropped, ['topic', 'capabilities']);
+
+    const v1 = shapeInvokeBody(body, '1');
+    assert.equal(v1.body.topic, 'x');
+    assert.deepEqual(v1.dropped, []);
+  });
+
+  test('sanitizeCallerProfile keeps known fields within their limits', () => {
+    const profile = sanitizeCallerProfile({ name: 'x'.repeat(150), owner: 'Ada', extra: 'nope' });
+    assert.equal(profile.name.length, 100);
+    assert.equal(profile.owner, 'Ada');
+    assert.equal(profile.instance, '');
+    assert.equal(profile.extra, undefined);
+    assert.deepEqual(sanitizeCallerProfile(null), {});
+  });
+};
@@ -0,0 +1,201 @@
+/**
+ * Rate Limit Store Tests
+ *
+ * Covers: sliding windows, retry-after math, SQLite persistence across
+ * instances (restart safety), and per-tier and per-address limit resolution.
+ */
+
+module.exports = function (test, assert, helpers) {
+  let tmp = null;
+
+  function loadModule() {
+    delete require.cache[require.resolve('../../src/lib/rate-limit')];
+    return require('../../src/lib/rate-limit');
+  }
+
+  function setup() {
+    tmp = helpers.tmpConfigDir('ratelimit');
+    return loadModule();
+  }
+
+  function teardown(...stores) {
+    for (const s of stores) {
+      if (s && typeof s.close === 'function') s.close();
+    }
+    if (tmp) tmp.cleanup();
+    tmp = null;
+  }
+
+  // ── Sliding windows ──────────────────────────────────────────
+
+  test('memory store allows up to the limit then blocks', () => {
+    const { MemoryRateLimitStore } = loadModule();
+    const store = new MemoryRateLimitStore();
+    const limits = { minute: 3, hour: 100, day: 1000 };
+    const t0 = 1_700_000_000_000;
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(store.hit('tok_a', limits, t0 + i).limited, false);
+    }
+    const blocked = store.hit('tok_a', limits, t0 + 3);
+    assert.equal(blocked.limited, true);
+    assert.equal(blocked.error, 'rate_limited');
+    assert.equal(blocked.window, 'minute');
+  });
+
+  test('sliding window frees a slot when the oldest hit ages out', () => {
+    const { MemoryRateLimitStore } = loadModule();
+    const store = new MemoryRateLimitStore();
+    const limits = { minute: 2 };
+    const t0 = 1_700_000_000_000;
+
+    store.hit('tok_b', limits, t0);
+    store.hit('tok_b', limits, t0 + 30000);
+
+    const blocked = store.hit('tok_b', limits, t0 + 45000);
+    assert.equal(blocked.limited, true);
+    // Oldest hit (t0) leaves the window at t0 + 60s → 15s from now.
+    assert.equal(blocked.retryAfter, 15);
+
+    // A fixed-bucket limiter would reset at the minute boundary; sliding must not.
+    assert.equal(store.hit('tok_b', limits, t0 + 59000).limited, true);
+    assert.equal(store.hit('tok_b', limits, t0 + 60001).limited, false);
+  });
+
+  test('blocked requests are not counted against the window', () => {
+    const { MemoryRateLimitStore } = loadModule();
+    const store = new MemoryRateLimitStore();
+    const limits = { minute: 1 };
+    const t0 = 1_700_000_000_000;
+
+    store.hit('tok_c', limits, t0);
+    for (let i = 1; i <= 5; i++) {
+      assert.equal(store.hit('tok_c', limits, t0 + i * 1000).limited, true);
+    }
+    assert.equal(store.hit('tok_c', limits, t0 + 60001).limited, false);
+  });
+
+  test('keys are isolated from each other', () => {
+    const { MemoryRateLimitStore } = loadModule();
+    const store = new MemoryRateLimitStore();
+    const limits = { minute: 1 };
+
+    assert.equal(store.hit('tok_x', limits).limited, false);
+    assert.equal(store.hit('tok_x', limits).limited, true);
+    assert.equal(store.hit('tok_y', limits).limited, false);
+  });
+
+  // ── SQLite persistence ───────────────────────────────────────
+
+  test('sqlite store persists hits across instances (restart-safe)', () => {
+    const { SqliteRateLimitStore } = setup();
+    const limits = { minute: 2, hour: 100, day: 1000 };
+
+    const first = new SqliteRateLimitStore(tmp.dir);
+    assert.ok(first.isAvailable(), 'sqlite store should be available');
+    assert.equal(first.hit('tok_persist', limits).limited, false);
+    assert.equal(first.hit('tok_persist', limits).limited, false);
+    first.close();
+
+    const second = new SqliteRateLimitStore(tmp.dir);
+    const result = second.hit('tok_persist', limits);
+    assert.equal(result.limited, true);
+    assert.ok(result.retryAfter >= 1 && result.retryAfter <= 60);
+    teardown(second);
+  });
+
+  test('sqlite store writes a2a-rate-limits.db into the config dir', () => {
+    const { SqliteRateLimitStore, DB_FILENAME } = setup();
+    const fs = require('fs');
+    const path = require('path');
+
+    const store = new SqliteRateLimitStore(tmp.dir);
+    store.hit('tok_file', { minute: 5 });
+    assert.equal(DB_FILENAME, 'a2a-rate-limits.db');
+    assert.ok(fs.existsSync(path.join(tmp.dir, DB_FILENAME)));
+    teardown(store);
+  });
+
+  test('sqlite store prunes hits older than the day window', () => {
+    const { SqliteRateLimitStore } = setup();
+    const store = new SqliteRateLimitStore(tmp.dir);
+    const limits = { day: 1 };
+    const t0 = 1_700_000_000_000;
+
+    assert.equal(store.hit('tok_old', limits, t0).limited, false);
+    assert.equal(store.hit('tok_old', limits, t0 + 1000).limited, true);
+    assert.equal(store.hit('tok_old', limits, t0 + 24 * 60 * 60 * 1000 + 1).limited, false);
+
+    const count = store.db.prepare('SELECT COUNT(*) AS n FROM rate_limit_hits').get().n;
+    assert.equal(count, 1);
+    teardown(store);
+  });
+
+  test('createRateLimitStore selects backend', () => {
+    const { createRateLimitStore } = setup();
+    const mem = createRateLimitStore({ backend: 'memory' });
+    assert.equal(mem.backend, 'memory');
+    const sql = createRateLimitStore({ configDir: tmp.dir });
+    assert.equal(sql.backend, 'sqlite');
+    teardown(sql);
+  });
+
+  // ── Tier resolution ──────────────────────────────────────────
+
+  test('resolveTierLimits layers defaults, tier, and override', () => {
+    const { resolveTierLimits } = loadModule();
+    const config = {
+      getDefaults: () => ({ rateLimit: { perMinute: 20, perHour: 200, perDay: 2000 } }),
+      getTiers: () => ({
+        family: { rateLimit: { perMinute: 60 } },
+        public: {}
+      })
+    };
+
+    assert.deepEqual(resolveTierLimits('public', config), { minute: 20, hour: 200, day: 2000 });
+    assert.deepEqual(resolveTierLimits('family', config), { minute: 60, hour: 200, day: 2000 });
+    assert.deepEqual(
+      resolveTierLimits('family', config, { minute: 5 }),
+      { minute: 5, hour: 200, day: 2000 }
+    );
+  });
+
+  test('resolveTierLimits falls back to built-ins without config', () => {
+    const { resolveTierLimits } = loadModule();
+    assert.deepEqual(resolveTierLimits('friends', null), { minute: 10, hour: 100, day: 1000 });
+  });
+
+  test('resolveClientLimits reads defaults.clientRateLimit and can be turned off', () => {
+    const { resolveClientLimits } = loadModule();
+    const config = (clientRateLimit) => ({ getDefaults: () => ({ clientRateLimit }) });
+
+    assert.deepEqual(resolveClientLimits(null), { minute: 60, hour: 600, day: null });
+    assert.deepEqual(
+      resolveClientLimits(config({ perMinute: 30, perDay: 5000 })),
+      { minute: 30, hour: 600, day: 5000 }
+    );
+    assert.deepEqual(
+      resolveClientLimits(config({ perMinute: 30 }), { minute: 2 }),
+      { minute: 2, hour: 600, day: null }
+    );
+    assert.equal(resolveClientLimits(config(null)), null);
+    assert.equal(resolveClientLimits(config({ perMinute: 30 }), false), null);
+  });
+
+  test('resolveClientLimits reports an unusable clientRateLimit once and keeps the built-ins', () => {
+    const { resolveClientLimits } = loadModule();
+    const config = { getDefaults: () => ({ clientRateLimit: { perMinute: 'lots' } }) };
+    const warnings = [];
+    const originalError = console.error;
+    console.error = (line) => warnings.push(String(line));
+    try {
+      assert.deepEqual(resolveClientLimits(config), { minute: 60, hour: 600, day: null });
+      resolveClientLimits(config);
+    } finally {
+      console.error = originalError;
+    }
+    const reported = warnings.filter(line => line.includes('CLIENT_RATE_LIMIT_INVALID'));
+    assert.equal(reported.length, 1);
+    assert.includes(reported[0], 'lots');
+  });
+};
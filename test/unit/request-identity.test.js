@@ -0,0 +1,108 @@
+/**
+ * Request identity tests
+ *
+ * Covers: trusted-proxy parsing, X-Forwarded-For walking, spoofed headers
+ * from untrusted peers, and the local-admin check.
+ */
+
+module.exports = function (test, assert) {
+
+  function loadIdentity() {
+    return require('../../src/lib/request-identity');
+  }
+
+  function fakeRequest(peer, headers = {}) {
+    return { socket: { remoteAddress: peer }, ip: peer, headers };
+  }
+
+  test('direct caller cannot spoof X-Forwarded-For', () => {
+    const { resolveRequestIdentity, createTrustedProxies } = loadIdentity();
+    const identity = resolveRequestIdentity(
+      fakeRequest('198.51.100.4', { 'x-forwarded-for': '127.0.0.1' }),
+      createTrustedProxies('loopback')
+    );
+    assert.equal(identity.clientIp, '198.51.100.4');
+    assert.equal(identity.viaTrustedProxy, false);
+    assert.equal(identity.forwarded, true);
+  });
+
+  test('trusted proxy chain is walked right-to-left', () => {
+    const { resolveRequestIdentity, createTrustedProxies } = loadIdentity();
+    const trusted = createTrustedProxies('loopback, 10.0.0.0/8');
+    const req = fakeRequest('::ffff:127.0.0.1', {
+      // Client-supplied junk, then the real client, then an internal load balancer.
+      'x-forwarded-for': '1.1.1.1, 203.0.113.9, 10.0.0.5'
+    });
+    const identity = resolveRequestIdentity(req, trusted);
+    assert.equal(identity.peer, '127.0.0.1');
+    assert.equal(identity.clientIp, '203.0.113.9');
+    assert.equal(identity.viaTrustedProxy, true);
+  });
+
+  test('malformed forwarded hops stop the walk', () => {
+    const { resolveRequestIdentity, createTrustedProxies } = loadIdentity();
+    const identity = resolveRequestIdentity(
+      fakeRequest('127.0.0.1', { 'x-forwarded-for': '203.0.113.9, not-an-ip' }),
+      createTrustedProxies('loopback')
+    );
+    assert.equal(identity.clientIp, '127.0.0.1');
+  });
+
+  test('explicit proxy list replaces the loopback default', () => {
+    const { resolveRequestIdentity, createTrustedProxies } = loadIdentity();
+    const identity = resolveRequestIdentity(
+      fakeRequest('127.0.0.1', { 'x-forwarded-for': '203.0.113.9' }),
+      createTrustedProxies(['192.0.2.10'])
+    );
+    assert.equal(identity.clientIp, '127.0.0.1');
+  });
+
+  test('one bad proxy entry is reported and the rest stay trusted', () => {
+    const { resolveRequestIdentity, createTrustedProxies } = loadIdentity();
+    const warnings = [];
+    const originalError = console.error;
+    console.error = (line) => warnings.push(String(line));
+    let trusted;
+    try {
+      trusted = createTrustedProxies('loopback, 10.0.0.0/33');
+      createTrustedProxies('loopback, 10.0.0.0/33');
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepEqual(trusted.rejected, ['10.0.0.0/33']);
+    const identity = resolveRequestIdentity(
+      fakeRequest('127.0.0.1', { 'x-forwarded-for': '203.0.113.9' }),
+      trusted
+    );
+    assert.equal(identity.clientIp, '203.0.113.9');
+    const reported = warnings.filter(line => line.includes('TRUSTED_PROXIES_INVALID'));
+    assert.equal(reported.length, 1);
+    assert.includes(reported[0], '10.0.0.0/33');
+  });
+
+  test('gateway keyword trusts the OpenClaw gateway address', () => {
+    const { createTrustedProxies } = loadIdentity();
+    const original = process.env.OPENCLAW_GATEWAY_URL;
+    process.env.OPENCLAW_GATEWAY_URL = 'http://192.0.2.50:18789';
+    try {
+      const trusted = createTrustedProxies('gateway');
+      assert.ok(trusted.contains('192.0.2.50'));
+      assert.ok(!trusted.contains('127.0.0.1'));
+    } finally {
+      if (original === undefined) delete process.env.OPENCLAW_GATEWAY_URL;
+      else process.env.OPENCLAW_GATEWAY_URL = original;
+    }
+  });
+
+  test('local admin requires a loopback peer, local Host, and no forwarding headers', () => {
+    const { isDirectLocalRequest } = loadIdentity();
+    assert.ok(isDirectLocalRequest(fakeRequest('127.0.0.1', { host: '127.0.0.1:3001' })));
+    assert.ok(isDirectLocalRequest(fakeRequest('::1', { host: 'localhost:3001' })));
+    assert.ok(!isDirectLocalRequest(fakeRequest('203.0.113.9', { host: 'localhost:3001' })));
+    assert.ok(!isDirectLocalRequest(fakeRequest('127.0.0.1', { host: 'agent.example.com' })));
+    assert.ok(!isDirectLocalRequest(fakeRequest('127.0.0.1', {
+      host: 'localhost:3001',
+      'x-real-ip': '203.0.113.9'
+    })));
+  });
+};
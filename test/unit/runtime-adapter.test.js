@@ -1,7 +1,9 @@
 /**
  * Runtime adapter tests
  *
- * Verifies platform auto-detection and generic fallback behavior.
+ * Verifies platform auto-detection, generic fallback behavior, async turn
+ * timeouts, and that runtime commands run off the event loop and can be
+ * cancelled.
  */
 
 module.exports = function (test, assert) {
@@ -109,6 +111,120 @@ module.exports = function (test, assert) {
     );
   });
 
+  test('streaming turn forwards plain-text bridge output line by line', async () => {
+    await withEnv(
+      {
+        A2A_RUNTIME: 'generic',
+        A2A_AGENT_COMMAND: "printf 'first line\\nsecond line'"
+      },
+      async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        const chunks = [];
+        const response = await runtime.runTurn({
+          sessionId: 's4',
+          prompt: 'prompt',
+          message: 'hello',
+          caller: { name: 'Remote Agent' },
+          context: {},
+          onOutput: (text) => chunks.push(text)
+        });
+        assert.deepEqual(chunks, ['first line\n', 'second line']);
+        assert.equal(response, 'first line\nsecond line');
+      }
+    );
+  });
+
+  test('runTurn refuses capabilities outside the grant', async () => {
+    await withEnv(
+      {
+        A2A_RUNTIME: 'generic',
+        A2A_AGENT_COMMAND: undefined
+      },
+      async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        let error = null;
+        try {
+          await runtime.runTurn({
+            sessionId: 's3',
+            prompt: 'prompt',
+            message: 'read my inbox',
+            caller: { name: 'Remote Agent' },
+            context: {
+              capabilities: ['context-read', 'calendar.read'],
+              requiredCapabilities: ['calendar.read', 'email.read']
+            }
+          });
+        } catch (err) {
+          error = err;
+        }
+        assert.ok(error, 'expected runTurn to throw');
+        assert.equal(error.code, 'permission_denied');
+        assert.deepEqual(error.data.missing, ['email.read']);
+      }
+    );
+  });
+
+  test('runTurn derives what an inbound turn needs instead of trusting the caller', async () => {
+    await withEnv(
+      {
+        A2A_RUNTIME: 'generic',
+        A2A_AGENT_COMMAND: undefined
+      },
+      async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        const refusal = async (context) => {
+          try {
+            await runtime.runTurn({ sessionId: 's4', prompt: 'prompt', message: 'hi', caller: {}, context });
+          } catch (err) {
+            return err;
+          }
+          return null;
+        };
+
+        // Nothing declared still needs the base turn capability.
+        assert.deepEqual((await refusal({ tokenId: 'tok_1', capabilities: [] })).data.missing, ['context-read']);
+        assert.deepEqual((await refusal({ tokenId: 'tok_1' })).data.missing, ['context-read']);
+        assert.deepEqual((await refusal({
+          capabilities: ['context-read'],
+          attachments: [{ type: 'json', name: 'a.json', data: {} }],
+          intentCapability: 'calendar.read'
+        })).data.missing, ['attachments.json', 'calendar.read']);
+        const topic = await refusal({ capabilities: ['context-read'], topic: 'billing', allowedTopics: ['chat'] });
+        assert.equal(topic.code, 'permission_denied');
+
+        assert.equal(await refusal({ tokenId: 'tok_1', capabilities: ['context-read'], topic: 'chat', allowedTopics: ['chat'] }), null);
+        // Turns this agent starts itself carry no grant.
+        assert.equal(await refusal({ conversationId: 'conv_local', tier: 'public' }), null);
+      }
+    );
+  });
+
+  test('async turns may give OpenClaw the full async timeout', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a2a-openclaw-bin-'));
+    // Echo the --timeout value back as the reply.
+    fs.writeFileSync(path.join(binDir, 'openclaw'), '#!/bin/sh\nwhile [ "$1" != "--timeout" ]; do shift; done\necho "timeout $2"\n');
+    fs.chmodSync(path.join(binDir, 'openclaw'), 0o755);
+    try {
+      await withEnv({ A2A_RUNTIME: 'openclaw', PATH: `${binDir}:${process.env.PATH}` }, async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        const turn = (extra) => runtime.runTurn({
+          sessionId: 's7', prompt: 'prompt', message: 'hi', caller: {}, context: {}, timeoutMs: 1800000, ...extra
+        });
+        assert.equal(await turn({}), 'timeout 300');
+        assert.equal(await turn({ async: true }), 'timeout 1800');
+      });
+    } finally {
+      fs.rmSync(binDir, { recursive: true, force: true });
+    }
+  });
+
   test('generic summary fallback always returns summary fields', async () => {
     await withEnv(
       {
@@ -135,4 +251,63 @@ module.exports = function (test, assert) {
       }
     );
   });
+
+  test('bridge command runs without blocking the event loop', async () => {
+    await withEnv(
+      {
+        A2A_RUNTIME: 'generic',
+        A2A_AGENT_COMMAND: "sleep 0.3; printf 'slow reply'"
+      },
+      async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        let ticks = 0;
+        const ticker = setInterval(() => { ticks += 1; }, 20);
+        const response = await runtime.runTurn({
+          sessionId: 's5',
+          prompt: 'prompt',
+          message: 'hello',
+          caller: { name: 'Remote Agent' },
+          context: { conversationId: 'conv_slow' }
+        });
+        clearInterval(ticker);
+        assert.equal(response, 'slow reply');
+        assert.greaterThan(ticks, 5);
+        assert.equal(runtime.stats().completed, 1);
+      }
+    );
+  });
+
+  test('aborting a turn kills the bridge command instead of falling back', async () => {
+    await withEnv(
+      {
+        A2A_RUNTIME: 'generic',
+        A2A_AGENT_COMMAND: "sleep 5; printf 'too late'"
+      },
+      async () => {
+        const { createRuntimeAdapter } = loadAdapterModule();
+        const runtime = createRuntimeAdapter({ workspaceDir: process.cwd() });
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        setTimeout(() => controller.abort(), 100);
+        let error = null;
+        try {
+          await runtime.runTurn({
+            sessionId: 's6',
+            prompt: 'prompt',
+            message: 'hello',
+            caller: { name: 'Remote Agent' },
+            context: { conversationId: 'conv_abort' },
+            signal: controller.signal
+          });
+        } catch (err) {
+          error = err;
+        }
+        assert.ok(error, 'expected runTurn to reject');
+        assert.equal(error.name, 'AbortError');
+        assert.ok(Date.now() - startedAt < 2000, 'command should stop promptly');
+        assert.equal(runtime.stats().cancelled, 1);
+      }
+    );
+  });
 };
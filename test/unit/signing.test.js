@@ -0,0 +1,128 @@
+/**
+ * Request Signing Tests
+ *
+ * Covers: keypair persistence, sign/verify round trip, tampering,
+ * clock skew, nonce replay rejection, and a full nonce cache.
+ */
+
+module.exports = function (test, assert, helpers) {
+  function loadModule() {
+    delete require.cache[require.resolve('../../src/lib/signing')];
+    return require('../../src/lib/signing');
+  }
+
+  function fakeRequest(headers, { method = 'POST', url = '/api/a2a/invoke', body = '' } = {}) {
+    return {
+      method,
+      originalUrl: url,
+      headers,
+      rawBody: Buffer.from(body)
+    };
+  }
+
+  test('loadSigningIdentity creates a 0600 key once and reloads it', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const { loadSigningIdentity, KEY_FILENAME } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+
+    assert.equal(loadSigningIdentity(tmp.dir, { create: false }), null);
+    const first = loadSigningIdentity(tmp.dir);
+    const keyPath = path.join(tmp.dir, KEY_FILENAME);
+    assert.ok(fs.existsSync(keyPath));
+    assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+
+    const second = loadSigningIdentity(tmp.dir);
+    assert.equal(second.fingerprint, first.fingerprint);
+    assert.ok(first.keyId.startsWith('key_'));
+    tmp.cleanup();
+  });
+
+  test('signed request verifies and yields the caller fingerprint', () => {
+    const { loadSigningIdentity, signRequest, verifyRequestSignature, NonceCache } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+    const identity = loadSigningIdentity(tmp.dir);
+    const body = JSON.stringify({ message: 'hi' });
+
+    const headers = signRequest(identity, { method: 'POST', path: '/api/a2a/invoke', body });
+    const result = verifyRequestSignature(fakeRequest(headers, { body }), { nonceCache: new NonceCache() });
+    assert.equal(result.signed, true);
+    assert.equal(result.valid, true);
+    assert.equal(result.fingerprint, identity.fingerprint);
+    tmp.cleanup();
+  });
+
+  test('unsigned requests are reported as unsigned', () => {
+    const { verifyRequestSignature } = loadModule();
+    assert.deepEqual(verifyRequestSignature(fakeRequest({})), { signed: false });
+  });
+
+  test('tampered body, path, or method fails verification', () => {
+    const { loadSigningIdentity, signRequest, verifyRequestSignature } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+    const identity = loadSigningIdentity(tmp.dir);
+    const body = JSON.stringify({ message: 'hi' });
+    const headers = signRequest(identity, { method: 'POST', path: '/api/a2a/invoke', body });
+
+    const cases = [
+      fakeRequest(headers, { body: JSON.stringify({ message: 'bye' }) }),
+      fakeRequest(headers, { body, url: '/api/a2a/end' }),
+      fakeRequest(headers, { body, method: 'PUT' })
+    ];
+    for (const req of cases) {
+      const result = verifyRequestSignature(req);
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'invalid_signature');
+    }
+    tmp.cleanup();
+  });
+
+  test('stale timestamps are rejected', () => {
+    const { loadSigningIdentity, signRequest, verifyRequestSignature } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+    const identity = loadSigningIdentity(tmp.dir);
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+    const headers = signRequest(identity, { method: 'POST', path: '/api/a2a/invoke', body: '' }, { timestamp: stale });
+
+    const result = verifyRequestSignature(fakeRequest(headers));
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'signature_expired');
+    tmp.cleanup();
+  });
+
+  test('replayed nonce is rejected', () => {
+    const { loadSigningIdentity, signRequest, verifyRequestSignature, NonceCache } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+    const identity = loadSigningIdentity(tmp.dir);
+    const nonceCache = new NonceCache();
+    const headers = signRequest(identity, { method: 'POST', path: '/api/a2a/end', body: '{}' });
+    const req = fakeRequest(headers, { url: '/api/a2a/end', body: '{}' });
+
+    assert.equal(verifyRequestSignature(req, { nonceCache }).valid, true);
+    const replay = verifyRequestSignature(req, { nonceCache });
+    assert.equal(replay.valid, false);
+    assert.equal(replay.error, 'replayed_nonce');
+    tmp.cleanup();
+  });
+
+  test('a full nonce cache refuses new requests instead of forgetting live nonces', () => {
+    const { loadSigningIdentity, signRequest, verifyRequestSignature, NonceCache } = loadModule();
+    const tmp = helpers.tmpConfigDir('signing');
+    const identity = loadSigningIdentity(tmp.dir);
+    const nonceCache = new NonceCache({ maxEntries: 2 });
+    const signed = () => {
+      const headers = signRequest(identity, { method: 'POST', path: '/api/a2a/end', body: '{}' });
+      return fakeRequest(headers, { url: '/api/a2a/end', body: '{}' });
+    };
+
+    assert.equal(verifyRequestSignature(signed(), { nonceCache }).valid, true);
+    assert.equal(verifyRequestSignature(signed(), { nonceCache }).valid, true);
+    const refused = verifyRequestSignature(signed(), { nonceCache });
+    assert.equal(refused.error, 'nonce_cache_full');
+    assert.greaterThan(refused.retryAfter, 0);
+
+    // Once the oldest entries expire there is room again.
+    assert.equal(nonceCache.retryAfter(Date.now() + nonceCache.ttlMs + 1), 0);
+    tmp.cleanup();
+  });
+};
@@ -3,6 +3,7 @@
  *
  * Covers: token generation, hashing, creation with all options,
  * validation lifecycle, revocation, duration parsing, tier normalization,
+ * one-time invite codes (including revoking unredeemed ones), reciprocal contact requests, SQLite persistence (legacy a2a.json import, concurrent call counting),
  * and the Golda Deluxe profile specifically.
  */
 
@@ -221,6 +222,147 @@ module.exports = function (test, assert, helpers) {
     tmp.cleanup();
   });
 
+  test('create stores normalized caller restrictions', () => {
+    const store = freshStore();
+    const { token, record } = store.create({
+      allowedCidrs: '203.0.113.0/24, 2001:db8::1',
+      pinnedInstance: 'Alice.Example.com:443'
+    });
+    assert.deepEqual(record.allowed_cidrs, ['203.0.113.0/24', '2001:db8::1/128']);
+    assert.equal(record.pinned_instance, 'alice.example.com');
+
+    const restrictions = store.getCallerRestrictions(token);
+    assert.equal(restrictions.id, record.id);
+    assert.equal(restrictions.pinned_instance, 'alice.example.com');
+    assert.equal(store.findById(record.id).calls_made, 0);
+    assert.equal(store.getCallerRestrictions('fed_unknown'), null);
+
+    assert.throws(() => store.create({ allowedCidrs: ['10.0.0.0/33'] }));
+    assert.throws(() => store.create({ pinnedInstance: 'not a host' }));
+    tmp.cleanup();
+  });
+
+  // ── One-time Invite Codes ─────────────────────────────────────
+
+  test('invite code redeems once for a token built from the stored options', () => {
+    const store = freshStore();
+    const { code, record: invite } = store.createInviteCode({
+      name: 'Bob',
+      permissions: 'friends',
+      expires: '7d'
+    });
+    assert.match(code, /^inv_[A-Za-z0-9_-]{24}$/);
+    assert.equal(store.listPendingInvites()[0].id, invite.id);
+    assert.equal(store.list().length, 0);
+
+    const redeemed = store.redeemInviteCode(code, { caller: { name: 'bob-agent' } });
+    assert.ok(redeemed.success);
+    assert.match(redeemed.token, /^fed_/);
+    assert.equal(redeemed.record.tier, 'friends');
+    assert.equal(redeemed.record.invite_code_id, invite.id);
+    assert.ok(store.validate(redeemed.token).valid);
+    assert.equal(store.listPendingInvites().length, 0);
+
+    const again = store.redeemInviteCode(code);
+    assert.equal(again.error, 'code_already_used');
+    assert.equal(store.list().length, 1);
+    assert.equal(store.redeemInviteCode('inv_unknown').error, 'invalid_code');
+    assert.equal(store.redeemInviteCode('').error, 'missing_code');
+    tmp.cleanup();
+  });
+
+  test('expired invite code cannot be redeemed', () => {
+    const store = freshStore();
+    const { code, record } = store.createInviteCode({ name: 'Late' });
+    store.db.prepare('UPDATE invite_codes SET expires_at = ? WHERE id = ?')
+      .run(new Date(Date.now() - 1000).toISOString(), record.id);
+
+    assert.equal(store.redeemInviteCode(code).error, 'code_expired');
+    assert.equal(store.list().length, 0);
+    assert.throws(() => store.createInviteCode({ codeTtl: 'never' }));
+    assert.throws(() => store.createInviteCode({ allowedCidrs: ['bogus'] }));
+    tmp.cleanup();
+  });
+
+  test('unredeemed invite codes can be revoked, redeemed ones cannot', () => {
+    const store = freshStore();
+    const { code, record } = store.createInviteCode({ name: 'Withdrawn' });
+    const revoked = store.revokeInviteCode(record.id.slice(0, 10));
+    assert.ok(revoked.success);
+    assert.equal(revoked.record.id, record.id);
+    assert.equal(store.listPendingInvites().length, 0);
+    assert.equal(store.redeemInviteCode(code).error, 'invalid_code');
+    assert.equal(store.revokeInviteCode(record.id).error, 'not_found');
+
+    // Wildcards in the prefix are literal, and a prefix must pick out one invite.
+    const first = store.createInviteCode({ name: 'First' });
+    const second = store.createInviteCode({ name: 'Second' });
+    assert.equal(store.revokeInviteCode('_').error, 'not_found');
+    assert.equal(store.revokeInviteCode('invc%').error, 'not_found');
+    assert.equal(store.revokeInviteCode('invc_').error, 'ambiguous_id');
+    assert.equal(store.listPendingInvites().length, 2);
+    assert.ok(store.revokeInviteCode(second.record.id).success);
+    assert.ok(store.revokeInviteCode('invc_').success);
+    assert.equal(store.redeemInviteCode(first.code).error, 'invalid_code');
+
+    const used = store.createInviteCode({ name: 'Kept' });
+    const redeemed = store.redeemInviteCode(used.code);
+    const refused = store.revokeInviteCode(used.record.id);
+    assert.equal(refused.error, 'code_already_used');
+    assert.equal(refused.token_id, redeemed.record.id);
+    assert.ok(store.validate(redeemed.token).valid);
+    tmp.cleanup();
+  });
+
+  test('addContact rejects unredeemed one-time invites', () => {
+    const store = freshStore();
+    assert.throws(() => store.addContact('a2a://remote.example.com/inv_abc123'));
+    tmp.cleanup();
+  });
+
+  // ── Reciprocal Contacts ───────────────────────────────────────
+
+  test('approving a return invite without an inbound contact creates a linked one', () => {
+    const store = freshStore();
+    const { record } = store.create({ name: 'For Carol' });
+
+    assert.equal(store.offerReciprocalInvite(record.id, 'not-an-invite').error, 'invalid_return_invite');
+    const first = store.offerReciprocalInvite(record.id, 'a2a://carol.example.com/fed_first_offer_0001', { name: 'Carol' });
+    const second = store.offerReciprocalInvite(record.id, 'a2a://carol.example.com/fed_second_offer_002', { name: 'Carol' });
+    assert.ok(first.success && second.success);
+    // A newer offer replaces the pending one.
+    assert.deepEqual(store.listContactRequests().map(r => r.id), [second.request.id]);
+
+    const approved = store.approveContactRequest(second.request.id);
+    assert.ok(approved.success);
+    const contact = store.getContact('Carol');
+    assert.equal(contact.token, 'fed_second_offer_002');
+    assert.equal(contact.linked_token_id, record.id);
+    assert.equal(store.listContactRequests('approved')[0].contact_id, contact.id);
+    assert.equal(store.denyContactRequest(second.request.id).error, 'already_decided');
+    tmp.cleanup();
+  });
+
+  test('approving a return invite never touches an unrelated contact on the same host', () => {
+    const store = freshStore();
+    store.addContact('a2a://shared.example.com/fed_dave_original_01', { name: 'Dave' });
+    const { record } = store.create({ name: 'For Mallory' });
+
+    const offer = store.offerReciprocalInvite(record.id, 'a2a://shared.example.com/fed_mallory_offer_1', { name: 'Mallory' });
+    assert.ok(store.approveContactRequest(offer.request.id).success);
+    assert.equal(store.getContact('Dave').token, 'fed_dave_original_01');
+    assert.equal(store.getContact('Dave').linked_token_id, null);
+    assert.equal(store.getContact('Mallory').linked_token_id, record.id);
+
+    // A linked contact keeps the host it was added with.
+    const { record: other } = store.create({ name: 'For Erin' });
+    store.addContact('a2a://erin.example.com/fed_erin_original_01', { name: 'Erin', linkedTokenId: other.id });
+    const moved = store.offerReciprocalInvite(other.id, 'a2a://elsewhere.example.com/fed_erin_offer_0001', { name: 'Erin' });
+    assert.equal(store.approveContactRequest(moved.request.id).error, 'host_mismatch');
+    assert.equal(store.getContact('Erin').host, 'erin.example.com');
+    tmp.cleanup();
+  });
+
   // ── Token Validation ──────────────────────────────────────────
 
   test('validate accepts valid token and increments calls', () => {
@@ -414,14 +556,296 @@ module.exports = function (test, assert, helpers) {
     tmp.cleanup();
   });
 
+  // ── Token Rotation ────────────────────────────────────────────
+
+  test('rotate issues a successor that inherits scope and links', () => {
+    const store = freshStore();
+    const { record } = store.create({ name: 'Rotating', permissions: 'friends' });
+    store.addContact('a2a://friend.test/fed_friendtoken123', { name: 'Friend' });
+    store.linkTokenToContact('Friend', record.id);
+
+    const result = store.rotate(record.id, { grace: '1h' });
+    assert.ok(result.success);
+    assert.match(result.token, /^fed_/);
+    assert.notEqual(result.record.id, record.id);
+    assert.equal(result.record.tier, 'friends');
+    assert.deepEqual(result.record.capabilities, record.capabilities);
+    assert.equal(result.record.rotated_from, record.id);
+    assert.equal(store.findById(record.id).rotated_to, result.record.id);
+    assert.equal(store.listContacts().find(c => c.name === 'Friend').linked_token_id, result.record.id);
+    assert.equal(store.list().find(t => t.id === record.id).pending_successor_enc, undefined);
+
+    const again = store.rotate(record.id);
+    assert.equal(again.success, false);
+    assert.equal(again.error, 'already_rotated');
+    tmp.cleanup();
+  });
+
+  test('old token carries the successor until the successor is used', () => {
+    const store = freshStore();
+    const { token: oldToken, record } = store.create({ name: 'Handoff' });
+    const { token: newToken, record: successor } = store.rotate(record.id);
+
+    const viaOld = store.validate(oldToken);
+    assert.ok(viaOld.valid);
+    assert.equal(viaOld.rotation.token, newToken);
+    assert.equal(viaOld.rotation.successor_id, successor.id);
+
+    const viaNew = store.validate(newToken);
+    assert.ok(viaNew.valid);
+    assert.equal(viaNew.rotation, null);
+    assert.deepEqual(viaNew.rotation_completed, { predecessor_id: record.id });
+
+    const retired = store.validate(oldToken);
+    assert.equal(retired.valid, false);
+    assert.equal(retired.error, 'token_revoked');
+    assert.equal(store.findById(record.id).revoked_reason, 'rotated');
+    tmp.cleanup();
+  });
+
+  test('old token stops working after the grace window', () => {
+    const store = freshStore();
+    const { token: oldToken, record } = store.create({ name: 'Graceful' });
+    store.rotate(record.id, { grace: '1h' });
+
+    const db = store._load();
+    db.tokens.find(t => t.id === record.id).rotation_grace_until = new Date(Date.now() - 1000).toISOString();
+    store._save(db);
+
+    const result = store.validate(oldToken);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'token_rotated');
+    tmp.cleanup();
+  });
+
+  test('updateContact swaps the stored credential', () => {
+    const store = freshStore();
+    store.addContact('a2a://host.test/fed_originaltoken1', { name: 'Swap' });
+
+    const result = store.updateContact('Swap', { token: 'fed_successortoken1', trace_id: 'a2a_trace' });
+    assert.ok(result.success);
+    assert.equal(store.getContact('Swap').token, 'fed_successortoken1');
+    assert.ok(store.getContact('Swap').token_rotated_at);
+
+    const bad = store.updateContact('Swap', { token: 'not-a-token' });
+    assert.equal(bad.success, false);
+    assert.equal(bad.error, 'invalid_token');
+    tmp.cleanup();
+  });
+
+  // ── Contact Token Encryption ──────────────────────────────────
+
+  function legacyTokenEnc(dbPath, token) {
+    const crypto = require('crypto');
+    const key = crypto.createHash('sha256').update(dbPath + 'remote-key').digest();
+    const buf = Buffer.from(token, 'utf8');
+    return Buffer.from(buf.map((b, i) => b ^ key[i % key.length])).toString('base64');
+  }
+
+  test('contact tokens are sealed with AES-GCM under a 0600 master key', () => {
+    const store = freshStore();
+    const fs = require('fs');
+    const path = require('path');
+    store.addContact('a2a://remote.test/fed_sealedtoken123', { name: 'Sealed' });
+
+    const raw = store._initDb().prepare('SELECT data FROM contacts').get().data;
+    assert.ok(!raw.includes('fed_sealedtoken123'));
+    const contact = JSON.parse(raw);
+    assert.match(contact.token_enc, /^v2:[0-9a-f]{16}:/);
+
+    const keyPath = path.join(tmp.dir, 'a2a-master.key');
+    assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+    tmp.cleanup();
+  });
+
+  test('legacy XOR token_enc values are migrated on import', () => {
+    const store = freshStore();
+    const fs = require('fs');
+    const token = 'fed_legacytoken12345';
+    fs.writeFileSync(store.legacyJsonPath, JSON.stringify({
+      tokens: [],
+      contacts: [{
+        id: 'legacy1',
+        name: 'Legacy',
+        host: 'old.example.com',
+        token_hash: require('crypto').createHash('sha256').update(token).digest('hex'),
+        token_enc: legacyTokenEnc(store.legacyJsonPath, token)
+      }]
+    }));
+
+    assert.equal(store.getContact('Legacy').token, token);
+    const persisted = store._load().contacts[0];
+    assert.match(persisted.token_enc, /^v2:/);
+    tmp.cleanup();
+  });
+
+  test('tampered or swapped ciphertexts do not decrypt', () => {
+    const store = freshStore();
+    store.addContact('a2a://a.test/fed_tokenaaaaaaaaa', { name: 'A' });
+    store.addContact('a2a://b.test/fed_tokenbbbbbbbbb', { name: 'B' });
+    const db = store._load();
+    const [a, b] = db.contacts;
+
+    const flipped = a.token_enc.slice(0, -4) + (a.token_enc.slice(-4, -3) === 'A' ? 'B' : 'A') + a.token_enc.slice(-3);
+    assert.equal(store._decryptContactToken({ ...a, token_enc: flipped }), null);
+    assert.equal(store._decryptContactToken({ ...a, token_enc: b.token_enc }), null);
+    tmp.cleanup();
+  });
+
+  test('rotateContactKey re-encrypts every contact under a new key', () => {
+    const store = freshStore();
+    const fs = require('fs');
+    const path = require('path');
+    store.addContact('a2a://one.test/fed_rotateone12345', { name: 'One' });
+    store.addContact('a2a://two.test/fed_rotatetwo12345', { name: 'Two' });
+    const keyPath = path.join(tmp.dir, 'a2a-master.key');
+    const oldKey = fs.readFileSync(keyPath, 'utf8');
+    const oldKeyId = store._load().contacts[0].token_enc.split(':')[1];
+
+    const result = store.rotateContactKey();
+    assert.ok(result.success);
+    assert.equal(result.rotated, 2);
+    assert.notEqual(result.key_id, oldKeyId);
+    assert.notEqual(fs.readFileSync(keyPath, 'utf8'), oldKey);
+    assert.ok(!fs.existsSync(keyPath + '.next'));
+
+    delete require.cache[require.resolve('../../src/lib/tokens')];
+    const { TokenStore } = require('../../src/lib/tokens');
+    const reopened = new TokenStore(tmp.dir);
+    for (const contact of reopened._load().contacts) {
+      assert.equal(contact.token_enc.split(':')[1], result.key_id);
+    }
+    assert.equal(reopened.getContact('One').token, 'fed_rotateone12345');
+    assert.equal(reopened.getContact('Two').token, 'fed_rotatetwo12345');
+    tmp.cleanup();
+  });
+
+  test('a running store follows a key rotation made by another process', () => {
+    const server = freshStore();
+    const { TokenStore } = require('../../src/lib/tokens');
+    server.addContact('a2a://one.test/fed_runningone12345', { name: 'One' });
+
+    const cli = new TokenStore(tmp.dir);
+    const result = cli.rotateContactKey();
+    assert.ok(result.success);
+
+    // The server seals new values with the rotated key, readable by any fresh process.
+    server.addContact('a2a://two.test/fed_runningtwo12345', { name: 'Two' });
+    const sealed = server._load().contacts.find(c => c.name === 'Two').token_enc;
+    assert.equal(sealed.split(':')[1], result.key_id);
+    assert.equal(new TokenStore(tmp.dir).getContact('Two').token, 'fed_runningtwo12345');
+
+    // Values sealed under the retired key before the reload still open in this process.
+    const { ContactTokenCipher } = require('../../src/lib/token-crypto');
+    const before = new ContactTokenCipher({ configDir: tmp.dir, secret: null });
+    const oldValue = before.encrypt('fed_sealedbefore1234');
+    new TokenStore(tmp.dir).rotateContactKey();
+    assert.notEqual(before.keyId, oldValue.split(':')[1]);
+    assert.equal(before.decrypt(oldValue), 'fed_sealedbefore1234');
+    tmp.cleanup();
+  });
+
+  test('A2A_MASTER_KEY env secret is used instead of a key file', () => {
+    const previous = process.env.A2A_MASTER_KEY;
+    process.env.A2A_MASTER_KEY = 'correct horse battery staple';
+    try {
+      const store = freshStore();
+      const fs = require('fs');
+      const path = require('path');
+      store.addContact('a2a://env.test/fed_envsecret12345', { name: 'Env' });
+      assert.ok(!fs.existsSync(path.join(tmp.dir, 'a2a-master.key')));
+      assert.equal(store.getContact('Env').token, 'fed_envsecret12345');
+    } finally {
+      if (previous === undefined) delete process.env.A2A_MASTER_KEY;
+      else process.env.A2A_MASTER_KEY = previous;
+      tmp.cleanup();
+    }
+  });
+
+  // ── SQLite Storage ────────────────────────────────────────────
+
+  test('legacy a2a.json is imported once and removed', () => {
+    const store = freshStore();
+    const fs = require('fs');
+    const { TokenStore } = require('../../src/lib/tokens');
+    const token = TokenStore.generateToken();
+    fs.writeFileSync(store.legacyJsonPath, JSON.stringify({
+      tokens: [{
+        id: 'tok_legacy0000000001',
+        token_hash: TokenStore.hashToken(token),
+        name: 'Old Invite',
+        tier: 'friends',
+        max_calls: 10,
+        calls_made: 3,
+        revoked: false
+      }],
+      contacts: [{ id: 'c1', name: 'Kept', host: 'kept.test' }],
+      remotes: [{ name: 'FromRemotes', host: 'remotes.test' }]
+    }));
+
+    const result = store.validate(token);
+    assert.ok(result.valid);
+    assert.equal(result.tier, 'friends');
+    assert.equal(result.calls_remaining, 6);
+    assert.deepEqual(store.listContacts().map(c => c.name), ['Kept', 'FromRemotes']);
+    assert.ok(!fs.existsSync(store.legacyJsonPath));
+    assert.ok(!fs.existsSync(store.legacyJsonPath + '.imported'));
+
+    // A stale a2a.json reappearing does not clobber SQLite.
+    fs.writeFileSync(store.legacyJsonPath, JSON.stringify({ tokens: [], contacts: [] }));
+    const reopened = new TokenStore(tmp.dir);
+    assert.equal(reopened.findById('tok_legacy').calls_made, 4);
+    assert.equal(reopened.listContacts().length, 2);
+    tmp.cleanup();
+  });
+
+  test('writes from separate store instances are not lost', () => {
+    const store = freshStore();
+    const { TokenStore } = require('../../src/lib/tokens');
+    const other = new TokenStore(tmp.dir);
+
+    store.addContact('a2a://one.test/fed_instanceone1234', { name: 'One' });
+    other.addContact('a2a://two.test/fed_instancetwo1234', { name: 'Two' });
+    store.updateContact('One', { notes: 'from store' });
+
+    const names = other.listContacts().map(c => c.name).sort();
+    assert.deepEqual(names, ['One', 'Two']);
+    assert.equal(other.getContact('One').notes, 'from store');
+    tmp.cleanup();
+  });
+
+  test('concurrent validate() from multiple processes counts every call', async () => {
+    const store = freshStore();
+    const path = require('path');
+    const { execFile } = require('child_process');
+    const { token, record } = store.create({ name: 'Busy', maxCalls: null });
+    const tokensModule = path.resolve(__dirname, '../../src/lib/tokens');
+    const perProcess = 40;
+
+    const script = `
+      const { TokenStore } = require(${JSON.stringify(tokensModule)});
+      const store = new TokenStore(${JSON.stringify(tmp.dir)});
+      for (let i = 0; i < ${perProcess}; i++) {
+        if (!store.validate(${JSON.stringify(token)}).valid) process.exit(2);
+      }
+    `;
+    const run = () => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 60000 }, (err) => err ? reject(err) : resolve());
+    });
+
+    await Promise.all([run(), run(), run()]);
+    assert.equal(store.findById(record.id).calls_made, perProcess * 3);
+    tmp.cleanup();
+  });
+
   // ── Corrupted DB Recovery ─────────────────────────────────────
 
-  test('corrupted DB is backed up and reset', () => {
+  test('corrupted legacy JSON is backed up and reset', () => {
     const store = freshStore();
     const fs = require('fs');
 
-    // Write garbage to the DB file
-    fs.writeFileSync(store.dbPath, 'not json!!!');
+    // Write garbage to the legacy file before the first import
+    fs.writeFileSync(store.legacyJsonPath, 'not json!!!');
     const db = store._load();
 
     assert.deepEqual(db.tokens, []);
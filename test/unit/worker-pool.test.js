@@ -0,0 +1,124 @@
+/**
+ * Worker pool tests
+ *
+ * Covers: the concurrency bound, per-key serialization, cancelling queued
+ * tasks, the queue depth limit, and the stats snapshot used by the dashboard.
+ */
+
+module.exports = function (test, assert) {
+  const { WorkerPool } = require('../../src/lib/worker-pool');
+
+  function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  }
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  test('pool never runs more than its concurrency', async () => {
+    const pool = new WorkerPool({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = gates.map((gate, i) => pool.run(null, async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await tick();
+    assert.deepEqual(started, [0, 1]);
+    assert.equal(pool.stats().queued, 1);
+    assert.equal(pool.stats().max_queue_depth, 1);
+
+    gates[0].resolve();
+    await tick();
+    assert.deepEqual(started, [0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+    assert.equal(pool.stats().completed, 3);
+    assert.equal(pool.stats().active, 0);
+  });
+
+  test('tasks with the same key run one at a time in order', async () => {
+    const pool = new WorkerPool({ concurrency: 4 });
+    const first = deferred();
+    const order = [];
+    const a = pool.run('conv_1', async () => { order.push('a'); await first.promise; order.push('a done'); });
+    const b = pool.run('conv_1', async () => { order.push('b'); });
+    const c = pool.run('conv_2', async () => { order.push('c'); });
+
+    await tick();
+    assert.deepEqual(order, ['a', 'c']);
+
+    first.resolve();
+    await Promise.all([a, b, c]);
+    assert.deepEqual(order, ['a', 'c', 'a done', 'b']);
+  });
+
+  test('aborting a queued task drops it and reports the cancel', async () => {
+    const pool = new WorkerPool({ concurrency: 1 });
+    const gate = deferred();
+    const running = pool.run(null, () => gate.promise);
+    const controller = new AbortController();
+    let ran = false;
+    let queuedDepth = null;
+    const queued = pool.run(null, async () => { ran = true; }, {
+      signal: controller.signal,
+      onQueued: (depth) => { queuedDepth = depth; }
+    });
+    assert.equal(queuedDepth, 1);
+
+    controller.abort();
+    let error = null;
+    try {
+      await queued;
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.name, 'AbortError');
+    assert.equal(pool.stats().queued, 0);
+
+    gate.resolve('ok');
+    assert.equal(await running, 'ok');
+    assert.equal(ran, false);
+    assert.equal(pool.stats().cancelled, 1);
+  });
+
+  test('failed tasks free their slot and are counted', async () => {
+    const pool = new WorkerPool({ concurrency: 1 });
+    await assert.rejects(() => pool.run('conv_x', async () => { throw new Error('boom'); }));
+    assert.equal(await pool.run('conv_x', async () => 'next'), 'next');
+    const stats = pool.stats();
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.completed, 1);
+    assert.equal(stats.concurrency, 1);
+  });
+
+  test('a full queue rejects new tasks as busy instead of growing', async () => {
+    const pool = new WorkerPool({ concurrency: 1, maxQueue: 1 });
+    const gate = deferred();
+    const running = pool.run('conv_a', () => gate.promise.then(() => 'first'));
+    const queued = pool.run('conv_b', async () => 'second');
+
+    let busy = null;
+    try {
+      await pool.run('conv_c', async () => 'third');
+    } catch (err) {
+      busy = err;
+    }
+    assert.ok(busy, 'expected the third task to be refused');
+    assert.equal(busy.code, 'runtime_busy');
+    assert.equal(busy.statusCode, 503);
+    assert.equal(pool.stats().queued, 1);
+    assert.equal(pool.stats().rejected, 1);
+
+    gate.resolve();
+    assert.equal(await running, 'first');
+    assert.equal(await queued, 'second');
+    // Room again once the queue drains.
+    assert.equal(await pool.run('conv_c', async () => 'third'), 'third');
+  });
+};